@@ -5,12 +5,16 @@
  *
  * Usage:
  *   epistery initialize <domain>         Initialize domain with wallet
- *   epistery chains                      List supported chains
+ *   epistery chains [--probe [chain]]    List supported chains (and RPC health)
  *   epistery set-chain <domain> <chain>  Move a domain to another chain
+ *   epistery accept-chain <domain> <chain>  Also accept identities on a chain
+ *   epistery drop-chain <domain> <chain>    Stop accepting a chain
  *   epistery permissions [--fix]         Audit/repair ~/.epistery file modes
  *   epistery set-default-chain <chain>   Set chain used for new wallets
+ *   epistery devnet [domain...]          Run a local chain set up for development
  *   epistery curl [options] <url>        Make authenticated HTTP request
  *   epistery mcp [options] <url>         Stdio MCP bridge with bot-auth
+ *   epistery logout [options] <url>      End the saved session for a server
  *   epistery info [domain]               Show domain information
  *   epistery set-default <domain>        Set default domain for CLI
  *
@@ -18,6 +22,7 @@
  */
 
 import { CliWallet } from "../dist/utils/CliWallet.js";
+import { Devnet } from "../dist/utils/Devnet.js";
 import { Utils } from "../dist/utils/Utils.js";
 import {
   auditTree,
@@ -25,6 +30,7 @@ import {
   secureTree,
 } from "../dist/utils/Permissions.js";
 import {
+  chainFor,
   configuredChains,
   defaultChain,
   findChain,
@@ -33,9 +39,10 @@ import {
 } from "../dist/chains/index.js";
 import { ethers } from "ethers";
 import { spawn } from "child_process";
+import { createRequire } from "module";
 import dotenv from "dotenv";
 import { fileURLToPath } from "url";
-import { dirname, join } from "path";
+import { dirname, join, resolve } from "path";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -156,6 +163,9 @@ function showHelp() {
   console.log(
     "  epistery curl [options] <url>             Make authenticated HTTP request",
   );
+  console.log(
+    "  epistery logout [-w domain] <url>         End the saved session for a server",
+  );
   console.log(
     "  epistery info [domain]                    Show domain information",
   );
@@ -163,7 +173,10 @@ function showHelp() {
     "  epistery set-default <domain>             Set default domain for CLI",
   );
   console.log(
-    "  epistery chains                           List supported chains",
+    "  epistery chains [--probe [chain]]         List supported chains; --probe checks",
+  );
+  console.log(
+    "                                            each RPC endpoint's latency and head",
   );
   console.log(
     "  epistery set-default-chain <chain>        Set chain used for new wallets",
@@ -171,9 +184,21 @@ function showHelp() {
   console.log(
     "  epistery set-chain <domain> <chain>       Move a domain to another chain",
   );
+  console.log(
+    "  epistery accept-chain <domain> <chain>    Also accept identity contracts on a chain",
+  );
+  console.log(
+    "  epistery drop-chain <domain> <chain>      Stop accepting a chain",
+  );
   console.log(
     "  epistery permissions [--fix]              Audit (or repair) key file modes",
   );
+  console.log(
+    "  epistery devnet [options] [domain...]     Start a local chain (31337), deploy",
+  );
+  console.log(
+    "                                            contracts and point domains at it",
+  );
   console.log("");
   console.log("initialize options:");
   console.log(
@@ -186,6 +211,20 @@ function showHelp() {
     "                           when not on a terminal. See: epistery chains",
   );
   console.log("");
+  console.log("devnet options:");
+  console.log(
+    "  -p, --port <port>        Port for the node (default 8545)",
+  );
+  console.log(
+    "  --rpc <url>              Use a node that is already running (e.g. Anvil)",
+  );
+  console.log(
+    "  --fund <ether>           Ether for each domain wallet (default 100)",
+  );
+  console.log(
+    "  --test-env <file>        Also write a .test.env for the test suite",
+  );
+  console.log("");
   console.log("Global Options:");
   console.log(
     "  -p, --port <port>        Server port (for localhost development)",
@@ -206,6 +245,9 @@ function showHelp() {
   console.log(
     "  -b, --bot                Use bot auth header (default: session cookie)",
   );
+  console.log(
+    "  -c, --contract <addr>    Bot auth as this IdentityContract (wallet must be a rivet)",
+  );
   console.log("  -v, --verbose            Show detailed output");
   console.log("");
   console.log("Examples:");
@@ -219,6 +261,9 @@ function showHelp() {
   console.log("  # Move an existing domain's wallet to another chain");
   console.log("  epistery set-chain geist.social polygon");
   console.log("");
+  console.log("  # Also let users sign in with identity contracts on JOC");
+  console.log("  epistery accept-chain geist.social joc");
+  console.log("");
   console.log("  # MCP bridge (use with Claude Code or any MCP client)");
   console.log("  claude mcp add --transport stdio geist-social -- epistery mcp https://geist.social");
   console.log("");
@@ -226,6 +271,9 @@ function showHelp() {
   console.log("  epistery curl https://example.com/api/data");
   console.log('  epistery curl --bot -X POST -d \'{"title":"Test"}\' <url>');
   console.log("");
+  console.log("  # End the session curl saved (revoked server-side too)");
+  console.log("  epistery logout https://example.com");
+  console.log("");
   console.log("Domain configs stored in: ~/.epistery/{domain}/config.ini");
   console.log("Default domain set in: ~/.epistery/config.ini [cli] section");
   console.log("");
@@ -306,9 +354,47 @@ async function promptForChain() {
   return choice ? await resolveChainOrExit(choice) : fallback;
 }
 
-async function listChains() {
-  console.log("Supported chains:");
-  await printChains("  ");
+/**
+ * Print each chain's RPC endpoints in failover order: only chains with
+ * failover endpoints configured, unless probing. `--probe` asks every
+ * endpoint for its chainId and head block and prints its state, latency
+ * and last error.
+ */
+async function printEndpoints(probe, selector) {
+  let configs = await configuredChains();
+  if (selector) configs = [await resolveChainOrExit(selector)];
+  const chains = configs.map((config) => chainFor(config)).filter((chain) => probe || chain.rpcs.length > 1);
+  if (chains.length === 0) return;
+
+  const results = await Promise.all(
+    chains.map(async (chain) => (probe ? await chain.rpcPool.probe() : chain.rpcHealth())),
+  );
+  console.log("");
+  console.log(probe ? "RPC endpoints (probed):" : "RPC endpoints (failover order):");
+  chains.forEach((chain, i) => {
+    console.log(`  ${String(chain.chainId).padEnd(9)} ${chain.name}`);
+    results[i].forEach((endpoint, n) => {
+      let line = `    ${n + 1}. ${endpoint.url}`;
+      if (probe) {
+        line = line.padEnd(50);
+        line += ` ${endpoint.state.padEnd(8)}`;
+        if (endpoint.blockNumber !== undefined && endpoint.consecutiveFailures === 0) {
+          line += ` ${String(endpoint.lastLatencyMs).padStart(5)}ms  block ${endpoint.blockNumber}`;
+        } else if (endpoint.lastError) {
+          line += ` ${endpoint.lastError}`;
+        }
+      }
+      console.log(line);
+    });
+  });
+}
+
+async function listChains(probe = false, selector = null) {
+  if (!selector) {
+    console.log("Supported chains:");
+    await printChains("  ");
+  }
+  await printEndpoints(probe, selector);
   console.log("");
   console.log("Use one for a new wallet:  epistery initialize -c <chain> <domain>");
   console.log("Change the default:        epistery set-default-chain <chain>");
@@ -347,6 +433,176 @@ async function setChainCommand(domain, selector) {
   console.log("this wallet starts unfunded on the new chain.");
 }
 
+/**
+ * Let a domain verify identity contracts on another chain too. Its own chain
+ * (and wallet) stay where they are; witness.js clients see the chain in the
+ * status's `server.networks`.
+ */
+async function acceptChainCommand(domain, selector) {
+  const chain = await resolveChainOrExit(selector);
+  const added = await CliWallet.acceptChain(domain, providerConfigFor(chain));
+  if (!added) {
+    console.log(`${domain} already accepts ${chain.name} (${chain.chainId})`);
+    return;
+  }
+  const wallet = await CliWallet.load(domain);
+  const own = wallet.getProvider();
+  console.log(`✓ ${domain} accepts identities on ${chain.name} (${chain.chainId})`);
+  console.log(`  own chain: ${own?.name || "unknown"} (${own?.chainId})`);
+  console.log("");
+  console.log("Restart the host to pick this up.");
+}
+
+/** Stop verifying identity contracts on a chain the domain accepted. */
+async function dropChainCommand(domain, selector) {
+  const chain = await resolveChainOrExit(selector);
+  const dropped = await CliWallet.dropChain(domain, Number(chain.chainId));
+  if (!dropped) {
+    console.log(`${domain} does not accept ${chain.name} (${chain.chainId})`);
+    return;
+  }
+  console.log(`✓ ${domain} no longer accepts ${chain.name} (${chain.chainId})`);
+  console.log("");
+  console.log("Restart the host to pick this up. Sessions already bound to");
+  console.log("contracts on that chain last until they expire or are revoked.");
+}
+
+/**
+ * Extract the devnet options from args.
+ * Returns { rpc, fund, testEnv, domains }
+ */
+function extractDevnetOptions(args) {
+  const options = { rpc: null, fund: null, testEnv: null, domains: [] };
+  const valueOf = (flag, i) => {
+    if (!args[i]) {
+      console.error(`Error: ${flag} requires a value`);
+      process.exit(1);
+    }
+    return args[i];
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--rpc") {
+      options.rpc = valueOf(arg, ++i);
+    } else if (arg === "--fund") {
+      options.fund = valueOf(arg, ++i);
+    } else if (arg === "--test-env") {
+      options.testEnv = valueOf(arg, ++i);
+    } else {
+      options.domains.push(arg);
+    }
+  }
+  return options;
+}
+
+/**
+ * Start the in-repo hardhat node. Hardhat is a devDependency, so this needs
+ * a checkout of epistery with its dev dependencies installed.
+ */
+function startHardhatNode(port) {
+  const root = join(__dirname, "..");
+  let bin;
+  try {
+    const require = createRequire(join(root, "package.json"));
+    const pkg = require("hardhat/package.json");
+    bin = join(dirname(require.resolve("hardhat/package.json")), pkg.bin.hardhat || pkg.bin);
+  } catch {
+    console.error("Error: hardhat is not installed.");
+    console.error("");
+    console.error("It is a dev dependency of epistery: run `npm install` in an epistery");
+    console.error("checkout, or start any devnet node (e.g. `anvil`) and pass");
+    console.error("  epistery devnet --rpc http://127.0.0.1:8545");
+    process.exit(1);
+  }
+  return spawn(
+    process.execPath,
+    [bin, "node", "--config", join(root, "hardhat.config.js"), "--hostname", "127.0.0.1", "--port", String(port)],
+    { cwd: root, stdio: ["ignore", "ignore", "inherit"] },
+  );
+}
+
+/**
+ * Run a local chain for offline development: start a hardhat node (unless
+ * --rpc names one), then fund and configure the domains on it (see
+ * src/utils/Devnet.ts). The node runs until Ctrl-C; its chain goes with it.
+ */
+async function devnetCommand(args, port) {
+  const options = extractDevnetOptions(args);
+  if (options.fund != null && !(Number(options.fund) > 0)) {
+    console.error("Error: --fund must be a positive amount of ether");
+    process.exit(1);
+  }
+  const rpc = options.rpc || `http://127.0.0.1:${port || 8545}`;
+  const node = options.rpc ? null : startHardhatNode(port || 8545);
+  let exited = false;
+  let finished = false;
+  node?.on("exit", (code) => {
+    exited = true;
+    if (code) console.error(`Devnet node exited with code ${code}`);
+    process.exit(code || (finished ? 0 : 1));
+  });
+  // A setup that stops short (nothing left holding the process open) must
+  // not look like success to a script running this.
+  process.once("beforeExit", () => {
+    if (finished) return;
+    console.error("");
+    console.error("Error: devnet setup ended before it finished");
+    process.exitCode = 1;
+  });
+
+  let setup;
+  try {
+    console.log(node ? `Starting devnet node at ${rpc}...` : `Using devnet node at ${rpc}`);
+    setup = await Devnet.setup(rpc, {
+      domains: options.domains,
+      fundEther: options.fund || undefined,
+      testWallets: Boolean(options.testEnv),
+    });
+  } catch (error) {
+    console.error("");
+    console.error("Error:", error.message);
+    if (node && !exited) node.kill();
+    process.exit(1);
+  }
+
+  console.log("");
+  console.log(`✓ Devnet ready: chain ${setup.chainId} at ${setup.rpc}`);
+  for (const domain of setup.domains) {
+    console.log("");
+    console.log(`  ${domain.domain}${domain.created ? " (new)" : ""}`);
+    console.log(`    wallet:          ${domain.address}`);
+    console.log(`    access contract: ${domain.accessContract}`);
+    if (domain.previousProvider) {
+      console.log(
+        `    was on ${domain.previousProvider.name || "unknown"} (${domain.previousProvider.chainId}); ` +
+          `move back with: epistery set-chain ${domain.domain} ${domain.previousProvider.chainId}`,
+      );
+    }
+  }
+  console.log("");
+  console.log(`  Identity contract: ${setup.identity.contractAddress}`);
+  console.log(`    rivet: ${setup.identity.rivet.address}`);
+  console.log(`    key:   ${setup.identity.rivet.privateKey} (devnet only; import into a browser wallet)`);
+
+  if (options.testEnv) {
+    const file = resolve(options.testEnv);
+    await Devnet.writeTestEnv(file, setup);
+    console.log("");
+    console.log(`  Test environment written to ${file}`);
+  }
+  finished = true;
+
+  if (!node) return;
+  console.log("");
+  console.log("The devnet runs until Ctrl-C; everything on it is lost when it stops.");
+  const stop = () => {
+    if (!exited) node.kill("SIGINT");
+  };
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+}
+
 /**
  * Audit — or with --fix, repair — the modes of everything under ~/.epistery.
  * The tree holds wallet mnemonics and private keys in cleartext, so anything
@@ -534,6 +790,15 @@ async function showInfo(domain) {
       console.log("");
     }
 
+    const accepted = wallet.getAcceptedChains();
+    if (accepted.length) {
+      console.log("Also accepts:");
+      for (const chain of accepted) {
+        console.log(`  ${chain.name} (${chain.chainId})  ${chain.rpc}`);
+      }
+      console.log("");
+    }
+
     console.log(
       "Sessions: Stored per-server in ~/.epistery/" +
         wallet.getDomain() +
@@ -567,6 +832,7 @@ function parseCurlArgs(args) {
     data: null,
     headers: [],
     bot: true, // Use bot mode by default
+    contract: null, // IdentityContract to authenticate as (bot mode)
     verbose: false,
     url: null,
   };
@@ -600,6 +866,11 @@ function parseCurlArgs(args) {
         options.bot = true;
         break;
 
+      case "-c":
+      case "--contract":
+        options.contract = args[++i];
+        break;
+
       case "-v":
       case "--verbose":
         options.verbose = true;
@@ -674,8 +945,13 @@ async function performCurl(options) {
 
     // Authentication
     if (options.bot) {
-      // Bot mode: Use Authorization header
-      const authHeader = await wallet.createBotAuthHeader();
+      // Bot mode: Use Authorization header, bound to this method/URL/body
+      const authHeader = await wallet.createBotAuthHeader(
+        options.url,
+        options.method,
+        options.data,
+        { contractAddress: options.contract || undefined },
+      );
       curlArgs.push("-H", `Authorization: ${authHeader}`);
     } else {
       // Session mode: Check for existing session or perform key exchange
@@ -746,6 +1022,49 @@ async function performCurl(options) {
   }
 }
 
+/**
+ * End the saved session for a server: DELETE /connect revokes it in the
+ * server's session registry, then the local copy is removed.
+ *
+ * Usage: epistery logout [-w domain] <url>
+ */
+async function performLogout(args) {
+  let domain = null;
+  let url = null;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "-w" || arg === "--wallet") {
+      domain = args[++i];
+    } else if (!arg.startsWith("-")) {
+      url = arg;
+    }
+  }
+
+  if (!url) {
+    console.error("Error: URL required");
+    console.error("Usage: epistery logout [-w domain] <url>");
+    process.exit(1);
+  }
+
+  // Sessions are saved per base URL (protocol + host + port), as curl keys them
+  const target = new URL(url);
+  const baseUrl = `${target.protocol}//${target.host}`;
+
+  const wallet = await CliWallet.load(domain);
+  if (!wallet.getSession(baseUrl)) {
+    console.log(`No saved session for ${baseUrl}`);
+    return;
+  }
+
+  const revoked = await wallet.clearSession(baseUrl);
+  console.log(
+    revoked
+      ? `Logged out of ${baseUrl}`
+      : `Removed local session for ${baseUrl} (server did not confirm revocation)`,
+  );
+}
+
 /**
  * MCP stdio bridge — reads JSON-RPC from stdin, POSTs to remote /mcp
  * with bot-auth, writes responses to stdout.
@@ -801,8 +1120,10 @@ async function performMcp(args) {
     const isNotification = msg.id === undefined || msg.id === null;
 
     try {
-      // Fresh bot-auth header per request (timestamp-based replay protection)
-      const authHeader = await wallet.createBotAuthHeader();
+      // Fresh bot-auth header per request — the server rejects a reused
+      // nonce, and the signature covers this exact body.
+      const requestBody = JSON.stringify(msg);
+      const authHeader = await wallet.createBotAuthHeader(mcpUrl, 'POST', requestBody);
 
       const res = await fetch(mcpUrl, {
         method: 'POST',
@@ -811,7 +1132,7 @@ async function performMcp(args) {
           'Content-Type': 'application/json',
           'Accept': 'application/json'
         },
-        body: JSON.stringify(msg)
+        body: requestBody
       });
 
       if (res.status === 204) {
@@ -874,8 +1195,15 @@ async function main() {
         break;
       }
 
-      case "chains":
-        await listChains();
+      case "chains": {
+        const probe = args.includes("--probe");
+        const selector = args.find((a) => !a.startsWith("-")) || null;
+        await listChains(probe, selector);
+        break;
+      }
+
+      case "devnet":
+        await devnetCommand(args, port);
         break;
 
       case "permissions":
@@ -894,6 +1222,23 @@ async function main() {
         await setChainCommand(args[0], args[1]);
         break;
 
+      case "accept-chain":
+      case "drop-chain":
+        if (!args[0] || !args[1]) {
+          console.error("Error: Domain and chain required");
+          console.error(`Usage: epistery ${command} <domain> <chainId|name>`);
+          console.error("");
+          console.error("Supported chains:");
+          await printChains("  ");
+          process.exit(1);
+        }
+        if (command === "accept-chain") {
+          await acceptChainCommand(args[0], args[1]);
+        } else {
+          await dropChainCommand(args[0], args[1]);
+        }
+        break;
+
       case "set-default-chain":
         if (!args[0]) {
           console.error("Error: Chain required");
@@ -918,6 +1263,10 @@ async function main() {
         await performMcp(rawArgs);
         break;
 
+      case "logout":
+        await performLogout(rawArgs);
+        break;
+
       case "curl":
         if (rawArgs.length === 0) {
           console.error("Error: URL required");
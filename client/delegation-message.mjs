@@ -0,0 +1,31 @@
+// The ONE definition of the epistery delegation-token signed message.
+//
+// A delegation token is { delegation, signature, publicKey }: a wallet (rivet,
+// FIDO or Web3) signs the delegation object, and the attach() middleware
+// verifies it (see docs/DELEGATION.md). Both sides must build these exact
+// bytes from the object, so — like storage-message.mjs — this lives in one
+// pure-ESM, dependency-free module that imports the same in Node and in the
+// browser (served at /lib/delegation-message.mjs).
+//
+// Wire shape: nine lines joined by '\n', in this fixed order. `scope` is the
+// JSON array, so a scope string containing a comma or newline can't shift
+// the lines. Changing the order, the count, or the tag is a wire-breaking
+// change for every signer and verifier at once.
+
+export const DELEGATION_TAG = 'epistery-delegation';
+export const DELEGATION_VERSION = '1.0';
+
+export function delegationMessage(delegation) {
+  const { version, issuer, subject, audience, scope, expires, nonce, createdAt } = delegation;
+  return [
+    DELEGATION_TAG,
+    String(version),
+    String(issuer),
+    String(subject).toLowerCase(),
+    String(audience).toLowerCase(),
+    JSON.stringify(Array.isArray(scope) ? scope : []),
+    String(expires),
+    String(nonce),
+    String(createdAt),
+  ].join('\n');
+}
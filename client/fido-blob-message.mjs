@@ -0,0 +1,34 @@
+// The ONE definition of the message a rivet signs to write or delete its
+// server-held FIDO blob (/fido/blob). FidoWallet signs it with the rivet key
+// it just wrapped; routes/fido.mjs rebuilds it to verify. Pure ESM, no
+// dependencies, served at /lib/fido-blob-message.mjs.
+//
+// Wire shape: six lines joined by '\n', in this fixed order:
+//
+//     epistery-fido-blob
+//     <action: store | delete>
+//     <credentialId>
+//     <rivetAddress, lowercase>
+//     <blobHash: sha256 hex of fidoBlobHashInput(), empty for delete>
+//     <ts: ms since epoch>
+//
+// Changing the order, the count, or the tag is a wire-breaking change for
+// every signer and verifier at once.
+
+export const FIDO_BLOB_TAG = 'epistery-fido-blob';
+
+// What blobHash covers: the fields a reader needs to recover the key.
+export function fidoBlobHashInput({ publicKey, ciphertext, iv }) {
+  return [publicKey, ciphertext, iv].map((s) => String(s).toLowerCase()).join('\n');
+}
+
+export function fidoBlobMessage({ action, credentialId, rivetAddress, blobHash, ts }) {
+  return [
+    FIDO_BLOB_TAG,
+    action,
+    credentialId,
+    String(rivetAddress).toLowerCase(),
+    blobHash || '',
+    String(ts),
+  ].join('\n');
+}
@@ -0,0 +1,45 @@
+// The ONE definition of the message a rivet signs to propose, approve or
+// reject a threshold-gated action on its IdentityContract (today: removing a
+// rivet) through a host's approval queue (/identity/actions). wallet.js signs
+// it; routes/identity.mjs rebuilds it to verify. Pure ESM, no dependencies,
+// served at /lib/identity-action-message.mjs.
+//
+// Wire shape: nine lines joined by '\n', in this fixed order:
+//
+//     epistery-identity-action
+//     <decision: propose | approve | reject>
+//     <host, lowercase>
+//     <contractAddress, lowercase>
+//     <kind: removeRivet>
+//     <target, lowercase>
+//     <actionId: empty for propose>
+//     <signerAddress, lowercase>
+//     <ts: ms since epoch>
+//
+// Changing the order, the count, or the tag is a wire-breaking change for
+// every signer and verifier at once.
+
+export const IDENTITY_ACTION_TAG = 'epistery-identity-action';
+
+export function identityActionMessage({
+  decision,
+  host,
+  contractAddress,
+  kind,
+  target,
+  actionId,
+  signerAddress,
+  ts,
+}) {
+  return [
+    IDENTITY_ACTION_TAG,
+    decision,
+    String(host).toLowerCase(),
+    String(contractAddress).toLowerCase(),
+    kind,
+    String(target).toLowerCase(),
+    actionId || '',
+    String(signerAddress).toLowerCase(),
+    String(ts),
+  ].join('\n');
+}
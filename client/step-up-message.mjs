@@ -0,0 +1,27 @@
+// The ONE definition of the epistery step-up (proof-of-possession) message.
+//
+// A route guarded by epistery.requireStepUp() answers a session-only request
+// with 401 { reason: 'step-up', stepUp: { nonce, … } }. The client signs this
+// message with the session's rivet and repeats the request with
+// `X-Epistery-Step-Up: base64(JSON { nonce, signature })`. witness.js and the
+// middleware both build the bytes here (pure ESM, no dependencies, served at
+// /lib/step-up-message.mjs).
+//
+// Wire shape: seven lines joined by '\n', in this fixed order. Changing the
+// order, the count, or the tag is a wire-breaking change for every signer and
+// verifier at once.
+
+export const STEP_UP_TAG = 'epistery-step-up';
+export const STEP_UP_HEADER = 'X-Epistery-Step-Up';
+
+export function stepUpMessage({ signerAddress, method, host, path, bodyHash, nonce }) {
+  return [
+    STEP_UP_TAG,
+    String(signerAddress).toLowerCase(),
+    String(method).toUpperCase(),
+    String(host).toLowerCase(),
+    String(path),
+    bodyHash || '',
+    String(nonce),
+  ].join('\n');
+}
@@ -4,6 +4,10 @@
  * Handles wallet creation, persistence, and signing for Epistery
  */
 
+import { delegationMessage, DELEGATION_VERSION } from "./delegation-message.mjs";
+import { fidoBlobMessage, fidoBlobHashInput } from "./fido-blob-message.mjs";
+import { identityActionMessage } from "./identity-action-message.mjs";
+
 // Base Wallet class
 //
 // Identity vocabulary (must match epistery's server-side contract):
@@ -27,6 +31,10 @@ export class Wallet {
     // RivetWallet sets these to real values; the base class defaults so
     // every wallet variant exposes the three-fact shape uniformly.
     this.contractAddress = null;
+    // The chain contractAddress lives on, when known. Sent with the key
+    // exchange so a host accepting several chains checks the right one;
+    // null means the host's own chain.
+    this.contractChainId = null;
     this.rivetAddress = null;
     // Capability declaration: true when this wallet holds a rivet key that
     // implements encryptForPeer/decryptFromPeer. Consumers check THIS flag
@@ -57,6 +65,7 @@ export class Wallet {
       // Contract binding is a base-class fact — persist it for EVERY rivet
       // kind, or adopting an identity silently unbinds on reload.
       contractAddress: this.contractAddress,
+      contractChainId: this.contractChainId,
       rivetAddress: this.rivetAddress,
     };
   }
@@ -65,13 +74,405 @@ export class Wallet {
   // rivet kind (browser, FIDO, web3) can be a signer on a contract. Does
   // NOT flip `address` — the device key stays `address`/`rivetAddress`;
   // the contract is a separate fact exposed via contractAddress /
-  // identityAddress.
-  upgradeToContract(contractAddress) {
+  // identityAddress. `chainId` is the contract's chain, when known.
+  upgradeToContract(contractAddress, chainId = null) {
     if (this.contractAddress) {
       throw new Error("Rivet is already using an identity contract");
     }
     this.rivetAddress = this.address;
     this.contractAddress = contractAddress;
+    this.contractChainId = chainId != null ? Number(chainId) : null;
+  }
+
+  // Sign a delegation token (docs/DELEGATION.md) granting `scope` on
+  // `audience` until now + `expiresIn` ms. The subject is the identity
+  // (contract when bound, else the rivet); the server checks the signing
+  // rivet against the contract. Works for every wallet kind — each one's
+  // sign() does the signing. Returns { delegation, signature, publicKey },
+  // ready to JSON.stringify into the epistery_delegation cookie or the
+  // x-epistery-delegation header.
+  async createDelegation(
+    { audience, scope = [], expiresIn = 24 * 60 * 60 * 1000, issuer } = {},
+    ethers,
+  ) {
+    if (!audience) throw new Error("createDelegation: audience is required");
+    const now = Date.now();
+    const delegation = {
+      issuer: issuer || audience,
+      subject: this.identityAddress,
+      audience,
+      scope,
+      expires: now + expiresIn,
+      nonce: crypto.randomUUID(),
+      createdAt: now,
+      version: DELEGATION_VERSION,
+    };
+    const signature = await this.sign(delegationMessage(delegation), ethers);
+    return { delegation, signature, publicKey: this.publicKey };
+  }
+
+  // Submit a transaction this wallet signed from a server-prepared one
+  // (POST <rootPath>/tx/submit, which checks it against `metadata.preparedId`),
+  // then poll GET <rootPath>/tx/status/:hash until it is mined. Resolves to
+  // the status ({ transactionHash, status, blockNumber, contractAddress, … });
+  // throws when it reverts, is refused, or isn't mined within `timeoutMs`.
+  async submitPreparedTransaction(
+    rootPath,
+    signedTransaction,
+    { operation, metadata, timeoutMs = 2 * 60 * 1000, pollMs = 2000 } = {},
+  ) {
+    const submitResponse = await fetch(`${rootPath}/tx/submit`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ signedTransaction, operation, metadata }),
+    });
+    if (!submitResponse.ok) {
+      const error = await submitResponse.json().catch(() => ({}));
+      throw new Error(
+        `Failed to submit ${operation || "transaction"}: ${error.error || submitResponse.statusText}`,
+      );
+    }
+    const { transactionHash } = await submitResponse.json();
+
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, pollMs));
+      const statusResponse = await fetch(`${rootPath}/tx/status/${transactionHash}`);
+      if (!statusResponse.ok) continue;
+      const status = await statusResponse.json();
+      if (status.status === "confirmed") return status;
+      if (["reverted", "replaced", "cancelled", "dropped"].includes(status.status)) {
+        throw new Error(`${operation || "Transaction"} ${status.status}: ${transactionHash}`);
+      }
+    }
+    throw new Error(`${operation || "Transaction"} not mined after ${timeoutMs}ms: ${transactionHash}`);
+  }
+
+  // POST a body to one of <rootPath>/identity/prepare-*, sign the prepared
+  // transaction and submit it. A refused prepare throws an Error carrying
+  // the server's `reason` (and for a removal above the contract's threshold,
+  // `threshold` and `rivetCount`), so the UI can tell "not allowed" from
+  // "needs more approvals".
+  async _runIdentityTransaction(route, body, operation, ethers) {
+    if (!this.contractAddress) {
+      throw new Error("This rivet is not part of an identity contract");
+    }
+    const rootPath =
+      (typeof Witness !== "undefined" && Witness.instance?.rootPath) || "..";
+
+    const prepareResponse = await fetch(`${rootPath}/identity/${route}`, {
+      method: "POST",
+      credentials: "include",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        signerAddress: this.signerAddress,
+        contractAddress: this.contractAddress,
+        ...body,
+      }),
+    });
+    if (!prepareResponse.ok) {
+      const refusal = await prepareResponse.json().catch(() => ({}));
+      const error = new Error(
+        `Failed to prepare ${operation}: ${refusal.error || prepareResponse.statusText}`,
+      );
+      error.status = prepareResponse.status;
+      error.reason = refusal.reason;
+      if (refusal.threshold !== undefined) error.threshold = refusal.threshold;
+      if (refusal.rivetCount !== undefined) error.rivetCount = refusal.rivetCount;
+      throw error;
+    }
+    const { unsignedTransaction, metadata } = await prepareResponse.json();
+    const signedTx = await this.signTransaction(unsignedTransaction, ethers);
+    return await this.submitPreparedTransaction(rootPath, signedTx, {
+      operation: metadata?.operation || operation,
+      metadata,
+    });
+  }
+
+  // Remove a rivet (a lost or retired device) from this identity contract.
+  // Throws with `reason: "threshold"` when the contract asks for more than
+  // one rivet to approve a removal.
+  async removeRivetFromContract(rivetAddressToRemove, ethers) {
+    return await this._runIdentityTransaction(
+      "prepare-remove-rivet",
+      { rivetAddressToRemove },
+      "removeRivet",
+      ethers,
+    );
+  }
+
+  // Publish this rivet's public key on its identity contract — after the
+  // key changes, or to replace a stale one.
+  async rotatePublicKey(ethers, publicKey = this.publicKey) {
+    return await this._runIdentityTransaction(
+      "prepare-set-public-key",
+      { publicKey },
+      "setPublicKey",
+      ethers,
+    );
+  }
+
+  // Make another active rivet the identity's recovery host, or clear it
+  // with the zero address.
+  async designateHost(newHost, ethers) {
+    return await this._runIdentityTransaction(
+      "prepare-designate-host",
+      { newHost },
+      "designateHost",
+      ethers,
+    );
+  }
+
+  // Set how many of the identity's rivets must approve removing one.
+  async setRemoveRivetThreshold(threshold, ethers) {
+    return await this._runIdentityTransaction(
+      "prepare-set-remove-threshold",
+      { threshold },
+      "setRemoveRivetThreshold",
+      ethers,
+    );
+  }
+
+  // ── multi-rivet approval queue (<rootPath>/identity/actions) ─────────────
+  //
+  // A removal above the contract's removeRivetThreshold is proposed by one
+  // rivet and approved by others from their own devices. Whichever approval
+  // reaches the threshold carries it out: prepare, sign, submit, and wait
+  // for the action to be `executed`.
+
+  async _signIdentityAction(fields, ethers) {
+    const ts = Date.now();
+    const host = typeof location !== "undefined" ? location.hostname : "localhost";
+    const message = identityActionMessage({
+      ...fields,
+      host,
+      contractAddress: this.contractAddress,
+      signerAddress: this.signerAddress,
+      ts,
+    });
+    return { signerAddress: this.signerAddress, ts, signature: await this.sign(message, ethers) };
+  }
+
+  async _identityActionRequest(path, body) {
+    const rootPath =
+      (typeof Witness !== "undefined" && Witness.instance?.rootPath) || "..";
+    const response = await fetch(`${rootPath}/identity/actions${path}`, {
+      method: body ? "POST" : "GET",
+      credentials: "include",
+      ...(body
+        ? { headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) }
+        : {}),
+    });
+    const answer = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(answer.error || response.statusText);
+      error.status = response.status;
+      error.reason = answer.reason;
+      if (answer.action) error.action = answer.action;
+      throw error;
+    }
+    return answer;
+  }
+
+  // Propose removing a rivet. Resolves to the action; when this rivet's
+  // approval is enough, it is carried out before resolving.
+  async proposeRivetRemoval(rivetAddressToRemove, ethers) {
+    if (!this.contractAddress) {
+      throw new Error("This rivet is not part of an identity contract");
+    }
+    const kind = "removeRivet";
+    const signed = await this._signIdentityAction(
+      { decision: "propose", kind, target: rivetAddressToRemove },
+      ethers,
+    );
+    const { action } = await this._identityActionRequest("", {
+      contractAddress: this.contractAddress,
+      kind,
+      target: rivetAddressToRemove,
+      ...signed,
+    });
+    return action.status === "approved"
+      ? await this.finalizeIdentityAction(action.id, ethers)
+      : action;
+  }
+
+  // Approve a pending action; carried out here when this approval meets
+  // the threshold.
+  async approveIdentityAction(actionId, ethers) {
+    const action = await this._decideIdentityAction(actionId, "approve", ethers);
+    return action.status === "approved"
+      ? await this.finalizeIdentityAction(action.id, ethers)
+      : action;
+  }
+
+  async rejectIdentityAction(actionId, ethers) {
+    return await this._decideIdentityAction(actionId, "reject", ethers);
+  }
+
+  async _decideIdentityAction(actionId, decision, ethers) {
+    const { action } = await this._identityActionRequest(`/${actionId}`);
+    const signed = await this._signIdentityAction(
+      { decision, kind: action.kind, target: action.target, actionId },
+      ethers,
+    );
+    return (await this._identityActionRequest(`/${actionId}/${decision}`, signed)).action;
+  }
+
+  // This identity's queued actions, newest first (optionally one status).
+  async listIdentityActions(status) {
+    if (!this.contractAddress) {
+      throw new Error("This rivet is not part of an identity contract");
+    }
+    const query = `?contract=${this.contractAddress}${status ? `&status=${status}` : ""}`;
+    return (await this._identityActionRequest(query)).actions;
+  }
+
+  // Carry out an approved action this rivet approved: the host prepares the
+  // transaction, this rivet signs it, the host broadcasts it, and the action
+  // is polled until the chain settles it. Resolves to the executed action;
+  // throws when it fails or isn't mined within `timeoutMs`.
+  async finalizeIdentityAction(
+    actionId,
+    ethers,
+    { timeoutMs = 2 * 60 * 1000, pollMs = 2000 } = {},
+  ) {
+    const { unsignedTransaction } = await this._identityActionRequest(
+      `/${actionId}/prepare`,
+      { signerAddress: this.signerAddress },
+    );
+    const signedTransaction = await this.signTransaction(unsignedTransaction, ethers);
+    await this._identityActionRequest(`/${actionId}/submit`, { signedTransaction });
+
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, pollMs));
+      const { action } = await this._identityActionRequest(`/${actionId}`).catch(() => ({}));
+      if (action?.status === "executed") return action;
+      if (action?.status === "failed") {
+        throw new Error(`Identity action ${actionId} reverted: ${action.transactionHash}`);
+      }
+    }
+    throw new Error(`Identity action ${actionId} not mined after ${timeoutMs}ms`);
+  }
+
+  // The identity contract's host, removeRivetThreshold and active rivets
+  // ({ address, name, publicKey }), as the server reads them on-chain.
+  async getIdentityGovernance() {
+    if (!this.contractAddress) {
+      throw new Error("This rivet is not part of an identity contract");
+    }
+    const rootPath =
+      (typeof Witness !== "undefined" && Witness.instance?.rootPath) || "..";
+    const response = await fetch(
+      `${rootPath}/identity/governance/${this.contractAddress}`,
+    );
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(
+        `Failed to read identity governance: ${error.error || response.statusText}`,
+      );
+    }
+    return await response.json();
+  }
+
+  async _inviteRequest(path, body) {
+    const rootPath =
+      (typeof Witness !== "undefined" && Witness.instance?.rootPath) || "..";
+    const response = await fetch(`${rootPath}/invites${path}`, {
+      method: body ? "POST" : "GET",
+      credentials: "include",
+      ...(body
+        ? { headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) }
+        : {}),
+    });
+    const answer = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(answer.error || response.statusText);
+      error.status = response.status;
+      error.reason = answer.reason;
+      throw error;
+    }
+    return answer;
+  }
+
+  // Create an invite to `section` of an EpisteryAccess contract (this
+  // identity's contract by default) granting `role` ("read", "write",
+  // "admin" or 1-3). This rivet signs createInvite and the host broadcasts
+  // it; resolves once it is mined to { code, link, qr, invite }. The code is
+  // shown only here: share the link, and anyone holding it can join.
+  async createInvite(
+    section,
+    role,
+    ethers,
+    { contractAddress = this.contractAddress, timeoutMs = 2 * 60 * 1000, pollMs = 2000 } = {},
+  ) {
+    if (!contractAddress) {
+      throw new Error("No contract to invite to");
+    }
+    const { invite, code, share, unsignedTransaction } = await this._inviteRequest("/prepare", {
+      signerAddress: this.signerAddress,
+      contractAddress,
+      section,
+      role,
+    });
+    const signedTransaction = await this.signTransaction(unsignedTransaction, ethers);
+    const { transactionHash } = await this._inviteRequest(`/${invite.codeHash}/submit`, {
+      signedTransaction,
+    });
+
+    const rootPath =
+      (typeof Witness !== "undefined" && Witness.instance?.rootPath) || "..";
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, pollMs));
+      const statusResponse = await fetch(`${rootPath}/tx/status/${transactionHash}`);
+      if (!statusResponse.ok) continue;
+      const status = await statusResponse.json();
+      if (status.status === "confirmed") {
+        return { code, link: share.link, qr: share.qr, invite: { ...invite, status: "open" } };
+      }
+      if (["reverted", "replaced", "cancelled", "dropped"].includes(status.status)) {
+        throw new Error(`createInvite ${status.status}: ${transactionHash}`);
+      }
+    }
+    throw new Error(`createInvite not mined after ${timeoutMs}ms: ${transactionHash}`);
+  }
+
+  // The code and contract in an invite link
+  // (…#epistery-invite=<code>&contract=<address>), or null when `text`
+  // isn't one. A bare code parses with no contract.
+  static parseInviteLink(text) {
+    if (typeof text !== "string" || !text.trim()) return null;
+    const hash = text.includes("#") ? text.slice(text.indexOf("#") + 1) : text;
+    if (!hash.includes("epistery-invite=")) {
+      return /^[1-9A-HJ-NP-Za-km-z]+$/.test(hash.trim()) ? { code: hash.trim(), contractAddress: null } : null;
+    }
+    const params = new URLSearchParams(hash);
+    const code = params.get("epistery-invite");
+    return code ? { code, contractAddress: params.get("contract") } : null;
+  }
+
+  // Redeem an invite code (or link) for this identity. The host sends
+  // redeemInvite and pays for it; resolves to { invite, transactionHash }
+  // once broadcast. Throws with `reason: "invite"` when the code has no open
+  // invite behind it.
+  async redeemInvite(codeOrLink, { name = this.label || "", contractAddress } = {}) {
+    const parsed = Wallet.parseInviteLink(codeOrLink);
+    if (!parsed) throw new Error("Not an invite code or link");
+    return await this._inviteRequest("/redeem", {
+      code: parsed.code,
+      contractAddress: contractAddress || parsed.contractAddress || undefined,
+      name,
+    });
+  }
+
+  // A section's outstanding invites (this identity must administer it).
+  async listInvites(section, { contractAddress = this.contractAddress } = {}) {
+    if (!contractAddress) {
+      throw new Error("No contract to list invites for");
+    }
+    const query = `?contract=${contractAddress}&section=${encodeURIComponent(section)}`;
+    return (await this._inviteRequest(query)).invites;
   }
 
   // Factory method to create appropriate wallet type from saved data.
@@ -263,6 +664,7 @@ export class Web3Wallet extends Wallet {
     wallet.label = data.label || null;
     wallet.createdAt = data.createdAt || null;
     wallet.contractAddress = data.contractAddress || null;
+    wallet.contractChainId = data.contractChainId ?? null;
     wallet.rivetAddress = data.rivetAddress || null;
     wallet.canPeerEncrypt = !wallet._legacy;
     // Lazy: the plugin reconnect + unlock signature happen on first use,
@@ -428,6 +830,7 @@ export class RivetWallet extends Wallet {
     wallet.lastUpdated = data.lastUpdated;
     wallet.encryptedPrivateKey = data.encryptedPrivateKey;
     wallet.contractAddress = data.contractAddress;
+    wallet.contractChainId = data.contractChainId ?? null;
     wallet.rivetAddress = data.rivetAddress;
     wallet.associations = data.associations || [];
 
@@ -752,33 +1155,48 @@ export class RivetWallet extends Wallet {
 
   /**
    * Deploys a new IdentityContract with this rivet as the first authorized signer
-   * Uses the prepare → sign → submit architecture (server handles funding)
+   * Uses the prepare → sign → submit architecture: POST <rootPath>/tx/prepare
+   * without `to` prepares the deployment, which the domain wallet funds when
+   * asked and the host allows it.
    * @param {ethers} ethers - ethers.js instance
    * @param {object} providerConfig - Provider configuration with rpc and chainId
-   * @param {string} domain - Domain context for the deployment
+   * @param {object} [options]
+   * @param {string} [options.rivetName] - Name for this rivet on the contract
+   * @param {string} [options.displayName] - The identity's public display name
+   * @param {string} [options.hostAddress] - Default recovery signer, if any
+   * @param {boolean} [options.sponsor] - Ask the domain wallet to pay (the host must allow it)
    * @returns {Promise<string>} Contract address
    */
-  async deployIdentityContract(ethers, providerConfig, domain = "localhost") {
+  async deployIdentityContract(
+    ethers,
+    providerConfig,
+    {
+      rivetName = "creator",
+      displayName = "",
+      hostAddress = ethers.constants.AddressZero,
+      sponsor = true,
+    } = {},
+  ) {
     try {
       // Get rootPath from Witness singleton
       const rootPath =
         (typeof Witness !== "undefined" && Witness.instance?.rootPath) || "..";
 
-      // Step 1: Prepare unsigned deployment transaction (server funds the wallet)
-      const prepareResponse = await fetch(
-        `${rootPath}/epistery/identity/prepare-deploy`,
-        {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({
-            clientAddress: this.address,
-            domain: domain,
-          }),
-        },
-      );
+      // Step 1: Prepare unsigned deployment transaction (no `to`: the
+      // args go to the constructor)
+      const prepareResponse = await fetch(`${rootPath}/tx/prepare`, {
+        method: "POST",
+        credentials: "include",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          artifact: "IdentityContract",
+          args: [this.signerAddress, hostAddress, rivetName, this.publicKey || "", displayName],
+          sponsor,
+        }),
+      });
 
       if (!prepareResponse.ok) {
-        const error = await prepareResponse.json();
+        const error = await prepareResponse.json().catch(() => ({}));
         throw new Error(
           `Failed to prepare deployment: ${error.error || prepareResponse.statusText}`,
         );
@@ -789,28 +1207,11 @@ export class RivetWallet extends Wallet {
       // Step 2: Sign the transaction client-side
       const signedTx = await this.signTransaction(unsignedTransaction, ethers);
 
-      // Step 3: Submit signed transaction to blockchain
-      const submitResponse = await fetch(
-        `${rootPath}/epistery/data/submit-signed`,
-        {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({
-            signedTransaction: signedTx,
-            operation: "deployIdentityContract",
-            metadata: metadata,
-          }),
-        },
-      );
-
-      if (!submitResponse.ok) {
-        const error = await submitResponse.json();
-        throw new Error(
-          `Failed to submit deployment: ${error.error || submitResponse.statusText}`,
-        );
-      }
-
-      const receipt = await submitResponse.json();
+      // Step 3: Submit signed transaction and wait for it to be mined
+      const receipt = await this.submitPreparedTransaction(rootPath, signedTx, {
+        operation: "deployIdentityContract",
+        metadata,
+      });
 
       if (!receipt.contractAddress) {
         throw new Error(
@@ -819,7 +1220,10 @@ export class RivetWallet extends Wallet {
       }
 
       // Upgrade this rivet to use the contract
-      this.upgradeToContract(receipt.contractAddress);
+      this.upgradeToContract(
+        receipt.contractAddress,
+        metadata?.chainId ?? providerConfig?.chainId,
+      );
 
       return receipt.contractAddress;
     } catch (error) {
@@ -1066,28 +1470,11 @@ export class RivetWallet extends Wallet {
       // Step 2: Sign the transaction client-side
       const signedTx = await this.signTransaction(unsignedTransaction, ethers);
 
-      // Step 3: Submit signed transaction to blockchain
-      const submitResponse = await fetch(
-        `${rootPath}/epistery/data/submit-signed`,
-        {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({
-            signedTransaction: signedTx,
-            operation: "addRivetToContract",
-            metadata: metadata,
-          }),
-        },
-      );
-
-      if (!submitResponse.ok) {
-        const error = await submitResponse.json();
-        throw new Error(
-          `Failed to submit add rivet: ${error.error || submitResponse.statusText}`,
-        );
-      }
-
-      const receipt = await submitResponse.json();
+      // Step 3: Submit signed transaction and wait for it to be mined
+      const receipt = await this.submitPreparedTransaction(rootPath, signedTx, {
+        operation: "addRivetToContract",
+        metadata,
+      });
 
       console.log(
         "Rivet added to identity contract:",
@@ -1164,9 +1551,10 @@ export class RivetWallet extends Wallet {
   /**
    * Upgrades this rivet to use an identity contract
    * @param {string} contractAddress - The deployed identity contract address
+   * @param {number} [chainId] - The chain it was deployed on
    */
-  upgradeToContract(contractAddress) {
-    super.upgradeToContract(contractAddress);
+  upgradeToContract(contractAddress, chainId = null) {
+    super.upgradeToContract(contractAddress, chainId);
     this.type = "Contract";
     this.lastUpdated = Date.now();
   }
@@ -1220,6 +1608,7 @@ export class FidoWallet extends Wallet {
     wallet.createdAt = data.createdAt;
     wallet.lastUpdated = data.lastUpdated;
     wallet.contractAddress = data.contractAddress || null;
+    wallet.contractChainId = data.contractChainId ?? null;
     wallet.rivetAddress = data.rivetAddress || null;
     return wallet;
   }
@@ -1375,10 +1764,33 @@ export class FidoWallet extends Wallet {
     });
 
     // Back up the encrypted blob to the epistery server so it survives
-    // local storage purges (iOS ITP). The server holds ciphertext only.
+    // local storage purges (iOS ITP). The server holds ciphertext only, and
+    // only stores it with a signature by the rivet over the blob's hash —
+    // signed here while the key is still in hand, without a PRF ceremony.
     if (!options.skipServerBackup) {
       try {
-        await fetch(`${FidoWallet._rootPath()}/fido/blob`, {
+        const ts = Date.now();
+        const blobHash = ethers.utils
+          .sha256(
+            ethers.utils.toUtf8Bytes(
+              fidoBlobHashInput({
+                publicKey: wallet.publicKey,
+                ciphertext: ciphertextHex,
+                iv: ivHex,
+              }),
+            ),
+          )
+          .slice(2);
+        const signature = await ethersWallet.signMessage(
+          fidoBlobMessage({
+            action: "store",
+            credentialId: wallet.credentialId,
+            rivetAddress: wallet.address,
+            blobHash,
+            ts,
+          }),
+        );
+        const res = await fetch(`${FidoWallet._rootPath()}/fido/blob`, {
           method: "POST",
           headers: { "Content-Type": "application/json" },
           body: JSON.stringify({
@@ -1388,8 +1800,11 @@ export class FidoWallet extends Wallet {
             ciphertext: ciphertextHex,
             iv: ivHex,
             label: wallet.label,
+            ts,
+            signature,
           }),
         });
+        if (!res.ok) throw new Error(`status ${res.status}`);
       } catch (e) {
         console.warn("FidoWallet: server backup failed, blob is local-only", e);
       }
@@ -1414,6 +1829,37 @@ export class FidoWallet extends Wallet {
     }
   }
 
+  // Delete this wallet's server-side blob backup. Signs with the rivet (a
+  // PRF ceremony), since only the rivet that stored a blob may remove it.
+  async deleteServerBlob(ethers) {
+    if (!this.credentialId) {
+      throw new Error("FidoWallet missing credentialId");
+    }
+    const ts = Date.now();
+    const signature = await this.sign(
+      fidoBlobMessage({
+        action: "delete",
+        credentialId: this.credentialId,
+        rivetAddress: this.address,
+        blobHash: "",
+        ts,
+      }),
+      ethers,
+    );
+    const res = await fetch(
+      `${FidoWallet._rootPath()}/fido/blob/${encodeURIComponent(this.credentialId)}`,
+      {
+        method: "DELETE",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ rivetAddress: this.address, ts, signature }),
+      },
+    );
+    if (!res.ok && res.status !== 404) {
+      throw new Error(`Blob delete failed: ${res.status} ${await res.text()}`);
+    }
+    return res.ok;
+  }
+
   // Decrypts the rivet private key in memory via a fresh PRF ceremony.
   // Falls back to the server-stored blob if the local copy is missing
   // (the iOS ITP purge recovery path). Returns a hex private key — caller
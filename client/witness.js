@@ -10,7 +10,8 @@ import {
   Web3Wallet,
   RivetWallet,
   FidoWallet,
-} from "./wallet.js?v=9";
+} from "./wallet.js?v=17";
+import { stepUpMessage, STEP_UP_HEADER } from "./step-up-message.mjs";
 
 // Global ethers variable - will be loaded dynamically if needed
 let ethers;
@@ -412,7 +413,15 @@ export default class Witness {
         targetChainId.toString().replace(",", ""),
       );
 
-      if (currentNetwork.chainId !== expectedChainId) {
+      // Any chain the host accepts will do; only switch (to the host's own)
+      // when the plugin is on none of them.
+      const accepted = (this.serverInfo.networks || []).map((n) =>
+        parseInt(n.chainId.toString().replace(",", "")),
+      );
+      if (
+        currentNetwork.chainId !== expectedChainId &&
+        !accepted.includes(currentNetwork.chainId)
+      ) {
         await this.requestChainSwitch(
           expectedChainId,
           targetRpc,
@@ -479,6 +488,24 @@ export default class Witness {
     return ethers.utils.hexlify(ethers.utils.randomBytes(32));
   }
 
+  // Ask the server for a single-use challenge to sign. It refuses
+  // client-chosen challenges (replay protection), so this is the normal path;
+  // a 404 means an older server, which still accepts a self-generated one.
+  async fetchChallenge() {
+    const response = await fetch(`${this.rootPath}/connect/challenge`, {
+      credentials: "include",
+      cache: "no-store",
+    });
+    if (response.ok) {
+      const { challenge } = await response.json();
+      return challenge;
+    }
+    if (response.status === 404) {
+      return this.generateChallenge();
+    }
+    throw new Error(`Challenge request failed with status: ${response.status}`);
+  }
+
   async performKeyExchange() {
     try {
       if (!this.wallet) {
@@ -488,7 +515,9 @@ export default class Witness {
       // Two facts the wallet states; one of them carries a proof.
       //   signerAddress    — the rivet we sign with (proven by `signature`).
       //   contractAddress  — the IdentityContract we CLAIM to speak for, or
-      //                      null. Server verifies via on-chain isAuthorized.
+      //                      null. Server verifies via on-chain isAuthorized,
+      //                      on `chainId` (the contract's chain) when we know
+      //                      it and the host accepts it, else the host's own.
       // identityAddress is the derived canonical (contract || signer); we
       // only use it locally to decide whether the cookie already names us.
       const { signerAddress, contractAddress, identityAddress, publicKey } =
@@ -516,8 +545,9 @@ export default class Witness {
         // No valid session, proceed with key exchange
       }
 
-      // Sign over signerAddress — what the server's recovery proves.
-      const challenge = this.generateChallenge();
+      // Sign over signerAddress — what the server's recovery proves — and a
+      // server-issued challenge, so the signed message can't be replayed.
+      const challenge = await this.fetchChallenge();
       const message = `Epistery Key Exchange - ${signerAddress} - ${challenge}`;
       const signature = await this.wallet.sign(message, ethers);
 
@@ -525,6 +555,7 @@ export default class Witness {
         signerAddress,
         signerPublicKey: publicKey,
         contractAddress: contractAddress || null, // present in every request; null when unbound
+        chainId: (contractAddress && this.wallet.contractChainId) || null,
         challenge,
         message,
         signature,
@@ -555,6 +586,7 @@ export default class Witness {
             rpc: this.serverInfo?.rpc,
             rpcProxy: this.serverInfo?.rpcProxy,
             nativeCurrency: this.serverInfo?.nativeCurrency,
+            networks: this.serverInfo?.networks || [],
           };
 
           this.save();
@@ -592,6 +624,191 @@ export default class Witness {
     }
   }
 
+  // Sign a delegation token for this host with the current wallet and store
+  // it in the epistery_delegation cookie, which the attach() middleware
+  // verifies on every request. Returns the token. `scope` is declarative;
+  // the server still authorizes against on-chain roles.
+  async delegate({ scope = [], expiresIn } = {}) {
+    if (!this.wallet) throw new Error("No wallet to delegate from");
+    await ensureEthers();
+    const token = await this.wallet.createDelegation(
+      { audience: window.location.hostname, scope, expiresIn },
+      ethers,
+    );
+    const maxAge = Math.floor((token.delegation.expires - Date.now()) / 1000);
+    const secure = window.location.protocol === "https:" ? "; Secure" : "";
+    document.cookie =
+      `epistery_delegation=${encodeURIComponent(JSON.stringify(token))}` +
+      `; Path=/; Max-Age=${maxAge}; SameSite=Strict${secure}`;
+    return token;
+  }
+
+  // Revoke a delegation this identity issued (the current cookie's, by
+  // default) and drop the cookie when it was the one revoked.
+  async revokeDelegation(token = null) {
+    const match = document.cookie.match(/(?:^|;\s*)epistery_delegation=([^;]*)/);
+    const current = match ? JSON.parse(decodeURIComponent(match[1])) : null;
+    const target = token || current;
+    if (!target?.delegation) throw new Error("No delegation to revoke");
+    const { subject, nonce, expires } = target.delegation;
+    const response = await fetch(`${this.rootPath}/delegation/revoke`, {
+      method: "POST",
+      credentials: "include",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ subject, nonce, expires }),
+    });
+    if (!response.ok) {
+      throw new Error(`Revoke failed: ${response.status} ${await response.text()}`);
+    }
+    if (current?.delegation?.nonce === nonce) {
+      document.cookie = "epistery_delegation=; Path=/; Max-Age=0";
+    }
+    return await response.json();
+  }
+
+  // Identity contract management for the current wallet. Each prepares the
+  // call on this host, signs it and waits for it to be mined. A refusal
+  // throws with `reason`. A removal that needs more rivets to approve it
+  // (`reason === "threshold"`) is proposed to the approval queue instead,
+  // and resolves to the pending action.
+  async removeRivet(rivetAddress) {
+    if (!this.wallet) throw new Error("No wallet");
+    await ensureEthers();
+    try {
+      return await this.wallet.removeRivetFromContract(rivetAddress, ethers);
+    } catch (error) {
+      if (error.reason !== "threshold") throw error;
+      return await this.wallet.proposeRivetRemoval(rivetAddress, ethers);
+    }
+  }
+
+  async rotatePublicKey(publicKey) {
+    if (!this.wallet) throw new Error("No wallet");
+    await ensureEthers();
+    return await this.wallet.rotatePublicKey(ethers, publicKey || this.wallet.publicKey);
+  }
+
+  async designateHost(newHost) {
+    if (!this.wallet) throw new Error("No wallet");
+    await ensureEthers();
+    return await this.wallet.designateHost(newHost, ethers);
+  }
+
+  async setRemoveRivetThreshold(threshold) {
+    if (!this.wallet) throw new Error("No wallet");
+    await ensureEthers();
+    return await this.wallet.setRemoveRivetThreshold(threshold, ethers);
+  }
+
+  // The approval queue, for removals above the contract's threshold:
+  // propose from one device, approve or reject from the others. The
+  // approval that meets the threshold carries the removal out.
+  async proposeRivetRemoval(rivetAddress) {
+    if (!this.wallet) throw new Error("No wallet");
+    await ensureEthers();
+    return await this.wallet.proposeRivetRemoval(rivetAddress, ethers);
+  }
+
+  async approveIdentityAction(actionId) {
+    if (!this.wallet) throw new Error("No wallet");
+    await ensureEthers();
+    return await this.wallet.approveIdentityAction(actionId, ethers);
+  }
+
+  async rejectIdentityAction(actionId) {
+    if (!this.wallet) throw new Error("No wallet");
+    await ensureEthers();
+    return await this.wallet.rejectIdentityAction(actionId, ethers);
+  }
+
+  async pendingIdentityActions() {
+    if (!this.wallet) throw new Error("No wallet");
+    return await this.wallet.listIdentityActions("pending");
+  }
+
+  // Host, removeRivetThreshold and rivets of the current wallet's identity
+  // contract — what a device-management UI renders.
+  async identityGovernance() {
+    if (!this.wallet) throw new Error("No wallet");
+    return await this.wallet.getIdentityGovernance();
+  }
+
+  // Section invites. createInvite resolves, once mined, to
+  // { code, link, qr, invite }: share `link` (or render `qr`) with whoever
+  // should join. Anyone holding the link can redeem it.
+  async createInvite(section, role = "read", { contractAddress } = {}) {
+    if (!this.wallet) throw new Error("No wallet");
+    await ensureEthers();
+    return await this.wallet.createInvite(section, role, ethers, {
+      contractAddress: contractAddress || this.wallet.contractAddress,
+    });
+  }
+
+  // Redeem an invite code or link for the current identity; the host pays.
+  // With no argument, redeems the invite in this page's URL fragment and
+  // clears it from the address bar.
+  async redeemInvite(codeOrLink = null, { name, contractAddress } = {}) {
+    if (!this.wallet) throw new Error("No wallet");
+    const fromLocation = !codeOrLink;
+    const link = codeOrLink || this.pendingInvite()?.link;
+    if (!link) throw new Error("No invite to redeem");
+    const result = await this.wallet.redeemInvite(link, { name, contractAddress });
+    if (fromLocation) {
+      history.replaceState(null, "", window.location.pathname + window.location.search);
+    }
+    return result;
+  }
+
+  // The invite in this page's URL fragment ({ code, contractAddress, link }),
+  // or null. A page can check this on load and offer to join.
+  pendingInvite() {
+    const invite = Wallet.parseInviteLink(window.location.hash);
+    return invite?.contractAddress ? { ...invite, link: window.location.hash } : null;
+  }
+
+  async listInvites(section, { contractAddress } = {}) {
+    if (!this.wallet) throw new Error("No wallet");
+    return await this.wallet.listInvites(section, {
+      contractAddress: contractAddress || this.wallet.contractAddress,
+    });
+  }
+
+  // fetch() for routes guarded by epistery.requireStepUp(). When the server
+  // answers 401 with a step-up challenge, sign it with the current wallet and
+  // send the request once more carrying the proof. Pass the body as a string
+  // (or none) so the retry sends the same bytes the nonce was issued for.
+  async fetchWithStepUp(url, init = {}) {
+    const request = { credentials: "include", ...init };
+    const response = await fetch(url, request);
+    if (response.status !== 401) return response;
+    const answer = await response
+      .clone()
+      .json()
+      .catch(() => null);
+    if (answer?.reason !== "step-up" || !answer.stepUp) return response;
+    if (!this.wallet) throw new Error("No wallet to answer the step-up challenge");
+
+    await ensureEthers();
+    const { nonce, method, path, bodyHash } = answer.stepUp;
+    // Our own view of the host, not the server's: a proof signed here is
+    // no good to some other host relaying the challenge.
+    const host = new URL(url, window.location.href).hostname;
+    const signature = await this.wallet.sign(
+      stepUpMessage({
+        signerAddress: this.wallet.signerAddress,
+        method,
+        host,
+        path,
+        bodyHash,
+        nonce,
+      }),
+      ethers,
+    );
+    const headers = new Headers(request.headers);
+    headers.set(STEP_UP_HEADER, btoa(JSON.stringify({ nonce, signature })));
+    return await fetch(url, { ...request, headers });
+  }
+
   // Wallet management methods for multi-wallet support
 
   getWallets() {
@@ -771,6 +988,7 @@ export default class Witness {
     // against the inviter's claim, then upgrades this rivet to present the
     // contract address (see RivetWallet.acceptJoinToken + upgradeToContract).
     await localRivet.acceptJoinToken(joinToken, ethers);
+    if (chainId) localRivet.contractChainId = Number(chainId);
 
     // Best-effort metadata from the issuer — handy for the UI but the
     // authoritative identity is the contract on-chain.
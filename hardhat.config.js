@@ -0,0 +1,11 @@
+/**
+ * The local node `epistery devnet` runs (chainId 31337, see
+ * src/utils/Devnet.ts). Contracts are deployed from the committed
+ * artifacts/, so nothing here compiles.
+ */
+module.exports = {
+  solidity: '0.8.26',
+  networks: {
+    hardhat: { chainId: 31337 },
+  },
+};
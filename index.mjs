@@ -1,13 +1,44 @@
 import express from "express";
+import crypto from "crypto";
+import { ethers } from "ethers";
 import path from "path";
 import { fileURLToPath } from "url";
 import { Epistery } from "./dist/epistery.js";
 import { Utils } from "./dist/utils/Utils.js";
 import { Config } from "./dist/utils/Config.js";
-import { chainFor, registerChain, configuredChains, defaultChainId, Chain } from "./dist/chains/index.js";
+import { chainFor, configuredChainFor, registerChain, loadDeclaredChains, configuredChains, defaultChainId, Chain } from "./dist/chains/index.js";
 // Permission floor for ~/.epistery (wallet keys are cleartext there): hosts can
 // audit/repair the tree at startup the same way `epistery permissions` does.
 import { auditTree, secureTree } from "./dist/utils/Permissions.js";
+import {
+  signSessionToken,
+  verifySessionToken,
+  DEFAULT_SESSION_MAX_AGE_MS,
+} from "./dist/utils/SessionToken.js";
+import { SessionRegistry } from "./dist/utils/SessionRegistry.js";
+import {
+  IdentityProfileResolver,
+  signerRivetName,
+} from "./dist/utils/IdentityProfile.js";
+import {
+  AccessChecker,
+  DEFAULT_ACCESS_TTL_MS,
+  roleName,
+  roleValue,
+} from "./dist/utils/AccessControl.js";
+import { DelegationRevocationList } from "./dist/utils/DelegationRevocations.js";
+import { StepUpStore } from "./dist/utils/StepUpStore.js";
+import { FidoBlobStore } from "./dist/utils/FidoBlobStore.js";
+import { SponsorshipLedger } from "./dist/utils/SponsorshipLedger.js";
+import { IdentityActionStore } from "./dist/utils/IdentityActionStore.js";
+import { EventIndexer } from "./dist/utils/EventIndexer.js";
+import { InviteStore } from "./dist/utils/InviteStore.js";
+import {
+  decodeBotAuthHeader,
+  verifyBotAuth,
+  botAuthBodyHash,
+  MemoryNonceCache,
+} from "./dist/utils/BotAuth.js";
 import createRoutes from "./routes/index.mjs";
 // The canonical storage-write message builder (shared by every signer and the
 // relay verifier). Lives in client/ as pure ESM so browsers can import the same
@@ -15,6 +46,14 @@ import createRoutes from "./routes/index.mjs";
 // 'epistery'`. Server consumers may also import it directly from
 // 'epistery/client/storage-message.mjs' to avoid loading the full entry.
 import { storageWriteMessage } from "./client/storage-message.mjs";
+// Same arrangement for delegation tokens: one message builder shared by the
+// browser wallets that sign them and the middleware that verifies them.
+import {
+  delegationMessage,
+  DELEGATION_VERSION,
+} from "./client/delegation-message.mjs";
+// And for step-up proofs: witness.js signs what requireStepUp() verifies.
+import { stepUpMessage } from "./client/step-up-message.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -28,16 +67,79 @@ async function getDomainConfig(domain) {
   return await Utils.GetDomainInfo(domain);
 }
 
+// The three-fact client a verified delegation token authenticates on its own.
+function clientFromDelegation(delegation) {
+  return {
+    signerAddress: delegation.signerAddress,
+    contractAddress: delegation.contractAddress,
+    identityAddress: delegation.contractAddress || delegation.signerAddress,
+    authenticated: true,
+    authType: "delegation",
+    delegation,
+  };
+}
+
+// The hash of the body a request carries: req.rawBody when the host kept it
+// (express.json({ verify })), else the parsed body re-serialized — for a
+// step-up the server hashes both the challenged and the answering request,
+// so that only has to be deterministic; a Bot signature matches it when the
+// client sent JSON.stringify() output. null when a body was sent but nothing
+// has parsed it yet.
+function requestBodyHash(req) {
+  if (req.rawBody != null) return botAuthBodyHash(req.rawBody);
+  const body = req.body;
+  if (body === undefined) {
+    const sent =
+      Number(req.headers["content-length"]) > 0 || req.headers["transfer-encoding"];
+    return sent ? null : "";
+  }
+  if (typeof body === "string" || Buffer.isBuffer(body)) return botAuthBodyHash(body);
+  if (body === null || Object.keys(body).length === 0) return "";
+  return botAuthBodyHash(JSON.stringify(body));
+}
+
+// Reads a Bot request's JSON body before the routes do and keeps its bytes,
+// so verifyBot() can check the signed body hash against them. The routes'
+// own parsers then find the body already read and leave req.body as is.
+const botBodyParser = express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+});
+
 class EpisteryAttach {
   constructor(options = {}) {
     this.options = options;
     this.domain = null;
     this.domainName = null;
     this.config = new Config();
+    this.sessionRegistries = new Map();
+    this.profileResolvers = new Map();
+    this.accessCheckers = new Map();
+    this.accessContracts = new Map();
+    this.delegationRevocations = new Map();
+    this.delegationCache = new Map();
+    this.stepUps = new StepUpStore();
+    this.fidoBlobStores = new Map();
+    this.sponsorshipLedgers = new Map();
+    this.identityActionStores = new Map();
+    this.eventIndexers = new Map();
+    this.inviteStores = new Map();
+    this.resumedTransactions = new Set();
   }
 
   static async connect(options) {
     const attach = new EpisteryAttach(options);
+    // Server-wallet nonces are sequenced process-wide (src/chains/NonceManager.ts);
+    // a shared backend makes a pool of hosts one sequence.
+    if (options?.nonceBackend) Chain.useNonceBackend(options.nonceBackend);
+    // Sent transactions are tracked and re-priced until they mine
+    // (src/chains/TransactionTracker.ts); pending ones persist across restarts.
+    if (options?.transactionBackend) Chain.useTransactionBackend(options.transactionBackend);
+    // How long a contract identity's isValidSignature answer is reused.
+    if (options?.signatureCache?.ttlMs != null) {
+      Epistery.signatureCacheTtlMs = Number(options.signatureCache.ttlMs);
+    }
     await Epistery.initialize();
     return attach;
   }
@@ -45,6 +147,35 @@ class EpisteryAttach {
   async setDomain(domain) {
     this.domainName = domain;
     this.domain = await getDomainConfig(domain);
+    // Begin following the domain's contract events at startup, not on the
+    // first history request.
+    if (this.options.eventIndexer) {
+      this.eventIndexer(domain).catch((e) =>
+        console.error(`[epistery] Event indexer for ${domain} did not start:`, e.message),
+      );
+    }
+    // Once per domain: setDomain runs on nearly every request of a
+    // multi-domain host. A failed resume is retried on the next one.
+    const key = String(domain).toLowerCase();
+    if (!this.resumedTransactions.has(key)) {
+      this.resumedTransactions.add(key);
+      this.resumeTransactions(domain).catch((e) => {
+        this.resumedTransactions.delete(key);
+        console.error(`[epistery] Transaction tracking for ${domain} did not resume:`, e.message);
+      });
+    }
+  }
+
+  /**
+   * Pick up the domain's transactions a previous run left pending: its chain,
+   * so they are followed, and its server wallet, so they can be re-priced.
+   */
+  async resumeTransactions(domain = this.domainName) {
+    const provider = this.domain?.provider;
+    if (!provider?.rpc || provider.chainId == null) return;
+    const chain = await configuredChainFor(provider);
+    const signer = await this.serverWalletFor(domain);
+    await Chain.transactions.resume({ chain, signer: signer || undefined });
   }
 
   /**
@@ -70,32 +201,16 @@ class EpisteryAttach {
    * contractAddress || signerAddress and is always non-null when the rest is.
    */
   async resolveClient(req) {
-    // 1. Bot auth (CLI / programmatic). Today the bot wire proves a signer
-    // only; contractAddress stays null. A future bot path that wants to
-    // claim a contract will sign a contract claim and the server will
-    // verify isAuthorized — same shape as cookie sessions.
+    // Already resolved by the attach() middleware — don't re-verify (a Bot
+    // header's nonce is single-use and would now read as a replay).
+    if (req?.episteryClient) return req.episteryClient;
+
+    // 1. Bot auth (CLI / programmatic). A key proves itself; a contract
+    // identity is vouched for by its isValidSignature (EIP-1271), which
+    // makes it the contractAddress and its signing rivet the signer.
     if (req?.headers?.authorization?.startsWith("Bot ")) {
-      try {
-        const authHeader = req.headers.authorization.substring(4);
-        const decoded = Buffer.from(authHeader, "base64").toString("utf8");
-        const payload = JSON.parse(decoded);
-        const { address, signature, message } = payload;
-        if (address && signature && message) {
-          const { ethers } = await import("ethers");
-          const recoveredAddress = ethers.utils.verifyMessage(message, signature);
-          if (recoveredAddress.toLowerCase() === address.toLowerCase()) {
-            return {
-              signerAddress: address,
-              contractAddress: null,
-              identityAddress: address,
-              authenticated: true,
-              authType: "bot",
-            };
-          }
-        }
-      } catch (error) {
-        console.error("[epistery] Bot auth error:", error.message);
-      }
+      const { client } = await this.verifyBot(req);
+      if (client) return client;
     }
 
     // 2. Session cookie (_epistery). Prefer the express-parsed jar; fall
@@ -111,28 +226,721 @@ class EpisteryAttach {
         break;
       }
     }
+    const hostname = req?.hostname || req?.headers?.host?.split(":")[0];
     if (cookieValue) {
+      const { client } = await this.verifySession(cookieValue, hostname);
+      if (client) return client;
+    }
+
+    // 3. Delegation token, from the header or the (parsed or raw) cookie.
+    let delegationValue =
+      req?.headers?.["x-epistery-delegation"] || req?.cookies?.epistery_delegation;
+    if (!delegationValue && req?.headers?.cookie) {
+      const match = req.headers.cookie.match(/(?:^|;\s*)epistery_delegation=([^;]*)/);
+      if (match) delegationValue = decodeURIComponent(match[1]);
+    }
+    if (delegationValue) {
+      const { delegation } = await this.verifyDelegation(delegationValue, hostname);
+      if (delegation) return clientFromDelegation(delegation);
+    }
+    return null;
+  }
+
+  /**
+   * Verify a `Bot` Authorization header against the request it arrived on:
+   * signature, method/host/path binding, optional body hash, timestamp
+   * window and nonce reuse (see src/utils/BotAuth.ts). Tunable through
+   * `options.botAuth` — { windowMs, nonceCache, requireBodyHash, allowLegacy }.
+   * A contract address signs through EIP-1271 on the domain's chain
+   * (Epistery.verifySignature); the client is then the contract, with the
+   * rivet that signed as its signer.
+   *
+   * Returns { client } on success or { error: { reason, message } }.
+   */
+  async verifyBot(req) {
+    const payload = decodeBotAuthHeader(req?.headers?.authorization);
+    if (!payload) {
+      return { error: { reason: "format", message: "Malformed Bot authorization header" } };
+    }
+    const domain = this.domainName;
+    const result = await verifyBotAuth(
+      payload,
+      {
+        method: req.method || "GET",
+        host: req.hostname || req.headers.host?.split(":")[0] || "",
+        path: req.originalUrl || req.url || "/",
+        rawBody: req.rawBody,
+        bodyHash: requestBodyHash(req),
+      },
+      {
+        verifySignature: (address, message, signature, opts) =>
+          Epistery.verifySignature(address, message, signature, { ...opts, domain }),
+        ...this.botAuthOptions,
+      },
+    );
+    if (!result.valid) {
+      return { error: { reason: result.reason, message: result.message } };
+    }
+    return {
+      client: {
+        signerAddress: result.signer,
+        contractAddress: result.contractAddress,
+        identityAddress: result.contractAddress || result.signer,
+        authenticated: true,
+        authType: "bot",
+        bodyVerified: result.bodyVerified,
+      },
+    };
+  }
+
+  /**
+   * Bot-auth options with the nonce cache pinned to this instance, so every
+   * request (and resolveClient) checks replays against the same store.
+   */
+  get botAuthOptions() {
+    if (!this._botAuthOptions) {
+      const opts = this.options.botAuth || {};
+      this._botAuthOptions = {
+        ...opts,
+        nonceCache: opts.nonceCache || new MemoryNonceCache(),
+      };
+    }
+    return this._botAuthOptions;
+  }
+
+  /** Session lifetime in ms; `options.sessionMaxAge` overrides the 24h default. */
+  get sessionMaxAge() {
+    return Number(this.options.sessionMaxAge) || DEFAULT_SESSION_MAX_AGE_MS;
+  }
+
+  /** The domain's server wallet, warming the cache on first touch. */
+  async serverWalletFor(domain = this.domainName) {
+    if (!domain) return null;
+    return Utils.GetServerWalletFor(domain) || (await Utils.InitServerWallet(domain));
+  }
+
+  /** The domain's session registry (see src/utils/SessionRegistry.ts). */
+  sessionRegistry(domain = this.domainName) {
+    const key = String(domain).toLowerCase();
+    let registry = this.sessionRegistries.get(key);
+    if (!registry) {
+      registry = new SessionRegistry(key, {
+        refreshMs: Number(this.options.sessionRefresh) || undefined,
+      });
+      this.sessionRegistries.set(key, registry);
+    }
+    return registry;
+  }
+
+  /**
+   * The domain's FIDO blob store (src/utils/FidoBlobStore.ts), with quotas
+   * from `options.fido` — { maxBlobsPerIp, maxBytesPerIp, maxBlobs, maxBytes }.
+   */
+  fidoBlobStore(domain = this.domainName) {
+    const key = String(domain).toLowerCase();
+    let store = this.fidoBlobStores.get(key);
+    if (!store) {
+      const { maxBlobsPerIp, maxBytesPerIp, maxBlobs, maxBytes } = this.options.fido || {};
+      const quotas = Object.fromEntries(
+        Object.entries({ maxBlobsPerIp, maxBytesPerIp, maxBlobs, maxBytes }).filter(
+          ([, v]) => Number.isFinite(v),
+        ),
+      );
+      store = new FidoBlobStore(key, {
+        refreshMs: Number(this.options.sessionRefresh) || undefined,
+        quotas,
+      });
+      this.fidoBlobStores.set(key, store);
+    }
+    return store;
+  }
+
+  /**
+   * The domain's gas sponsorship ledger (src/utils/SponsorshipLedger.ts).
+   * Policy from `options.sponsorship` — { operations, dailyBudget,
+   * monthlyBudget, maxFundingsPerIdentity, maxAmountPerIdentity } — with the
+   * domain's `[sponsorship]` config.ini section on top.
+   */
+  sponsorshipLedger(domain = this.domainName) {
+    const key = String(domain).toLowerCase();
+    let ledger = this.sponsorshipLedgers.get(key);
+    if (!ledger) {
+      ledger = new SponsorshipLedger(key, {
+        refreshMs: Number(this.options.sessionRefresh) || undefined,
+        policy: this.options.sponsorship,
+      });
+      this.sponsorshipLedgers.set(key, ledger);
+    }
+    return ledger;
+  }
+
+  /**
+   * The domain's queue of threshold-gated identity actions
+   * (src/utils/IdentityActionStore.ts). `options.identityActions.ttlMs` is
+   * how long a proposal stays open (default 7 days).
+   */
+  identityActions(domain = this.domainName) {
+    const key = String(domain).toLowerCase();
+    let store = this.identityActionStores.get(key);
+    if (!store) {
+      store = new IdentityActionStore(key, {
+        refreshMs: Number(this.options.sessionRefresh) || undefined,
+        ttlMs: Number(this.options.identityActions?.ttlMs) || undefined,
+      });
+      this.identityActionStores.set(key, store);
+    }
+    return store;
+  }
+
+  /** The domain's record of invites issued and redeemed here (src/utils/InviteStore.ts). */
+  inviteStore(domain = this.domainName) {
+    const key = String(domain).toLowerCase();
+    let store = this.inviteStores.get(key);
+    if (!store) {
+      store = new InviteStore(key, {
+        refreshMs: Number(this.options.sessionRefresh) || undefined,
+      });
+      this.inviteStores.set(key, store);
+    }
+    return store;
+  }
+
+  /**
+   * The domain's event indexer (src/utils/EventIndexer.ts), following the
+   * domain chain's provider. Null unless `options.eventIndexer` is set (true,
+   * or { pollMs, confirmations, batchSize, startBlock, backfillBlocks,
+   * reorgDepth, maxEvents, run }). The first call starts it polling and
+   * watches the domain's access contract; `run: false` only reads the index
+   * another host in the pool keeps.
+   */
+  async eventIndexer(domain = this.domainName) {
+    if (!this.options.eventIndexer || !domain) return null;
+    const key = String(domain).toLowerCase();
+    let pending = this.eventIndexers.get(key);
+    if (!pending) {
+      pending = (async () => {
+        const provider = (await Utils.GetDomainInfo(key))?.provider;
+        if (!provider?.rpc || provider.chainId == null) return null;
+        const chain = await configuredChainFor(provider);
+        const opts =
+          typeof this.options.eventIndexer === "object" ? this.options.eventIndexer : {};
+        const { pollMs, run, ...indexerOptions } = opts;
+        const indexer = new EventIndexer(key, chain.provider, chain.chainId, {
+          refreshMs: Number(this.options.sessionRefresh) || undefined,
+          ...indexerOptions,
+        });
+        if (run !== false) {
+          indexer.start(Number(pollMs) || undefined);
+          const contract = await this.accessContractFor(key);
+          if (contract) {
+            await indexer.watch(contract, "access").catch((e) =>
+              console.error(`[epistery] Could not watch ${contract}:`, e.message),
+            );
+          }
+        }
+        return indexer;
+      })();
+      // A failed start is retried on the next call.
+      pending.catch(() => this.eventIndexers.delete(key));
+      this.eventIndexers.set(key, pending);
+    }
+    return pending;
+  }
+
+  /**
+   * Mint an `_epistery` session token for the current domain. `data` is the
+   * fact set written at /connect; iat/exp are stamped from sessionMaxAge.
+   * A fresh sid is embedded and recorded in the domain's session registry,
+   * along with `meta` ({ ip, userAgent }) for the session listing.
+   */
+  async signSession(data, domain = this.domainName, meta = {}) {
+    const wallet = await this.serverWalletFor(domain);
+    if (!wallet?.privateKey) {
+      throw new Error(`No server wallet to sign session for domain "${domain}"`);
+    }
+    const now = Date.now();
+    const sid = crypto.randomBytes(16).toString("hex");
+    await this.sessionRegistry(domain).register({
+      sid,
+      signerAddress: data.signerAddress,
+      contractAddress: data.contractAddress || null,
+      identityAddress: data.contractAddress || data.signerAddress,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.sessionMaxAge).toISOString(),
+      ...(meta.ip ? { ip: meta.ip } : {}),
+      ...(meta.userAgent ? { userAgent: String(meta.userAgent).slice(0, 256) } : {}),
+    });
+    return signSessionToken({ ...data, sid }, wallet.privateKey, this.sessionMaxAge, now);
+  }
+
+  /**
+   * The domain's identity profile resolver, reading through the domain
+   * wallet's provider. Null unless `options.identityProfile` is set (true, or
+   * { ttlMs, errorTtlMs, watchEvents, maxEntries }).
+   */
+  async identityProfileResolver(domain = this.domainName) {
+    if (!this.options.identityProfile || !domain) return null;
+    const key = String(domain).toLowerCase();
+    let resolver = this.profileResolvers.get(key);
+    if (!resolver) {
+      const wallet = await this.serverWalletFor(domain);
+      if (!wallet?.provider) return null;
+      const opts =
+        typeof this.options.identityProfile === "object"
+          ? this.options.identityProfile
+          : {};
+      resolver = new IdentityProfileResolver(wallet.provider, opts);
+      this.profileResolvers.set(key, resolver);
+    }
+    return resolver;
+  }
+
+  /**
+   * Add identity metadata to a resolved client bound to a contract:
+   * profileName (PROFILE_SECTION "name"), rivets ([{ address, name }] — the
+   * active ones) and signerName (the signing rivet's name). Signer-only
+   * clients, and hosts without `options.identityProfile`, are left as-is,
+   * as are identities on another of the domain's accepted chains: the
+   * resolver reads the domain's own. Lookup failures leave the client
+   * unenriched; they never fail auth.
+   */
+  async enrichIdentity(client, domain = this.domainName) {
+    if (!client?.contractAddress) return client;
+    if (client.chainId != null) {
+      const info = domain === this.domainName ? this.domain : await Utils.GetDomainInfo(domain);
+      const own = info?.provider?.chainId;
+      if (own != null && Number(own) !== Number(client.chainId)) return client;
+    }
+    const resolver = await this.identityProfileResolver(domain);
+    if (!resolver) return client;
+    const profile = await resolver.resolve(client.contractAddress);
+    if (!profile) return client;
+    if (profile.profileName) client.profileName = profile.profileName;
+    client.rivets = profile.rivets;
+    const signerName = signerRivetName(profile, client.signerAddress);
+    if (signerName) client.signerName = signerName;
+    return client;
+  }
+
+  /**
+   * The domain's section-role checker (src/utils/AccessControl.ts), reading
+   * through the domain wallet's provider. `options.access.ttlMs` sets how long
+   * an on-chain answer is reused.
+   */
+  async accessChecker(domain = this.domainName) {
+    const key = String(domain).toLowerCase();
+    let checker = this.accessCheckers.get(key);
+    if (!checker) {
+      const wallet = await this.serverWalletFor(domain);
+      if (!wallet?.provider) return null;
+      checker = new AccessChecker(wallet.provider, {
+        ttlMs: Number(this.options.access?.ttlMs) || undefined,
+      });
+      this.accessCheckers.set(key, checker);
+    }
+    return checker;
+  }
+
+  /**
+   * The EpisteryAccess contract `require()` checks for a domain when the
+   * route doesn't name one: `options.access.contract`, else `[access]
+   * contract=` in the domain's config.ini. Re-read at most once per TTL.
+   */
+  async accessContractFor(domain = this.domainName) {
+    if (this.options.access?.contract) return this.options.access.contract;
+    const key = String(domain).toLowerCase();
+    const hit = this.accessContracts.get(key);
+    if (hit && hit.expires > Date.now()) return hit.contract;
+    const data = await this.config.read(`/${domain}`);
+    const contract = data?.access?.contract || null;
+    const ttlMs = Number(this.options.access?.ttlMs) || DEFAULT_ACCESS_TTL_MS;
+    this.accessContracts.set(key, { contract, expires: Date.now() + ttlMs });
+    return contract;
+  }
+
+  /**
+   * Middleware factory: admit the request only when the client's
+   * identityAddress holds at least `minRole` ('read' | 'write' | 'admin' |
+   * 'owner', or 1-4) on `section` of an EpisteryAccess contract — `opts.contract`,
+   * or the domain's (see accessContractFor). Mount after attach().
+   *
+   *   app.post('/notes', epistery.require('notes', 'write'), handler);
+   *
+   * Failures answer with { error, reason, section, required } and:
+   *   401 unauthenticated — no req.episteryClient
+   *   403 forbidden       — role too low (body also carries `role`)
+   *   500 misconfigured   — no contract for this domain
+   *   503 unavailable     — the chain could not be asked
+   * On success req.episteryAccess = { contract, section, role, roleName }.
+   */
+  require(section, minRole, opts = {}) {
+    const min = roleValue(minRole);
+    const required = roleName(min);
+    if (min === 0) {
+      throw new Error("epistery.require: minRole must be read, write, admin or owner");
+    }
+    const deny = (res, status, reason, error, extra = {}) =>
+      res.status(status).json({ error, reason, section, required, ...extra });
+
+    return async (req, res, next) => {
+      const client = req.episteryClient;
+      if (!client?.identityAddress) {
+        return deny(res, 401, "unauthenticated", "Authentication required");
+      }
+      const domain = this.domainName;
+      const contract = opts.contract || (await this.accessContractFor(domain));
+      if (!contract) {
+        return deny(res, 500, "misconfigured", `No access contract configured for ${domain}`);
+      }
+      let role;
       try {
-        const s = JSON.parse(
-          Buffer.from(cookieValue, "base64").toString("utf8"),
-        );
-        if (s?.signerAddress) {
-          return {
-            signerAddress: s.signerAddress,
-            contractAddress: s.contractAddress || null,
-            identityAddress: s.contractAddress || s.signerAddress,
-            publicKey: s.publicKey,
-            authenticated: !!s.authenticated,
-            authType: "cookie",
-          };
+        const checker = await this.accessChecker(domain);
+        if (!checker) throw new Error(`No provider for ${domain}`);
+        role = await checker.roleOf(contract, section, client.identityAddress);
+      } catch (e) {
+        console.error(`[epistery] roleOf(${section}) on ${contract} failed:`, e.message);
+        return deny(res, 503, "unavailable", "Could not verify access on-chain");
+      }
+      if (role < min) {
+        return deny(res, 403, "forbidden", `Requires ${required} on ${section}`, {
+          role: roleName(role),
+        });
+      }
+      req.episteryAccess = { contract, section, role, roleName: roleName(role) };
+      next();
+    };
+  }
+
+  /**
+   * Middleware demanding a fresh proof of possession for a sensitive route:
+   *
+   *   app.post('/vault/rotate', express.json(), epistery.requireStepUp({ maxAge: 30 }), handler)
+   *
+   * A session cookie (or delegation) only shows the rivet signed at some
+   * point. Here the request must also carry `X-Epistery-Step-Up` —
+   * base64(JSON { nonce, signature }) — answering a nonce issued for this
+   * signer, host, method, path and body hash no more than `maxAge` seconds
+   * (default options.stepUp.maxAge, else 60) ago, signed over
+   * stepUpMessage(). Nonces are single-use. Bot requests whose signed body
+   * hash was checked pass as they are: each one is already signed over its
+   * method, path and body.
+   *
+   * Mount it after the route's body parser so the body is part of the binding.
+   * Failures answer with { error, reason } and:
+   *   401 unauthenticated — no req.episteryClient
+   *   401 step-up         — body carries stepUp { nonce, expiresAt, method,
+   *                         host, path, bodyHash }; WWW-Authenticate names the
+   *                         nonce. `error` says why a sent proof was refused.
+   *   500 misconfigured   — a body arrived that nothing has parsed
+   * On success req.episteryStepUp = { signerAddress, nonce, verifiedAt }.
+   */
+  requireStepUp(opts = {}) {
+    const maxAge = Number(opts.maxAge ?? this.options.stepUp?.maxAge) || 60;
+
+    return async (req, res, next) => {
+      const client = req.episteryClient;
+      if (!client?.signerAddress) {
+        return res
+          .status(401)
+          .json({ error: "Authentication required", reason: "unauthenticated" });
+      }
+      if (client.authType === "bot" && client.bodyVerified) {
+        req.episteryStepUp = {
+          signerAddress: client.signerAddress,
+          nonce: null,
+          verifiedAt: new Date().toISOString(),
+        };
+        return next();
+      }
+      const bodyHash = requestBodyHash(req);
+      if (bodyHash === null) {
+        return res.status(500).json({
+          error: "requireStepUp() must run after the route's body parser",
+          reason: "misconfigured",
+        });
+      }
+      const binding = {
+        signerAddress: client.signerAddress.toLowerCase(),
+        method: req.method.toUpperCase(),
+        host: String(this.domainName).toLowerCase(),
+        path: req.originalUrl || req.url,
+        bodyHash,
+      };
+
+      let refused = null;
+      const header = req.headers["x-epistery-step-up"];
+      if (header) {
+        let proof;
+        try {
+          proof = JSON.parse(Buffer.from(String(header), "base64").toString("utf8"));
+        } catch {}
+        if (typeof proof?.nonce !== "string" || typeof proof.signature !== "string") {
+          refused = "Malformed step-up proof";
+        } else if (!this.stepUps.consume(proof.nonce, binding)) {
+          refused = "Step-up nonce is unknown, expired, used, or for another request";
+        } else {
+          let recovered = null;
+          try {
+            recovered = ethers.utils.verifyMessage(
+              stepUpMessage({ ...binding, nonce: proof.nonce }),
+              proof.signature,
+            );
+          } catch {}
+          if (recovered?.toLowerCase() === binding.signerAddress) {
+            req.episteryStepUp = {
+              signerAddress: client.signerAddress,
+              nonce: proof.nonce,
+              verifiedAt: new Date().toISOString(),
+            };
+            return next();
+          }
+          refused = "Step-up signature is not from the session's signer";
         }
+      }
+
+      const { nonce, expiresAt } = this.stepUps.issue(binding, maxAge * 1000);
+      res.set("WWW-Authenticate", `Epistery-StepUp nonce="${nonce}"`);
+      res.status(401).json({
+        error: refused || "A fresh signature is required",
+        reason: "step-up",
+        stepUp: {
+          nonce,
+          expiresAt,
+          method: binding.method,
+          host: binding.host,
+          path: binding.path,
+          bodyHash,
+        },
+      });
+    };
+  }
+
+  /** The domain's delegation revocation list (src/utils/DelegationRevocations.ts). */
+  delegationRevocationList(domain = this.domainName) {
+    const key = String(domain).toLowerCase();
+    let list = this.delegationRevocations.get(key);
+    if (!list) {
+      list = new DelegationRevocationList(key, {
+        refreshMs: Number(this.options.sessionRefresh) || undefined,
+      });
+      this.delegationRevocations.set(key, list);
+    }
+    return list;
+  }
+
+  /**
+   * Verify a delegation token (docs/DELEGATION.md) — the raw value of the
+   * `epistery_delegation` cookie or `x-epistery-delegation` header, JSON or
+   * base64 JSON of { delegation, signature, publicKey? }.
+   *
+   * Checks version and shape, expiry (and a lifetime cap, so a leaked token
+   * can't be minted for years), that `audience` is this domain, the signature
+   * over delegationMessage(), that the signer is the subject or an authorized
+   * rivet of the subject's IdentityContract, and the revocation list.
+   * Tunable through `options.delegation` — { maxLifetimeMs, clockSkewMs }.
+   *
+   * Returns { delegation } (the object plus the proven signerAddress and
+   * contractAddress) or { error: { reason, message } }.
+   */
+  async verifyDelegation(raw, domain = this.domainName) {
+    const fail = (reason, message) => ({ error: { reason, message } });
+    const opts = this.options.delegation || {};
+    const maxLifetimeMs = Number(opts.maxLifetimeMs) || 30 * 24 * 60 * 60 * 1000;
+    const clockSkewMs = Number(opts.clockSkewMs) || 60 * 1000;
+
+    let token;
+    try {
+      const text = String(raw).trim();
+      token = JSON.parse(
+        text.startsWith("{") ? text : Buffer.from(text, "base64").toString("utf8"),
+      );
+    } catch {
+      return fail("malformed", "Delegation token is not valid JSON");
+    }
+    const d = token?.delegation;
+    if (!d || typeof token.signature !== "string") {
+      return fail("malformed", "Delegation token needs { delegation, signature }");
+    }
+    if (d.version !== DELEGATION_VERSION) {
+      return fail("version", `Unsupported delegation version ${d.version}`);
+    }
+    if (
+      !ethers.utils.isAddress(d.subject) ||
+      typeof d.audience !== "string" ||
+      typeof d.nonce !== "string" || !d.nonce || d.nonce.length > 128 ||
+      !Array.isArray(d.scope) || !d.scope.every((s) => typeof s === "string") ||
+      !Number.isFinite(d.expires) || !Number.isFinite(d.createdAt)
+    ) {
+      return fail("malformed", "Delegation is missing or has invalid fields");
+    }
+
+    const now = Date.now();
+    if (d.expires <= now) return fail("expired", "Delegation has expired");
+    if (d.createdAt > now + clockSkewMs) {
+      return fail("malformed", "Delegation was created in the future");
+    }
+    if (d.expires - d.createdAt > maxLifetimeMs) {
+      return fail("lifetime", "Delegation lifetime exceeds what this host accepts");
+    }
+    if (d.audience.toLowerCase() !== String(domain).toLowerCase()) {
+      return fail("audience", `Delegation is for ${d.audience}, not ${domain}`);
+    }
+
+    // Signature and signer-to-subject binding only change with the token, so
+    // a verified token is remembered (until it expires, or 5 minutes — the
+    // on-chain isAuthorized answer can change) and only re-checked against
+    // the revocation list per request.
+    const message = delegationMessage(d);
+    const cacheKey = crypto
+      .createHash("sha256")
+      .update(`${message}\n${token.signature}\n${token.publicKey || ""}`)
+      .digest("hex");
+    let proof = this.delegationCache.get(cacheKey);
+    if (!proof || proof.until <= now) {
+      let signerAddress;
+      try {
+        signerAddress = ethers.utils.verifyMessage(message, token.signature);
       } catch {
-        // Invalid session cookie — fall through to null.
+        return fail("signature", "Delegation signature could not be verified");
+      }
+      if (
+        token.publicKey &&
+        ethers.utils.computeAddress(token.publicKey).toLowerCase() !== signerAddress.toLowerCase()
+      ) {
+        return fail("signature", "Delegation publicKey does not match its signature");
       }
+      let contractAddress = null;
+      if (signerAddress.toLowerCase() !== d.subject.toLowerCase()) {
+        // Signed by a rivet on behalf of its IdentityContract.
+        try {
+          const provider = (await Utils.GetDomainInfo(domain))?.provider;
+          const chain = await configuredChainFor(provider);
+          const identity = new ethers.Contract(
+            d.subject,
+            ["function isAuthorized(address) view returns (bool)"],
+            chain.quorumProvider,
+          );
+          if (!(await identity.isAuthorized(signerAddress))) throw new Error("not a rivet");
+        } catch {
+          return fail("signature", "Delegation signer is not the subject or one of its rivets");
+        }
+        contractAddress = ethers.utils.getAddress(d.subject);
+      }
+      proof = { signerAddress, contractAddress, until: Math.min(d.expires, now + 5 * 60 * 1000) };
+      if (this.delegationCache.size > 1000) this.delegationCache.clear();
+      this.delegationCache.set(cacheKey, proof);
     }
-    return null;
+
+    if (await this.delegationRevocationList(domain).isRevoked(d.subject, d.nonce)) {
+      return fail("revoked", "Delegation has been revoked");
+    }
+
+    return {
+      delegation: {
+        issuer: d.issuer,
+        subject: d.subject,
+        audience: d.audience,
+        scope: d.scope,
+        expires: d.expires,
+        nonce: d.nonce,
+        createdAt: d.createdAt,
+        version: d.version,
+        signerAddress: proof.signerAddress,
+        contractAddress: proof.contractAddress,
+      },
+    };
+  }
+
+  /**
+   * True when `address` is the verified admin of `domain` — the admin_address
+   * recorded when the domain was claimed (see routes/auth.mjs).
+   */
+  async isDomainAdmin(address, domain = this.domainName) {
+    if (!address || !domain) return false;
+    const data = await this.config.read(`/${domain}`);
+    return (
+      !!data?.verified &&
+      !!data?.admin_address &&
+      String(data.admin_address).toLowerCase() === String(address).toLowerCase()
+    );
   }
 
+  /**
+   * Verify an `_epistery` session token against the domain's server wallet
+   * (the MAC key is derived from it — see src/utils/SessionToken.ts) and
+   * rebuild the three-fact client view from the verified payload.
+   *
+   * The token's sid must also be live in the domain's session registry, so a
+   * logged-out or revoked session stops working even though its MAC and exp
+   * are still good. Tokens without a sid predate the registry and are
+   * treated as legacy.
+   *
+   * Returns { client, sid } on success, or { error: { reason, message } }
+   * where reason is one of legacy | malformed | signature | expired |
+   * revoked. Every failure is recoverable by reconnecting, which the message
+   * says.
+   */
+  async verifySession(token, domain = this.domainName) {
+    domain = domain || this.domainName;
+    const wallet = await this.serverWalletFor(domain);
+    if (!wallet?.privateKey) {
+      return {
+        error: {
+          reason: "signature",
+          message: "No server wallet to verify session; reconnect to obtain a new one",
+        },
+      };
+    }
+    const result = verifySessionToken(token, wallet.privateKey);
+    if (!result.valid) {
+      return { error: { reason: result.reason, message: result.message } };
+    }
+    const s = result.session;
+    if (!s.sid) {
+      return {
+        error: {
+          reason: "legacy",
+          message: "Session token has no session id; reconnect to obtain a new one",
+        },
+      };
+    }
+    if (!(await this.sessionRegistry(domain).isActive(s.sid))) {
+      return {
+        error: {
+          reason: "revoked",
+          message: "Session was logged out or revoked; reconnect to obtain a new one",
+        },
+      };
+    }
+    return {
+      sid: s.sid,
+      client: {
+        signerAddress: s.signerAddress,
+        contractAddress: s.contractAddress || null,
+        identityAddress: s.contractAddress || s.signerAddress,
+        ...(s.contractAddress && s.chainId != null ? { chainId: s.chainId } : {}),
+        publicKey: s.publicKey,
+        authenticated: !!s.authenticated,
+        authType: "cookie",
+      },
+    };
+  }
+
+  /**
+   * Mount the domain and authentication middleware and the epistery routes
+   * (under `rootPath`, default /.well-known/epistery) on `app`.
+   *
+   * A request with a `Bot` header has its JSON body read here, before the
+   * host's routes, with express.json's default 100kb limit; the bytes are
+   * kept as `req.rawBody` so the signed body hash is checked against them.
+   * A host that parses bodies before attach() should keep the bytes itself:
+   *
+   *   app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }))
+   *
+   * Otherwise the parsed body is re-serialized, which matches only a client
+   * that signed JSON.stringify() output. A Bot header whose body hash can't
+   * be checked is refused.
+   */
   async attach(app, rootPath) {
     this.rootPath = rootPath || "/.well-known/epistery";
     app.locals.epistery = this;
@@ -154,59 +962,89 @@ class EpisteryAttach {
     // authenticated, authType }. signerAddress is the proven rivet,
     // contractAddress is a verified IdentityContract (or null), and
     // identityAddress is derived (contractAddress || signerAddress).
-    // Downstream code authorizes against identityAddress.
+    // Downstream code authorizes against identityAddress. With
+    // options.identityProfile, contract-bound clients also carry
+    // profileName / rivets / signerName (display only, never for authz).
     app.use(async (req, res, next) => {
-      // 1. Bot authentication (CLI / programmatic). Signer-only today;
-      // no contract claim path in the bot wire.
+      // 1. Bot authentication (CLI / programmatic). The header names a
+      // signer, or a contract that vouches for the rivet that signed
+      // (EIP-1271). Each header is bound to this method/host/path, fresh
+      // within the configured window, and single-use; a rejected header
+      // falls through to the other methods. The body is read first so its
+      // signed hash can be checked (see attach()).
       if (!req.episteryClient && req.headers.authorization?.startsWith("Bot ")) {
         try {
-          const authHeader = req.headers.authorization.substring(4);
-          const decoded = Buffer.from(authHeader, "base64").toString("utf8");
-          const payload = JSON.parse(decoded);
-
-          const { address, signature, message } = payload;
-
-          if (address && signature && message) {
-            const { ethers } = await import("ethers");
-            const recoveredAddress = ethers.utils.verifyMessage(message, signature);
-
-            if (recoveredAddress.toLowerCase() === address.toLowerCase()) {
-              req.episteryClient = {
-                signerAddress: address,
-                contractAddress: null,
-                identityAddress: address,
-                authenticated: true,
-                authType: "bot",
-              };
-            }
-          }
+          await new Promise((resolve, reject) =>
+            botBodyParser(req, res, (error) => (error ? reject(error) : resolve())),
+          );
         } catch (error) {
-          console.error("[epistery] Bot auth error:", error.message);
-          // Continue to try other auth methods
+          return next(error);
+        }
+        const { client, error } = await this.verifyBot(req);
+        if (client) {
+          req.episteryClient = client;
+        } else {
+          req.episteryBotError = error;
         }
       }
 
       // 2. Session cookie (_epistery). Set at /connect after signer proof and
-      // (if a contract was claimed) on-chain isAuthorized verification.
+      // (if a contract was claimed) on-chain isAuthorized verification. The
+      // token is MAC'd with the domain's server wallet and carries its own
+      // expiry, and its sid must still be live in the session registry;
+      // anything that fails verification (including unsigned tokens from
+      // older versions and logged-out sessions) is cleared and surfaced on
+      // GET /connect as a reconnect hint rather than silently trusted.
       if (!req.episteryClient && req.cookies?._epistery) {
-        try {
-          const s = JSON.parse(
-            Buffer.from(req.cookies._epistery, "base64").toString("utf8"),
-          );
-          if (s?.signerAddress) {
-            req.episteryClient = {
-              signerAddress: s.signerAddress,
-              contractAddress: s.contractAddress || null,
-              identityAddress: s.contractAddress || s.signerAddress,
-              publicKey: s.publicKey,
-              authenticated: !!s.authenticated,
-              authType: "cookie",
-            };
-          }
-        } catch (e) {
-          // Invalid session cookie, ignore
+        const { client, sid, error } = await this.verifySession(
+          req.cookies._epistery,
+          this.domainName,
+        );
+        if (client) {
+          req.episteryClient = client;
+          req.episterySessionId = sid;
+        } else {
+          req.episterySessionError = error;
+          res.clearCookie("_epistery", { path: "/" });
+        }
+      }
+
+      // 3. Delegation token (epistery_delegation cookie or
+      // x-epistery-delegation header). Alone it authenticates its subject;
+      // alongside a session or Bot header it must name the same identity,
+      // and is then attached as req.episteryClient.delegation. Its scope is
+      // declarative — authorize against on-chain roles, not against it. A
+      // token alone is refused by the routes that act as its subject
+      // (refuseDelegation in routes/delegation.mjs).
+      const rawDelegation =
+        req.cookies?.epistery_delegation || req.headers["x-epistery-delegation"];
+      if (rawDelegation) {
+        const { delegation, error } = await this.verifyDelegation(
+          rawDelegation,
+          this.domainName,
+        );
+        if (!delegation) {
+          req.episteryDelegationError = error;
+        } else if (!req.episteryClient) {
+          req.episteryClient = clientFromDelegation(delegation);
+        } else if (
+          req.episteryClient.identityAddress?.toLowerCase() ===
+          delegation.subject.toLowerCase()
+        ) {
+          req.episteryClient.delegation = delegation;
+        } else {
+          req.episteryDelegationError = {
+            reason: "subject",
+            message: "Delegation subject does not match the authenticated identity",
+          };
         }
       }
+
+      // 4. Identity metadata for contract-bound clients, when enabled.
+      // Served from a per-domain TTL cache; signer-only requests skip it.
+      if (req.episteryClient?.contractAddress && this.options.identityProfile) {
+        await this.enrichIdentity(req.episteryClient, this.domainName);
+      }
       next();
     });
 
@@ -215,7 +1053,9 @@ class EpisteryAttach {
   }
 
   /**
-   * Build status JSON object
+   * Build status JSON object. `server.provider`/`chainId`/`rpc` describe the
+   * domain's own chain; `server.networks` lists every chain it accepts
+   * identities on, that one first.
    * @returns {Object} Status object with server, client, and ipfs info
    */
   buildStatus() {
@@ -233,6 +1073,16 @@ class EpisteryAttach {
           name: serverWallet?.provider?.nativeCurrency?.name || "POL",
           decimals: serverWallet?.provider?.nativeCurrency?.decimals || 18,
         },
+        networks: Utils.DomainChains(serverWallet).map((chain) => ({
+          provider: chain.name,
+          chainId: chain.chainId.toString(),
+          rpc: chain.rpc,
+          nativeCurrency: {
+            symbol: chain.nativeCurrencySymbol || "ETH",
+            name: chain.nativeCurrencyName || chain.nativeCurrencySymbol || "ETH",
+            decimals: Number(chain.nativeCurrencyDecimals) || 18,
+          },
+        })),
       },
       client: {},
       ipfs: {
@@ -251,11 +1101,18 @@ class EpisteryAttach {
    *   /lib/:module          - Client library files
    *   /artifacts/:file      - Contract artifacts
    *   /connect              - Key exchange
+   *   /connect/challenge    - Single-use key-exchange challenge
+   *   /sessions/*           - Active-session listing and revocation
+   *   /delegation/*         - Delegation token inspection and revocation
    *   /create               - Create wallet
    *   /auth/*               - Authentication & domain claiming
    *   /data/*               - Data read/write/ownership
    *   /approval/*           - Approval system
    *   /identity/*           - Identity contract management
+   *   /tx/*                 - Prepare, submit and track client-signed transactions
+   *   /sponsorship/*        - Gas sponsorship policy, usage and ledger
+   *   /events/*             - Indexed identity and section event history
+   *   /invites/*            - Section invite codes: create, share, redeem, list
    *   /domain/*             - Domain initialization
    *   /lists                - Get all lists
    *   /list                 - Get specific list
@@ -269,6 +1126,6 @@ class EpisteryAttach {
   }
 }
 
-export { EpisteryAttach as Epistery, Config, chainFor, registerChain, configuredChains, defaultChainId, Chain };
+export { EpisteryAttach as Epistery, Config, chainFor, configuredChainFor, registerChain, loadDeclaredChains, configuredChains, defaultChainId, Chain };
 export { auditTree, secureTree };
-export { storageWriteMessage };
+export { storageWriteMessage, delegationMessage, stepUpMessage };
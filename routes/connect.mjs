@@ -1,6 +1,8 @@
 import express from "express";
 import { createRequire } from "module";
 import { Epistery } from "../dist/epistery.js";
+import { Utils } from "../dist/utils/Utils.js";
+import { configuredChainFor } from "../dist/chains/index.js";
 
 const require = createRequire(import.meta.url);
 const ethers = require("ethers");
@@ -24,15 +26,48 @@ export default function connectRoutes(epistery) {
   // the cookie already names us, so no re-handshake needed.
   router.get("/connect", (req, res) => {
     const c = req.episteryClient;
-    if (!c) return res.json({});
+    if (!c) {
+      // A cookie was sent but failed verification (unsigned legacy token,
+      // bad MAC, expired). Tell the client a fresh handshake will fix it.
+      const e = req.episterySessionError;
+      return res.json(e ? { reconnect: true, reason: e.reason, error: e.message } : {});
+    }
     res.json({
       signerAddress: c.signerAddress,
       identityAddress: c.identityAddress,
       contractAddress: c.contractAddress,
+      ...(c.chainId != null ? { chainId: c.chainId } : {}),
       ...(c.name ? { name: c.name } : {}),
+      ...(c.profileName ? { profileName: c.profileName } : {}),
+      ...(c.signerName ? { signerName: c.signerName } : {}),
     });
   });
 
+  // Challenge for the next key exchange. Single-use, scoped to this domain,
+  // valid for options.challengeTtl ms (5 minutes by default). The client
+  // signs it into "Epistery Key Exchange - <signer> - <challenge>". An IP
+  // holding too many unused challenges gets 429, a domain holding too many
+  // 503, each with Retry-After; live challenges are never dropped.
+  router.get("/connect/challenge", (req, res) => {
+    if (!epistery.domainName) {
+      return res.status(500).json({ error: "Domain not set" });
+    }
+    res.set("Cache-Control", "no-store");
+    const result = Epistery.issueChallenge(
+      epistery.domainName,
+      Number(epistery.options.challengeTtl) || undefined,
+      req.ip,
+    );
+    if (!result.ok) {
+      res.set("Retry-After", String(result.retryAfter));
+      return res
+        .status(result.reason === "requester" ? 429 : 503)
+        .json({ error: result.message, reason: result.reason, retryAfter: result.retryAfter });
+    }
+    const { ok, ...issued } = result;
+    res.json(issued);
+  });
+
   // Key exchange endpoint - handles POST requests for key exchange
   router.post("/connect", async (req, res) => {
     try {
@@ -45,15 +80,33 @@ export default function connectRoutes(epistery) {
         return res.status(500).json({ error: "Server wallet not found" });
       }
 
+      // The chain a contract identity is verified on: the one the client
+      // names, when this domain accepts it, else the domain's own. Checked
+      // before the exchange so a refused chain doesn't burn the challenge.
+      const chainId =
+        data.chainId == null || data.chainId === "" ? null : Number(data.chainId);
+      const chain = Utils.DomainChainFor(serverWallet, chainId);
+      if (chainId != null && !chain) {
+        return res.status(400).json({
+          error: `This domain does not accept identities on chain ${data.chainId}`,
+          reason: "chain-not-accepted",
+        });
+      }
+
       // Handle key exchange request
       const keyExchangeResponse = await Epistery.handleKeyExchange(
         data,
         serverWallet.wallet,
+        {
+          domain: epistery.domainName,
+          allowClientChallenge: !!epistery.options.allowClientChallenge,
+        },
       );
 
       if (!keyExchangeResponse) {
         return res.status(401).json({
-          error: "Key exchange failed - invalid client credentials",
+          error:
+            "Key exchange failed - invalid client credentials or challenge (fetch a fresh one from GET /connect/challenge)",
         });
       }
 
@@ -62,22 +115,40 @@ export default function connectRoutes(epistery) {
       // a single field, so the verifier never has to guess what the client
       // meant. The chain is truth; we ask it directly.
       //
-      // Provider: the host's domain RPC. v0 assumes the IdentityContract
-      // lives on the same chain as the host. Cross-chain identity is a
-      // future concern.
+      // Provider: the RPC pool of the chain picked above, read by quorum
+      // when it has several endpoints. EIP-1271 was checked on that chain
+      // too (handleKeyExchange passes the request's chainId along).
+      //
+      // A signerAddress that is itself a contract proved itself through
+      // EIP-1271 (isValidSignature) — the contract vouched for the rivet
+      // that signed, so it is the verified contract and the rivet is the
+      // signer; a different contractAddress claim alongside it is refused.
+      const { verified, ...response } = keyExchangeResponse;
       let verifiedContractAddress = null;
-      if (data.contractAddress) {
+      let signerAddress = data.signerAddress;
+      if (verified?.kind === "eip1271") {
+        if (
+          data.contractAddress &&
+          data.contractAddress.toLowerCase() !== data.signerAddress.toLowerCase()
+        ) {
+          return res.status(401).json({
+            error: "A contract signer cannot claim a different contractAddress",
+          });
+        }
+        verifiedContractAddress = data.signerAddress;
+        signerAddress = verified.signer || data.signerAddress;
+      } else if (data.contractAddress) {
         try {
           const rpcUrl =
-            serverWallet?.provider?.privateRpc ||
-            serverWallet?.provider?.rpc ||
-            process.env.CHAIN_RPC_URL;
+            chain?.privateRpc || chain?.rpc || process.env.CHAIN_RPC_URL;
           if (!rpcUrl) {
             return res.status(500).json({
               error: "No chain RPC configured to verify identity contract",
             });
           }
-          const provider = new ethers.providers.JsonRpcProvider(rpcUrl);
+          const provider = chain
+            ? (await configuredChainFor(chain)).quorumProvider
+            : new ethers.providers.JsonRpcProvider(rpcUrl);
           const identity = new ethers.Contract(
             data.contractAddress,
             IDENTITY_AUTHORIZED_ABI,
@@ -102,14 +173,27 @@ export default function connectRoutes(epistery) {
       // Build the three-fact view we expose to downstream middleware AND
       // hand to any caller-supplied authentication() hook. identityAddress is
       // derived here; it never appears on the wire and is not stored.
+      const contractChainId =
+        verifiedContractAddress && chain ? chain.chainId : null;
       const clientInfo = {
-        signerAddress: data.signerAddress,
+        signerAddress,
         contractAddress: verifiedContractAddress,
-        identityAddress: verifiedContractAddress || data.signerAddress,
+        identityAddress: verifiedContractAddress || signerAddress,
         publicKey: data.signerPublicKey,
+        ...(contractChainId != null ? { chainId: contractChainId } : {}),
       };
       // Naming is a relay service (per-domain contract name + nicknames), not
-      // epistery's concern — no name lookup here.
+      // epistery's concern — no name lookup here. The contract's own profile
+      // (profileName / rivets / signerName) is added when the host enabled
+      // options.identityProfile, so the hooks see what the middleware will.
+      await epistery.enrichIdentity(clientInfo);
+      // Keep the bound identity's rivet history when the host indexes events.
+      if (verifiedContractAddress && epistery.options.eventIndexer) {
+        epistery
+          .eventIndexer()
+          .then((indexer) => indexer?.watch(verifiedContractAddress, "identity"))
+          .catch((e) => console.error("[connect] Could not index identity events:", e.message));
+      }
       if (epistery.options.authentication) {
         clientInfo.profile = await epistery.options.authentication.call(
           epistery.options.authentication,
@@ -119,18 +203,23 @@ export default function connectRoutes(epistery) {
       }
       req.episteryClient = clientInfo;
 
-      // Cookie stores facts only — signer + (verified) contract. identityAddress
-      // is re-derived every read; persisting it would just be a place for the
-      // two to drift apart.
+      // Cookie stores facts only — signer + (verified) contract and the chain
+      // it was verified on. identityAddress is re-derived every read;
+      // persisting it would just be a place for the two to drift apart. The
+      // token is MAC'd with a key derived from this domain's server wallet
+      // and carries iat/exp, so the middleware can refuse forged or stale
+      // sessions regardless of the cookie's maxAge.
       const sessionData = {
-        signerAddress: data.signerAddress,
+        signerAddress,
         contractAddress: verifiedContractAddress,
+        ...(contractChainId != null ? { chainId: contractChainId } : {}),
         publicKey: data.signerPublicKey,
         authenticated: clientInfo.authenticated || false,
-        timestamp: new Date().toISOString(),
       };
-      const sessionToken = Buffer.from(JSON.stringify(sessionData)).toString(
-        "base64",
+      const sessionToken = await epistery.signSession(
+        sessionData,
+        epistery.domainName,
+        { ip: req.ip, userAgent: req.headers["user-agent"] },
       );
 
       // Cookie must be strictly scoped to this specific domain
@@ -141,7 +230,7 @@ export default function connectRoutes(epistery) {
         secure: req.secure || req.headers["x-forwarded-proto"] === "https",
         sameSite: "strict",
         path: "/",
-        maxAge: 24 * 60 * 60 * 1000, // 24 hours
+        maxAge: epistery.sessionMaxAge, // 24 hours unless options.sessionMaxAge
       });
 
       // Call onAuthenticated hook if provided
@@ -150,7 +239,7 @@ export default function connectRoutes(epistery) {
       }
 
       res.json(
-        Object.assign(keyExchangeResponse, {
+        Object.assign(response, {
           profile: clientInfo.profile,
           authenticated: clientInfo.authenticated,
         }),
@@ -163,6 +252,23 @@ export default function connectRoutes(epistery) {
     }
   });
 
+  // Logout — revoke this cookie's session in the domain registry and clear
+  // the cookie. Idempotent: with no live session there is nothing to end,
+  // and the response says so rather than failing.
+  router.delete("/connect", async (req, res) => {
+    try {
+      const sid = req.episterySessionId;
+      const revoked = sid
+        ? await epistery.sessionRegistry(epistery.domainName).revoke(sid)
+        : false;
+      res.clearCookie("_epistery", { path: "/" });
+      res.json({ loggedOut: true, revoked });
+    } catch (error) {
+      console.error("Logout error:", error);
+      res.status(500).json({ error: "Internal server error during logout" });
+    }
+  });
+
   router.get("/create", (req, res) => {
     const wallet = Epistery.createWallet();
     res.json({ wallet });
@@ -0,0 +1,129 @@
+import express from "express";
+
+/**
+ * Refuse a client authenticated by a delegation token alone. A token's scope
+ * names what the host's own routes may let it do; nothing in it grants
+ * acting as its subject on epistery's routes — managing sessions and
+ * delegations, preparing transactions the domain funds, issuing invites.
+ * Those take a session or a Bot header.
+ */
+export function refuseDelegation(req, res, next) {
+  if (req.episteryClient?.authType !== "delegation") return next();
+  res.status(403).json({
+    error: "A delegation token cannot be used here; connect as the identity",
+    reason: "delegation",
+  });
+}
+
+/**
+ * Delegation routes — inspect and revoke delegation tokens (docs/DELEGATION.md).
+ *
+ * Endpoints:
+ *   GET  /delegation                  - The verified delegation on this request
+ *   POST /delegation/revoke           - Revoke a token by { nonce, expires, subject? }
+ *   GET  /delegation/revoked/:subject - Live revocations for a subject
+ *
+ * Auth model: revoking and listing need an authenticated caller acting on its
+ * own identityAddress (the token's subject), or the domain's verified admin.
+ * A delegation token on its own may revoke only itself, not its subject's
+ * other tokens. Revocations are stored under the domain config
+ * path and checked by the attach() middleware on every request that carries
+ * a token.
+ *
+ * @param {Object} epistery - The EpisteryAttach instance
+ * @returns {express.Router}
+ */
+export default function delegationRoutes(epistery) {
+  const router = express.Router();
+
+  const isHexAddress = (s) =>
+    typeof s === "string" && /^0x[a-fA-F0-9]{40}$/.test(s);
+
+  // Caller may act on `subject`: it is the caller's identity, or the caller
+  // is the domain admin. Sends the error response and returns false when not.
+  async function mayActOn(req, res, subject) {
+    const client = req.episteryClient;
+    if (!client) {
+      res.status(401).json({ error: "Not authenticated" });
+      return false;
+    }
+    if (
+      client.identityAddress?.toLowerCase() !== subject.toLowerCase() &&
+      !(await epistery.isDomainAdmin(client.identityAddress))
+    ) {
+      res.status(403).json({
+        error: "Only the subject or the domain admin may do this",
+      });
+      return false;
+    }
+    return true;
+  }
+
+  // What the middleware made of this request's token, if any.
+  router.get("/", (req, res) => {
+    const delegation = req.episteryClient?.delegation;
+    if (delegation) return res.json({ delegation });
+    const e = req.episteryDelegationError;
+    res.json(e ? { error: e.message, reason: e.reason } : {});
+  });
+
+  router.post("/revoke", express.json({ limit: "4kb" }), async (req, res) => {
+    try {
+      const { nonce, expires } = req.body || {};
+      const subject = req.body?.subject || req.episteryClient?.identityAddress;
+      if (typeof nonce !== "string" || !nonce || nonce.length > 128) {
+        return res.status(400).json({ error: "Invalid nonce" });
+      }
+      if (!Number.isFinite(expires)) {
+        return res.status(400).json({ error: "expires (ms since epoch) is required" });
+      }
+      if (subject && !isHexAddress(subject)) {
+        return res.status(400).json({ error: "Invalid subject" });
+      }
+      if (!(await mayActOn(req, res, subject || ""))) return;
+      const client = req.episteryClient;
+      if (
+        client.authType === "delegation" &&
+        (client.delegation.nonce !== nonce ||
+          client.delegation.subject.toLowerCase() !== subject.toLowerCase())
+      ) {
+        return res.status(403).json({
+          error: "A delegation token can only revoke itself",
+          reason: "delegation",
+        });
+      }
+
+      const revoked = await epistery
+        .delegationRevocationList(epistery.domainName)
+        .revoke({
+          subject,
+          nonce,
+          expires,
+          revokedBy: req.episteryClient.identityAddress,
+        });
+      res.json({ subject, nonce, revoked });
+    } catch (error) {
+      console.error("Delegation revoke error:", error);
+      res.status(500).json({ error: "Failed to revoke delegation" });
+    }
+  });
+
+  router.get("/revoked/:subject", async (req, res) => {
+    try {
+      const { subject } = req.params;
+      if (!isHexAddress(subject)) {
+        return res.status(400).json({ error: "Invalid subject" });
+      }
+      if (!(await mayActOn(req, res, subject))) return;
+      const revocations = await epistery
+        .delegationRevocationList(epistery.domainName)
+        .list(subject);
+      res.json({ subject, revocations });
+    } catch (error) {
+      console.error("Delegation list error:", error);
+      res.status(500).json({ error: "Failed to list revocations" });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,160 @@
+import express from "express";
+import { RIVET_EVENTS } from "../dist/utils/EventIndexer.js";
+
+/**
+ * Event history routes — what the domain's event indexer has recorded of
+ * IdentityContract and EpisteryAccess logs (src/utils/EventIndexer.ts).
+ *
+ * Endpoints:
+ *   GET /events/status                        - Indexer state: watched contracts,
+ *                                               cursors, reorgs (domain admin)
+ *   GET /events/identity/:contractAddress     - An identity's events, newest first
+ *                                               (?event=A,B, ?since=<block>, ?limit=n)
+ *   GET /events/identity/:contractAddress/rivets
+ *                                             - Rivets added and removed, host,
+ *                                               key and threshold changes
+ *   GET /events/access/:section               - A section's ACL change log
+ *                                               (?contract=0x…, default the
+ *                                               domain's access contract)
+ *
+ * Auth model: the caller must be authenticated. Any caller may read what is
+ * indexed for an identity, as the chain shows it to anyone; only the
+ * identity itself or the domain admin can have one indexed that isn't yet
+ * (answered 202 while it backfills). A section's log needs `read` on that
+ * section, or the domain admin. Without `options.eventIndexer` every route
+ * answers 404 `disabled`.
+ *
+ * @param {Object} epistery - The EpisteryAttach instance
+ * @returns {express.Router}
+ */
+export default function eventRoutes(epistery) {
+  const router = express.Router();
+
+  const isHexAddress = (s) =>
+    typeof s === "string" && /^0x[a-fA-F0-9]{40}$/.test(s);
+
+  // Resolve the indexer and the caller, or answer for them.
+  async function indexerFor(req, res) {
+    if (!req.episteryClient) {
+      res.status(401).json({ error: "Not authenticated" });
+      return null;
+    }
+    const indexer = await epistery.eventIndexer(epistery.domainName);
+    if (!indexer) {
+      res.status(404).json({ error: "Event indexing is not enabled", reason: "disabled" });
+      return null;
+    }
+    return indexer;
+  }
+
+  function historyQuery(req) {
+    const since = req.query.since === undefined ? undefined : Number(req.query.since);
+    return {
+      events: req.query.event ? String(req.query.event).split(",") : undefined,
+      since: Number.isInteger(since) ? since : undefined,
+      limit: Math.min(Number(req.query.limit) || 100, 1000),
+    };
+  }
+
+  // The contract's events, or a 404/202 when it isn't indexed yet.
+  async function sendIdentityHistory(req, res, query) {
+    const indexer = await indexerFor(req, res);
+    if (!indexer) return;
+    const { contractAddress } = req.params;
+    if (!isHexAddress(contractAddress)) {
+      return res.status(400).json({ error: "Invalid contract address" });
+    }
+    const client = req.episteryClient;
+    let watched = await indexer.watched(contractAddress);
+    if (!watched) {
+      const own = client.identityAddress?.toLowerCase() === contractAddress.toLowerCase();
+      if (!own && !(await epistery.isDomainAdmin(client.identityAddress))) {
+        return res.status(404).json({
+          error: "This identity's events are not indexed",
+          reason: "not_indexed",
+        });
+      }
+      watched = await indexer.watch(contractAddress, "identity");
+      if (!watched) {
+        return res.status(400).json({ error: "No contract at that address", reason: "contract" });
+      }
+      return res.status(202).json({ contractAddress, indexing: true, fromBlock: watched.fromBlock });
+    }
+    const events = await indexer.history(contractAddress, query);
+    res.json({ contractAddress, indexedTo: watched.indexedTo, events });
+  }
+
+  router.get("/status", async (req, res) => {
+    try {
+      const indexer = await indexerFor(req, res);
+      if (!indexer) return;
+      if (!(await epistery.isDomainAdmin(req.episteryClient.identityAddress))) {
+        return res.status(403).json({ error: "Only the domain admin may read the indexer status" });
+      }
+      res.json(await indexer.status());
+    } catch (error) {
+      console.error("Event indexer status error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get("/identity/:contractAddress", async (req, res) => {
+    try {
+      await sendIdentityHistory(req, res, historyQuery(req));
+    } catch (error) {
+      console.error("Identity event history error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get("/identity/:contractAddress/rivets", async (req, res) => {
+    try {
+      const { limit } = historyQuery(req);
+      await sendIdentityHistory(req, res, { events: RIVET_EVENTS, limit });
+    } catch (error) {
+      console.error("Rivet history error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get("/access/:section", async (req, res) => {
+    try {
+      const indexer = await indexerFor(req, res);
+      if (!indexer) return;
+      const { section } = req.params;
+      const contract = req.query.contract || (await epistery.accessContractFor());
+      if (!contract) {
+        return res.status(404).json({ error: `No access contract configured for ${epistery.domainName}` });
+      }
+      if (!isHexAddress(contract)) {
+        return res.status(400).json({ error: "Invalid contract address" });
+      }
+      const client = req.episteryClient;
+      if (!(await epistery.isDomainAdmin(client.identityAddress))) {
+        let role;
+        try {
+          const checker = await epistery.accessChecker();
+          if (!checker) throw new Error(`No provider for ${epistery.domainName}`);
+          role = await checker.roleOf(contract, section, client.identityAddress);
+        } catch {
+          return res.status(503).json({ error: "Could not verify access on-chain", reason: "unavailable" });
+        }
+        if (role < 1) {
+          return res.status(403).json({ error: `Requires read on ${section}`, reason: "forbidden" });
+        }
+      }
+      const watched = await indexer.watched(contract);
+      if (!watched) {
+        return res.status(404).json({ error: "This contract's events are not indexed", reason: "not_indexed" });
+      }
+      const { limit } = historyQuery(req);
+      const events = await indexer.aclHistory(contract, section, limit);
+      res.json({ contractAddress: contract, section, indexedTo: watched.indexedTo, events });
+    } catch (error) {
+      console.error("Section event history error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
@@ -1,4 +1,10 @@
 import express from "express";
+import crypto from "crypto";
+import { ethers } from "ethers";
+import {
+  fidoBlobMessage,
+  fidoBlobHashInput,
+} from "../client/fido-blob-message.mjs";
 
 /**
  * FIDO routes — store and retrieve encrypted (PRF-wrapped) rivet private keys.
@@ -9,21 +15,28 @@ import express from "express";
  * not sensitive — without the FIDO credential it cannot be decrypted.
  *
  * Endpoints:
- *   POST /fido/blob            - Store blob keyed by credential ID
- *   GET  /fido/blob/:credId    - Retrieve blob by credential ID
+ *   POST   /fido/blob                 - Store blob keyed by credential ID
+ *   GET    /fido/blob/:credId         - Retrieve blob by credential ID
+ *   DELETE /fido/blob/:credId         - Delete a blob
+ *   GET    /fido/rivet/:rivetAddress  - List a rivet's blobs (metadata only)
  *
- * Storage: under the domain config path /{domain}/fido/{credentialId}.json
+ * Storage: under the domain config path /{domain}/fido/{credentialId}.json,
+ * indexed by FidoBlobStore.
  *
- * Auth model (v1): anonymous read/write. The blob is encrypted; the only
- * abuse vector is storage spam, which we limit by validating shape and
- * rejecting oversized payloads. Production deployments should gate writes
- * behind a host-side authorization check.
+ * Auth model: reads are anonymous. Writes and deletes carry `ts` and a
+ * `signature` by rivetAddress over fidoBlobMessage() — for a store, that
+ * covers the blob's hash — made within the last 5 minutes. A blob can only
+ * be replaced or deleted by the rivet that stored it, and never with an
+ * older signature than the one that stored it. Storage spam is held off by
+ * per-IP write rates and per-IP / per-domain quotas on count and bytes
+ * (`options.fido`).
  *
  * @param {Object} epistery - The EpisteryAttach instance
  * @returns {express.Router}
  */
 export default function fidoRoutes(epistery) {
   const router = express.Router();
+  const SIGNATURE_WINDOW_MS = 5 * 60 * 1000;
 
   // base64url charset, length-bounded to keep filenames sane
   const isValidCredId = (s) =>
@@ -38,9 +51,57 @@ export default function fidoRoutes(epistery) {
   // Body parser scoped here so we don't expand global limits
   const json = express.json({ limit: "16kb" });
 
+  // Sliding one-minute window of write attempts per domain and IP.
+  const writes = new Map();
+  function rateLimited(req, res) {
+    const limit = Number(epistery.options.fido?.writesPerMinute) || 10;
+    const key = `${epistery.domainName}|${req.ip}`;
+    const now = Date.now();
+    const recent = (writes.get(key) || []).filter((t) => t > now - 60 * 1000);
+    if (recent.length >= limit) {
+      writes.set(key, recent);
+      res.set("Retry-After", String(Math.ceil((recent[0] + 60 * 1000 - now) / 1000)));
+      res.status(429).json({ error: "Too many blob writes; try again shortly", reason: "rate" });
+      return true;
+    }
+    recent.push(now);
+    writes.set(key, recent);
+    if (writes.size > 10000) {
+      for (const [k, times] of writes) {
+        if (times[times.length - 1] <= now - 60 * 1000) writes.delete(k);
+      }
+    }
+    return false;
+  }
+
+  // The signed-write proof: fresh, and by rivetAddress. Sends the error
+  // response and returns false when it fails.
+  function proven(res, { action, credentialId, rivetAddress, blobHash, ts, signature }) {
+    if (!Number.isFinite(ts) || Math.abs(Date.now() - ts) > SIGNATURE_WINDOW_MS) {
+      res.status(401).json({ error: "ts is missing or outside the signature window", reason: "expired" });
+      return false;
+    }
+    let recovered = null;
+    try {
+      recovered = ethers.utils.verifyMessage(
+        fidoBlobMessage({ action, credentialId, rivetAddress, blobHash, ts }),
+        signature,
+      );
+    } catch {}
+    if (recovered?.toLowerCase() !== rivetAddress.toLowerCase()) {
+      res.status(401).json({ error: "signature is not by rivetAddress", reason: "signature" });
+      return false;
+    }
+    return true;
+  }
+
+  // FidoBlobStore refusal → HTTP status.
+  const refusalStatus = { owner: 403, stale: 409, quota: 429, not_found: 404 };
+
   router.post("/blob", json, async (req, res) => {
     try {
-      const { credentialId, rivetAddress, publicKey, ciphertext, iv, label } =
+      if (rateLimited(req, res)) return;
+      const { credentialId, rivetAddress, publicKey, ciphertext, iv, label, ts, signature } =
         req.body || {};
 
       if (!isValidCredId(credentialId)) {
@@ -58,16 +119,29 @@ export default function fidoRoutes(epistery) {
       if (!isHexString(iv)) {
         return res.status(400).json({ error: "Invalid iv" });
       }
+      let keyAddress = null;
+      try {
+        keyAddress = ethers.utils.computeAddress(publicKey);
+      } catch {}
+      if (keyAddress?.toLowerCase() !== rivetAddress.toLowerCase()) {
+        return res.status(400).json({ error: "publicKey does not match rivetAddress" });
+      }
 
       const domain = epistery.domainName;
       if (!domain) {
         return res.status(500).json({ error: "Domain not set" });
       }
 
-      await epistery.config.setPath(`/${domain}/fido`);
-      await epistery.config.writeFile(
-        `${credentialId}.json`,
-        JSON.stringify({
+      const blobHash = crypto
+        .createHash("sha256")
+        .update(fidoBlobHashInput({ publicKey, ciphertext, iv }))
+        .digest("hex");
+      if (!proven(res, { action: "store", credentialId, rivetAddress, blobHash, ts, signature })) {
+        return;
+      }
+
+      const result = await epistery.fidoBlobStore(domain).put(
+        {
           credentialId,
           rivetAddress,
           publicKey,
@@ -75,10 +149,17 @@ export default function fidoRoutes(epistery) {
           iv,
           label: typeof label === "string" ? label.slice(0, 128) : undefined,
           createdAt: new Date().toISOString(),
-        }),
+          signedAt: ts,
+        },
+        { ip: req.ip },
       );
+      if (!result.ok) {
+        return res
+          .status(refusalStatus[result.reason])
+          .json({ error: result.message, reason: result.reason });
+      }
 
-      res.json({ stored: true, credentialId, rivetAddress });
+      res.json({ stored: true, created: result.created, credentialId, rivetAddress });
     } catch (error) {
       console.error("[fido] Blob store error:", error);
       res.status(500).json({ error: error.message });
@@ -97,16 +178,10 @@ export default function fidoRoutes(epistery) {
         return res.status(500).json({ error: "Domain not set" });
       }
 
-      await epistery.config.setPath(`/${domain}/fido`);
-
-      let buf;
-      try {
-        buf = await epistery.config.readFile(`${credentialId}.json`);
-      } catch (e) {
+      const blob = await epistery.fidoBlobStore(domain).get(credentialId);
+      if (!blob) {
         return res.status(404).json({ error: "Blob not found" });
       }
-
-      const blob = JSON.parse(buf.toString("utf8"));
       res.json(blob);
     } catch (error) {
       console.error("[fido] Blob retrieve error:", error);
@@ -114,5 +189,69 @@ export default function fidoRoutes(epistery) {
     }
   });
 
+  // Body: { rivetAddress, ts, signature } — the signature's action is
+  // "delete" and its blobHash empty.
+  router.delete("/blob/:credentialId", json, async (req, res) => {
+    try {
+      if (rateLimited(req, res)) return;
+      const { credentialId } = req.params;
+      const { rivetAddress, ts, signature } = req.body || {};
+      if (!isValidCredId(credentialId)) {
+        return res.status(400).json({ error: "Invalid credentialId" });
+      }
+      if (!isHexAddress(rivetAddress)) {
+        return res.status(400).json({ error: "Invalid rivetAddress" });
+      }
+
+      const domain = epistery.domainName;
+      if (!domain) {
+        return res.status(500).json({ error: "Domain not set" });
+      }
+
+      if (!proven(res, { action: "delete", credentialId, rivetAddress, blobHash: "", ts, signature })) {
+        return;
+      }
+      const result = await epistery.fidoBlobStore(domain).remove(credentialId, rivetAddress);
+      if (!result.ok) {
+        return res
+          .status(refusalStatus[result.reason])
+          .json({ error: result.message, reason: result.reason });
+      }
+      res.json({ deleted: true, credentialId });
+    } catch (error) {
+      console.error("[fido] Blob delete error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get("/rivet/:rivetAddress", async (req, res) => {
+    try {
+      const { rivetAddress } = req.params;
+      if (!isHexAddress(rivetAddress)) {
+        return res.status(400).json({ error: "Invalid rivetAddress" });
+      }
+
+      const domain = epistery.domainName;
+      if (!domain) {
+        return res.status(500).json({ error: "Domain not set" });
+      }
+
+      const records = await epistery.fidoBlobStore(domain).listByRivet(rivetAddress);
+      res.json({
+        rivetAddress,
+        blobs: records.map(({ credentialId, label, bytes, createdAt, updatedAt }) => ({
+          credentialId,
+          label,
+          bytes,
+          createdAt,
+          updatedAt,
+        })),
+      });
+    } catch (error) {
+      console.error("[fido] Blob list error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
   return router;
 }
\ No newline at end of file
@@ -1,59 +1,657 @@
 import express from "express";
+import { ethers } from "ethers";
 import { Epistery } from "../dist/epistery.js";
+import { sendSponsorshipRefusal } from "./sponsorship.mjs";
+import { identityActionMessage } from "../client/identity-action-message.mjs";
 
 /**
- * Identity routes - bind a rivet to an existing IdentityContract.
+ * Identity routes - bind a rivet to an existing IdentityContract, and prepare
+ * the contract's own governance calls: removing a lost device, rotating a
+ * rivet's published public key, designating the host, and setting how many
+ * rivets must approve a removal.
  * (Contract CREATION was removed in the identity-only refactor — epistery binds
  * keys to contracts and verifies on-chain; it does not deploy/manage contracts.)
+ *
+ * Endpoints:
+ *   POST /identity/prepare-add-rivet            - addRivet(rivet, name)
+ *   POST /identity/prepare-remove-rivet         - removeRivet(rivet)
+ *   POST /identity/prepare-set-public-key       - setPublicKey(publicKey)
+ *   POST /identity/prepare-designate-host       - designateHost(newHost)
+ *   POST /identity/prepare-set-remove-threshold - setRemoveRivetThreshold(n)
+ *   GET  /identity/governance/:contractAddress  - Host, threshold and rivets
+ *
+ *   GET  /identity/actions?contract=0x…         - A contract's approval queue
+ *   GET  /identity/actions/:id                  - One queued action
+ *   POST /identity/actions                      - Propose a rivet removal
+ *   POST /identity/actions/:id/approve          - Approve it
+ *   POST /identity/actions/:id/reject           - Reject it
+ *   POST /identity/actions/:id/prepare          - Once approved: the removeRivet tx
+ *   POST /identity/actions/:id/submit           - Broadcast it and track the action
+ *
+ * Each prepare answers `{ unsignedTransaction, metadata }` for the rivet to
+ * sign and hand to POST /tx/submit.
+ *
+ * The approval queue (src/utils/IdentityActionStore.ts) collects the
+ * removeRivetThreshold approvals a removal needs. Proposals and decisions
+ * carry `ts` and a `signature` by signerAddress over identityActionMessage()
+ * (client/identity-action-message.mjs), made within the last 5 minutes, and
+ * the signer must be an active rivet of the contract. Preparing and
+ * submitting the approved removal takes a session for an approving rivet.
+ *
+ * Auth model: the caller must hold a session for the rivet named as
+ * signerAddress — a cookie, or Bot auth whose signature covers the request
+ * body; a delegation token is refused — and that rivet must be authorized on the contract
+ * (checked on-chain before the domain wallet funds anything). The domain is
+ * the request's host; a `domain` in the body is ignored.
+ *
  * @param {Object} epistery - The EpisteryAttach instance
  * @returns {express.Router}
  */
 export default function identityRoutes(epistery) {
   const router = express.Router();
 
+  const isHexAddress = (s) =>
+    typeof s === "string" && /^0x[a-fA-F0-9]{40}$/.test(s);
+
+  // A cookie session, or a Bot request whose signature covers the body it
+  // sent. A delegation token acts for its subject only within its scope, and
+  // an unbound Bot body could be swapped, so neither may spend the domain
+  // wallet here. Sends the error response and returns null otherwise.
+  function identitySession(req, res) {
+    const client = req.episteryClient;
+    if (!client) {
+      res.status(401).json({ error: "Not authenticated" });
+      return null;
+    }
+    const accepted =
+      client.authType === "cookie" || (client.authType === "bot" && client.bodyVerified);
+    if (!accepted) {
+      res.status(403).json({
+        error: "Identity changes need a session cookie, or a Bot signature over the body",
+        reason: "session",
+      });
+      return null;
+    }
+    return client;
+  }
+
+  // The session must be the signing rivet. Sends the error response and
+  // returns null when it isn't.
+  function sessionSigner(req, res, signerAddress) {
+    const client = identitySession(req, res);
+    if (!client) return null;
+    if (client.signerAddress?.toLowerCase() !== String(signerAddress).toLowerCase()) {
+      res.status(403).json({
+        error: "signerAddress must be the rivet this session belongs to",
+        reason: "signer",
+      });
+      return null;
+    }
+    return client;
+  }
+
+  // Answer a refused prepare: the contract doesn't authorize the signer, its
+  // state won't take the call (a removal above the threshold carries the
+  // threshold and rivet count, so the UI can gather approvals), or the
+  // sponsorship ledger won't fund it.
+  function sendRefusal(res, result) {
+    if (result.reason === "unauthorized") {
+      return res.status(403).json({ error: result.message, reason: result.reason });
+    }
+    if (result.reason === "state" || result.reason === "threshold") {
+      const { ok, message, ...detail } = result;
+      return res.status(409).json({ error: message, ...detail });
+    }
+    sendSponsorshipRefusal(res, result);
+  }
+
+  // The ledger that funds this request's signer, for the request's domain.
+  const sponsorshipFor = (client) => ({
+    ledger: epistery.sponsorshipLedger(epistery.domainName),
+    identityAddress: client.identityAddress,
+  });
+
+  // Answer a prepare's result: the unsigned transaction, or its refusal.
+  function sendPrepared(res, result) {
+    if (!result.ok) return sendRefusal(res, result);
+    const { ok, ...prepared } = result;
+    res.json(prepared);
+  }
+
   /**
    * POST /identity/prepare-add-rivet
    *
    * Prepares an unsigned transaction for adding a rivet to an IdentityContract.
-   * Server handles gas estimation and client funding.
+   * Server handles gas estimation and client funding, within the domain's
+   * sponsorship policy (a refusal answers with its reason).
    * Returns unsigned transaction for client to sign.
    */
   router.post("/prepare-add-rivet", async (req, res) => {
     try {
-      const {
-        signerAddress,
-        contractAddress,
-        rivetAddressToAdd,
-        rivetName,
-        domain,
-      } = req.body;
-
-      if (
-        !signerAddress ||
-        !contractAddress ||
-        !rivetAddressToAdd ||
-        !rivetName ||
-        !domain
-      ) {
+      const { signerAddress, contractAddress, rivetAddressToAdd, rivetName } =
+        req.body || {};
+
+      if (!signerAddress || !contractAddress || !rivetAddressToAdd || !rivetName) {
         return res.status(400).json({
           error:
-            "Missing required fields: signerAddress, contractAddress, rivetAddressToAdd, rivetName, domain",
+            "Missing required fields: signerAddress, contractAddress, rivetAddressToAdd, rivetName",
         });
       }
+      if (![signerAddress, contractAddress, rivetAddressToAdd].every(isHexAddress)) {
+        return res.status(400).json({ error: "Invalid address" });
+      }
+
+      const client = sessionSigner(req, res, signerAddress);
+      if (!client) return;
 
       const result = await Epistery.prepareAddRivetToContract(
         signerAddress,
         contractAddress,
         rivetAddressToAdd,
         rivetName,
-        domain,
+        epistery.domainName,
+        sponsorshipFor(client),
       );
-      res.json(result);
+      sendPrepared(res, result);
     } catch (error) {
       console.error("Prepare add rivet to contract error:", error);
       res.status(500).json({ error: error.message });
     }
   });
 
+  /**
+   * POST /identity/prepare-remove-rivet
+   *
+   * Prepares removeRivet for a lost or retired device. Refused with 409
+   * `state` for the last rivet or one that isn't on the contract, and 409
+   * `threshold` (with `threshold` and `rivetCount`) when the contract's
+   * removeRivetThreshold asks for more than one rivet's approval.
+   */
+  router.post("/prepare-remove-rivet", async (req, res) => {
+    try {
+      const { signerAddress, contractAddress, rivetAddressToRemove } = req.body || {};
+
+      if (!signerAddress || !contractAddress || !rivetAddressToRemove) {
+        return res.status(400).json({
+          error: "Missing required fields: signerAddress, contractAddress, rivetAddressToRemove",
+        });
+      }
+      if (![signerAddress, contractAddress, rivetAddressToRemove].every(isHexAddress)) {
+        return res.status(400).json({ error: "Invalid address" });
+      }
+
+      const client = sessionSigner(req, res, signerAddress);
+      if (!client) return;
+
+      const result = await Epistery.prepareRemoveRivet(
+        signerAddress,
+        contractAddress,
+        rivetAddressToRemove,
+        epistery.domainName,
+        sponsorshipFor(client),
+      );
+      sendPrepared(res, result);
+    } catch (error) {
+      console.error("Prepare remove rivet error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /identity/prepare-set-public-key
+   *
+   * Prepares setPublicKey: the signing rivet publishes (or rotates) its
+   * public key on the contract.
+   */
+  router.post("/prepare-set-public-key", async (req, res) => {
+    try {
+      const { signerAddress, contractAddress, publicKey } = req.body || {};
+
+      if (!signerAddress || !contractAddress || !publicKey) {
+        return res.status(400).json({
+          error: "Missing required fields: signerAddress, contractAddress, publicKey",
+        });
+      }
+      if (![signerAddress, contractAddress].every(isHexAddress)) {
+        return res.status(400).json({ error: "Invalid address" });
+      }
+      if (typeof publicKey !== "string" || !/^0x[a-fA-F0-9]{2,1024}$/.test(publicKey)) {
+        return res.status(400).json({ error: "Invalid publicKey" });
+      }
+
+      const client = sessionSigner(req, res, signerAddress);
+      if (!client) return;
+
+      const result = await Epistery.prepareSetRivetPublicKey(
+        signerAddress,
+        contractAddress,
+        publicKey,
+        epistery.domainName,
+        sponsorshipFor(client),
+      );
+      sendPrepared(res, result);
+    } catch (error) {
+      console.error("Prepare set public key error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /identity/prepare-designate-host
+   *
+   * Prepares designateHost. `newHost` must be an active rivet of the
+   * contract, or the zero address to clear the host.
+   */
+  router.post("/prepare-designate-host", async (req, res) => {
+    try {
+      const { signerAddress, contractAddress, newHost } = req.body || {};
+
+      if (!signerAddress || !contractAddress || !newHost) {
+        return res.status(400).json({
+          error: "Missing required fields: signerAddress, contractAddress, newHost",
+        });
+      }
+      if (![signerAddress, contractAddress, newHost].every(isHexAddress)) {
+        return res.status(400).json({ error: "Invalid address" });
+      }
+
+      const client = sessionSigner(req, res, signerAddress);
+      if (!client) return;
+
+      const result = await Epistery.prepareDesignateHost(
+        signerAddress,
+        contractAddress,
+        newHost,
+        epistery.domainName,
+        sponsorshipFor(client),
+      );
+      sendPrepared(res, result);
+    } catch (error) {
+      console.error("Prepare designate host error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /identity/prepare-set-remove-threshold
+   *
+   * Prepares setRemoveRivetThreshold: how many rivets must approve removing
+   * one, between 1 and the contract's rivet count.
+   */
+  router.post("/prepare-set-remove-threshold", async (req, res) => {
+    try {
+      const { signerAddress, contractAddress, threshold } = req.body || {};
+
+      if (!signerAddress || !contractAddress || threshold === undefined) {
+        return res.status(400).json({
+          error: "Missing required fields: signerAddress, contractAddress, threshold",
+        });
+      }
+      if (![signerAddress, contractAddress].every(isHexAddress)) {
+        return res.status(400).json({ error: "Invalid address" });
+      }
+      if (!Number.isInteger(threshold) || threshold < 1) {
+        return res.status(400).json({ error: "threshold must be a positive integer" });
+      }
+
+      const client = sessionSigner(req, res, signerAddress);
+      if (!client) return;
+
+      const result = await Epistery.prepareSetRemoveRivetThreshold(
+        signerAddress,
+        contractAddress,
+        threshold,
+        epistery.domainName,
+        sponsorshipFor(client),
+      );
+      sendPrepared(res, result);
+    } catch (error) {
+      console.error("Prepare set remove threshold error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /identity/governance/:contractAddress
+   *
+   * The contract's host, rivet count, removeRivetThreshold and active
+   * rivets (address, name, published public key), read from the domain's
+   * chain. Public: it is all on-chain already.
+   */
+  router.get("/governance/:contractAddress", async (req, res) => {
+    try {
+      const { contractAddress } = req.params;
+      if (!isHexAddress(contractAddress)) {
+        return res.status(400).json({ error: "Invalid contract address" });
+      }
+      res.json(await Epistery.getIdentityGovernance(contractAddress, epistery.domainName));
+    } catch (error) {
+      console.error("Identity governance error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // ── approval queue ──────────────────────────────────────────────────────
+
+  const SIGNATURE_WINDOW_MS = 5 * 60 * 1000;
+  const json = express.json({ limit: "16kb" });
+  const ACTION_KINDS = ["removeRivet"];
+  const isActionId = (s) => typeof s === "string" && /^0x[a-f0-9]{32}$/.test(s);
+
+  // IdentityActionStore refusal → HTTP status.
+  const actionStatus = { not_found: 404, state: 409, duplicate: 409 };
+
+  function sendActionRefusal(res, result) {
+    res.status(actionStatus[result.reason]).json({
+      error: result.message,
+      reason: result.reason,
+      ...(result.action ? { action: result.action } : {}),
+    });
+  }
+
+  // The signed decision: fresh, by signerAddress, and signerAddress an
+  // active rivet of the contract. Sends the error response and returns null
+  // when it fails; otherwise the contract's governance.
+  async function signedByRivet(res, fields, signature) {
+    const { signerAddress, ts } = fields;
+    if (!isHexAddress(signerAddress)) {
+      res.status(400).json({ error: "Invalid signerAddress" });
+      return null;
+    }
+    if (!Number.isFinite(ts) || Math.abs(Date.now() - ts) > SIGNATURE_WINDOW_MS) {
+      res.status(401).json({ error: "ts is missing or outside the signature window", reason: "expired" });
+      return null;
+    }
+    let recovered = null;
+    try {
+      recovered = ethers.utils.verifyMessage(identityActionMessage(fields), signature);
+    } catch {}
+    if (recovered?.toLowerCase() !== signerAddress.toLowerCase()) {
+      res.status(401).json({ error: "signature is not by signerAddress", reason: "signature" });
+      return null;
+    }
+    const governance = await Epistery.getIdentityGovernance(fields.contractAddress, epistery.domainName);
+    if (!isRivetOf(governance, signerAddress)) {
+      res.status(403).json({
+        error: `${signerAddress} is not an active rivet of ${fields.contractAddress}`,
+        reason: "unauthorized",
+      });
+      return null;
+    }
+    return governance;
+  }
+
+  const isRivetOf = (governance, address) =>
+    governance.rivets.some((r) => r.address.toLowerCase() === String(address).toLowerCase());
+
+  const countOf = (governance) => ({
+    threshold: governance.removeRivetThreshold,
+    rivetCount: governance.rivetCount,
+  });
+
+  // A submitted action settles when its transaction is mined, or fails when it
+  // reverted or its nonce went to another transaction.
+  async function settle(store, action) {
+    if (action.status !== "submitted") return action;
+    const status = await Epistery.getTransactionStatus(action.transactionHash, {
+      domain: epistery.domainName,
+      chainId: action.chainId,
+    });
+    if (!status || status.status === "pending" || status.status === "unknown") return action;
+    const result = await store.settled(
+      action.id,
+      status.status === "confirmed" ? "executed" : "failed",
+    );
+    return result.action || action;
+  }
+
+  router.get("/actions", async (req, res) => {
+    try {
+      const contractAddress = req.query.contract;
+      if (!isHexAddress(contractAddress)) {
+        return res.status(400).json({ error: "Invalid contract address" });
+      }
+      const store = epistery.identityActions(epistery.domainName);
+      const actions = await store.list(
+        contractAddress,
+        typeof req.query.status === "string" ? req.query.status : undefined,
+      );
+      res.json({ actions });
+    } catch (error) {
+      console.error("Identity actions list error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get("/actions/:id", async (req, res) => {
+    try {
+      if (!isActionId(req.params.id)) {
+        return res.status(400).json({ error: "Invalid action id" });
+      }
+      const store = epistery.identityActions(epistery.domainName);
+      const action = await store.get(req.params.id);
+      if (!action) return res.status(404).json({ error: "No such action", reason: "not_found" });
+      res.json({ action: await settle(store, action) });
+    } catch (error) {
+      console.error("Identity action error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /identity/actions
+   *
+   * Propose removing `target` from `contractAddress`; the proposer's
+   * approval counts. With a threshold of 1 the action is approved at once.
+   */
+  router.post("/actions", json, async (req, res) => {
+    try {
+      const { contractAddress, kind = "removeRivet", target, signerAddress, ts, signature } =
+        req.body || {};
+      if (!contractAddress || !target || !signerAddress || !signature) {
+        return res.status(400).json({
+          error: "Missing required fields: contractAddress, target, signerAddress, ts, signature",
+        });
+      }
+      if (!ACTION_KINDS.includes(kind)) {
+        return res.status(400).json({ error: `Unsupported action kind: ${kind}` });
+      }
+      if (![contractAddress, target].every(isHexAddress)) {
+        return res.status(400).json({ error: "Invalid address" });
+      }
+
+      const fields = {
+        decision: "propose",
+        host: epistery.domainName,
+        contractAddress,
+        kind,
+        target,
+        signerAddress,
+        ts,
+      };
+      const governance = await signedByRivet(res, fields, signature);
+      if (!governance) return;
+      if (!isRivetOf(governance, target)) {
+        return res.status(409).json({
+          error: `${target} is not an active rivet of ${contractAddress}`,
+          reason: "state",
+        });
+      }
+
+      const result = await epistery
+        .identityActions(epistery.domainName)
+        .propose({ contractAddress, kind, target, proposer: signerAddress }, countOf(governance));
+      if (!result.ok) return sendActionRefusal(res, result);
+      res.status(201).json({ action: result.action });
+    } catch (error) {
+      console.error("Propose identity action error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // POST /identity/actions/:id/approve and /reject — one signed decision
+  // from a rivet of the action's contract.
+  for (const decision of ["approve", "reject"]) {
+    router.post(`/actions/:id/${decision}`, json, async (req, res) => {
+      try {
+        if (!isActionId(req.params.id)) {
+          return res.status(400).json({ error: "Invalid action id" });
+        }
+        const { signerAddress, ts, signature } = req.body || {};
+        if (!signerAddress || !signature) {
+          return res.status(400).json({
+            error: "Missing required fields: signerAddress, ts, signature",
+          });
+        }
+        const store = epistery.identityActions(epistery.domainName);
+        const action = await store.get(req.params.id);
+        if (!action) return res.status(404).json({ error: "No such action", reason: "not_found" });
+
+        const governance = await signedByRivet(
+          res,
+          {
+            decision,
+            host: epistery.domainName,
+            contractAddress: action.contractAddress,
+            kind: action.kind,
+            target: action.target,
+            actionId: action.id,
+            signerAddress,
+            ts,
+          },
+          signature,
+        );
+        if (!governance) return;
+
+        const result = await store.decide(action.id, signerAddress, decision, countOf(governance));
+        if (!result.ok) return sendActionRefusal(res, result);
+        res.json({ action: result.action });
+      } catch (error) {
+        console.error(`Identity action ${decision} error:`, error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+  }
+
+  /**
+   * POST /identity/actions/:id/prepare
+   *
+   * The finalizer's first half: for an approved action, prepare the
+   * removeRivet transaction for one of the approving rivets (the session's),
+   * counting only approvals by rivets still on the contract.
+   */
+  router.post("/actions/:id/prepare", json, async (req, res) => {
+    try {
+      if (!isActionId(req.params.id)) {
+        return res.status(400).json({ error: "Invalid action id" });
+      }
+      const { signerAddress } = req.body || {};
+      if (!isHexAddress(signerAddress)) {
+        return res.status(400).json({ error: "Missing required field: signerAddress" });
+      }
+      const client = sessionSigner(req, res, signerAddress);
+      if (!client) return;
+
+      const store = epistery.identityActions(epistery.domainName);
+      const action = await store.get(req.params.id);
+      if (!action) return res.status(404).json({ error: "No such action", reason: "not_found" });
+      if (action.status !== "approved") {
+        return res.status(409).json({ error: `Action is ${action.status}`, reason: "state", action });
+      }
+      if (!action.approvals.some((v) => v.signerAddress === signerAddress.toLowerCase())) {
+        return res.status(403).json({
+          error: "Only a rivet that approved the action may carry it out",
+          reason: "signer",
+        });
+      }
+
+      const governance = await Epistery.getIdentityGovernance(
+        action.contractAddress,
+        epistery.domainName,
+      );
+      const approvals = action.approvals.filter((v) => isRivetOf(governance, v.signerAddress)).length;
+      const result = await Epistery.prepareRemoveRivet(
+        signerAddress,
+        action.contractAddress,
+        action.target,
+        epistery.domainName,
+        sponsorshipFor(client),
+        approvals,
+      );
+      if (!result.ok) return sendRefusal(res, result);
+
+      const recorded = await store.prepared(action.id, result.metadata.preparedId, signerAddress);
+      if (!recorded.ok) return sendActionRefusal(res, recorded);
+      res.json({
+        unsignedTransaction: result.unsignedTransaction,
+        metadata: { ...result.metadata, actionId: action.id },
+      });
+    } catch (error) {
+      console.error("Prepare identity action error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /identity/actions/:id/submit
+   *
+   * The finalizer's second half: broadcast the signed removeRivet
+   * transaction prepared for this action and mark it submitted. GET
+   * /identity/actions/:id settles it once mined. Answers 202, like
+   * POST /tx/submit.
+   */
+  router.post("/actions/:id/submit", express.json({ limit: "64kb" }), async (req, res) => {
+    try {
+      if (!isActionId(req.params.id)) {
+        return res.status(400).json({ error: "Invalid action id" });
+      }
+      const { signedTransaction } = req.body || {};
+      if (typeof signedTransaction !== "string") {
+        return res.status(400).json({ error: "Missing required field: signedTransaction" });
+      }
+      const client = identitySession(req, res);
+      if (!client) return;
+
+      const store = epistery.identityActions(epistery.domainName);
+      const action = await store.get(req.params.id);
+      if (!action) return res.status(404).json({ error: "No such action", reason: "not_found" });
+      if (action.status !== "approved" || !action.preparedId) {
+        return res.status(409).json({
+          error: action.status === "approved" ? "Action has not been prepared" : `Action is ${action.status}`,
+          reason: "state",
+          action,
+        });
+      }
+      if (client.signerAddress?.toLowerCase() !== action.preparedFor) {
+        return res.status(403).json({
+          error: "The transaction was prepared for another rivet",
+          reason: "signer",
+        });
+      }
+
+      // The prepared id binds the signed transaction to this removal: same
+      // signer, contract and calldata, or it isn't relayed.
+      const result = await Epistery.broadcastSignedTransaction(signedTransaction, action.preparedId, {
+        domain: epistery.domainName,
+        operation: "IdentityContract.removeRivet",
+      });
+      if (!result.ok) {
+        return res
+          .status(result.reason === "prepared" ? 409 : 400)
+          .json({ error: result.message, reason: result.reason });
+      }
+      const submitted = await store.submitted(action.id, result.transactionHash, result.chainId);
+      res.status(202).json({
+        action: submitted.action,
+        transactionHash: result.transactionHash,
+        chainId: result.chainId,
+        status: "pending",
+      });
+    } catch (error) {
+      console.error("Submit identity action error:", error);
+      res.status(500).json({ error: error.reason || error.message });
+    }
+  });
+
   return router;
 }
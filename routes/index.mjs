@@ -7,6 +7,12 @@ import connectRoutes from "./connect.mjs";
 import identityRoutes from "./identity.mjs";
 import domainRoutes from "./domain.mjs";
 import fidoRoutes from "./fido.mjs";
+import sessionRoutes from "./sessions.mjs";
+import delegationRoutes, { refuseDelegation } from "./delegation.mjs";
+import txRoutes from "./tx.mjs";
+import sponsorshipRoutes from "./sponsorship.mjs";
+import eventRoutes from "./events.mjs";
+import inviteRoutes from "./invites.mjs";
 
 /**
  * Creates and configures all Epistery routes
@@ -16,12 +22,23 @@ import fidoRoutes from "./fido.mjs";
  *   /lib/:module          - Client library files
  *   /artifacts/:file      - Contract artifacts
  *   /connect              - Key exchange (binds a rivet to its IdentityContract)
+ *   /connect/challenge    - Single-use key-exchange challenge
+ *   /sessions/*           - Active-session listing and revocation
+ *   /delegation/*         - Delegation token inspection and revocation
  *   /create               - Create wallet
  *   /auth/*               - Authentication & domain claiming
- *   /identity/*           - Identity contract binding (prepare-add-rivet)
+ *   /identity/*           - Identity contract binding, governance prepares and
+ *                           the multi-rivet approval queue
+ *   /tx/*                 - Prepare, submit and track client-signed transactions
+ *   /sponsorship/*        - Gas sponsorship policy, usage and ledger
+ *   /events/*             - Indexed identity and section event history
+ *   /invites/*            - Section invite codes: create, share, redeem, list
  *   /domain/*             - Domain initialization
  *   /fido/*               - FIDO PRF-wrapped rivet key blob storage
  *
+ * /sessions, /identity, /tx, /sponsorship and /invites refuse a client that
+ * only holds a delegation token (refuseDelegation in delegation.mjs).
+ *
  * @param {Object} epistery - The EpisteryAttach instance
  * @returns {express.Router}
  */
@@ -34,11 +51,29 @@ export default function createRoutes(epistery) {
   // Connect routes (/connect, /create)
   router.use(connectRoutes(epistery));
 
+  // Session routes (/sessions/:identityAddress — list and revoke)
+  router.use("/sessions", refuseDelegation, sessionRoutes(epistery));
+
+  // Delegation routes (/delegation, /delegation/revoke, /delegation/revoked/:subject)
+  router.use("/delegation", delegationRoutes(epistery));
+
   // Auth routes (/auth/*)
   router.use("/auth", authRoutes(epistery));
 
   // Identity routes (/identity/*)
-  router.use("/identity", identityRoutes(epistery));
+  router.use("/identity", refuseDelegation, identityRoutes(epistery));
+
+  // Transaction routes (/tx/prepare, /tx/submit, /tx/status/:hash)
+  router.use("/tx", refuseDelegation, txRoutes(epistery));
+
+  // Sponsorship routes (/sponsorship, /sponsorship/ledger)
+  router.use("/sponsorship", refuseDelegation, sponsorshipRoutes(epistery));
+
+  // Event history routes (/events/status, /events/identity/:contractAddress, /events/access/:section)
+  router.use("/events", eventRoutes(epistery));
+
+  // Invite routes (/invites/prepare, /invites/:codeHash/submit, /invites/redeem, /invites)
+  router.use("/invites", refuseDelegation, inviteRoutes(epistery));
 
   // Domain routes (/domain/*)
   router.use("/domain", domainRoutes(epistery));
@@ -0,0 +1,360 @@
+import express from "express";
+import { Epistery } from "../dist/epistery.js";
+import { roleValue, roleName } from "../dist/utils/AccessControl.js";
+import { sendSponsorshipRefusal } from "./sponsorship.mjs";
+
+/**
+ * Invite routes - join a section of an EpisteryAccess contract by code.
+ *
+ * An issuer who manages a section asks for an invite; the server draws a
+ * random code, prepares createInvite(keccak256(code), section, role) for the
+ * issuer's rivet to sign, and answers the code once, with a shareable link.
+ * Whoever holds the code redeems it for their identity; redeemInvite takes
+ * any caller, so the domain wallet sends it and pays the gas.
+ *
+ * Endpoints:
+ *   POST /invites/prepare            - createInvite for the issuer to sign;
+ *                                      answers the code and its share link
+ *   POST /invites/:codeHash/submit   - Broadcast the signed createInvite
+ *   POST /invites/redeem             - Redeem a code for the session's identity
+ *   GET  /invites?contract=0x…&section=name
+ *                                    - A section's outstanding invites
+ *
+ * The link is `https://<host>/#epistery-invite=<code>&contract=<address>`;
+ * the code rides in the fragment so it never reaches a server log. `qr` is
+ * the same text, for the page to render.
+ *
+ * The code is never stored (src/utils/InviteStore.ts keeps its hash). Its
+ * hash is public once createInvite is mined, in InviteCreated, and
+ * redeemInvite checks nothing else: an open invite can be redeemed by anyone
+ * who reads the chain. Invites suit low-stakes sections; share and redeem
+ * them promptly.
+ *
+ * Auth model: every route takes a session. Preparing needs a session for
+ * signerAddress, which must manage the section (admin or owner, checked
+ * on-chain); submitting, the same rivet. Redemption is for the session's
+ * identity (its IdentityContract when bound, else the rivet). Listing needs
+ * admin on the section, or the domain admin.
+ *
+ * @param {Object} epistery - The EpisteryAttach instance
+ * @returns {express.Router}
+ */
+export default function inviteRoutes(epistery) {
+  const router = express.Router();
+  const json = express.json({ limit: "16kb" });
+
+  const isHexAddress = (s) =>
+    typeof s === "string" && /^0x[a-fA-F0-9]{40}$/.test(s);
+  const isCodeHash = (s) => typeof s === "string" && /^0x[a-fA-F0-9]{64}$/.test(s);
+  const isSection = (s) => typeof s === "string" && s.length > 0 && s.length <= 128;
+
+  // The ledger that funds this request's signer, for the request's domain.
+  const sponsorshipFor = (client) => ({
+    ledger: epistery.sponsorshipLedger(epistery.domainName),
+    identityAddress: client.identityAddress,
+  });
+
+  function shareLink(req, code, contractAddress) {
+    const proto = req.get("x-forwarded-proto")?.split(",")[0].trim() || req.protocol;
+    const link = `${proto}://${req.get("host")}/#epistery-invite=${encodeURIComponent(code)}&contract=${contractAddress}`;
+    return { link, qr: link };
+  }
+
+  // A submitted invite settles when its createInvite is mined, or fails when it
+  // reverted or its nonce went to another transaction.
+  async function settle(store, invite) {
+    if (invite.status !== "submitted") return invite;
+    const status = await Epistery.getTransactionStatus(invite.transactionHash, {
+      domain: epistery.domainName,
+      chainId: invite.chainId,
+    });
+    if (!status || status.status === "pending" || status.status === "unknown") return invite;
+    const result = await store.settled(invite.codeHash, status.status === "confirmed" ? "open" : "failed");
+    return result.invite || invite;
+  }
+
+  /**
+   * POST /invites/prepare
+   *
+   * Body: { signerAddress, contractAddress, section, role } — role by name
+   * ('read', 'write', 'admin') or number. Answers the unsigned createInvite
+   * with `code`, `share` and the recorded `invite`; the code is not shown
+   * again.
+   */
+  router.post("/prepare", json, async (req, res) => {
+    try {
+      const { signerAddress, contractAddress, section, role = "read" } = req.body || {};
+      if (!signerAddress || !contractAddress || section === undefined) {
+        return res.status(400).json({
+          error: "Missing required fields: signerAddress, contractAddress, section",
+        });
+      }
+      if (!isHexAddress(signerAddress) || !isHexAddress(contractAddress)) {
+        return res.status(400).json({ error: "Invalid address" });
+      }
+      if (!isSection(section)) {
+        return res.status(400).json({ error: "Invalid section" });
+      }
+      let roleNumber;
+      try {
+        roleNumber = roleValue(role);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      if (roleNumber < 1) {
+        return res.status(400).json({ error: "An invite must grant at least read" });
+      }
+
+      const client = req.episteryClient;
+      if (!client) {
+        return res.status(401).json({ error: "Not authenticated" });
+      }
+      if (client.signerAddress?.toLowerCase() !== signerAddress.toLowerCase()) {
+        return res.status(403).json({
+          error: "signerAddress must be the rivet this session belongs to",
+          reason: "signer",
+        });
+      }
+
+      const result = await Epistery.prepareCreateInvite(
+        signerAddress,
+        contractAddress,
+        section,
+        roleNumber,
+        epistery.domainName,
+        sponsorshipFor(client),
+      );
+      if (!result.ok) {
+        if (result.reason === "unauthorized") {
+          return res.status(403).json({ error: result.message, reason: result.reason });
+        }
+        return sendSponsorshipRefusal(res, result);
+      }
+
+      const { ok, code, codeHash, ...prepared } = result;
+      const invite = await epistery.inviteStore(epistery.domainName).prepared({
+        codeHash,
+        contractAddress,
+        section,
+        role: roleNumber,
+        issuer: client.identityAddress,
+        signerAddress,
+        preparedId: prepared.metadata.preparedId,
+      });
+      res.json({ invite, code, share: shareLink(req, code, contractAddress), ...prepared });
+    } catch (error) {
+      console.error("Prepare invite error:", error);
+      res.status(500).json({ error: error.reason || error.message });
+    }
+  });
+
+  /**
+   * POST /invites/:codeHash/submit
+   *
+   * Broadcast the issuer's signed createInvite and mark the invite
+   * submitted. Answers 202, like POST /tx/submit; the invite opens once
+   * mined (GET /invites settles it).
+   */
+  router.post("/:codeHash/submit", express.json({ limit: "64kb" }), async (req, res) => {
+    try {
+      if (!isCodeHash(req.params.codeHash)) {
+        return res.status(400).json({ error: "Invalid invite" });
+      }
+      const { signedTransaction } = req.body || {};
+      if (typeof signedTransaction !== "string") {
+        return res.status(400).json({ error: "Missing required field: signedTransaction" });
+      }
+      const client = req.episteryClient;
+      if (!client) {
+        return res.status(401).json({ error: "Not authenticated" });
+      }
+
+      const store = epistery.inviteStore(epistery.domainName);
+      const invite = await store.get(req.params.codeHash);
+      if (!invite) return res.status(404).json({ error: "No such invite", reason: "not_found" });
+      if (invite.status !== "prepared" || !invite.preparedId) {
+        return res.status(409).json({ error: `Invite is ${invite.status}`, reason: "state", invite });
+      }
+      if (client.signerAddress?.toLowerCase() !== invite.signerAddress) {
+        return res.status(403).json({
+          error: "The invite was prepared for another rivet",
+          reason: "signer",
+        });
+      }
+
+      const result = await Epistery.broadcastSignedTransaction(signedTransaction, invite.preparedId, {
+        domain: epistery.domainName,
+        operation: "EpisteryAccess.createInvite",
+      });
+      if (!result.ok) {
+        return res
+          .status(result.reason === "prepared" ? 409 : 400)
+          .json({ error: result.message, reason: result.reason });
+      }
+      const submitted = await store.submitted(invite.codeHash, result.transactionHash, result.chainId);
+      res.status(202).json({
+        invite: submitted.invite,
+        transactionHash: result.transactionHash,
+        chainId: result.chainId,
+        status: "pending",
+      });
+    } catch (error) {
+      console.error("Submit invite error:", error);
+      res.status(500).json({ error: error.reason || error.message });
+    }
+  });
+
+  /**
+   * POST /invites/redeem
+   *
+   * Body: { code, contractAddress, name? } — contractAddress may be left
+   * out for an invite issued through this host. Redeems for the session's
+   * identity, with the domain wallet paying (within the sponsorship
+   * policy). Answers 202 with the redeemInvite hash; a code with no open
+   * invite behind it is 404 `invite`.
+   */
+  router.post("/redeem", json, async (req, res) => {
+    try {
+      const { code, name = "" } = req.body || {};
+      if (typeof code !== "string" || code.length === 0 || code.length > 128) {
+        return res.status(400).json({ error: "Missing required field: code" });
+      }
+      if (typeof name !== "string" || name.length > 64) {
+        return res.status(400).json({ error: "Invalid name" });
+      }
+      const client = req.episteryClient;
+      if (!client) {
+        return res.status(401).json({ error: "Not authenticated" });
+      }
+
+      const store = epistery.inviteStore(epistery.domainName);
+      const codeHash = Epistery.inviteCodeHash(code);
+      const known = await store.get(codeHash);
+      const contractAddress = req.body.contractAddress || known?.contractAddress;
+      if (!isHexAddress(contractAddress)) {
+        return res.status(400).json({ error: "Invalid contract address" });
+      }
+      if (known?.status === "redeemed") {
+        return res.status(409).json({ error: "Invite has already been redeemed", reason: "state" });
+      }
+
+      const result = await Epistery.redeemInvite(
+        code,
+        contractAddress,
+        client.identityAddress,
+        name,
+        epistery.domainName,
+        sponsorshipFor(client),
+      );
+      if (!result.ok) {
+        if (result.reason === "invite") {
+          return res.status(404).json({ error: result.message, reason: result.reason });
+        }
+        return sendSponsorshipRefusal(res, result);
+      }
+
+      const invite = await store.redeemed(codeHash, {
+        contractAddress,
+        redeemedBy: result.redeemer,
+        transactionHash: result.transactionHash,
+      });
+      res.status(202).json({
+        invite,
+        transactionHash: result.transactionHash,
+        chainId: result.chainId,
+        status: "pending",
+      });
+    } catch (error) {
+      console.error("Redeem invite error:", error);
+      res.status(500).json({ error: error.reason || error.message });
+    }
+  });
+
+  /**
+   * GET /invites?contract=0x…&section=name
+   *
+   * The section's outstanding invites (submitted or open), newest first.
+   * With the event indexer watching the contract, invites created or
+   * redeemed through other hosts are folded in from InviteCreated and
+   * InviteRedeemed.
+   */
+  router.get("/", async (req, res) => {
+    try {
+      const client = req.episteryClient;
+      if (!client) {
+        return res.status(401).json({ error: "Not authenticated" });
+      }
+      const contractAddress = req.query.contract;
+      if (!isHexAddress(contractAddress)) {
+        return res.status(400).json({ error: "Invalid contract address" });
+      }
+      const section = req.query.section;
+      if (!isSection(section)) {
+        return res.status(400).json({ error: "Missing required query: section" });
+      }
+
+      if (!(await epistery.isDomainAdmin(client.identityAddress))) {
+        let role;
+        try {
+          const checker = await epistery.accessChecker();
+          if (!checker) throw new Error(`No provider for ${epistery.domainName}`);
+          role = await checker.roleOf(contractAddress, section, client.identityAddress);
+        } catch {
+          return res.status(503).json({ error: "Could not verify access on-chain", reason: "unavailable" });
+        }
+        if (role < 3) {
+          return res.status(403).json({ error: `Requires admin on ${section}`, reason: "forbidden" });
+        }
+      }
+
+      const store = epistery.inviteStore(epistery.domainName);
+      const recorded = await store.list(contractAddress, { section, statuses: ["submitted", "open"] });
+      const invites = [];
+      for (const invite of recorded) {
+        const settled = await settle(store, invite);
+        if (settled.status === "submitted" || settled.status === "open") invites.push(settled);
+      }
+
+      const indexer = await epistery.eventIndexer(epistery.domainName);
+      if (indexer && (await indexer.watched(contractAddress))) {
+        const events = await indexer.history(contractAddress, {
+          events: ["InviteCreated", "InviteRedeemed"],
+          section,
+        });
+        const redeemed = new Set(
+          events.filter((e) => e.event === "InviteRedeemed").map((e) => String(e.args.codeHash).toLowerCase()),
+        );
+        const listed = new Set(invites.map((i) => i.codeHash));
+        for (const e of events) {
+          const codeHash = String(e.args.codeHash).toLowerCase();
+          if (e.event !== "InviteCreated" || listed.has(codeHash) || redeemed.has(codeHash)) continue;
+          listed.add(codeHash);
+          invites.push({
+            codeHash,
+            contractAddress: contractAddress.toLowerCase(),
+            section: e.args.section,
+            role: Number(e.args.role),
+            issuer: String(e.args.by),
+            status: "open",
+            transactionHash: e.transactionHash,
+            blockNumber: e.blockNumber,
+          });
+        }
+        for (let i = invites.length - 1; i >= 0; i--) {
+          if (redeemed.has(invites[i].codeHash)) invites.splice(i, 1);
+        }
+      }
+
+      res.json({
+        contractAddress,
+        section,
+        invites: invites.map((i) => ({ ...i, roleName: roleName(i.role) })),
+      });
+    } catch (error) {
+      console.error("Invite list error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,105 @@
+import express from "express";
+
+/**
+ * Session routes — list and revoke the `_epistery` sessions recorded in the
+ * domain's session registry.
+ *
+ * Endpoints:
+ *   GET    /sessions/:identityAddress        - Active sessions for an identity
+ *   DELETE /sessions/:identityAddress        - Revoke all of them
+ *   DELETE /sessions/:identityAddress/:sid   - Revoke one
+ *
+ * Auth model: the caller must be authenticated (cookie or Bot) and either be
+ * the domain's verified admin or act on its own identityAddress — a user can
+ * see and end their own sessions on other devices, an admin can end anyone's.
+ * Logging out the current session is DELETE /connect.
+ *
+ * @param {Object} epistery - The EpisteryAttach instance
+ * @returns {express.Router}
+ */
+export default function sessionRoutes(epistery) {
+  const router = express.Router();
+
+  const isHexAddress = (s) =>
+    typeof s === "string" && /^0x[a-fA-F0-9]{40}$/.test(s);
+
+  // Resolve the target identity and check the caller may act on it. Sends
+  // the error response and returns null when not.
+  async function authorize(req, res) {
+    const client = req.episteryClient;
+    if (!client) {
+      res.status(401).json({ error: "Not authenticated" });
+      return null;
+    }
+    const identityAddress = req.params.identityAddress;
+    if (!isHexAddress(identityAddress)) {
+      res.status(400).json({ error: "Invalid identityAddress" });
+      return null;
+    }
+    const self =
+      client.identityAddress?.toLowerCase() === identityAddress.toLowerCase();
+    if (!self && !(await epistery.isDomainAdmin(client.identityAddress))) {
+      res.status(403).json({
+        error: "Only the domain admin may manage another identity's sessions",
+      });
+      return null;
+    }
+    return identityAddress;
+  }
+
+  router.get("/:identityAddress", async (req, res) => {
+    try {
+      const identityAddress = await authorize(req, res);
+      if (!identityAddress) return;
+      const sessions = await epistery
+        .sessionRegistry(epistery.domainName)
+        .list(identityAddress);
+      res.json({
+        identityAddress,
+        sessions: sessions.map((s) => ({
+          ...s,
+          current: s.sid === req.episterySessionId,
+        })),
+      });
+    } catch (error) {
+      console.error("Session list error:", error);
+      res.status(500).json({ error: "Failed to list sessions" });
+    }
+  });
+
+  router.delete("/:identityAddress", async (req, res) => {
+    try {
+      const identityAddress = await authorize(req, res);
+      if (!identityAddress) return;
+      const revoked = await epistery
+        .sessionRegistry(epistery.domainName)
+        .revokeIdentity(identityAddress);
+      res.json({ identityAddress, revoked });
+    } catch (error) {
+      console.error("Session revoke error:", error);
+      res.status(500).json({ error: "Failed to revoke sessions" });
+    }
+  });
+
+  router.delete("/:identityAddress/:sid", async (req, res) => {
+    try {
+      const identityAddress = await authorize(req, res);
+      if (!identityAddress) return;
+      const registry = epistery.sessionRegistry(epistery.domainName);
+      const session = await registry.get(req.params.sid);
+      if (
+        !session ||
+        session.identityAddress.toLowerCase() !== identityAddress.toLowerCase()
+      ) {
+        return res.status(404).json({ error: "Session not found" });
+      }
+      const revoked = await registry.revoke(session.sid);
+      res.json({ identityAddress, sid: session.sid, revoked });
+    } catch (error) {
+      console.error("Session revoke error:", error);
+      res.status(500).json({ error: "Failed to revoke session" });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,104 @@
+import express from "express";
+import { Utils } from "../dist/utils/Utils.js";
+
+// HTTP status for each SponsorshipLedger refusal reason.
+const REFUSAL_STATUS = {
+  operation: 403,
+  identity_quota: 429,
+  daily_budget: 503,
+  monthly_budget: 503,
+};
+
+/**
+ * Answer a prepare request the sponsorship ledger refused:
+ * `{ error, reason, retryAfter? }`, with Retry-After when the refusal lifts.
+ * Shared by every route that funds a signer.
+ */
+export function sendSponsorshipRefusal(res, refusal) {
+  if (refusal.retryAfter) res.set("Retry-After", String(refusal.retryAfter));
+  res.status(REFUSAL_STATUS[refusal.reason] || 403).json({
+    error: refusal.message,
+    reason: refusal.reason,
+    ...(refusal.retryAfter ? { retryAfter: refusal.retryAfter } : {}),
+  });
+}
+
+/**
+ * Sponsorship routes — the domain's gas sponsorship policy, what it has
+ * spent, and its ledger of funding transfers.
+ *
+ * Endpoints:
+ *   GET /sponsorship          - Policy, the domain's spend today and this
+ *                               month, and the caller's own last-24h usage
+ *   GET /sponsorship/ledger   - Funding transfers, newest first
+ *                               (?identity=0x…, ?since=<ms>, ?limit=n)
+ *
+ * Auth model: the caller must be authenticated. The ledger is the domain
+ * admin's; anyone else may only read their own identity's entries.
+ *
+ * @param {Object} epistery - The EpisteryAttach instance
+ * @returns {express.Router}
+ */
+export default function sponsorshipRoutes(epistery) {
+  const router = express.Router();
+
+  const isHexAddress = (s) =>
+    typeof s === "string" && /^0x[a-fA-F0-9]{40}$/.test(s);
+
+  async function domainChainId(domain) {
+    const provider = (await Utils.GetDomainInfo(domain))?.provider;
+    return provider?.chainId == null ? null : Number(provider.chainId);
+  }
+
+  router.get("/", async (req, res) => {
+    try {
+      const client = req.episteryClient;
+      if (!client) {
+        return res.status(401).json({ error: "Not authenticated" });
+      }
+      const domain = epistery.domainName;
+      const chainId = await domainChainId(domain);
+      if (chainId == null) {
+        return res.status(500).json({ error: `No provider configured for ${domain}` });
+      }
+      const ledger = epistery.sponsorshipLedger(domain);
+      const usage = await ledger.usage(chainId, client.identityAddress);
+      const { retainDays, ...policy } = ledger.policy;
+      res.json({ domain, policy, usage });
+    } catch (error) {
+      console.error("Sponsorship usage error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get("/ledger", async (req, res) => {
+    try {
+      const client = req.episteryClient;
+      if (!client) {
+        return res.status(401).json({ error: "Not authenticated" });
+      }
+      const identity = req.query.identity;
+      if (identity !== undefined && !isHexAddress(identity)) {
+        return res.status(400).json({ error: "Invalid identity address" });
+      }
+      const self =
+        identity?.toLowerCase() === client.identityAddress?.toLowerCase();
+      if (!self && !(await epistery.isDomainAdmin(client.identityAddress))) {
+        return res.status(403).json({
+          error: "Only the domain admin may read another identity's sponsorship",
+        });
+      }
+      const since = req.query.since === undefined ? undefined : Number(req.query.since);
+      const limit = Math.min(Number(req.query.limit) || 100, 1000);
+      const entries = await epistery
+        .sponsorshipLedger(epistery.domainName)
+        .list({ identityAddress: identity, since: Number.isFinite(since) ? since : undefined });
+      res.json({ entries: entries.slice(0, limit), total: entries.length });
+    } catch (error) {
+      console.error("Sponsorship ledger error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
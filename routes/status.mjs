@@ -28,6 +28,10 @@ export default function statusRoutes(epistery) {
     "witness.js": path.resolve(rootDir, "client/witness.js"),
     "wallet.js": path.resolve(rootDir, "client/wallet.js"),
     "export.js": path.resolve(rootDir, "client/export.js"),
+    "delegation-message.mjs": path.resolve(rootDir, "client/delegation-message.mjs"),
+    "step-up-message.mjs": path.resolve(rootDir, "client/step-up-message.mjs"),
+    "fido-blob-message.mjs": path.resolve(rootDir, "client/fido-blob-message.mjs"),
+    "identity-action-message.mjs": path.resolve(rootDir, "client/identity-action-message.mjs"),
     "ethers.js": path.resolve(rootDir, "client/ethers.js"),
     "ethers.min.js": path.resolve(rootDir, "client/ethers.min.js"),
   };
@@ -0,0 +1,167 @@
+import express from "express";
+import { Epistery } from "../dist/epistery.js";
+import { sendSponsorshipRefusal } from "./sponsorship.mjs";
+
+/**
+ * Transaction routes — prepare calls to any compiled contract for the
+ * client's rivet to sign, broadcast them once signed, and report on them.
+ *
+ * Endpoints:
+ *   POST /tx/prepare       - Unsigned transaction for artifact.functionName(args),
+ *                            or to deploy the artifact
+ *   POST /tx/submit        - Broadcast a signed, prepared transaction; returns its hash
+ *   GET  /tx/status/:hash  - pending / confirmed / reverted / unknown, with the receipt
+ *
+ * Body: `{ artifact, functionName, args, to, value?, sponsor? }`. `artifact`
+ * names a contract under artifacts/ (as served at /artifacts/:file);
+ * `functionName` is a name, or a full signature for overloads. The function,
+ * arg count and arg types are checked against the ABI before anything
+ * touches the chain. Leave out `to` and `functionName` to deploy the
+ * artifact: `args` go to its constructor, and the receipt (see
+ * /tx/status/:hash) carries the new contract's address.
+ *
+ * Auth model: the caller must be authenticated (cookie or Bot); the
+ * transaction is prepared for its signerAddress. `sponsor: true` asks the
+ * domain wallet to fund the signer for the call, which the host must allow
+ * with `options.tx.sponsor` and the domain's sponsorship policy must cover
+ * (operation `<artifact>.<function>`).
+ *
+ * Submission needs no session: the signature is the authority. But only
+ * transactions this host prepared are relayed — the body's
+ * `metadata.preparedId` must name one, and the signed transaction must keep
+ * its chainId, signer, `to`, `data` and `value` (any prepare route's output
+ * qualifies, e.g. /identity/prepare-add-rivet). The answer comes as soon as
+ * the node accepts it; poll /tx/status/:hash for the receipt.
+ *
+ * @param {Object} epistery - The EpisteryAttach instance
+ * @returns {express.Router}
+ */
+export default function txRoutes(epistery) {
+  const router = express.Router();
+
+  const isHexAddress = (s) =>
+    typeof s === "string" && /^0x[a-fA-F0-9]{40}$/.test(s);
+
+  const isTxHash = (s) => typeof s === "string" && /^0x[a-fA-F0-9]{64}$/.test(s);
+
+  const submitStatus = { transaction: 400, chain: 400, prepared: 409 };
+
+  router.post("/prepare", express.json({ limit: "16kb" }), async (req, res) => {
+    try {
+      const client = req.episteryClient;
+      if (!client?.signerAddress) {
+        return res.status(401).json({ error: "Not authenticated" });
+      }
+      const domain = epistery.domainName;
+      if (!domain) {
+        return res.status(500).json({ error: "Domain not configured" });
+      }
+
+      const { artifact, functionName, args, to, value, sponsor } = req.body || {};
+      const deploy = to === undefined && functionName === undefined;
+      if (!artifact || (!deploy && (!functionName || !to))) {
+        return res.status(400).json({
+          error: "Missing required fields: artifact, functionName, to (or neither, to deploy)",
+        });
+      }
+      if (!deploy && !isHexAddress(to)) {
+        return res.status(400).json({ error: "Invalid contract address", reason: "args" });
+      }
+      if (args !== undefined && !Array.isArray(args)) {
+        return res.status(400).json({ error: "args must be an array", reason: "args" });
+      }
+      if (sponsor === true && !epistery.options.tx?.sponsor) {
+        return res.status(403).json({
+          error: "This host does not sponsor transactions",
+          reason: "sponsor",
+        });
+      }
+
+      const result = await Epistery.prepareContractCall(
+        {
+          from: client.signerAddress,
+          to: deploy ? undefined : to,
+          artifact: String(artifact),
+          functionName: deploy ? undefined : String(functionName),
+          args: args || [],
+          value: value === undefined ? undefined : String(value),
+          sponsor: sponsor === true,
+        },
+        domain,
+        {
+          ledger: epistery.sponsorshipLedger(domain),
+          identityAddress: client.identityAddress,
+        },
+      );
+      if (!result.ok) {
+        if (["artifact", "function", "args"].includes(result.reason)) {
+          return res.status(400).json({ error: result.message, reason: result.reason });
+        }
+        return sendSponsorshipRefusal(res, result);
+      }
+      const { ok, ...prepared } = result;
+      res.json(prepared);
+    } catch (error) {
+      console.error("Prepare transaction error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post("/submit", express.json({ limit: "64kb" }), async (req, res) => {
+    try {
+      const { signedTransaction, operation, metadata } = req.body || {};
+      if (typeof signedTransaction !== "string" || !metadata?.preparedId) {
+        return res.status(400).json({
+          error: "Missing required fields: signedTransaction, metadata.preparedId",
+        });
+      }
+      const result = await Epistery.broadcastSignedTransaction(
+        signedTransaction,
+        String(metadata.preparedId),
+        {
+          domain: epistery.domainName || undefined,
+          operation: typeof operation === "string" ? operation : undefined,
+        },
+      );
+      if (!result.ok) {
+        return res
+          .status(submitStatus[result.reason])
+          .json({ error: result.message, reason: result.reason });
+      }
+      const { ok, ...submitted } = result;
+      res.status(202).json({ ...submitted, status: "pending" });
+    } catch (error) {
+      console.error("Submit transaction error:", error);
+      res.status(500).json({ error: error.reason || error.message });
+    }
+  });
+
+  router.get("/status/:hash", async (req, res) => {
+    try {
+      const hash = req.params.hash;
+      if (!isTxHash(hash)) {
+        return res.status(400).json({ error: "Invalid transaction hash" });
+      }
+      const chainId = req.query.chainId === undefined ? undefined : Number(req.query.chainId);
+      if (chainId !== undefined && !Number.isInteger(chainId)) {
+        return res.status(400).json({ error: "Invalid chainId" });
+      }
+      const status = await Epistery.getTransactionStatus(hash, {
+        domain: epistery.domainName || undefined,
+        chainId,
+      });
+      if (!status) {
+        return res.status(400).json({
+          error: "No configured chain for this transaction",
+          reason: "chain",
+        });
+      }
+      res.json(status);
+    } catch (error) {
+      console.error("Transaction status error:", error);
+      res.status(503).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
@@ -1,5 +1,8 @@
 import { ethers } from 'ethers';
 import { ProviderConfig } from '../utils/types';
+import { NonceBackend, NonceManager } from './NonceManager';
+import { RpcPool, RpcPoolOptions, RpcEndpointStats } from './RpcPool';
+import { TransactionBackend, TransactionTracker } from './TransactionTracker';
 
 /**
  * Per-chain fee data, returned in the shape ethers v5 expects on a transaction.
@@ -29,6 +32,10 @@ export interface ChainPolicy {
   maxGasPriceGwei?: number;         // legacy-chain analogue of maxFeePerGasGwei
   // Gas limit estimation safety
   gasLimitMultiplier?: number;      // applied to estimateGas result
+  // Stuck transactions (see TransactionTracker.ts)
+  replaceAfterSeconds?: number;     // re-price a pending send after this long (default 120)
+  feeBumpPercent?: number;          // raise its fees by at least this much (default 15)
+  maxFeeBumps?: number;             // then give up re-pricing (default 5)
 }
 
 /**
@@ -39,6 +46,12 @@ export interface ChainPolicy {
 export interface ChainConfig extends ProviderConfig {
   publicRpc?: string;
   privateRpc?: string;
+  /**
+   * Failover endpoints, in order, tried after privateRpc (or rpc). With any
+   * set the provider is a health-checked pool (see RpcPool.ts).
+   */
+  rpcs?: string[];
+  rpcPool?: RpcPoolOptions;
   policy?: ChainPolicy;
   /**
    * Short names a user may type instead of the chainId — `epistery
@@ -53,10 +66,13 @@ export interface ChainConfig extends ProviderConfig {
  * that are actually different from the EIP-1559 default.
  *
  * The Chain object owns:
- *   - the JsonRpcProvider (with explicit network info, fixing "could not detect network")
+ *   - the JsonRpcProvider (with explicit network info, fixing "could not detect network"),
+ *     failing over across the chain's RPC endpoints
  *   - per-chain fee policy (getFeeData)
  *   - the contract Proxy that injects fee data into write calls
  *   - gas-limit estimation with a per-chain safety multiplier
+ *   - nonce sequencing for server-wallet sends (sendTransaction)
+ *   - tracking and re-pricing of what it sends until it mines
  *
  * The Chain object does NOT own:
  *   - wallets / private keys
@@ -72,14 +88,37 @@ export class Chain {
    */
   static defaults: Partial<ChainConfig> = {};
 
+  /**
+   * Process-wide nonce sequencer behind sendTransaction(). Chain instances
+   * are cheap and built per call, so the sequence can't live on one of them.
+   * Swap the backend with `Chain.useNonceBackend()` to share it across hosts.
+   */
+  static nonces: NonceManager = new NonceManager();
+
+  static useNonceBackend(backend: NonceBackend): void {
+    Chain.nonces = new NonceManager(backend);
+  }
+
+  /**
+   * Process-wide tracker that follows sent transactions until they mine and
+   * re-prices the stuck ones. Its pending state survives a restart; swap the
+   * backend with `Chain.useTransactionBackend()`.
+   */
+  static transactions: TransactionTracker = new TransactionTracker();
+
+  static useTransactionBackend(backend: TransactionBackend): void {
+    Chain.transactions.close();
+    Chain.transactions = new TransactionTracker(backend);
+  }
+
   readonly chainId: number;
   readonly name: string;
   readonly rpc: string;                       // private/server-side RPC (with API key if any)
+  readonly rpcs: string[];                    // rpc, then the failover endpoints
   readonly publicRpc: string | undefined;     // public RPC (safe to expose to browsers)
   readonly currency: { name: string; symbol: string; decimals: number };
   readonly policy: ChainPolicy;
-
-  private _provider: ethers.providers.JsonRpcProvider | null = null;
+  private readonly rpcPoolOptions: RpcPoolOptions;
 
   constructor(config: ChainConfig) {
     if (config.chainId == null) {
@@ -88,6 +127,11 @@ export class Chain {
     this.chainId = Number(config.chainId);
     this.name = config.name || '';
     this.rpc = config.privateRpc || config.rpc;
+    // A provider block read straight from ini carries `rpcs` as "a, b".
+    const rpcs: any = config.rpcs;
+    const failover: string[] = typeof rpcs === 'string' ? rpcs.split(',') : Array.isArray(rpcs) ? rpcs : [];
+    this.rpcs = [...new Set([this.rpc, ...failover.map(url => String(url).trim())].filter(Boolean))];
+    this.rpcPoolOptions = config.rpcPool || {};
     this.publicRpc = config.publicRpc || config.rpc;
     this.currency = {
       name: config.nativeCurrencyName || '',
@@ -97,20 +141,34 @@ export class Chain {
     this.policy = config.policy || {};
   }
 
+  /** The process-wide endpoint pool for this chain's RPCs. */
+  get rpcPool(): RpcPool {
+    return RpcPool.for(this.chainId, this.name, this.rpcs, this.rpcPoolOptions);
+  }
+
   /**
-   * Lazily-built provider with explicit network info.
+   * Provider with explicit network info, over the endpoint pool.
    * Passing `{ name, chainId }` to the JsonRpcProvider constructor avoids
    * ethers' "could not detect network" error when the RPC is briefly
    * unreachable at startup — ethers will skip its eth_chainId probe.
    */
   get provider(): ethers.providers.JsonRpcProvider {
-    if (!this._provider) {
-      this._provider = new ethers.providers.JsonRpcProvider(this.rpc, {
-        name: this.name,
-        chainId: this.chainId,
-      });
-    }
-    return this._provider;
+    return this.rpcPool.provider;
+  }
+
+  /**
+   * The same provider with eth_call, eth_getCode, eth_getStorageAt and
+   * eth_getBalance answered by a quorum of endpoints. For reads that
+   * authorize someone, like isAuthorized or isValidSignature. With one
+   * endpoint it is the plain provider's behaviour.
+   */
+  get quorumProvider(): ethers.providers.JsonRpcProvider {
+    return this.rpcPool.quorumProvider;
+  }
+
+  /** Per-endpoint health, latency and error counts in this process. */
+  rpcHealth(): RpcEndpointStats[] {
+    return this.rpcPool.stats();
   }
 
   /** EIP-1559 by default. Subclasses override for legacy gasPrice chains. */
@@ -137,6 +195,15 @@ export class Chain {
     throw new Error(`Chain ${this.name} (${this.chainId}) returned no usable fee data`);
   }
 
+  /**
+   * The most this chain's policy will pay per gas, in wei: the cap on a
+   * re-priced transaction. Null when the chain sets none.
+   */
+  feeCeiling(): ethers.BigNumber | null {
+    const gwei = this.supportsEIP1559() ? this.policy.maxFeePerGasGwei : this.policy.maxGasPriceGwei;
+    return gwei != null ? this.gwei(gwei) : null;
+  }
+
   /**
    * Estimate gas limit with this chain's safety multiplier.
    * Used by callers that need to populate gasLimit explicitly (e.g. for
@@ -154,9 +221,63 @@ export class Chain {
     return estimate.mul(num).div(100);
   }
 
+  /**
+   * Send a transaction from a server wallet on this chain. Fee fields come
+   * from getFeeData() unless the caller set them. The nonce comes from
+   * `Chain.nonces`, which serializes sends per (chainId, address), so
+   * concurrent requests don't collide; a caller-supplied nonce bypasses it.
+   * A wallet without a provider is connected to this chain's.
+   *
+   * The response is tracked by `Chain.transactions`, which re-prices it if
+   * it sits unmined; its `wait()` resolves with whichever broadcast mined.
+   */
+  async sendTransaction(
+    wallet: ethers.Signer,
+    tx: ethers.providers.TransactionRequest,
+    options: { operation?: string } = {}
+  ): Promise<ethers.providers.TransactionResponse> {
+    const signer = wallet.provider ? wallet : wallet.connect(this.provider);
+    const hasFee = tx.gasPrice != null || tx.maxFeePerGas != null;
+    const request = hasFee ? tx : { ...(await this.getFeeData()), ...tx };
+    const response = request.nonce != null
+      ? await signer.sendTransaction(request)
+      : await Chain.nonces.send(this.chainId, this.provider, signer, request);
+    return this.track(response, { signer, operation: options.operation });
+  }
+
+  /**
+   * Hand a sent transaction to `Chain.transactions`. Tracking is best
+   * effort: if its store fails the response is returned untracked.
+   */
+  async track(
+    response: ethers.providers.TransactionResponse,
+    options: { signer?: ethers.Signer; raw?: string; operation?: string } = {}
+  ): Promise<ethers.providers.TransactionResponse> {
+    try {
+      await Chain.transactions.track(this, response, options);
+    } catch (error: any) {
+      console.error(`[tx] Tracking ${response.hash} failed:`, error.message);
+    }
+    return response;
+  }
+
+  /**
+   * Wait for a transaction sent through this chain, following re-pricing:
+   * resolves with the receipt of whichever broadcast mined. Untracked
+   * hashes are waited on directly.
+   */
+  async waitForTransaction(
+    hash: string,
+    confirmations: number = 1
+  ): Promise<ethers.providers.TransactionReceipt> {
+    if (await Chain.transactions.get(hash)) return Chain.transactions.wait(hash, confirmations);
+    return this.provider.waitForTransaction(hash, confirmations);
+  }
+
   /**
    * Wrap an ethers.Contract so every state-mutating method automatically
-   * receives this chain's fee data as the transaction overrides argument.
+   * receives this chain's fee data as the transaction overrides argument,
+   * and its transaction is tracked like sendTransaction()'s.
    *
    * Uses Object.create (prototype chain) — the wrapper object gets its own
    * writable properties for the write methods while reads of everything else
@@ -203,7 +324,8 @@ export class Chain {
             overrides = await chain.getFeeData();
             args.push(overrides);
           }
-          return (original as Function).apply(contract, args);
+          const response = await (original as Function).apply(contract, args);
+          return chain.track(response, { signer: contract.signer, operation: name });
         },
         writable: true,
         configurable: true,
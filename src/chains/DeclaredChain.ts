@@ -0,0 +1,76 @@
+import { ethers } from 'ethers';
+import { Chain, ChainConfig, ChainFeeData } from './Chain';
+
+/**
+ * A chain declared in root config.ini rather than in code.
+ *
+ * Where a built-in chain has a subclass for its fee quirks, a declared one
+ * has knobs: `eip1559 = false` makes it a legacy gasPrice chain, and the
+ * usual `[default.rpc.<chainId>.policy]` floors and ceilings apply.
+ *   - EIP-1559: the priority fee is at least `minPriorityFeeGwei`, and
+ *     maxFeePerGas at least `maxFeeMultiplier` (default 2) times that.
+ *   - Legacy: gasPrice is at least `minGasPriceGwei`.
+ * A fee over the ceiling (`maxFeePerGasGwei` / `maxGasPriceGwei`) throws,
+ * as it does on Polygon and JOC. With no knobs set this is the plain
+ * EIP-1559 Chain.
+ *
+ * registry.ts reads the declarations and registers a subclass per chainId
+ * (`DeclaredChain.for()`), so chainFor() and the chain lists can't tell
+ * them from built-in chains.
+ */
+
+export interface ChainDeclaration extends ChainConfig {
+  /** False for a legacy gasPrice chain. Default true. */
+  eip1559?: boolean;
+}
+
+export class DeclaredChain extends Chain {
+  readonly eip1559: boolean;
+
+  constructor(config: ChainDeclaration) {
+    super(config);
+    this.eip1559 = config.eip1559 !== false;
+  }
+
+  /** A registrable class for one declared chain, with it as its defaults. */
+  static for(declaration: ChainDeclaration): typeof DeclaredChain & { chainId: number } {
+    return class extends DeclaredChain {
+      static chainId = Number(declaration.chainId);
+      static defaults: Partial<ChainDeclaration> = declaration;
+    };
+  }
+
+  supportsEIP1559(): boolean {
+    return this.eip1559;
+  }
+
+  async getFeeData(): Promise<ChainFeeData> {
+    const fd = await this.provider.getFeeData();
+    const ceiling = this.feeCeiling();
+    const overCeiling = (fee: ethers.BigNumber, key: string) => {
+      if (!ceiling || fee.lte(ceiling)) return;
+      throw new Error(
+        `${this.name} fee ${ethers.utils.formatUnits(fee, 'gwei')} gwei exceeds ` +
+        `cap ${ethers.utils.formatUnits(ceiling, 'gwei')} gwei. ` +
+        `Raise policy.${key} in config.ini if intentional.`
+      );
+    };
+
+    if (this.eip1559 && fd.maxFeePerGas && fd.maxPriorityFeePerGas) {
+      const floor = this.gwei(this.policy.minPriorityFeeGwei ?? 0);
+      const maxPriorityFeePerGas = fd.maxPriorityFeePerGas.gt(floor) ? fd.maxPriorityFeePerGas : floor;
+      const multiplier = Math.round((this.policy.maxFeeMultiplier ?? 2) * 100);
+      const minMaxFee = maxPriorityFeePerGas.mul(multiplier).div(100);
+      const maxFeePerGas = fd.maxFeePerGas.gt(minMaxFee) ? fd.maxFeePerGas : minMaxFee;
+      overCeiling(maxFeePerGas, 'maxFeePerGasGwei');
+      return { maxFeePerGas, maxPriorityFeePerGas };
+    }
+    if (!fd.gasPrice) {
+      throw new Error(`Chain ${this.name} (${this.chainId}) returned no usable fee data`);
+    }
+    const floor = this.gwei(this.policy.minGasPriceGwei ?? 0);
+    const gasPrice = fd.gasPrice.gt(floor) ? fd.gasPrice : floor;
+    overCeiling(gasPrice, this.eip1559 ? 'maxFeePerGasGwei' : 'maxGasPriceGwei');
+    return { gasPrice };
+  }
+}
@@ -33,6 +33,10 @@ export class JapanOpenChain extends Chain {
     return this.gwei(this.policy.minGasPriceGwei ?? 30);
   }
 
+  feeCeiling(): ethers.BigNumber {
+    return this.gwei(this.policy.maxGasPriceGwei ?? 1000);
+  }
+
   async getFeeData(): Promise<ChainFeeData> {
     const fd = await this.provider.getFeeData();
     const floor = this.minGasPrice();
@@ -41,7 +45,7 @@ export class JapanOpenChain extends Chain {
 
     // Hard ceiling matching PolygonChain — refuse to send if the chain
     // wants more than the operator is willing to pay. Default 200 gwei.
-    const ceiling = this.gwei(this.policy.maxGasPriceGwei ?? 1000);
+    const ceiling = this.feeCeiling();
     if (gasPrice.gt(ceiling)) {
       throw new Error(
         `JOC gas price ${ethers.utils.formatUnits(gasPrice, 'gwei')} gwei exceeds ` +
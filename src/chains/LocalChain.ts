@@ -0,0 +1,24 @@
+import { Chain } from './Chain';
+import { registerChain } from './registry';
+
+/**
+ * Local development chain (chainId 31337): a Hardhat or Anvil node.
+ *
+ * Both nodes mine on demand and report EIP-1559 fees ethers handles, so the
+ * base class works as-is. This subclass gives the chain a name, aliases and
+ * the default local RPC, so `epistery devnet` and `--chain local` need no
+ * config. Its ether is worthless, so it sets no fee ceiling.
+ */
+export class LocalChain extends Chain {
+  static chainId = 31337;
+  static defaults = {
+    name: 'Local Devnet',
+    aliases: ['local', 'devnet', 'hardhat', 'anvil'],
+    rpc: 'http://127.0.0.1:8545',
+    nativeCurrencyName: 'Ether',
+    nativeCurrencySymbol: 'ETH',
+    nativeCurrencyDecimals: 18,
+  };
+}
+
+registerChain(LocalChain.chainId, LocalChain);
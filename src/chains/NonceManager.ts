@@ -0,0 +1,163 @@
+import { ethers } from 'ethers';
+
+/**
+ * Nonce sequencing for server-wallet sends.
+ *
+ * Asking the node for the pending transaction count right before each send
+ * works for one request at a time. Two concurrent requests both read N, both
+ * sign with N, and one of them is rejected or silently replaces the other.
+ * The same happens across a pool of hosts that sign with one domain wallet.
+ *
+ * NonceManager hands out nonces per (chainId, address) under a lock:
+ *
+ *   - The next nonce is the larger of the node's pending count and the last
+ *     one handed out, so back-to-back sends don't wait for the mempool to
+ *     catch up.
+ *   - When the node stays behind what was handed out for `gapTimeoutMs`,
+ *     those transactions were dropped. The sequence falls back to the node's
+ *     count so later sends aren't stuck behind the hole.
+ *   - When a send fails because its nonce is taken (used, replaced, or
+ *     already in the mempool), it resyncs from the node and retries once.
+ *
+ * The lock and the counter live in a NonceBackend. The default is in-process;
+ * a shared backend (redis, the config authority) makes the whole pool one
+ * sequence. The key is the sending address, not the domain: a domain wallet
+ * shared by several hosts is one sequence, whichever host sends.
+ */
+
+export interface NonceState {
+  /** The next nonce to hand out. */
+  next: number;
+  /** When `next` was last advanced (ms since epoch). */
+  updatedAt: number;
+}
+
+export interface NonceBackend {
+  /**
+   * Run `fn` holding the lock for `key`. Calls for the same key must not
+   * overlap; for a shared backend that means across every host.
+   */
+  lock<T>(key: string, fn: () => Promise<T>): Promise<T>;
+  get(key: string): Promise<NonceState | null>;
+  set(key: string, state: NonceState): Promise<void>;
+}
+
+/** In-process NonceBackend: a promise chain per key and a Map of states. */
+export class MemoryNonceBackend implements NonceBackend {
+  private states: Map<string, NonceState> = new Map();
+  private tails: Map<string, Promise<unknown>> = new Map();
+
+  lock<T>(key: string, fn: () => Promise<T>): Promise<T> {
+    const tail = this.tails.get(key) || Promise.resolve();
+    const run = tail.then(fn, fn);
+    const settled = run.catch(() => undefined);
+    this.tails.set(key, settled);
+    settled.then(() => {
+      if (this.tails.get(key) === settled) this.tails.delete(key);
+    });
+    return run;
+  }
+
+  async get(key: string): Promise<NonceState | null> {
+    return this.states.get(key) || null;
+  }
+
+  async set(key: string, state: NonceState): Promise<void> {
+    this.states.set(key, state);
+  }
+}
+
+export interface NonceManagerOptions {
+  /** How long the node may lag the handed-out sequence before it's treated as a gap. */
+  gapTimeoutMs?: number;
+}
+
+export const DEFAULT_NONCE_GAP_TIMEOUT_MS = 2 * 60 * 1000;
+
+/** True for send errors that mean "this nonce is already taken". */
+export function isNonceConflict(error: any): boolean {
+  const code = error?.code;
+  if (code === 'NONCE_EXPIRED' || code === 'REPLACEMENT_UNDERPRICED' || code === 'TRANSACTION_REPLACED') {
+    return true;
+  }
+  const text = [error?.message, error?.error?.message, error?.body]
+    .filter(s => typeof s === 'string')
+    .join(' ')
+    .toLowerCase();
+  return (
+    text.includes('nonce too low') ||
+    text.includes('nonce has already been used') ||
+    text.includes('already known') ||
+    text.includes('replacement transaction underpriced')
+  );
+}
+
+export class NonceManager {
+  readonly backend: NonceBackend;
+  private readonly gapTimeoutMs: number;
+
+  constructor(backend: NonceBackend = new MemoryNonceBackend(), options: NonceManagerOptions = {}) {
+    this.backend = backend;
+    this.gapTimeoutMs = options.gapTimeoutMs ?? DEFAULT_NONCE_GAP_TIMEOUT_MS;
+  }
+
+  static key(chainId: number, address: string): string {
+    return `${chainId}:${address.toLowerCase()}`;
+  }
+
+  /**
+   * Send `tx` from `signer` with the next nonce in its sequence. The lock is
+   * held until the node has accepted the transaction (not until it is mined).
+   */
+  async send(
+    chainId: number,
+    provider: ethers.providers.Provider,
+    signer: ethers.Signer,
+    tx: ethers.providers.TransactionRequest,
+  ): Promise<ethers.providers.TransactionResponse> {
+    const address = await signer.getAddress();
+    const key = NonceManager.key(chainId, address);
+
+    return this.backend.lock(key, async () => {
+      let nonce = await this.next(key, provider, address);
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const response = await signer.sendTransaction({ ...tx, nonce });
+          await this.backend.set(key, { next: nonce + 1, updatedAt: Date.now() });
+          return response;
+        } catch (error) {
+          if (attempt > 0 || !isNonceConflict(error)) throw error;
+          // Taken by a send this sequence didn't see (another tool, a host
+          // without the shared backend). The node knows better now.
+          const pending = await provider.getTransactionCount(address, 'pending');
+          nonce = Math.max(pending, nonce + 1);
+          console.warn(`[nonce] ${key} conflict; retrying with nonce ${nonce}`);
+        }
+      }
+    });
+  }
+
+  /** Forget the handed-out sequence so the next send starts from the node's count. */
+  async reset(chainId: number, address: string): Promise<void> {
+    const key = NonceManager.key(chainId, address);
+    await this.backend.lock(key, () => this.backend.set(key, { next: 0, updatedAt: 0 }));
+  }
+
+  private async next(
+    key: string,
+    provider: ethers.providers.Provider,
+    address: string,
+  ): Promise<number> {
+    const pending = await provider.getTransactionCount(address, 'pending');
+    const state = await this.backend.get(key);
+    if (!state || state.next <= pending) return pending;
+    if (Date.now() - state.updatedAt > this.gapTimeoutMs) {
+      console.warn(
+        `[nonce] ${key}: node is at ${pending} but ${state.next} was handed out; ` +
+        `treating ${pending}..${state.next - 1} as dropped`,
+      );
+      return pending;
+    }
+    return state.next;
+  }
+}
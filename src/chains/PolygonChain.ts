@@ -30,6 +30,15 @@ export class PolygonChain extends Chain {
     return this.gwei(this.policy.minPriorityFeeGwei ?? 25);
   }
 
+  /**
+   * Default 1000 gwei: real Polygon congestion can hit 500–800 gwei
+   * legitimately, so the cap should catch only catastrophic anomalies that
+   * would drain a wallet. Override via policy.maxFeePerGasGwei.
+   */
+  feeCeiling(): ethers.BigNumber {
+    return this.gwei(this.policy.maxFeePerGasGwei ?? 1000);
+  }
+
   async getFeeData(): Promise<ChainFeeData> {
     const fd = await this.provider.getFeeData();
     const floor = this.minPriorityFee();
@@ -43,10 +52,8 @@ export class PolygonChain extends Chain {
     const maxFeePerGas = networkMax.gt(minMaxFee) ? networkMax : minMaxFee;
 
     // Hard ceiling: refuse to send if the chain wants more than the operator
-    // is willing to pay. Default 1000 gwei: real Polygon congestion can hit
-    // 500–800 gwei legitimately, so the cap should catch only catastrophic
-    // anomalies that would drain a wallet. Override via policy.maxFeePerGasGwei.
-    const ceiling = this.gwei(this.policy.maxFeePerGasGwei ?? 1000);
+    // is willing to pay.
+    const ceiling = this.feeCeiling();
     if (maxFeePerGas.gt(ceiling)) {
       throw new Error(
         `Polygon fee ${ethers.utils.formatUnits(maxFeePerGas, 'gwei')} gwei exceeds ` +
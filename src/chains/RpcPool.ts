@@ -0,0 +1,393 @@
+import { ethers } from 'ethers';
+
+/**
+ * An ordered set of RPC endpoints for one chain, used as one provider.
+ *
+ * Requests go to the first healthy endpoint in configured order. When an
+ * endpoint fails (timeout, connection refused, HTTP error, rate limit) the
+ * request moves on to the next one, and the failed endpoint sits out for
+ * `cooldownMs`, doubling with each consecutive failure up to 10 minutes.
+ * An error the node itself answered (a revert, a bad nonce) is the answer,
+ * not a failure, and is returned as-is. When every endpoint is sitting out,
+ * they are tried anyway, soonest-back first.
+ *
+ * With more than one endpoint the pool probes them every `probeMs`:
+ * eth_chainId must match, and an endpoint more than `maxBlockLag` blocks
+ * behind the best one counts as lagging and is only used as a last resort.
+ *
+ * Quorum reads (`quorumSend`, or a provider from `quorumProvider`) ask
+ * several endpoints the same question and need `quorum` identical answers,
+ * for reads an attacker-controlled or stale endpoint must not decide alone
+ * (isAuthorized, isValidSignature). The quorum is capped at the number of
+ * healthy endpoints, so a pool degraded to one still answers. Endpoints
+ * that disagree fail the read with code `QUORUM`. Reads at `latest` can
+ * disagree for a block after the state changes; callers treat that like
+ * an unavailable chain.
+ *
+ * Pools are process-wide, one per chain and endpoint list (`RpcPool.for`):
+ * Chain objects are built per call, and health has to outlive them.
+ */
+
+export interface RpcPoolOptions {
+  /** Per-request timeout for one endpoint. Default 10s. */
+  timeoutMs?: number;
+  /** How long a failed endpoint sits out before it is tried again. Default 30s. */
+  cooldownMs?: number;
+  /** Probe interval with several endpoints; 0 turns probing off. Default 30s. */
+  probeMs?: number;
+  /** Blocks behind the best endpoint before one counts as lagging. Default 10. */
+  maxBlockLag?: number;
+  /** Endpoints that must agree on a quorum read. Default 2. */
+  quorum?: number;
+}
+
+export type RpcEndpointState = 'healthy' | 'down' | 'lagging';
+
+export interface RpcEndpointStats {
+  /** The URL with its path and query (where API keys live) elided. */
+  url: string;
+  state: RpcEndpointState;
+  requests: number;
+  failures: number;
+  consecutiveFailures: number;
+  /** Moving average of successful request latency. */
+  latencyMs?: number;
+  lastLatencyMs?: number;
+  blockNumber?: number;
+  lastError?: string;
+  lastErrorAt?: string;
+  downUntil?: string;
+  probedAt?: string;
+}
+
+interface Endpoint {
+  url: string;
+  provider: ethers.providers.StaticJsonRpcProvider;
+  requests: number;
+  failures: number;
+  consecutiveFailures: number;
+  latencyMs?: number;
+  lastLatencyMs?: number;
+  blockNumber?: number;
+  lagging: boolean;
+  downUntil: number;
+  lastError?: string;
+  lastErrorAt?: number;
+  probedAt?: number;
+}
+
+/** Reads a quorum provider puts to several endpoints; everything else goes to one. */
+export const QUORUM_METHODS = ['eth_call', 'eth_getCode', 'eth_getStorageAt', 'eth_getBalance'];
+
+const MAX_COOLDOWN_MS = 10 * 60 * 1000;
+
+// JSON-RPC error codes nodes use for "slow down": worth another endpoint.
+const RATE_LIMITED = [-32005, -32090, 429];
+
+/** `https://host/…` for display: path and query often carry an API key. */
+export function redactRpcUrl(url: string): string {
+  try {
+    const parsed = new URL(url);
+    const rest = parsed.pathname.length > 1 || parsed.search ? '/…' : '';
+    return `${parsed.protocol}//${parsed.host}${rest}`;
+  } catch {
+    return '(invalid url)';
+  }
+}
+
+/**
+ * True when `error` means the endpoint didn't answer (network, timeout,
+ * HTTP status, rate limit) rather than the node answering with an error.
+ */
+export function isEndpointFailure(error: any): boolean {
+  const answered = error?.error;
+  if (answered && typeof answered.code === 'number') {
+    return RATE_LIMITED.includes(answered.code) || /rate limit|too many requests/i.test(answered.message || '');
+  }
+  return true;
+}
+
+function alreadyKnown(error: any): boolean {
+  const message = String(error?.error?.message || error?.message || '');
+  return /already known|known transaction|already imported/i.test(message);
+}
+
+export class RpcPool {
+  private static pools: Map<string, RpcPool> = new Map();
+
+  /** The pool for `chainId` over `urls` (in failover order), made once per process. */
+  static for(
+    chainId: number,
+    name: string,
+    urls: string[],
+    options: RpcPoolOptions = {},
+  ): RpcPool {
+    const key = `${chainId}|${urls.join(',')}`;
+    let pool = RpcPool.pools.get(key);
+    if (!pool) {
+      pool = new RpcPool(chainId, name, urls, options);
+      RpcPool.pools.set(key, pool);
+      const probeMs = options.probeMs ?? 30 * 1000;
+      if (urls.length > 1 && probeMs > 0) pool.start(probeMs);
+    }
+    return pool;
+  }
+
+  /** Every pool this process has built, e.g. for a health page. */
+  static all(): RpcPool[] {
+    return [...RpcPool.pools.values()];
+  }
+
+  readonly chainId: number;
+  readonly name: string;
+  private readonly endpoints: Endpoint[];
+  private readonly cooldownMs: number;
+  private readonly maxBlockLag: number;
+  private readonly quorum: number;
+  private timer: NodeJS.Timeout | null = null;
+  private _provider: RpcPoolProvider | null = null;
+  private _quorumProvider: RpcPoolProvider | null = null;
+
+  constructor(chainId: number, name: string, urls: string[], options: RpcPoolOptions = {}) {
+    if (urls.length === 0) {
+      throw new Error(`No RPC endpoints for chain ${name} (${chainId})`);
+    }
+    this.chainId = chainId;
+    this.name = name;
+    this.cooldownMs = options.cooldownMs ?? 30 * 1000;
+    this.maxBlockLag = options.maxBlockLag ?? 10;
+    this.quorum = options.quorum ?? 2;
+    const network = { name, chainId };
+    this.endpoints = urls.map(url => ({
+      url,
+      // throttleLimit 1: a 429 moves on to the next endpoint instead of
+      // ethers backing off on this one.
+      provider: new ethers.providers.StaticJsonRpcProvider(
+        { url, timeout: options.timeoutMs ?? 10 * 1000, throttleLimit: 1 },
+        network,
+      ),
+      requests: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      lagging: false,
+      downUntil: 0,
+    }));
+  }
+
+  get urls(): string[] {
+    return this.endpoints.map(e => e.url);
+  }
+
+  /** A provider that fails over across the pool. */
+  get provider(): RpcPoolProvider {
+    if (!this._provider) this._provider = new RpcPoolProvider(this, 1);
+    return this._provider;
+  }
+
+  /** The same, with QUORUM_METHODS answered by a quorum of endpoints. */
+  get quorumProvider(): RpcPoolProvider {
+    if (!this._quorumProvider) this._quorumProvider = new RpcPoolProvider(this, this.quorum);
+    return this._quorumProvider;
+  }
+
+  /** Healthy endpoints in configured order, then the rest, soonest-back first. */
+  private candidates(): Endpoint[] {
+    const now = Date.now();
+    const healthy = this.endpoints.filter(e => e.downUntil <= now && !e.lagging);
+    const rest = this.endpoints
+      .filter(e => !healthy.includes(e))
+      .sort((a, b) => a.downUntil - b.downUntil);
+    return [...healthy, ...rest];
+  }
+
+  private async request(endpoint: Endpoint, method: string, params: any[]): Promise<any> {
+    const started = Date.now();
+    endpoint.requests++;
+    try {
+      const result = await endpoint.provider.send(method, params);
+      this.answered(endpoint, started);
+      return result;
+    } catch (error: any) {
+      if (isEndpointFailure(error)) {
+        this.failed(endpoint, error);
+      } else {
+        this.answered(endpoint, started);
+      }
+      throw error;
+    }
+  }
+
+  private answered(endpoint: Endpoint, started: number): void {
+    const latency = Date.now() - started;
+    endpoint.lastLatencyMs = latency;
+    endpoint.latencyMs = endpoint.latencyMs === undefined ? latency : Math.round(endpoint.latencyMs * 0.8 + latency * 0.2);
+    endpoint.consecutiveFailures = 0;
+    endpoint.downUntil = 0;
+  }
+
+  private failed(endpoint: Endpoint, error: any): void {
+    endpoint.failures++;
+    endpoint.consecutiveFailures++;
+    endpoint.lastError = String(error?.reason || error?.message || error).slice(0, 200);
+    endpoint.lastErrorAt = Date.now();
+    const cooldown = Math.min(this.cooldownMs * 2 ** (endpoint.consecutiveFailures - 1), MAX_COOLDOWN_MS);
+    endpoint.downUntil = Date.now() + cooldown;
+  }
+
+  /**
+   * Send to the first endpoint that answers. A raw transaction retried on
+   * another endpoint after a failure may already have arrived through the
+   * first; "already known" then means it was sent, and answers its hash.
+   */
+  async send(method: string, params: any[]): Promise<any> {
+    const order = this.candidates();
+    let lastFailure: any;
+    for (let i = 0; i < order.length; i++) {
+      try {
+        return await this.request(order[i], method, params);
+      } catch (error: any) {
+        if (i > 0 && method === 'eth_sendRawTransaction' && alreadyKnown(error)) {
+          return ethers.utils.keccak256(params[0]);
+        }
+        if (!isEndpointFailure(error)) throw error;
+        lastFailure = error;
+      }
+    }
+    throw lastFailure;
+  }
+
+  /** Send to endpoints until `quorum` of them give the same answer (result or error). */
+  async quorumSend(method: string, params: any[], quorum: number = this.quorum): Promise<any> {
+    const now = Date.now();
+    const healthy = this.endpoints.filter(e => e.downUntil <= now && !e.lagging).length;
+    const need = Math.max(1, Math.min(quorum, healthy));
+    if (need === 1) return this.send(method, params);
+
+    const order = this.candidates();
+    const answers: Map<string, { count: number; result?: any; error?: any }> = new Map();
+    let next = 0;
+    let lastFailure: any;
+    for (;;) {
+      const leading = [...answers.values()].sort((a, b) => b.count - a.count)[0];
+      if (leading && leading.count >= need) {
+        if (leading.error) throw leading.error;
+        return leading.result;
+      }
+      const missing = need - (leading?.count ?? 0);
+      if (order.length - next < missing) break;
+      const batch = order.slice(next, next + missing);
+      next += missing;
+      const settled = await Promise.all(
+        batch.map(e =>
+          this.request(e, method, params).then(
+            result => ({ result, error: undefined as any }),
+            error => ({ result: undefined, error }),
+          ),
+        ),
+      );
+      for (const { result, error } of settled) {
+        if (error && isEndpointFailure(error)) {
+          lastFailure = error;
+          continue;
+        }
+        const key = error
+          ? `error:${error.error?.code}:${error.error?.message}:${JSON.stringify(error.error?.data ?? null)}`
+          : JSON.stringify(result);
+        const answer = answers.get(key) || { count: 0, result, error };
+        answer.count++;
+        answers.set(key, answer);
+      }
+    }
+
+    if (answers.size === 0 && lastFailure) throw lastFailure;
+    const error: any = new Error(
+      `No quorum for ${method} on ${this.name} (${this.chainId}): needed ${need} matching answers, got ${answers.size} different`,
+    );
+    error.code = 'QUORUM';
+    throw error;
+  }
+
+  /**
+   * Ask every endpoint for its chainId and head block, and mark the ones on
+   * the wrong chain down and the ones far behind lagging.
+   */
+  async probe(): Promise<RpcEndpointStats[]> {
+    await Promise.all(
+      this.endpoints.map(async endpoint => {
+        endpoint.probedAt = Date.now();
+        try {
+          const chainId = Number(await this.request(endpoint, 'eth_chainId', []));
+          if (chainId !== this.chainId) {
+            this.failed(endpoint, new Error(`Serves chain ${chainId}, not ${this.chainId}`));
+            return;
+          }
+          endpoint.blockNumber = Number(await this.request(endpoint, 'eth_blockNumber', []));
+        } catch {
+          // Recorded by request().
+        }
+      }),
+    );
+    const best = Math.max(...this.endpoints.map(e => e.blockNumber ?? 0));
+    for (const endpoint of this.endpoints) {
+      endpoint.lagging = endpoint.blockNumber !== undefined && best - endpoint.blockNumber > this.maxBlockLag;
+    }
+    return this.stats();
+  }
+
+  /** Probe every `probeMs` in the background (the timer doesn't hold the process open). */
+  start(probeMs: number = 30 * 1000): void {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.probe().catch(error => console.error(`[rpc] Probe of ${this.name} failed:`, error.message));
+    }, probeMs);
+    this.timer.unref?.();
+  }
+
+  stop(): void {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  stats(): RpcEndpointStats[] {
+    const now = Date.now();
+    const iso = (ms?: number) => (ms ? new Date(ms).toISOString() : undefined);
+    return this.endpoints.map(e => ({
+      url: redactRpcUrl(e.url),
+      state: e.downUntil > now ? 'down' : e.lagging ? 'lagging' : 'healthy',
+      requests: e.requests,
+      failures: e.failures,
+      consecutiveFailures: e.consecutiveFailures,
+      latencyMs: e.latencyMs,
+      lastLatencyMs: e.lastLatencyMs,
+      blockNumber: e.blockNumber,
+      lastError: e.lastError,
+      lastErrorAt: iso(e.lastErrorAt),
+      downUntil: e.downUntil > now ? iso(e.downUntil) : undefined,
+      probedAt: iso(e.probedAt),
+    }));
+  }
+}
+
+/**
+ * A JsonRpcProvider whose requests go through an RpcPool. Everything built
+ * on a provider (contracts, wallets, the nonce manager) fails over without
+ * knowing. With `quorum` above 1, QUORUM_METHODS need that many endpoints
+ * to agree.
+ */
+export class RpcPoolProvider extends ethers.providers.JsonRpcProvider {
+  readonly pool: RpcPool;
+  readonly quorum: number;
+
+  constructor(pool: RpcPool, quorum: number = 1) {
+    super(pool.urls[0], { name: pool.name, chainId: pool.chainId });
+    this.pool = pool;
+    this.quorum = quorum;
+  }
+
+  send(method: string, params: Array<any>): Promise<any> {
+    if (this.quorum > 1 && QUORUM_METHODS.includes(method)) {
+      return this.pool.quorumSend(method, params, this.quorum);
+    }
+    return this.pool.send(method, params);
+  }
+}
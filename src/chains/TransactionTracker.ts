@@ -0,0 +1,599 @@
+import { ethers } from 'ethers';
+import { Config } from '../utils/Config';
+import type { Chain } from './Chain';
+import { isNonceConflict } from './NonceManager';
+
+/**
+ * Follows sent transactions until their nonce is used, and unsticks them.
+ *
+ * A transaction priced before a fee spike can sit in the mempool for good,
+ * and every later send from that wallet queues behind it. The tracker polls
+ * each pending transaction and, once it has waited `replaceAfterSeconds`
+ * (ChainPolicy, default 120), re-sends it with the same nonce and fees
+ * raised by `feeBumpPercent` (default 15; nodes want at least 10), or to
+ * the network's current fees when those are higher. It never goes past the
+ * chain's fee ceiling (`Chain.feeCeiling()`), and stops after
+ * `maxFeeBumps` (default 5). Only transactions whose signer this process
+ * holds are re-signed. For the others (client-signed ones relayed by the
+ * host) the last signed transaction is re-broadcast when the node forgets
+ * it.
+ *
+ * Once the sender's nonce moves past the transaction, the tracker settles it:
+ *   - one of its own broadcasts mined: `confirmed` or `reverted`;
+ *   - another transaction took the nonce, found by searching the blocks
+ *     since it was sent. If it made the same call (a wallet re-priced it),
+ *     that still counts as `confirmed` / `reverted`. If it was an empty
+ *     transfer to the sender, the transaction was `cancelled`; otherwise it
+ *     was `replaced`.
+ * A transaction no node has heard of for `dropAfterMs` is `dropped`.
+ *
+ * `track()` replaces the response's `wait()` so callers waiting on the
+ * first hash get the receipt of whichever broadcast mined, instead of
+ * ethers' TRANSACTION_REPLACED error when the tracker re-prices it.
+ *
+ * Pending state lives in a TransactionBackend, by default
+ * `transactions-pending.json` in the root config directory, so a restarted
+ * host resumes tracking. It needs `resume({ chain, signer })` to bump again.
+ * Hosts in a pool that share the config directory should each install
+ * their own backend (`Chain.useTransactionBackend`).
+ */
+
+export type TrackedStatus = 'pending' | 'confirmed' | 'reverted' | 'replaced' | 'cancelled' | 'dropped';
+
+export interface TrackedTransaction {
+  /** The first broadcast's hash. */
+  id: string;
+  chainId: number;
+  from: string;
+  nonce: number;
+  to: string | null;
+  data: string;
+  value: string;
+  gasLimit: string;
+  type: number | null;
+  /** Fees of the latest broadcast, in wei. */
+  maxFeePerGas?: string;
+  maxPriorityFeePerGas?: string;
+  gasPrice?: string;
+  /** Every broadcast's hash, oldest first. */
+  hashes: string[];
+  /** The latest broadcast, signed, to send again if the node drops it. */
+  raw?: string;
+  operation?: string;
+  status: TrackedStatus;
+  /** The transaction that used the nonce, when known: one of `hashes`, or another. */
+  minedHash?: string;
+  blockNumber?: number;
+  /** The head when tracking began; a replacement is searched for from here. */
+  startBlock: number;
+  submittedAt: string;
+  lastBroadcastAt: string;
+  bumps: number;
+  /** The last bump tried would have crossed the chain's fee ceiling. */
+  capped?: boolean;
+  settledAt?: string;
+}
+
+export interface TransactionBackend {
+  load(): Promise<TrackedTransaction[]>;
+  save(records: TrackedTransaction[]): Promise<void>;
+}
+
+/** Keeps tracked transactions in memory only: nothing survives a restart. */
+export class MemoryTransactionBackend implements TransactionBackend {
+  private records: TrackedTransaction[] = [];
+
+  async load(): Promise<TrackedTransaction[]> {
+    return this.records;
+  }
+
+  async save(records: TrackedTransaction[]): Promise<void> {
+    this.records = records;
+  }
+}
+
+/** Keeps tracked transactions in a file in the root config directory. */
+export class ConfigTransactionBackend implements TransactionBackend {
+  private config: Config | null = null;
+
+  constructor(private readonly filename: string = 'transactions-pending.json') {}
+
+  private async root(): Promise<Config> {
+    if (!this.config) this.config = new Config();
+    await this.config.setPath('/');
+    return this.config;
+  }
+
+  async load(): Promise<TrackedTransaction[]> {
+    const config = await this.root();
+    try {
+      return JSON.parse((await config.readFile(this.filename)).toString('utf8'));
+    } catch {
+      return [];
+    }
+  }
+
+  async save(records: TrackedTransaction[]): Promise<void> {
+    const config = await this.root();
+    await config.writeFile(this.filename, JSON.stringify(records, null, 2));
+  }
+}
+
+export interface TransactionTrackerOptions {
+  /** How often pending transactions are checked. Default 4s. */
+  pollMs?: number;
+  /** How long settled transactions stay listed, for status lookups. Default a day. */
+  retainMs?: number;
+  /** How long a transaction no node knows of is kept before it is `dropped`. Default 30 minutes. */
+  dropAfterMs?: number;
+  /** How many blocks back to search for the transaction that took a nonce. Default 200. */
+  replacementSearchBlocks?: number;
+  /** How long wait() waits for a pending transaction to settle. Default 10 minutes. */
+  waitTimeoutMs?: number;
+}
+
+type Waiter = { resolve: (record: TrackedTransaction) => void; reject: (error: Error) => void };
+
+const DEFAULT_REPLACE_AFTER_SECONDS = 120;
+const DEFAULT_FEE_BUMP_PERCENT = 15;
+const DEFAULT_MAX_FEE_BUMPS = 5;
+
+/** The signed form of `tx`, when it can be rebuilt from the response to match its hash. */
+function rawOf(tx: ethers.providers.TransactionResponse): string | undefined {
+  if (!tx.r || !tx.s || tx.v == null) return undefined;
+  try {
+    const unsigned: ethers.utils.UnsignedTransaction = {
+      to: tx.to,
+      nonce: tx.nonce,
+      gasLimit: tx.gasLimit,
+      data: tx.data,
+      value: tx.value,
+      chainId: tx.chainId,
+      type: tx.type ?? undefined,
+      ...(tx.type === 2
+        ? { maxFeePerGas: tx.maxFeePerGas, maxPriorityFeePerGas: tx.maxPriorityFeePerGas }
+        : { gasPrice: tx.gasPrice }),
+      ...(tx.accessList ? { accessList: tx.accessList } : {}),
+    };
+    const raw = ethers.utils.serializeTransaction(unsigned, { r: tx.r, s: tx.s, v: tx.v });
+    return ethers.utils.keccak256(raw) === tx.hash ? raw : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+export class TransactionTracker {
+  readonly backend: TransactionBackend;
+  private readonly pollMs: number;
+  private readonly retainMs: number;
+  private readonly dropAfterMs: number;
+  private readonly searchBlocks: number;
+  private readonly waitTimeoutMs: number;
+  private records: Map<string, TrackedTransaction> = new Map();
+  private byHash: Map<string, string> = new Map();
+  private chains: Map<number, Chain> = new Map();
+  private signers: Map<string, ethers.Signer> = new Map();
+  private waiters: Map<string, Waiter[]> = new Map();
+  private loaded: Promise<void> | null = null;
+  private timer: NodeJS.Timeout | null = null;
+  private ticking = false;
+
+  constructor(backend: TransactionBackend = new ConfigTransactionBackend(), options: TransactionTrackerOptions = {}) {
+    this.backend = backend;
+    this.pollMs = options.pollMs ?? 4000;
+    this.retainMs = options.retainMs ?? 24 * 60 * 60 * 1000;
+    this.dropAfterMs = options.dropAfterMs ?? 30 * 60 * 1000;
+    this.searchBlocks = options.replacementSearchBlocks ?? 200;
+    this.waitTimeoutMs = options.waitTimeoutMs ?? 10 * 60 * 1000;
+  }
+
+  private load(): Promise<void> {
+    if (!this.loaded) {
+      this.loaded = this.backend.load().then(records => {
+        for (const record of records) this.remember(record);
+      });
+    }
+    return this.loaded;
+  }
+
+  private remember(record: TrackedTransaction): void {
+    this.records.set(record.id, record);
+    for (const hash of record.hashes) this.byHash.set(hash.toLowerCase(), record.id);
+  }
+
+  private async persist(): Promise<void> {
+    const now = Date.now();
+    for (const [id, record] of this.records) {
+      if (record.settledAt && now - Date.parse(record.settledAt) > this.retainMs) {
+        this.records.delete(id);
+        for (const hash of record.hashes) this.byHash.delete(hash.toLowerCase());
+      }
+    }
+    await this.backend.save([...this.records.values()]);
+  }
+
+  /**
+   * Pick up what an earlier run left pending, with the chain it is on and
+   * the wallet that can re-sign it. Call once per chain and server wallet
+   * at startup; tracking starts when anything is pending.
+   */
+  async resume(using: { chain?: Chain; signer?: ethers.Signer } = {}): Promise<void> {
+    if (using.chain) this.chains.set(using.chain.chainId, using.chain);
+    if (using.signer) this.signers.set((await using.signer.getAddress()).toLowerCase(), using.signer);
+    await this.load();
+    if ([...this.records.values()].some(r => r.status === 'pending')) this.start();
+  }
+
+  /**
+   * Follow a just-broadcast transaction. With its `signer`, the tracker can
+   * re-price it; with only its `raw` form, re-send it. Its `wait()` is
+   * replaced to follow the transaction through re-pricing.
+   */
+  async track(
+    chain: Chain,
+    response: ethers.providers.TransactionResponse,
+    options: { signer?: ethers.Signer; raw?: string; operation?: string } = {},
+  ): Promise<TrackedTransaction> {
+    await this.load();
+    this.chains.set(chain.chainId, chain);
+    if (options.signer) this.signers.set(response.from.toLowerCase(), options.signer);
+
+    const existing = this.byHash.get(response.hash.toLowerCase());
+    let record = existing ? this.records.get(existing) : undefined;
+    if (!record) {
+      let startBlock = 0;
+      try {
+        startBlock = Math.max(0, (await chain.provider.getBlockNumber()) - 1);
+      } catch {
+        // Searched from genesis, bounded by replacementSearchBlocks.
+      }
+      const now = new Date().toISOString();
+      record = {
+        id: response.hash,
+        chainId: chain.chainId,
+        from: response.from.toLowerCase(),
+        nonce: response.nonce,
+        to: response.to ? response.to.toLowerCase() : null,
+        data: (response.data || '0x').toLowerCase(),
+        value: ethers.BigNumber.from(response.value || 0).toString(),
+        gasLimit: ethers.BigNumber.from(response.gasLimit).toString(),
+        type: response.type ?? null,
+        ...TransactionTracker.feesOf(response),
+        hashes: [response.hash],
+        raw: options.raw || rawOf(response),
+        operation: options.operation,
+        status: 'pending',
+        startBlock,
+        submittedAt: now,
+        lastBroadcastAt: now,
+        bumps: 0,
+      };
+      this.remember(record);
+      await this.persist();
+    }
+
+    response.wait = (confirmations?: number) => this.wait(response.hash, confirmations);
+    this.start();
+    return record;
+  }
+
+  /** The tracked transaction any of whose broadcasts is `hash`. */
+  async get(hash: string): Promise<TrackedTransaction | null> {
+    await this.load();
+    const id = this.byHash.get(String(hash).toLowerCase());
+    return (id && this.records.get(id)) || null;
+  }
+
+  /**
+   * The receipt of whichever broadcast of `hash`'s transaction mined. Throws
+   * like ethers' wait(): CALL_EXCEPTION when it reverted, and
+   * TRANSACTION_REPLACED (with `reason` `replaced`, `cancelled` or
+   * `dropped`) when its nonce went to something else or nowhere. A
+   * transaction still pending after `timeoutMs`, or on a chain this tracker
+   * doesn't follow, throws TIMEOUT; it stays tracked.
+   */
+  async wait(
+    hash: string,
+    confirmations: number = 1,
+    timeoutMs: number = this.waitTimeoutMs,
+  ): Promise<ethers.providers.TransactionReceipt> {
+    let record = await this.get(hash);
+    if (!record) throw new Error(`Transaction ${hash} is not tracked`);
+    if (record.status === 'pending') {
+      const id = record.id;
+      const timeout = (message: string) => {
+        const error: any = new Error(message);
+        error.code = ethers.errors.TIMEOUT;
+        error.hash = id;
+        return error;
+      };
+      if (!this.chains.has(record.chainId)) {
+        throw timeout(`Transaction ${id} is pending on chain ${record.chainId}, which this tracker does not follow`);
+      }
+      record = await new Promise<TrackedTransaction>((resolve, reject) => {
+        const waiter: Waiter = {
+          resolve: settled => {
+            clearTimeout(timer);
+            resolve(settled);
+          },
+          reject: error => {
+            clearTimeout(timer);
+            reject(error);
+          },
+        };
+        const timer = setTimeout(() => {
+          const list = (this.waiters.get(id) || []).filter(w => w !== waiter);
+          if (list.length) this.waiters.set(id, list);
+          else this.waiters.delete(id);
+          this.holdOpen();
+          reject(timeout(`Transaction ${id} still pending after ${timeoutMs / 1000}s`));
+        }, timeoutMs);
+        timer.unref?.();
+        const list = this.waiters.get(id) || [];
+        list.push(waiter);
+        this.waiters.set(id, list);
+        this.start();
+        this.holdOpen();
+      });
+    }
+
+    const chain = this.chains.get(record.chainId);
+    if (record.minedHash && chain && (record.status === 'confirmed' || record.status === 'reverted')) {
+      const receipt = await chain.provider.waitForTransaction(record.minedHash, confirmations);
+      if (record.status === 'confirmed') return receipt;
+      const error: any = new Error(`Transaction ${record.minedHash} reverted`);
+      error.code = ethers.errors.CALL_EXCEPTION;
+      error.transactionHash = record.minedHash;
+      error.receipt = receipt;
+      throw error;
+    }
+    const error: any = new Error(`Transaction ${record.id} was ${record.status}`);
+    error.code = ethers.errors.TRANSACTION_REPLACED;
+    error.reason = record.status;
+    error.cancelled = record.status !== 'confirmed';
+    error.hash = record.id;
+    if (record.minedHash) error.replacement = record.minedHash;
+    throw error;
+  }
+
+  /**
+   * Poll every `pollMs` while anything is pending. The timer holds the
+   * process open only while a wait() is in progress, so a script awaiting a
+   * receipt doesn't exit under it, and an idle host isn't kept alive.
+   */
+  start(): void {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.pollMs);
+    this.holdOpen();
+  }
+
+  /** Ref the poll timer while anyone waits on it; unref it when idle. */
+  private holdOpen(): void {
+    if (!this.timer) return;
+    if (this.waiters.size) this.timer.ref?.();
+    else this.timer.unref?.();
+  }
+
+  stop(): void {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Stop, and fail every wait() in progress: nothing will settle them. For a
+   * tracker being replaced (`Chain.useTransactionBackend`).
+   */
+  close(): void {
+    this.stop();
+    for (const [id, list] of this.waiters) {
+      const error: any = new Error(`Tracking of ${id} stopped`);
+      error.code = ethers.errors.TIMEOUT;
+      error.hash = id;
+      for (const waiter of list) waiter.reject(error);
+    }
+    this.waiters.clear();
+  }
+
+  /** Check every pending transaction once. */
+  async tick(): Promise<void> {
+    if (this.ticking) return;
+    this.ticking = true;
+    try {
+      await this.load();
+      const pending = [...this.records.values()].filter(r => r.status === 'pending');
+      let changed = false;
+      for (const record of pending) {
+        try {
+          if (await this.check(record)) changed = true;
+        } catch (error: any) {
+          console.error(`[tx] Checking ${record.id} on chain ${record.chainId} failed:`, error.message);
+        }
+      }
+      if (changed) await this.persist();
+      if (![...this.records.values()].some(r => r.status === 'pending')) this.stop();
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /** Advance one pending transaction. True when its record changed. */
+  private async check(record: TrackedTransaction): Promise<boolean> {
+    const chain = this.chains.get(record.chainId);
+    if (!chain) return false;
+    const provider = chain.provider;
+
+    const used = await provider.getTransactionCount(record.from, 'latest');
+    if (used > record.nonce) {
+      for (const hash of [...record.hashes].reverse()) {
+        const receipt = await provider.getTransactionReceipt(hash);
+        if (receipt) {
+          this.settle(record, receipt.status === 0 ? 'reverted' : 'confirmed', hash, receipt.blockNumber);
+          return true;
+        }
+      }
+      await this.settleReplaced(chain, record);
+      return true;
+    }
+
+    const now = Date.now();
+    const replaceAfterMs = (chain.policy.replaceAfterSeconds ?? DEFAULT_REPLACE_AFTER_SECONDS) * 1000;
+    if (now - Date.parse(record.lastBroadcastAt) < replaceAfterMs) return false;
+
+    const signer = this.signers.get(record.from);
+    const maxBumps = chain.policy.maxFeeBumps ?? DEFAULT_MAX_FEE_BUMPS;
+    if (signer && record.bumps < maxBumps) {
+      if (await this.bump(chain, record, signer)) return true;
+    }
+
+    // Can't (or won't) re-price: make sure a node still has it.
+    const latest = record.hashes[record.hashes.length - 1];
+    if (await provider.getTransaction(latest)) return false;
+    if (now - Date.parse(record.submittedAt) > this.dropAfterMs) {
+      this.settle(record, 'dropped');
+      return true;
+    }
+    if (record.raw) {
+      try {
+        await provider.send('eth_sendRawTransaction', [record.raw]);
+        console.warn(`[tx] Re-broadcast ${latest} on chain ${record.chainId}; the node had dropped it`);
+      } catch (error: any) {
+        if (!isNonceConflict(error)) {
+          console.warn(`[tx] Re-broadcast of ${latest} failed:`, error.reason || error.message);
+        }
+      }
+      record.lastBroadcastAt = new Date().toISOString();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Re-send with the same nonce at higher fees, within the chain's ceiling.
+   * False when the ceiling leaves no room for a valid replacement.
+   */
+  private async bump(chain: Chain, record: TrackedTransaction, signer: ethers.Signer): Promise<boolean> {
+    const percent = chain.policy.feeBumpPercent ?? DEFAULT_FEE_BUMP_PERCENT;
+    const raise = (wei?: string) => ethers.BigNumber.from(wei || 0).mul(100 + percent).div(100);
+    const atLeast = (a: ethers.BigNumber, b?: ethers.BigNumber) => (b && b.gt(a) ? b : a);
+    let network: { maxFeePerGas?: ethers.BigNumber; maxPriorityFeePerGas?: ethers.BigNumber; gasPrice?: ethers.BigNumber } = {};
+    try {
+      network = await chain.getFeeData();
+    } catch {
+      // Fees above the chain's own cap: bump from what was paid.
+    }
+    const ceiling = chain.feeCeiling();
+
+    let fees: { maxFeePerGas?: ethers.BigNumber; maxPriorityFeePerGas?: ethers.BigNumber; gasPrice?: ethers.BigNumber };
+    if (record.maxFeePerGas) {
+      const minMax = raise(record.maxFeePerGas);
+      const minPriority = raise(record.maxPriorityFeePerGas);
+      let maxFeePerGas = atLeast(minMax, network.maxFeePerGas);
+      let maxPriorityFeePerGas = atLeast(minPriority, network.maxPriorityFeePerGas);
+      if (ceiling && maxFeePerGas.gt(ceiling)) maxFeePerGas = ceiling;
+      if (maxPriorityFeePerGas.gt(maxFeePerGas)) maxPriorityFeePerGas = maxFeePerGas;
+      if (maxFeePerGas.lt(minMax) || maxPriorityFeePerGas.lt(minPriority)) return this.capped(chain, record);
+      fees = { maxFeePerGas, maxPriorityFeePerGas };
+    } else {
+      const minPrice = raise(record.gasPrice);
+      let gasPrice = atLeast(minPrice, network.gasPrice);
+      if (ceiling && gasPrice.gt(ceiling)) gasPrice = ceiling;
+      if (gasPrice.lt(minPrice)) return this.capped(chain, record);
+      fees = { gasPrice };
+    }
+    record.capped = false;
+
+    const sender = signer instanceof ethers.Wallet ? signer.connect(chain.provider) : signer;
+    let response: ethers.providers.TransactionResponse;
+    try {
+      response = await sender.sendTransaction({
+        to: record.to ?? undefined,
+        data: record.data,
+        value: record.value,
+        gasLimit: record.gasLimit,
+        nonce: record.nonce,
+        chainId: record.chainId,
+        ...(record.type != null ? { type: record.type } : {}),
+        ...fees,
+      });
+    } catch (error: any) {
+      // The nonce is used (the next check settles it) or the node wants
+      // more (the next bump starts higher).
+      record.bumps++;
+      record.lastBroadcastAt = new Date().toISOString();
+      console.warn(`[tx] Re-pricing ${record.id} failed:`, error.reason || error.message);
+      return true;
+    }
+
+    record.hashes.push(response.hash);
+    this.byHash.set(response.hash.toLowerCase(), record.id);
+    Object.assign(record, TransactionTracker.feesOf(response));
+    record.raw = rawOf(response);
+    record.bumps++;
+    record.lastBroadcastAt = new Date().toISOString();
+    console.warn(
+      `[tx] Re-priced ${record.id} (nonce ${record.nonce}) on chain ${record.chainId} as ${response.hash}, bump ${record.bumps}`,
+    );
+    return true;
+  }
+
+  /** Warn once; a raised ceiling lets the next check bump again. */
+  private capped(chain: Chain, record: TrackedTransaction): boolean {
+    if (record.capped) return false;
+    record.capped = true;
+    console.warn(
+      `[tx] ${record.id} on chain ${record.chainId} is stuck, and re-pricing it would exceed the fee ceiling. ` +
+        `Raise policy.maxFeePerGasGwei / maxGasPriceGwei for chain ${chain.chainId} to let it through.`,
+    );
+    return false;
+  }
+
+  /** The nonce went to a transaction that isn't one of ours: find it and say what it was. */
+  private async settleReplaced(chain: Chain, record: TrackedTransaction): Promise<void> {
+    const provider = chain.provider;
+    const head = await provider.getBlockNumber();
+    const floor = Math.max(record.startBlock, head - this.searchBlocks);
+    for (let n = head; n >= floor; n--) {
+      const block = await provider.getBlockWithTransactions(n);
+      const tx = block?.transactions.find(
+        t => t.from.toLowerCase() === record.from && t.nonce === record.nonce,
+      );
+      if (!tx) continue;
+      const sameCall =
+        (tx.to ? tx.to.toLowerCase() : null) === record.to &&
+        (tx.data || '0x').toLowerCase() === record.data &&
+        ethers.BigNumber.from(tx.value || 0).eq(record.value);
+      if (sameCall) {
+        const receipt = await provider.getTransactionReceipt(tx.hash);
+        this.settle(record, receipt?.status === 0 ? 'reverted' : 'confirmed', tx.hash, n);
+      } else {
+        const cancel = tx.to?.toLowerCase() === record.from && (tx.data || '0x') === '0x' && tx.value.isZero();
+        this.settle(record, cancel ? 'cancelled' : 'replaced', tx.hash, n);
+      }
+      return;
+    }
+    this.settle(record, 'replaced');
+  }
+
+  private settle(record: TrackedTransaction, status: TrackedStatus, minedHash?: string, blockNumber?: number): void {
+    record.status = status;
+    if (minedHash) record.minedHash = minedHash;
+    if (blockNumber !== undefined) record.blockNumber = blockNumber;
+    record.settledAt = new Date().toISOString();
+    if (status !== 'confirmed') {
+      console.warn(`[tx] ${record.operation || 'Transaction'} ${record.id} on chain ${record.chainId}: ${status}`);
+    }
+    for (const waiter of this.waiters.get(record.id) || []) waiter.resolve(record);
+    this.waiters.delete(record.id);
+    this.holdOpen();
+  }
+
+  private static feesOf(tx: ethers.providers.TransactionResponse): Partial<TrackedTransaction> {
+    return tx.maxFeePerGas
+      ? {
+          maxFeePerGas: tx.maxFeePerGas.toString(),
+          maxPriorityFeePerGas: tx.maxPriorityFeePerGas?.toString(),
+          gasPrice: undefined,
+        }
+      : { gasPrice: tx.gasPrice?.toString(), maxFeePerGas: undefined, maxPriorityFeePerGas: undefined };
+  }
+}
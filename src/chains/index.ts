@@ -13,11 +13,18 @@
  * your own codebase and `import 'your-package/dist/chains/MyChain';` at app
  * startup. The Map in registry.ts is module-scoped, so the registration
  * happens exactly once.
+ *
+ * Adding a chain with no code at all: declare it in root config.ini (see
+ * loadDeclaredChains() in registry.ts).
  */
 
 // Public API
 export { Chain, ChainConfig, ChainFeeData, ChainPolicy } from './Chain';
-export { chainFor, registerChain, hasRegisteredChain, registeredChainIds, registeredChains, configuredChains, defaultChainId, findChain, defaultChain, setDefaultChain, providerConfigFor } from './registry';
+export { RpcPool, RpcPoolProvider, RpcPoolOptions, RpcEndpointStats, RpcEndpointState, redactRpcUrl } from './RpcPool';
+export { DeclaredChain, ChainDeclaration } from './DeclaredChain';
+export { TransactionTracker, TransactionBackend, TransactionTrackerOptions, TrackedTransaction, TrackedStatus, MemoryTransactionBackend, ConfigTransactionBackend } from './TransactionTracker';
+export { NonceManager, NonceBackend, NonceState, MemoryNonceBackend, isNonceConflict } from './NonceManager';
+export { chainFor, configuredChainFor, registerChain, loadDeclaredChains, hasRegisteredChain, registeredChainIds, registeredChains, configuredChains, defaultChainId, findChain, defaultChain, setDefaultChain, providerConfigFor } from './registry';
 // registeredChains: internal use + configuredChains(); not re-exported from index.mjs
 
 // Built-in chains — imported for their registerChain() side effect.
@@ -26,3 +33,4 @@ export { chainFor, registerChain, hasRegisteredChain, registeredChainIds, regist
 export { PolygonChain, AmoyChain } from './PolygonChain';
 export { EthereumChain, SepoliaChain } from './EthereumChain';
 export { JapanOpenChain } from './JapanOpenChain';
+export { LocalChain } from './LocalChain';
@@ -1,4 +1,6 @@
-import { Chain, ChainConfig } from './Chain';
+import { Chain, ChainConfig, ChainPolicy } from './Chain';
+import { ChainDeclaration, DeclaredChain } from './DeclaredChain';
+import { RpcPoolOptions } from './RpcPool';
 import { Config } from '../utils/Config';
 
 type ChainCtor = (new (config: ChainConfig) => Chain) & { defaults: Partial<ChainConfig> };
@@ -17,8 +19,15 @@ type ChainCtor = (new (config: ChainConfig) => Chain) & { defaults: Partial<Chai
  * app entry point).
  *
  * No edits to this file or the barrel are required.
+ *
+ * An operator can also declare a chain in root config.ini without any code
+ * (see loadDeclaredChains()); it is registered here like the others.
  */
 const REGISTRY = new Map<number, ChainCtor>();
+/** chainIds registered from config.ini declarations, which a reload may drop. */
+const DECLARED = new Set<number>();
+/** Declaration problems already logged, so a reload doesn't repeat them. */
+const WARNED = new Set<string>();
 
 /**
  * Register a Chain subclass for a given chainId. Overwrites any existing
@@ -27,6 +36,7 @@ const REGISTRY = new Map<number, ChainCtor>();
  */
 export function registerChain(chainId: number, ctor: ChainCtor): void {
   REGISTRY.set(Number(chainId), ctor);
+  DECLARED.delete(Number(chainId));
 }
 
 /**
@@ -47,8 +57,13 @@ export function chainFor(config: ChainConfig): Chain {
     throw new Error(`chainFor: provider config missing chainId: ${JSON.stringify(config)}`);
   }
   const Ctor = REGISTRY.get(Number(config.chainId)) || Chain;
-  // Subclass defaults fill in anything the caller didn't specify.
-  const merged: ChainConfig = { ...(Ctor.defaults as ChainConfig), ...config };
+  // Subclass defaults fill in anything the caller didn't specify; a declared
+  // chain's policy knobs are defaults too.
+  const merged: ChainConfig = {
+    ...(Ctor.defaults as ChainConfig),
+    ...config,
+    policy: { ...Ctor.defaults.policy, ...config.policy },
+  };
   // If caller provided only `rpc` but chain has a default public RPC,
   // preserve the public one for UI display.
   if (!config.publicRpc && Ctor.defaults.rpc) {
@@ -74,10 +89,128 @@ export function registeredChains(): ChainConfig[] {
 }
 
 /**
- * Return the chain list with `privateRpc` overlaid from root config.
+ * Register the chains declared in root config.ini, so chainFor(),
+ * registeredChains() and findChain() know them like built-in ones. A
+ * `[default.rpc.<chainId>]` section with a `name` is a declaration:
+ *
+ *     [default.rpc.7777]
+ *     name = Example Devnet
+ *     aliases = example, exd
+ *     rpc = https://rpc.example.org
+ *     rpcs = https://rpc2.example.org
+ *     nativeCurrencyName = Example
+ *     nativeCurrencySymbol = EXD
+ *     nativeCurrencyDecimals = 18
+ *     eip1559 = false
+ *
+ *     [default.rpc.7777.policy]
+ *     minGasPriceGwei = 5
+ *     maxGasPriceGwei = 500
+ *
+ * `name`, `rpc` (public; a keyed endpoint goes in `privateRpc`) and
+ * `nativeCurrencySymbol` are required. A chainId with a
+ * subclass registered in code keeps it; there the section only overrides
+ * privateRpc, rpcs, policy and pool, as for any chain. Bad declarations and
+ * aliases another chain already uses are skipped with a warning.
+ *
+ * configuredChains(), configuredChainFor() and findChain() load the
+ * declarations themselves; call this at startup before any bare chainFor().
+ *
+ * @returns The declared chains now registered
+ */
+export async function loadDeclaredChains(): Promise<ChainConfig[]> {
+  return registerDeclaredChains(await new Config().read('/'));
+}
+
+function registerDeclaredChains(rootData: any): ChainConfig[] {
+  const sections = rootData?.default?.rpc || {};
+  const declared: ChainDeclaration[] = [];
+  const seen = new Set<number>();
+  for (const [id, section] of Object.entries<any>(sections)) {
+    if (!section || typeof section !== 'object' || section.name == null) continue;
+    const chainId = Number(id);
+    if (REGISTRY.has(chainId) && !DECLARED.has(chainId)) {
+      warnOnce(`[default.rpc.${id}] declares '${section.name}', but chain ${id} is built in; ` +
+        `only its privateRpc, rpcs, policy and pool apply`);
+      continue;
+    }
+    const declaration = declarationFromIni(chainId, section);
+    if (typeof declaration === 'string') {
+      warnOnce(`[default.rpc.${id}] ignored: ${declaration}`);
+      continue;
+    }
+    declared.push(declaration);
+    seen.add(chainId);
+  }
+
+  for (const chainId of DECLARED) {
+    if (!seen.has(chainId)) {
+      REGISTRY.delete(chainId);
+      DECLARED.delete(chainId);
+    }
+  }
+  for (const declaration of declared) {
+    // Aliases must stay unique across all registered chains.
+    const taken = new Set(
+      [...REGISTRY].filter(([chainId]) => chainId !== declaration.chainId)
+        .flatMap(([, Ctor]) => Ctor.defaults.aliases || []),
+    );
+    const clash = (declaration.aliases || []).filter(a => taken.has(a));
+    if (clash.length) {
+      warnOnce(`[default.rpc.${declaration.chainId}] aliases already in use: ${clash.join(', ')}`);
+      declaration.aliases = declaration.aliases!.filter(a => !taken.has(a));
+    }
+    const chainId = Number(declaration.chainId);
+    registerChain(chainId, DeclaredChain.for(declaration));
+    DECLARED.add(chainId);
+  }
+  return declared;
+}
+
+/** A chain declaration out of its ini section, or what is wrong with it. */
+function declarationFromIni(chainId: number, section: any): ChainDeclaration | string {
+  if (!Number.isSafeInteger(chainId) || chainId <= 0) return 'the chainId must be a positive integer';
+  const name = String(section.name).trim();
+  if (!name) return 'name is empty';
+  // `rpc` is the public endpoint, shown to browsers; a keyed one goes in privateRpc.
+  const rpc = String(section.rpc ?? '').trim();
+  if (!/^https?:\/\//i.test(rpc)) return 'rpc must be an http(s) URL';
+  const symbol = String(section.nativeCurrencySymbol ?? '').trim();
+  if (!symbol) return 'nativeCurrencySymbol is required';
+  const decimals = section.nativeCurrencyDecimals == null ? 18 : Number(section.nativeCurrencyDecimals);
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > 36) return 'nativeCurrencyDecimals must be an integer';
+  const eip1559 = section.eip1559 == null ? 'true' : String(section.eip1559).trim().toLowerCase();
+  if (eip1559 !== 'true' && eip1559 !== 'false') return 'eip1559 must be true or false';
+
+  const aliases = rpcListFromIni(section.aliases).map(a => a.toLowerCase().replace(/\s+/g, ''));
+  const publicRpc = section.publicRpc ? String(section.publicRpc).trim() : undefined;
+  return {
+    chainId,
+    name,
+    rpc,
+    ...(publicRpc ? { publicRpc } : {}),
+    ...(aliases.length ? { aliases: [...new Set(aliases)] } : {}),
+    nativeCurrencyName: String(section.nativeCurrencyName ?? symbol).trim(),
+    nativeCurrencySymbol: symbol,
+    nativeCurrencyDecimals: decimals,
+    eip1559: eip1559 !== 'false',
+    policy: policyFromIni(section.policy),
+  };
+}
+
+function warnOnce(message: string): void {
+  if (WARNED.has(message)) return;
+  WARNED.add(message);
+  console.warn(`[chains] ${message}`);
+}
+
+/**
+ * Return the chain list, declared chains included (see loadDeclaredChains()),
+ * with `privateRpc` and `rpcs` overlaid from root config.
  *
  * Looks in `~/.epistery/config.ini` for:
  *   - `[default.rpc.<chainId>] privateRpc = ...`  (per-chain override)
+ *   - `[default.rpc.<chainId>] rpcs = a, b`        (failover endpoints, in order)
  *   - `[default.provider] privateRpc / rpc`        (legacy single-chain fallback)
  *
  * Chains without a config override are returned unchanged.
@@ -85,13 +218,86 @@ export function registeredChains(): ChainConfig[] {
 export async function configuredChains(): Promise<ChainConfig[]> {
   const config = new Config();
   const rootData = await config.read('/');
+  registerDeclaredChains(rootData);
   return registeredChains().map(chain => {
     const id = String(chain.chainId);
     const privateRpc = rootData?.default?.rpc?.[id]?.privateRpc
       || (rootData?.default?.provider && String(rootData.default.provider.chainId) === id
           ? (rootData.default.provider.privateRpc || rootData.default.provider.rpc)
           : null);
-    return privateRpc ? { ...chain, privateRpc } : chain;
+    const rpcs = rpcListFromIni(rootData?.default?.rpc?.[id]?.rpcs);
+    return {
+      ...chain,
+      ...(privateRpc ? { privateRpc } : {}),
+      ...(rpcs.length ? { rpcs } : {}),
+    };
+  });
+}
+
+/** An ini endpoint list: comma-separated, or repeated `rpcs[] =` lines. */
+function rpcListFromIni(value: any): string[] {
+  const list = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [];
+  return list.map((url: any) => String(url).trim()).filter(Boolean);
+}
+
+/** The RpcPoolOptions knobs, as numbers, out of `[default.rpc.<chainId>.pool]`. */
+const POOL_KEYS: Array<keyof RpcPoolOptions> = ['timeoutMs', 'cooldownMs', 'probeMs', 'maxBlockLag', 'quorum'];
+
+function poolFromIni(section: any): RpcPoolOptions {
+  const options: RpcPoolOptions = {};
+  for (const key of POOL_KEYS) {
+    const value = Number(section?.[key]);
+    if (section?.[key] != null && Number.isFinite(value)) options[key] = value;
+  }
+  return options;
+}
+
+/** The ChainPolicy knobs, for reading them out of ini (where every value is a string). */
+const POLICY_KEYS: Array<keyof ChainPolicy> = [
+  'minPriorityFeeGwei',
+  'maxFeeMultiplier',
+  'maxFeePerGasGwei',
+  'minGasPriceGwei',
+  'maxGasPriceGwei',
+  'gasLimitMultiplier',
+  'replaceAfterSeconds',
+  'feeBumpPercent',
+  'maxFeeBumps',
+];
+
+function policyFromIni(section: any): ChainPolicy {
+  const policy: ChainPolicy = {};
+  for (const key of POLICY_KEYS) {
+    const value = Number(section?.[key]);
+    if (section?.[key] != null && Number.isFinite(value)) policy[key] = value;
+  }
+  return policy;
+}
+
+/**
+ * Get the Chain for a domain's provider block with root config's per-chain
+ * overrides applied: `[default.rpc.<chainId>] privateRpc` and `rpcs`, the
+ * `[default.rpc.<chainId>.policy]` knobs (fee floors, ceilings, gas-limit
+ * multiplier) and the `[default.rpc.<chainId>.pool]` ones (timeouts,
+ * probing, quorum). A `policy` on the provider block itself wins over root.
+ *
+ * Use this rather than bare chainFor() for anything that sends or prepares
+ * a transaction, so the operator's caps apply to it.
+ */
+export async function configuredChainFor(provider: ChainConfig): Promise<Chain> {
+  if (provider?.chainId == null) {
+    throw new Error(`configuredChainFor: provider config missing chainId: ${JSON.stringify(provider)}`);
+  }
+  const rootData = await new Config().read('/');
+  registerDeclaredChains(rootData);
+  const overrides = rootData?.default?.rpc?.[String(Number(provider.chainId))] || {};
+  const rpcs = [...rpcListFromIni(provider.rpcs), ...rpcListFromIni(overrides.rpcs)];
+  return chainFor({
+    ...provider,
+    ...(overrides.privateRpc ? { privateRpc: overrides.privateRpc } : {}),
+    ...(rpcs.length ? { rpcs } : {}),
+    policy: { ...policyFromIni(overrides.policy), ...policyFromIni(provider.policy) },
+    rpcPool: { ...poolFromIni(overrides.pool), ...poolFromIni(provider.rpcPool) },
   });
 }
 
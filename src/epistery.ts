@@ -9,15 +9,115 @@ import {
   UnsignedTransaction,
   PrepareTransactionRequest,
   PrepareTransactionResponse,
+  PrepareContractCallRequest,
+  PrepareContractCallResult,
   SubmitSignedTransactionRequest,
-  SubmitSignedTransactionResponse
+  SubmitSignedTransactionResponse,
+  BroadcastResult,
+  TransactionStatus
 } from './utils/index.js';
+import { ChallengeStore, IssueChallengeResult, DEFAULT_CHALLENGE_TTL_MS } from './utils/ChallengeStore';
+import { TransactionStore } from './utils/TransactionStore';
+import { SignatureVerifier, SignatureCheck } from './utils/SignatureVerifier';
+import { SponsorshipLedger, SponsorshipRefusal } from './utils/SponsorshipLedger';
+import { Chain, ChainConfig, configuredChainFor, configuredChains, loadDeclaredChains } from './chains';
 import { ethers } from 'ethers';
 
+/**
+ * Options for handleKeyExchange. `domain` names the host whose challenge
+ * store the request's challenge must come from.
+ */
+export interface KeyExchangeOptions {
+  domain?: string;
+  // Rollout compat: accept a client-chosen challenge when it was not issued
+  // by this host. Leaves the replay hole open — turn off once clients fetch
+  // GET /connect/challenge.
+  allowClientChallenge?: boolean;
+}
+
+/**
+ * Options for verifySignature. `domain` picks the chain a contract
+ * signature is checked on: its own, or `chainId` when the domain accepts
+ * that chain. `contractOnly` refuses a plain key's signature.
+ */
+export interface VerifySignatureOptions {
+  domain?: string;
+  chainId?: number | null;
+  contractOnly?: boolean;
+}
+
+/**
+ * How a prepare call pays for the signer's gas. `ledger` is the domain's
+ * SponsorshipLedger: funding must fit its policy and is recorded there.
+ * `identityAddress` is who the quota is charged to (defaults to the signer).
+ */
+export interface SponsorshipOptions {
+  ledger?: SponsorshipLedger;
+  identityAddress?: string;
+}
+
+/** A prepare refused because the signer may not act for the contract. */
+export interface AuthorizationRefusal {
+  ok: false;
+  reason: 'unauthorized';
+  message: string;
+}
+
+/**
+ * A prepare refused by the contract's state: `state` when the action can't
+ * apply (the rivet isn't there, the threshold is out of range), `threshold`
+ * when it needs more rivets to approve than the one asking.
+ */
+export interface IdentityStateRefusal {
+  ok: false;
+  reason: 'state' | 'threshold';
+  message: string;
+  threshold?: number;
+  rivetCount?: number;
+}
+
+export type IdentityPrepareResult =
+  | ({ ok: true } & PrepareTransactionResponse)
+  | AuthorizationRefusal
+  | IdentityStateRefusal
+  | SponsorshipRefusal;
+
+/** A prepared createInvite, with the code it commits to (shown once, never stored). */
+export type InvitePrepareResult =
+  | ({ ok: true; code: string; codeHash: string } & PrepareTransactionResponse)
+  | AuthorizationRefusal
+  | SponsorshipRefusal;
+
+/** A redeemInvite the server wallet sent, or why it didn't. */
+export type InviteRedeemResult =
+  | { ok: true; transactionHash: string; chainId: number; codeHash: string; redeemer: string }
+  | { ok: false; reason: 'invite'; message: string }
+  | SponsorshipRefusal;
+
+const EPISTERY_ACCESS_INVITE_ABI = [
+  'function roleOf(string section, address who) view returns (uint8)',
+  'function createInvite(bytes32 codeHash, string section, uint8 role)',
+  'function redeemInvite(bytes32 codeHash, address redeemer, string name)',
+];
+
+export interface IdentityGovernance {
+  contractAddress: string;
+  chainId: number;
+  host: string;
+  rivetCount: number;
+  removeRivetThreshold: number;
+  rivets: Array<{ address: string; name: string; publicKey: string }>;
+}
+
 export class Epistery {
   private static ipfsApiUrl: string | undefined;
   private static ipfsGatewayUrl: string | undefined;
   private static isInitialized: boolean = false;
+  private static challenges: ChallengeStore = new ChallengeStore();
+  private static transactions: TransactionStore = new TransactionStore();
+  private static verifiers: Map<number, SignatureVerifier> = new Map();
+  /** How long a contract's isValidSignature answer is reused (see SignatureVerifier). */
+  public static signatureCacheTtlMs: number | undefined;
 
   // Gas estimation constants
   private static readonly FALLBACK_GAS_LIMIT = 200000;
@@ -28,6 +128,8 @@ export class Epistery {
     if (Epistery.isInitialized)
       return;
 
+    // Chains declared in config.ini, so bare chainFor() knows them too.
+    await loadDeclaredChains();
     Epistery.isInitialized = true;
   }
 
@@ -79,12 +181,31 @@ export class Epistery {
     return status;
   }
 
-  public static async handleKeyExchange(request: KeyExchangeRequest, serverWallet: WalletConfig): Promise<KeyExchangeResponse | null> {
+  /**
+   * Issue a single-use key-exchange challenge for `domain`. The client signs
+   * it into its /connect message; handleKeyExchange consumes it. Refused
+   * while `requester` (the client IP) or the domain holds as many live
+   * challenges as ChallengeStore allows.
+   */
+  public static issueChallenge(
+    domain: string,
+    ttlMs: number = DEFAULT_CHALLENGE_TTL_MS,
+    requester?: string
+  ): IssueChallengeResult {
+    return Epistery.challenges.issue(domain, ttlMs, requester);
+  }
+
+  public static async handleKeyExchange(
+    request: KeyExchangeRequest,
+    serverWallet: WalletConfig,
+    options: KeyExchangeOptions = {}
+  ): Promise<KeyExchangeResponse | null> {
     try {
-      // Proof of signer: the message names signerAddress, and the recovered
-      // address from `signature` must equal it. Contract claims (if any) are
-      // verified separately by the caller via on-chain isAuthorized — not
-      // here.
+      // Proof of signer: the message names signerAddress, and `signature`
+      // must be its signature: recovering to it, or, when signerAddress is a
+      // contract, accepted by its isValidSignature (EIP-1271). A separate
+      // contractAddress claim is verified by the caller via on-chain
+      // isAuthorized — not here.
       const expectedMessage = `Epistery Key Exchange - ${request.signerAddress} - ${request.challenge}`;
 
       if (request.message !== expectedMessage) {
@@ -94,13 +215,30 @@ export class Epistery {
         return null;
       }
 
-      const recoveredAddress = ethers.utils.verifyMessage(request.message, request.signature);
-
-      if (recoveredAddress.toLowerCase() !== request.signerAddress.toLowerCase()) {
-        console.error('Signer verification failed');
+      // signerAddress may be a key or a contract identity (EIP-1271).
+      const check = await Epistery.verifySignature(request.signerAddress, request.message, request.signature, {
+        domain: options.domain,
+        chainId: request.chainId,
+      });
+      if (!check.valid) {
+        console.error('Signer verification failed:', check.message);
         return null;
       }
 
+      // Freshness: the challenge must be one this host issued and nobody has
+      // used yet. Checked after the signature so garbage requests can't burn
+      // a legitimate client's challenge.
+      const issued = options.domain
+        ? Epistery.challenges.consume(options.domain, request.challenge)
+        : false;
+      if (!issued) {
+        if (!options.allowClientChallenge) {
+          console.error('Key exchange challenge was not issued by this host, expired, or already used');
+          return null;
+        }
+        console.warn(`Key exchange accepted a client-chosen challenge from ${request.signerAddress} (allowClientChallenge)`);
+      }
+
       // Generate server challenge and create response message
       const serverChallenge = ethers.utils.hexlify(ethers.utils.randomBytes(32));
       const responseMessage = `Epistery Server Response - ${serverWallet.address} - ${serverChallenge}`;
@@ -125,7 +263,8 @@ export class Epistery {
         signature: serverSignature,
         identified: true,
         authenticated: false,
-        profile: undefined
+        profile: undefined,
+        verified: { kind: check.kind, signer: check.signer }
       };
 
       return response;
@@ -136,167 +275,1014 @@ export class Epistery {
     }
   }
 
+  /**
+   * Did `address` sign `message`? A key's signature is recovered; a
+   * contract's is put to its isValidSignature (EIP-1271) on the domain's
+   * chain (or the accepted chain named by `chainId`), with answers cached
+   * per chain for `signatureCacheTtlMs`. With no provider configured for
+   * the domain, or a chainId it doesn't accept, only keys verify.
+   */
+  public static async verifySignature(
+    address: string,
+    message: string | Uint8Array,
+    signature: string,
+    options: VerifySignatureOptions = {}
+  ): Promise<SignatureCheck> {
+    // A key's signature needs no chain; only look one up for a contract.
+    let verifier = new SignatureVerifier(null);
+    if (!options.contractOnly) {
+      const check = await verifier.verify(address, message, signature);
+      if (check.valid) return check;
+    }
+    const domainInfo = options.domain ? await Utils.GetDomainInfo(options.domain) : null;
+    const provider = Utils.DomainChainFor(domainInfo, options.chainId);
+    if (provider) {
+      const chain = await configuredChainFor(provider as ChainConfig);
+      let cached = Epistery.verifiers.get(chain.chainId);
+      if (!cached) {
+        cached = new SignatureVerifier(chain.quorumProvider, { ttlMs: Epistery.signatureCacheTtlMs });
+        Epistery.verifiers.set(chain.chainId, cached);
+      }
+      verifier = cached;
+    }
+    return verifier.verify(address, message, signature, { contractOnly: true });
+  }
+
   /**
    * Prepares an unsigned "add rivet to IdentityContract" transaction
    *
+   * Fees, the gas limit and the fee ceilings all come from the domain's
+   * Chain (configuredChainFor), so the operator's [default.rpc.<id>.policy]
+   * caps apply to client-signed transactions as they do to server sends.
+   * When the signer can't cover the worst-case cost, the server wallet
+   * tops it up first.
+   *
    * @param signerAddress - Address of the rivet calling addRivet (must be authorized)
    * @param contractAddress - Address of the IdentityContract
    * @param rivetAddressToAdd - Address of the rivet to add
    * @param rivetName - Name for the new rivet
    * @param domain - Domain context
-   * @returns Unsigned transaction ready for client to sign
+   * @param sponsorship - Ledger that must approve (and records) the signer's funding
+   * @returns Unsigned transaction ready for client to sign; a refusal when
+   *          the contract doesn't authorize the signer, or the ledger won't fund it
    */
   public static async prepareAddRivetToContract(
     signerAddress: string,
     contractAddress: string,
     rivetAddressToAdd: string,
     rivetName: string,
-    domain: string
-  ): Promise<any> {
-    // RPC comes from ~/.epistery via Config (GetDomainInfo falls back to root
-    // [provider]); never process.env — env is for deployment vars only.
+    domain: string,
+    sponsorship: SponsorshipOptions = {}
+  ): Promise<IdentityPrepareResult> {
+    return Epistery.prepareIdentityCall({
+      signerAddress,
+      contractAddress,
+      domain,
+      sponsorship,
+      operation: 'addRivetToContract',
+      functionName: 'addRivet',
+      args: [rivetAddressToAdd, rivetName],
+      metadata: { rivetToAdd: rivetAddressToAdd, rivetName },
+      check: async (identity) =>
+        (await identity.isAuthorized(rivetAddressToAdd)) ? `${rivetAddressToAdd} is already a rivet` : null,
+    });
+  }
+
+  /**
+   * Prepares an unsigned removeRivet transaction — dropping a lost or stolen
+   * device from the identity.
+   *
+   * The contract's removeRivetThreshold is the number of rivets that must
+   * agree to a removal. It isn't enforced on-chain yet, so the host holds
+   * the line: with fewer `approvals` than that, it is refused with reason
+   * `threshold` (and the threshold and rivet count, for the UI to collect
+   * approvals through the IdentityActionStore queue).
+   *
+   * @param signerAddress - Address of the rivet asking (must be authorized)
+   * @param contractAddress - Address of the IdentityContract
+   * @param rivetAddressToRemove - Address of the rivet to remove
+   * @param domain - Domain context
+   * @param sponsorship - Ledger that must approve (and records) the signer's funding
+   * @param approvals - Distinct rivets that approved the removal (the queue's count)
+   */
+  public static async prepareRemoveRivet(
+    signerAddress: string,
+    contractAddress: string,
+    rivetAddressToRemove: string,
+    domain: string,
+    sponsorship: SponsorshipOptions = {},
+    approvals: number = 1
+  ): Promise<IdentityPrepareResult> {
+    let approval: { threshold: number; rivetCount: number; removesHost: boolean } | undefined;
+    return Epistery.prepareIdentityCall({
+      signerAddress,
+      contractAddress,
+      domain,
+      sponsorship,
+      operation: 'IdentityContract.removeRivet',
+      functionName: 'removeRivet',
+      args: [rivetAddressToRemove],
+      metadata: () => ({ rivetToRemove: rivetAddressToRemove, approvals, ...approval }),
+      check: async (identity) => {
+        const [isRivet, rivetCount, threshold, host] = await Promise.all([
+          identity.isAuthorized(rivetAddressToRemove),
+          identity.rivetCount(),
+          identity.removeRivetThreshold(),
+          identity.host(),
+        ]);
+        if (!isRivet) return `${rivetAddressToRemove} is not a rivet of ${contractAddress}`;
+        if (rivetCount.lte(1)) return 'Cannot remove the last rivet';
+        approval = {
+          threshold: threshold.toNumber(),
+          rivetCount: rivetCount.toNumber(),
+          removesHost: host.toLowerCase() === rivetAddressToRemove.toLowerCase(),
+        };
+        if (approval.threshold > approvals) {
+          return {
+            reason: 'threshold',
+            message: `Removing a rivet needs ${approval.threshold} of ${approval.rivetCount} rivets to approve`,
+            threshold: approval.threshold,
+            rivetCount: approval.rivetCount,
+          };
+        }
+        return null;
+      },
+    });
+  }
+
+  /**
+   * Prepares an unsigned setPublicKey transaction: the signing rivet
+   * publishes (or rotates) its communications public key on the contract.
+   *
+   * @param signerAddress - Address of the rivet whose key this is (must be authorized)
+   * @param contractAddress - Address of the IdentityContract
+   * @param publicKey - The new public key, hex
+   * @param domain - Domain context
+   * @param sponsorship - Ledger that must approve (and records) the signer's funding
+   */
+  public static async prepareSetRivetPublicKey(
+    signerAddress: string,
+    contractAddress: string,
+    publicKey: string,
+    domain: string,
+    sponsorship: SponsorshipOptions = {}
+  ): Promise<IdentityPrepareResult> {
+    let previousPublicKey = '';
+    return Epistery.prepareIdentityCall({
+      signerAddress,
+      contractAddress,
+      domain,
+      sponsorship,
+      operation: 'IdentityContract.setPublicKey',
+      functionName: 'setPublicKey',
+      args: [publicKey],
+      metadata: () => ({ publicKey, previousPublicKey }),
+      check: async (identity) => {
+        previousPublicKey = await identity.rivetPublicKeys(signerAddress);
+        return previousPublicKey === publicKey ? 'That public key is already published' : null;
+      },
+    });
+  }
+
+  /**
+   * Prepares an unsigned designateHost transaction: make another active
+   * rivet the identity's default recovery host, or clear it with the zero
+   * address.
+   *
+   * @param signerAddress - Address of the rivet asking (must be authorized)
+   * @param contractAddress - Address of the IdentityContract
+   * @param newHost - An active rivet of the contract, or the zero address
+   * @param domain - Domain context
+   * @param sponsorship - Ledger that must approve (and records) the signer's funding
+   */
+  public static async prepareDesignateHost(
+    signerAddress: string,
+    contractAddress: string,
+    newHost: string,
+    domain: string,
+    sponsorship: SponsorshipOptions = {}
+  ): Promise<IdentityPrepareResult> {
+    let previousHost = ethers.constants.AddressZero;
+    return Epistery.prepareIdentityCall({
+      signerAddress,
+      contractAddress,
+      domain,
+      sponsorship,
+      operation: 'IdentityContract.designateHost',
+      functionName: 'designateHost',
+      args: [newHost],
+      metadata: () => ({ newHost, previousHost }),
+      check: async (identity) => {
+        previousHost = await identity.host();
+        if (newHost !== ethers.constants.AddressZero && !(await identity.isRivet(newHost))) {
+          return `${newHost} is not an active rivet of ${contractAddress}`;
+        }
+        return null;
+      },
+    });
+  }
+
+  /**
+   * Prepares an unsigned setRemoveRivetThreshold transaction: how many of
+   * the identity's rivets must approve removing one (1..rivetCount).
+   *
+   * @param signerAddress - Address of the rivet asking (must be authorized)
+   * @param contractAddress - Address of the IdentityContract
+   * @param threshold - The new threshold
+   * @param domain - Domain context
+   * @param sponsorship - Ledger that must approve (and records) the signer's funding
+   */
+  public static async prepareSetRemoveRivetThreshold(
+    signerAddress: string,
+    contractAddress: string,
+    threshold: number,
+    domain: string,
+    sponsorship: SponsorshipOptions = {}
+  ): Promise<IdentityPrepareResult> {
+    let previousThreshold = 0;
+    return Epistery.prepareIdentityCall({
+      signerAddress,
+      contractAddress,
+      domain,
+      sponsorship,
+      operation: 'IdentityContract.setRemoveRivetThreshold',
+      functionName: 'setRemoveRivetThreshold',
+      args: [threshold],
+      metadata: () => ({ threshold, previousThreshold }),
+      check: async (identity) => {
+        const [current, rivetCount] = await Promise.all([
+          identity.removeRivetThreshold(),
+          identity.rivetCount(),
+        ]);
+        previousThreshold = current.toNumber();
+        if (threshold < 1 || rivetCount.lt(threshold)) {
+          return `Threshold must be between 1 and ${rivetCount.toString()}`;
+        }
+        return null;
+      },
+    });
+  }
+
+  /**
+   * An IdentityContract's rivets and governance settings, read from the
+   * domain's chain: host, rivet count, removeRivetThreshold, and each active
+   * rivet's name and published public key.
+   */
+  public static async getIdentityGovernance(contractAddress: string, domain: string): Promise<IdentityGovernance> {
+    const domainInfo = await Utils.GetDomainInfo(domain);
+    if (!domainInfo?.provider?.rpc || domainInfo.provider.chainId == null) {
+      throw new Error(`No provider (rpc and chainId) configured in ~/.epistery for domain "${domain}"`);
+    }
+    const chain = await configuredChainFor(domainInfo.provider as ChainConfig);
+    const identity = await Epistery.identityContract(contractAddress, chain.provider);
+
+    const [host, rivetCount, threshold, addresses] = await Promise.all([
+      identity.host(),
+      identity.rivetCount(),
+      identity.removeRivetThreshold(),
+      identity.getRivets(),
+    ]);
+    const rivets = await Promise.all(
+      (addresses as string[]).map(async (address) => ({
+        address,
+        name: await identity.rivetNames(address),
+        publicKey: await identity.rivetPublicKeys(address),
+      }))
+    );
+    return {
+      contractAddress,
+      chainId: chain.chainId,
+      host,
+      rivetCount: rivetCount.toNumber(),
+      removeRivetThreshold: threshold.toNumber(),
+      rivets,
+    };
+  }
+
+  /** The on-chain commitment to an invite code: keccak256 of its UTF-8 bytes. */
+  public static inviteCodeHash(code: string): string {
+    return ethers.utils.id(code);
+  }
+
+  /**
+   * Prepares an unsigned createInvite on an EpisteryAccess contract (an
+   * IdentityContract, a domain's agent) for `signerAddress` to sign, with a
+   * fresh random code. Only the hash goes on-chain; the code is returned
+   * here once, for the issuer to share. The signer must manage the section
+   * (role admin or above, as createInvite requires), checked before the
+   * domain wallet funds anything.
+   *
+   * @param signerAddress - The rivet that signs createInvite
+   * @param contractAddress - The EpisteryAccess contract
+   * @param section - Section the invite joins
+   * @param role - Role granted on redemption (1 read … 4 owner)
+   * @param domain - Domain context
+   * @param sponsorship - Ledger that must approve (and records) the signer's funding
+   */
+  public static async prepareCreateInvite(
+    signerAddress: string,
+    contractAddress: string,
+    section: string,
+    role: number,
+    domain: string,
+    sponsorship: SponsorshipOptions = {}
+  ): Promise<InvitePrepareResult> {
+    const chain = await Epistery.domainChain(domain);
+    const access = new ethers.Contract(contractAddress, EPISTERY_ACCESS_INVITE_ABI, chain.provider);
+    let signerRole = 0;
+    try {
+      signerRole = Number(await access.roleOf(section, signerAddress));
+    } catch (error: any) {
+      if (error?.code !== 'CALL_EXCEPTION') throw error;
+    }
+    if (signerRole < 3) {
+      return {
+        ok: false,
+        reason: 'unauthorized',
+        message: `${signerAddress} does not manage section "${section}" of ${contractAddress}`,
+      };
+    }
+
+    const code = ethers.utils.base58.encode(ethers.utils.randomBytes(16));
+    const codeHash = Epistery.inviteCodeHash(code);
+    const data = access.interface.encodeFunctionData('createInvite', [codeHash, section, role]);
+    const { unsignedTransaction, maxCost, preparedId } = await Epistery.buildUnsignedTransaction(chain, {
+      from: signerAddress,
+      to: contractAddress,
+      data,
+    });
+    const serverWallet = await Epistery.domainServerWallet(domain, chain);
+    const operation = 'EpisteryAccess.createInvite';
+    const funding = await Epistery.fundSigner(chain, serverWallet, signerAddress, maxCost, {
+      ...sponsorship,
+      operation,
+    });
+    if (!funding.ok) return funding;
+
+    console.log(`Prepared createInvite on ${contractAddress} (${section}) for ${signerAddress}`);
+    return {
+      ok: true,
+      code,
+      codeHash,
+      unsignedTransaction,
+      metadata: {
+        operation,
+        preparedId,
+        estimatedCost: ethers.utils.formatEther(maxCost),
+        sponsored: ethers.utils.formatEther(funding.funded),
+        signer: signerAddress,
+        contractAddress,
+        section,
+        role,
+        codeHash,
+      },
+    };
+  }
+
+  /**
+   * Redeems an invite code for `redeemer` with the domain wallet paying the
+   * gas: redeemInvite takes any caller, so nothing is left for the redeemer
+   * to sign. A code with no open invite behind it fails estimation and is
+   * refused as `invite` before anything is spent; the cost goes through the
+   * sponsorship ledger as `EpisteryAccess.redeemInvite`.
+   *
+   * @returns The broadcast transaction's hash (not yet mined), or a refusal
+   */
+  public static async redeemInvite(
+    code: string,
+    contractAddress: string,
+    redeemer: string,
+    name: string,
+    domain: string,
+    sponsorship: SponsorshipOptions = {}
+  ): Promise<InviteRedeemResult> {
+    const chain = await Epistery.domainChain(domain);
+    const serverWallet = await Epistery.domainServerWallet(domain, chain);
+    const codeHash = Epistery.inviteCodeHash(code);
+    const access = new ethers.Contract(contractAddress, EPISTERY_ACCESS_INVITE_ABI, chain.provider);
+    const data = access.interface.encodeFunctionData('redeemInvite', [codeHash, redeemer, name]);
+
+    let gasLimit: ethers.BigNumber;
+    try {
+      gasLimit = await chain.estimateGas({ from: serverWallet.address, to: contractAddress, data });
+    } catch {
+      return { ok: false, reason: 'invite', message: 'No open invite for that code on this contract' };
+    }
+    const fee = await chain.getFeeData();
+    const maxCost = gasLimit.mul(fee.maxFeePerGas || fee.gasPrice!);
+    const send = () =>
+      chain.sendTransaction(
+        serverWallet,
+        { to: contractAddress, data, gasLimit, ...fee },
+        { operation: 'EpisteryAccess.redeemInvite' },
+      );
+
+    let sent: ethers.providers.TransactionResponse;
+    if (sponsorship.ledger) {
+      let response: ethers.providers.TransactionResponse | undefined;
+      const result = await sponsorship.ledger.sponsor(
+        {
+          identityAddress: sponsorship.identityAddress || redeemer,
+          signerAddress: redeemer,
+          operation: 'EpisteryAccess.redeemInvite',
+          chainId: chain.chainId,
+          amount: maxCost,
+        },
+        async () => (response = await send()),
+      );
+      if (!result.ok) return result;
+      sent = response!;
+    } else {
+      sent = await send();
+    }
+    Epistery.transactions.recordSubmitted(sent.hash, {
+      chainId: chain.chainId,
+      from: serverWallet.address,
+      operation: 'EpisteryAccess.redeemInvite',
+    });
+    console.log(`Redeemed invite ${codeHash} on ${contractAddress} for ${redeemer}: ${sent.hash}`);
+    return { ok: true, transactionHash: sent.hash, chainId: chain.chainId, codeHash, redeemer };
+  }
+
+  /** The domain's configured Chain; throws when ~/.epistery has no provider for it. */
+  private static async domainChain(domain: string): Promise<Chain> {
+    const domainInfo = await Utils.GetDomainInfo(domain);
+    if (!domainInfo?.provider?.rpc || domainInfo.provider.chainId == null) {
+      throw new Error(`No provider (rpc and chainId) configured in ~/.epistery for domain "${domain}"`);
+    }
+    return configuredChainFor(domainInfo.provider as ChainConfig);
+  }
+
+  /** The domain's server wallet, connected to `chain`. */
+  private static async domainServerWallet(domain: string, chain: Chain): Promise<ethers.Wallet> {
+    const wallet = (await Utils.GetDomainInfo(domain))?.wallet;
+    if (!wallet) {
+      throw new Error('Server wallet not configured');
+    }
+    return ethers.Wallet.fromMnemonic(wallet.mnemonic).connect(chain.provider);
+  }
+
+  /** The IdentityContract at `address`, through `signerOrProvider`, from its artifact ABI. */
+  private static async identityContract(
+    address: string,
+    signerOrProvider: ethers.Signer | ethers.providers.Provider
+  ): Promise<ethers.Contract> {
+    const artifact = await Epistery.loadArtifact('IdentityContract');
+    if (!artifact) {
+      throw new Error('IdentityContract artifact not found');
+    }
+    return new ethers.Contract(address, artifact.abi, signerOrProvider);
+  }
+
+  /**
+   * The shared path for every IdentityContract prepare: check the signer is
+   * an authorized rivet, run the action's own `check` against contract state
+   * (a string or `{ reason, message }` refuses it), encode the call, price it
+   * on the domain's chain, and fund the signer through the sponsorship ledger.
+   */
+  private static async prepareIdentityCall(action: {
+    signerAddress: string;
+    contractAddress: string;
+    domain: string;
+    sponsorship: SponsorshipOptions;
+    operation: string;
+    functionName: string;
+    args: any[];
+    metadata: Record<string, any> | (() => Record<string, any>);
+    check?: (identity: ethers.Contract) => Promise<string | { reason: 'threshold'; message: string; [key: string]: any } | null>;
+  }): Promise<IdentityPrepareResult> {
+    const { signerAddress, contractAddress, domain } = action;
+    // Provider comes from ~/.epistery via Config (GetDomainInfo falls back to
+    // root [provider]); never process.env — env is for deployment vars only.
     const domainInfo = await Utils.GetDomainInfo(domain);
-    const rpcUrl = domainInfo?.provider?.rpc;
-    if (!rpcUrl) {
-      throw new Error(`No provider RPC configured in ~/.epistery for domain "${domain}"`);
+    if (!domainInfo?.provider?.rpc || domainInfo.provider.chainId == null) {
+      throw new Error(`No provider (rpc and chainId) configured in ~/.epistery for domain "${domain}"`);
+    }
+    const chain = await configuredChainFor(domainInfo.provider as ChainConfig);
+
+    // Only a rivet of the contract may act on it. Checked before anything is
+    // estimated or funded, so the domain wallet never pays for a doomed call.
+    if (!(await Epistery.isAuthorizedSigner(chain, contractAddress, signerAddress))) {
+      return {
+        ok: false,
+        reason: 'unauthorized',
+        message: `${signerAddress} is not an authorized rivet of ${contractAddress}`,
+      };
+    }
+
+    const identity = await Epistery.identityContract(contractAddress, chain.provider);
+    const refused = action.check ? await action.check(identity) : null;
+    if (typeof refused === 'string') {
+      return { ok: false, reason: 'state', message: refused };
+    }
+    if (refused) {
+      return { ok: false, ...refused };
     }
-    const provider = new ethers.providers.JsonRpcProvider(rpcUrl);
 
     // Get server wallet for funding
     const serverWalletConfig = domainInfo?.wallet;
     if (!serverWalletConfig) {
       throw new Error('Server wallet not configured');
     }
-    const serverWallet = ethers.Wallet.fromMnemonic(serverWalletConfig.mnemonic).connect(provider);
+    const serverWallet = ethers.Wallet.fromMnemonic(serverWalletConfig.mnemonic).connect(chain.provider);
 
-    // Load IdentityContract artifact - try multiple paths
-    const fs = await import('fs/promises');
-    const path = await import('path');
+    const txData = identity.interface.encodeFunctionData(action.functionName, action.args);
+    const { unsignedTransaction, maxCost, preparedId } = await Epistery.buildUnsignedTransaction(chain, {
+      from: signerAddress,
+      to: contractAddress,
+      data: txData,
+    });
 
-    // Try epistery package path first (when running from epistery-host)
-    let artifactPath = path.join(__dirname, '..', 'artifacts', 'contracts', 'IdentityContract.sol', 'IdentityContract.json');
+    const funding = await Epistery.fundSigner(chain, serverWallet, signerAddress, maxCost, {
+      ...action.sponsorship,
+      operation: action.operation,
+    });
+    if (!funding.ok) return funding;
 
-    let artifactData: string;
-    try {
-      artifactData = await fs.readFile(artifactPath, 'utf-8');
-    } catch (e) {
-      // Fallback to process.cwd() for development
-      artifactPath = path.join(process.cwd(), 'artifacts', 'contracts', 'IdentityContract.sol', 'IdentityContract.json');
-      artifactData = await fs.readFile(artifactPath, 'utf-8');
-    }
+    console.log(`Prepared ${action.functionName} transaction for ${signerAddress} on ${contractAddress}`);
 
-    const artifact = JSON.parse(artifactData);
+    return {
+      ok: true,
+      unsignedTransaction,
+      metadata: {
+        operation: action.operation,
+        preparedId,
+        estimatedCost: ethers.utils.formatEther(maxCost),
+        sponsored: ethers.utils.formatEther(funding.funded),
+        signer: signerAddress,
+        contractAddress: contractAddress,
+        ...(typeof action.metadata === 'function' ? action.metadata() : action.metadata),
+      },
+    };
+  }
 
-    // Create contract interface to encode function call
+  /**
+   * Prepares an unsigned call to any compiled contract for the client to sign.
+   *
+   * The function and its args are checked against the artifact's ABI; a
+   * refusal comes back as `{ ok: false, reason, message }` (reason `artifact`,
+   * `function` or `args`). Gas and fees come from the domain's chain, as for
+   * addRivet. With `sponsor`, the domain's server wallet tops up `from` so it
+   * can pay, as operation `<artifact>.<function>` — the caller decides
+   * whether to ask, and the sponsorship ledger whether to pay.
+   *
+   * Without `to` it prepares a deployment of the artifact instead: `args` go
+   * to its constructor, the data is its bytecode, and the sponsorship
+   * operation is `<artifact>.constructor`. The receipt carries the new
+   * contract's address.
+   *
+   * @param request - Contract, function, args and signer
+   * @param domain - Domain context (provider and server wallet)
+   * @param sponsorship - Ledger that must approve (and records) the funding
+   * @returns Unsigned transaction plus decoded, human-readable metadata
+   */
+  public static async prepareContractCall(
+    request: PrepareContractCallRequest,
+    domain: string,
+    sponsorship: SponsorshipOptions = {}
+  ): Promise<PrepareContractCallResult> {
+    const artifact = await Epistery.loadArtifact(request.artifact);
+    if (!artifact?.abi) {
+      return { ok: false, reason: 'artifact', message: `Unknown contract artifact "${request.artifact}"` };
+    }
     const contractInterface = new ethers.utils.Interface(artifact.abi);
-    const txData = contractInterface.encodeFunctionData('addRivet', [rivetAddressToAdd, rivetName]);
+    const deploy = !request.to;
 
-    // Estimate gas for the addRivet transaction
-    let estimatedGas: ethers.BigNumber;
+    let fragment: ethers.utils.FunctionFragment | ethers.utils.ConstructorFragment;
+    if (deploy) {
+      if (!ethers.utils.isHexString(artifact.bytecode) || ethers.utils.hexDataLength(artifact.bytecode) === 0) {
+        return { ok: false, reason: 'artifact', message: `${request.artifact} has no bytecode to deploy` };
+      }
+      fragment = contractInterface.deploy;
+    } else {
+      try {
+        fragment = contractInterface.getFunction(request.functionName!);
+      } catch {
+        return {
+          ok: false,
+          reason: 'function',
+          message: `${request.artifact} has no single function "${request.functionName}"`,
+        };
+      }
+    }
+    // ethers formats no signature for a constructor, and leaves it unnamed.
+    const name = deploy ? 'constructor' : fragment.name;
+    const signature = `${name}(${fragment.inputs.map(input => input.format()).join(',')})`;
+    if (fragment instanceof ethers.utils.FunctionFragment && fragment.constant) {
+      return {
+        ok: false,
+        reason: 'function',
+        message: `${signature} is ${fragment.stateMutability}; call it, there is nothing to sign`,
+      };
+    }
+
+    const args = request.args || [];
+    if (args.length !== fragment.inputs.length) {
+      return {
+        ok: false,
+        reason: 'args',
+        message: `${signature} takes ${fragment.inputs.length} argument(s), got ${args.length}`,
+      };
+    }
+    let value: ethers.BigNumber;
+    let data: string;
     try {
-      estimatedGas = await provider.estimateGas({
-        from: signerAddress,
-        to: contractAddress,
-        data: txData
-      });
-    } catch (error) {
-      console.warn('Gas estimation failed for addRivet, using fallback');
-      estimatedGas = ethers.BigNumber.from(100000);
+      value = ethers.BigNumber.from(request.value || 0);
+      data = deploy
+        ? ethers.utils.hexConcat([artifact.bytecode, contractInterface.encodeDeploy(args)])
+        : contractInterface.encodeFunctionData(fragment as ethers.utils.FunctionFragment, args);
+    } catch (error: any) {
+      return { ok: false, reason: 'args', message: `Invalid arguments for ${signature}: ${error?.reason || error?.message}` };
+    }
+    if (!value.isZero() && !fragment.payable) {
+      return { ok: false, reason: 'args', message: `${signature} is not payable` };
     }
 
-    const gasLimit = estimatedGas.mul(130).div(100);
+    const domainInfo = await Utils.GetDomainInfo(domain);
+    if (!domainInfo?.provider?.rpc || domainInfo.provider.chainId == null) {
+      throw new Error(`No provider (rpc and chainId) configured in ~/.epistery for domain "${domain}"`);
+    }
+    const chain = await configuredChainFor(domainInfo.provider as ChainConfig);
 
-    // Build Transaction
-    const network = await provider.getNetwork();
-    const nonce = await provider.getTransactionCount(signerAddress, 'pending');
-    const feeData = await provider.getFeeData();
+    const { unsignedTransaction, maxCost, preparedId } = await Epistery.buildUnsignedTransaction(chain, {
+      from: request.from,
+      to: request.to,
+      data,
+      value,
+    });
 
-    const unsignedTx: any = {
-      to: contractAddress,
-      data: txData,
-      value: '0x00',
-      nonce: nonce,
-      chainId: network.chainId,
-      gasLimit: '0x' + gasLimit.toHexString().slice(2)
+    let funded = ethers.BigNumber.from(0);
+    if (request.sponsor) {
+      if (!domainInfo.wallet) {
+        throw new Error('Server wallet not configured');
+      }
+      const serverWallet = ethers.Wallet.fromMnemonic(domainInfo.wallet.mnemonic).connect(chain.provider);
+      const funding = await Epistery.fundSigner(chain, serverWallet, request.from, maxCost, {
+        ...sponsorship,
+        operation: `${request.artifact}.${name}`,
+      });
+      if (!funding.ok) return funding;
+      funded = funding.funded;
+    }
+
+    const decoded = deploy
+      ? ethers.utils.defaultAbiCoder.decode(
+          fragment.inputs,
+          ethers.utils.hexDataSlice(data, ethers.utils.hexDataLength(artifact.bytecode))
+        )
+      : contractInterface.decodeFunctionData(fragment as ethers.utils.FunctionFragment, data);
+    console.log(`Prepared ${request.artifact}.${name} transaction for ${request.from}`);
+
+    return {
+      ok: true,
+      unsignedTransaction,
+      metadata: {
+        operation: deploy ? 'contractDeploy' : 'contractCall',
+        preparedId,
+        artifact: request.artifact,
+        function: signature,
+        args: fragment.inputs.map((input, i) => ({
+          name: input.name,
+          type: input.format(),
+          value: Epistery.describeValue(input, decoded[i]),
+        })),
+        contractAddress: request.to || null,
+        signer: request.from,
+        chainId: chain.chainId,
+        value: ethers.utils.formatEther(value),
+        estimatedCost: ethers.utils.formatEther(maxCost),
+        sponsored: ethers.utils.formatEther(funded),
+      },
     };
+  }
 
-    // Add gas pricing
-    let totalTxCost: ethers.BigNumber;
-    if (feeData.maxFeePerGas && feeData.maxPriorityFeePerGas) {
-      let maxFee = feeData.maxFeePerGas.mul(120).div(100);
-      let priorityFee = feeData.maxPriorityFeePerGas.mul(120).div(100);
-
-      const isPolygon = network.chainId === 137 || network.chainId === 80002;
-      if (isPolygon) {
-        const minPriorityFee = ethers.utils.parseUnits('30', 'gwei');
-        if (priorityFee.lt(minPriorityFee)) {
-          priorityFee = minPriorityFee;
-        }
-        if (maxFee.lt(priorityFee)) {
-          maxFee = priorityFee.mul(2);
+  /**
+   * Load a compiled contract artifact by contract name from
+   * artifacts/contracts/<Source>.sol/<Name>.json — the epistery package's
+   * own artifacts first, then process.cwd() for development.
+   *
+   * @returns The parsed artifact, or null when there is none by that name
+   */
+  public static async loadArtifact(name: string): Promise<any | null> {
+    if (typeof name !== 'string' || !/^[A-Za-z0-9_]+$/.test(name)) return null;
+    const fs = await import('fs/promises');
+    const path = await import('path');
+
+    for (const root of [path.join(__dirname, '..'), process.cwd()]) {
+      const contractsDir = path.join(root, 'artifacts', 'contracts');
+      let sources: string[];
+      try {
+        sources = await fs.readdir(contractsDir);
+      } catch {
+        continue;
+      }
+      // Most sources are named for their contract (agent.sol holds Agent).
+      sources.sort((a, b) => Number(b === `${name}.sol`) - Number(a === `${name}.sol`));
+      for (const source of sources) {
+        try {
+          return JSON.parse(await fs.readFile(path.join(contractsDir, source, `${name}.json`), 'utf-8'));
+        } catch {
+          // Not in this source file
         }
       }
+    }
+    return null;
+  }
 
-      unsignedTx.maxFeePerGas = '0x' + maxFee.toHexString().slice(2);
-      unsignedTx.maxPriorityFeePerGas = '0x' + priorityFee.toHexString().slice(2);
-      unsignedTx.type = 2;
+  /** A decoded ABI value as plain JSON: numbers as decimal strings, tuples as objects. */
+  private static describeValue(param: ethers.utils.ParamType, value: any): any {
+    if (param.baseType === 'array') {
+      return value.map((item: any) => Epistery.describeValue(param.arrayChildren, item));
+    }
+    if (param.baseType === 'tuple') {
+      const described: Record<string, any> = {};
+      param.components.forEach((component, i) => {
+        described[component.name || String(i)] = Epistery.describeValue(component, value[i]);
+      });
+      return described;
+    }
+    return ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+  }
 
-      totalTxCost = gasLimit.mul(maxFee);
-    } else {
-      const gasPrice = feeData.gasPrice!.mul(120).div(100);
-      unsignedTx.gasPrice = '0x' + gasPrice.toHexString().slice(2);
+  /**
+   * True when the IdentityContract at `contractAddress` answers
+   * isAuthorized(signerAddress), by a quorum of the chain's endpoints. A
+   * contract that can't answer (no code, not an IdentityContract)
+   * authorizes nobody.
+   */
+  private static async isAuthorizedSigner(
+    chain: Chain,
+    contractAddress: string,
+    signerAddress: string
+  ): Promise<boolean> {
+    const identity = new ethers.Contract(
+      contractAddress,
+      ['function isAuthorized(address) view returns (bool)'],
+      chain.quorumProvider
+    );
+    try {
+      return await identity.isAuthorized(signerAddress);
+    } catch (error: any) {
+      if (error?.code === 'CALL_EXCEPTION') return false;
+      throw error;
+    }
+  }
 
-      totalTxCost = gasLimit.mul(gasPrice);
+  /**
+   * Top up `signerAddress` from the server wallet so it holds `maxCost` plus
+   * a 50% buffer, then wait for the transfer to be mined. With a
+   * `sponsorship` ledger the transfer must fit the domain's policy, and is
+   * recorded in it; without one it is unlimited.
+   *
+   * @returns The amount sent (zero when the signer already had enough), or
+   *          the ledger's refusal
+   */
+  private static async fundSigner(
+    chain: Chain,
+    serverWallet: ethers.Wallet,
+    signerAddress: string,
+    maxCost: ethers.BigNumber,
+    sponsorship?: SponsorshipOptions & { operation: string }
+  ): Promise<{ ok: true; funded: ethers.BigNumber } | SponsorshipRefusal> {
+    const signerBalance = await chain.provider.getBalance(signerAddress);
+    const neededWithBuffer = maxCost.mul(150).div(100);
+    if (signerBalance.gte(neededWithBuffer)) {
+      return { ok: true, funded: ethers.BigNumber.from(0) };
     }
+    const amountToFund = neededWithBuffer.sub(signerBalance);
+    const send = async () =>
+      chain.sendTransaction(serverWallet, {
+        to: signerAddress,
+        value: amountToFund,
+        gasLimit: await chain.estimateGas({ from: serverWallet.address, to: signerAddress, value: amountToFund }),
+      });
 
-    // Fund Signer Wallet
-    const signerBalance = await provider.getBalance(signerAddress);
-    const neededWithBuffer = totalTxCost.mul(150).div(100);
+    let fundTx: ethers.providers.TransactionResponse;
+    if (sponsorship?.ledger) {
+      let sent: ethers.providers.TransactionResponse | undefined;
+      const result = await sponsorship.ledger.sponsor(
+        {
+          identityAddress: sponsorship.identityAddress || signerAddress,
+          signerAddress,
+          operation: sponsorship.operation,
+          chainId: chain.chainId,
+          amount: amountToFund,
+        },
+        async () => (sent = await send()),
+      );
+      if (!result.ok) return result;
+      fundTx = sent!;
+    } else {
+      fundTx = await send();
+    }
+    await fundTx.wait();
+    return { ok: true, funded: amountToFund };
+  }
 
-    if (signerBalance.lt(neededWithBuffer)) {
-      const amountToFund = neededWithBuffer.sub(signerBalance);
+  /**
+   * Build an unsigned transaction for a client to sign, with the gas limit
+   * from chain.estimateGas() (the chain's safety multiplier) and fees from
+   * chain.getFeeData() (its floors and ceilings — a fee over the operator's
+   * cap throws here rather than reaching the wallet). A call that fails
+   * estimation would revert, so that throws too instead of guessing a limit.
+   *
+   * Returns the transaction, its worst-case cost (gasLimit × max fee), and
+   * the id under which it was recorded for POST /tx/submit to check against.
+   */
+  private static async buildUnsignedTransaction(
+    chain: Chain,
+    tx: { from: string; to?: string; data: string; value?: ethers.BigNumberish }
+  ): Promise<{ unsignedTransaction: UnsignedTransaction; maxCost: ethers.BigNumber; preparedId: string }> {
+    const value = ethers.BigNumber.from(tx.value || 0);
+    let gasLimit: ethers.BigNumber;
+    try {
+      gasLimit = await chain.estimateGas({ from: tx.from, to: tx.to, data: tx.data, value });
+    } catch (error: any) {
+      throw new Error(`Transaction would fail: ${error?.reason || error?.message || error}`);
+    }
+    const fee = await chain.getFeeData();
+    const nonce = await chain.provider.getTransactionCount(tx.from, 'pending');
 
-      const fundTxParams: any = {
-        to: signerAddress,
-        value: amountToFund,
-        gasLimit: ethers.BigNumber.from(21000).mul(130).div(100)
-      };
+    // A deployment has no `to`; leave the field out rather than send null.
+    const unsignedTransaction: UnsignedTransaction = {
+      ...(tx.to ? { to: tx.to } : {}),
+      data: tx.data,
+      value: value.toHexString(),
+      nonce,
+      chainId: chain.chainId,
+      gasLimit: gasLimit.toHexString(),
+    };
+    let price: ethers.BigNumber;
+    if (fee.maxFeePerGas && fee.maxPriorityFeePerGas) {
+      unsignedTransaction.type = 2;
+      unsignedTransaction.maxFeePerGas = fee.maxFeePerGas.toHexString();
+      unsignedTransaction.maxPriorityFeePerGas = fee.maxPriorityFeePerGas.toHexString();
+      price = fee.maxFeePerGas;
+    } else {
+      unsignedTransaction.gasPrice = fee.gasPrice!.toHexString();
+      price = fee.gasPrice!;
+    }
+    const preparedId = Epistery.transactions.prepare({
+      chainId: chain.chainId,
+      from: tx.from,
+      to: tx.to || null,
+      data: tx.data,
+      value: value.toString(),
+    });
+    return { unsignedTransaction, maxCost: gasLimit.mul(price).add(value), preparedId };
+  }
 
-      if (unsignedTx.type === 2) {
-        const isPolygon = network.chainId === 137 || network.chainId === 80002;
-        const minPriorityFee = isPolygon ? ethers.utils.parseUnits('30', 'gwei') : ethers.BigNumber.from(unsignedTx.maxPriorityFeePerGas);
-        fundTxParams.maxFeePerGas = unsignedTx.maxFeePerGas;
-        fundTxParams.maxPriorityFeePerGas = minPriorityFee;
-        fundTxParams.type = 2;
-      } else {
-        fundTxParams.gasPrice = unsignedTx.gasPrice;
-      }
+  /**
+   * Broadcasts a client-signed transaction that this host prepared, and
+   * returns as soon as the node accepts it (POST /tx/submit).
+   *
+   * `preparedId` (from the prepare response's metadata) must name a
+   * transaction prepared here, and the signed one must match it: same
+   * chainId, signer, `to`, `data` and `value`. The chain must be one this
+   * host has an RPC for. Refusals before broadcast come back as
+   * `{ ok: false, reason, message }`; a node rejection throws, and leaves
+   * `preparedId` usable for another try.
+   *
+   * @param signedTx - Complete signed transaction (hex string)
+   * @param preparedId - metadata.preparedId from the prepare step
+   * @param options - Domain whose provider to prefer; operation label for status
+   * @returns The transaction hash, chainId, signer and nonce
+   */
+  public static async broadcastSignedTransaction(
+    signedTx: string,
+    preparedId: string,
+    options: { domain?: string; operation?: string } = {}
+  ): Promise<BroadcastResult> {
+    let parsedTx: ethers.Transaction;
+    try {
+      parsedTx = ethers.utils.parseTransaction(signedTx);
+    } catch (error: any) {
+      return { ok: false, reason: 'transaction', message: `Not a signed transaction: ${error?.reason || error?.message}` };
+    }
+    if (!parsedTx.from || !parsedTx.hash) {
+      return { ok: false, reason: 'transaction', message: 'Transaction is not signed' };
+    }
 
-      const fundTx = await serverWallet.sendTransaction(fundTxParams);
-      await fundTx.wait();
+    const chain = await Epistery.chainForId(parsedTx.chainId, options.domain);
+    if (!chain) {
+      return { ok: false, reason: 'chain', message: `Chain ${parsedTx.chainId} is not configured on this host` };
+    }
+    const match = Epistery.transactions.take(preparedId, parsedTx);
+    if (!match.ok) {
+      return { ok: false, reason: 'prepared', message: match.message };
     }
 
-    console.log(`Prepared addRivet transaction for ${signerAddress} to add ${rivetAddressToAdd}`);
+    // Taken before the broadcast so two submits can't both relay it; put
+    // back if the node refuses, since nothing was spent.
+    let response: ethers.providers.TransactionResponse;
+    try {
+      response = await chain.provider.sendTransaction(signedTx);
+    } catch (error) {
+      Epistery.transactions.restore(preparedId, match);
+      throw error;
+    }
+    await chain.track(response, { raw: signedTx, operation: options.operation });
+    Epistery.transactions.recordSubmitted(response.hash, {
+      chainId: chain.chainId,
+      from: parsedTx.from,
+      operation: options.operation,
+    });
+    console.log(`Broadcast ${options.operation || 'transaction'} ${response.hash} on chain ${chain.chainId} from ${parsedTx.from}`);
 
     return {
-      unsignedTransaction: unsignedTx,
-      metadata: {
-        operation: 'addRivetToContract',
-        estimatedCost: ethers.utils.formatEther(gasLimit.mul(feeData.gasPrice || feeData.maxFeePerGas!)),
-        signer: signerAddress,
-        contractAddress: contractAddress,
-        rivetToAdd: rivetAddressToAdd,
-        rivetName: rivetName
-      }
+      ok: true,
+      transactionHash: response.hash,
+      chainId: chain.chainId,
+      from: parsedTx.from,
+      nonce: parsedTx.nonce,
     };
   }
 
   /**
-   * Submits a client-signed transaction to the blockchain
+   * Where a submitted transaction stands (GET /tx/status/:hash). The chain is
+   * the one it was submitted on through this host, else `chainId`, else the
+   * domain's own.
+   *
+   * A transaction tracked by `Chain.transactions` is reported as the tracker
+   * settled it: a re-priced one by the broadcast that mined (`replacedBy`),
+   * and one whose nonce went elsewhere as `replaced`, `cancelled` or
+   * `dropped`.
+   *
+   * @returns The status, or null when no configured chain applies
+   */
+  public static async getTransactionStatus(
+    hash: string,
+    options: { domain?: string; chainId?: number } = {}
+  ): Promise<TransactionStatus | null> {
+    const submitted = Epistery.transactions.submittedFor(hash);
+    let chainId = submitted?.chainId ?? options.chainId;
+    if (chainId == null && options.domain) {
+      const provider = (await Utils.GetDomainInfo(options.domain))?.provider;
+      if (provider?.chainId != null) chainId = Number(provider.chainId);
+    }
+    if (chainId == null) return null;
+    const chain = await Epistery.chainForId(chainId, options.domain);
+    if (!chain) return null;
+
+    const status: TransactionStatus = {
+      transactionHash: hash,
+      chainId: chain.chainId,
+      status: 'unknown',
+      ...(submitted ? { operation: submitted.operation, submittedAt: submitted.submittedAt } : {}),
+    };
+    const tracked = await Chain.transactions.get(hash);
+    if (tracked && tracked.status === 'pending') {
+      return { ...status, status: 'pending' };
+    }
+    if (tracked && tracked.status !== 'confirmed' && tracked.status !== 'reverted') {
+      return { ...status, status: tracked.status, ...(tracked.minedHash ? { replacedBy: tracked.minedHash } : {}) };
+    }
+    const minedHash = tracked?.minedHash || hash;
+    const receipt = await chain.provider.getTransactionReceipt(minedHash);
+    if (receipt) {
+      return {
+        ...status,
+        ...(minedHash.toLowerCase() !== hash.toLowerCase() ? { replacedBy: minedHash } : {}),
+        status: receipt.status === 0 ? 'reverted' : 'confirmed',
+        blockNumber: receipt.blockNumber,
+        confirmations: receipt.confirmations,
+        gasUsed: receipt.gasUsed.toString(),
+        contractAddress: receipt.contractAddress,
+      };
+    }
+    if (await chain.provider.getTransaction(hash)) {
+      status.status = 'pending';
+    }
+    return status;
+  }
+
+  /**
+   * The configured Chain for `chainId`: the domain's provider when it is on
+   * that chain, then root [provider], then the registered chain of that id
+   * (configuredChains(), privateRpc overlaid). Null when this host has no
+   * RPC for it.
+   */
+  private static async chainForId(chainId: number, domain?: string): Promise<Chain | null> {
+    const rootData = await Utils.GetConfig().read('/');
+    const providers = [
+      domain ? (await Utils.GetDomainInfo(domain))?.provider : undefined,
+      rootData.provider ?? rootData.default?.provider,
+    ];
+    for (const provider of providers) {
+      if (provider?.rpc && provider.chainId != null && Number(provider.chainId) === Number(chainId)) {
+        return configuredChainFor(provider as ChainConfig);
+      }
+    }
+    const known = (await configuredChains()).find(c => Number(c.chainId) === Number(chainId));
+    return known ? configuredChainFor(known) : null;
+  }
+
+  /**
+   * Submits a client-signed transaction to the blockchain and waits for it
+   * to be mined. For scripts; routes use broadcastSignedTransaction, which
+   * checks the transaction against what was prepared and doesn't block.
    *
-   * This is the final step in client-side signing flow.
-   * The transaction is already signed and immutable.
-   * Server just broadcasts it to the blockchain.
+   * The RPC is chosen by the transaction's own chainId.
    *
    * @param signedTx - Complete signed transaction (hex string)
    * @returns Transaction receipt
@@ -304,18 +1290,14 @@ export class Epistery {
   public static async submitSignedTransaction(
     signedTx: string
   ): Promise<any> {
-    // RPC from ~/.epistery root config via Config — not process.env. A signed
-    // tx already encodes its chainId; we just need the network's RPC, which
-    // single-domain apps declare once at root [provider].
-    const rootData = await Utils.GetConfig().read('/');
-    const rpcUrl = rootData.provider?.rpc ?? rootData.default?.provider?.rpc;
-    if (!rpcUrl) {
-      throw new Error('No provider RPC configured in ~/.epistery (root [provider])');
-    }
-    const provider = new ethers.providers.JsonRpcProvider(rpcUrl);
-
     // Parse signed transaction to validate and log
     const parsedTx = ethers.utils.parseTransaction(signedTx);
+    const chain = await Epistery.chainForId(parsedTx.chainId);
+    if (!chain) {
+      throw new Error(`No RPC configured in ~/.epistery for chain ${parsedTx.chainId}`);
+    }
+    const provider = chain.provider;
+
     console.log(`Broadcasting signed transaction:`);
     console.log(`  From: ${parsedTx.from}`);
     console.log(`  To: ${parsedTx.to}`);
@@ -323,11 +1305,11 @@ export class Epistery {
     console.log(`  Gas Limit: ${parsedTx.gasLimit?.toString()}`);
 
     // Broadcast to blockchain
-    const response = await provider.sendTransaction(signedTx);
+    const response = await chain.track(await provider.sendTransaction(signedTx), { raw: signedTx });
     console.log(`  Transaction Hash: ${response.hash}`);
     console.log(`  Waiting for confirmation...`);
 
-    // Wait for confirmation
+    // Wait for confirmation; re-broadcast by Chain.transactions if dropped
     const receipt = await response.wait();
     console.log(`  Confirmed in block: ${receipt.blockNumber}`);
     console.log(`  Gas Used: ${receipt.gasUsed.toString()}`);
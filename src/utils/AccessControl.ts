@@ -0,0 +1,116 @@
+import { ethers } from 'ethers';
+
+/**
+ * Section-role checks against an EpisteryAccess contract (IdentityContract,
+ * DomainAgent, …) — the Node side of `roleOf(section, who)`.
+ *
+ * The chain is the authority; this only remembers its answers for a short
+ * TTL so a page of requests from one identity costs one RPC call, not one
+ * each. roleOf already folds in stewardship and the section's DEFAULT_MEMBER
+ * fallback, so callers compare the returned role against the minimum
+ * locally and one cached answer serves every minRole.
+ */
+
+/** EpisteryAccess roles, in ascending order of power. */
+export const ROLES = {
+  none: 0,
+  read: 1,
+  write: 2,
+  admin: 3,
+  owner: 4,
+} as const;
+
+export type RoleName = keyof typeof ROLES;
+
+export const DEFAULT_ACCESS_TTL_MS = 30 * 1000;
+
+const ACCESS_ABI = [
+  'function roleOf(string section, address who) view returns (uint8)',
+];
+
+/** Normalize a role given by name ('write') or number (2). Throws on anything else. */
+export function roleValue(role: RoleName | number | string): number {
+  if (typeof role === 'number' && Number.isInteger(role) && role >= 0 && role <= ROLES.owner) {
+    return role;
+  }
+  if (typeof role === 'string' && role.toLowerCase() in ROLES) {
+    return ROLES[role.toLowerCase() as RoleName];
+  }
+  throw new Error(`Unknown role "${role}" (expected ${Object.keys(ROLES).join(', ')} or 0-4)`);
+}
+
+/** The name of a numeric role, e.g. 2 → 'write'. */
+export function roleName(role: number): RoleName {
+  const name = (Object.keys(ROLES) as RoleName[]).find(k => ROLES[k] === role);
+  return name || 'none';
+}
+
+export interface AccessCheckerOptions {
+  /** How long an on-chain answer is reused. */
+  ttlMs?: number;
+}
+
+export class AccessChecker {
+  private readonly provider: ethers.providers.Provider;
+  private readonly ttlMs: number;
+  // contract:section:who → { role, expires }
+  private cache: Map<string, { role: number; expires: number }> = new Map();
+  private inflight: Map<string, Promise<number>> = new Map();
+  private lastSweep = 0;
+
+  constructor(provider: ethers.providers.Provider, options: AccessCheckerOptions = {}) {
+    this.provider = provider;
+    this.ttlMs = options.ttlMs ?? DEFAULT_ACCESS_TTL_MS;
+  }
+
+  /**
+   * `who`'s effective role on `section` of `contractAddress`. Errors (bad
+   * contract, RPC down) propagate — the caller decides how to fail, and a
+   * failure is never cached.
+   */
+  async roleOf(contractAddress: string, section: string, who: string): Promise<number> {
+    const now = Date.now();
+    const key = `${contractAddress.toLowerCase()}:${section}:${who.toLowerCase()}`;
+    const hit = this.cache.get(key);
+    if (hit && hit.expires > now) return hit.role;
+
+    if (now - this.lastSweep > 60 * 1000) {
+      for (const [k, v] of this.cache) {
+        if (v.expires <= now) this.cache.delete(k);
+      }
+      this.lastSweep = now;
+    }
+
+    let pending = this.inflight.get(key);
+    if (!pending) {
+      const contract = new ethers.Contract(contractAddress, ACCESS_ABI, this.provider);
+      pending = (contract.roleOf(section, who) as Promise<number>)
+        .then((role) => {
+          role = Number(role);
+          this.cache.set(key, { role, expires: Date.now() + this.ttlMs });
+          return role;
+        })
+        .finally(() => this.inflight.delete(key));
+      this.inflight.set(key, pending);
+    }
+    return pending;
+  }
+
+  /** True when `who` holds at least `minRole` on `section` (minRole > 0). */
+  async authorized(contractAddress: string, section: string, who: string, minRole: RoleName | number): Promise<boolean> {
+    const min = roleValue(minRole);
+    return min !== ROLES.none && (await this.roleOf(contractAddress, section, who)) >= min;
+  }
+
+  /** Forget cached answers — all of them, or one contract's. */
+  invalidate(contractAddress?: string): void {
+    if (!contractAddress) {
+      this.cache.clear();
+      return;
+    }
+    const prefix = `${contractAddress.toLowerCase()}:`;
+    for (const k of [...this.cache.keys()]) {
+      if (k.startsWith(prefix)) this.cache.delete(k);
+    }
+  }
+}
@@ -0,0 +1,289 @@
+import crypto from 'crypto';
+import { SignatureVerifier, SignatureCheck } from './SignatureVerifier';
+
+/**
+ * `Authorization: Bot <base64-json>` — per-request signed authentication for
+ * CLI and programmatic clients.
+ *
+ * The original wire signed "Rhonda Bot Authentication - <ISO timestamp>" and
+ * the server only checked that the signature recovered to the claimed
+ * address, so a captured header worked forever and against any route. The
+ * message is now bound to the request it authorizes:
+ *
+ *     epistery-bot-auth
+ *     <address>
+ *     <METHOD>
+ *     <host>
+ *     <path + query>
+ *     <sha256 of the body, hex, or empty>
+ *     <ISO timestamp>
+ *     <nonce>
+ *
+ * Eight lines joined by '\n', in that order. The server rebuilds the lines it
+ * can observe (method, host, path) from the request instead of trusting them,
+ * enforces a freshness window on the timestamp, and rejects a nonce it has
+ * already seen inside that window. Changing the tag, order or count is a
+ * wire-breaking change for every signer and verifier at once.
+ *
+ * `<address>` is who the request is made as. For a key that is its own
+ * address. A contract identity (an IdentityContract) puts its contract
+ * address there and in the payload's `contractAddress`, and one of its
+ * rivets signs for it; the signature is checked by the contract's
+ * isValidSignature (EIP-1271) through `options.verifySignature`.
+ */
+
+export const BOT_AUTH_TAG = 'epistery-bot-auth';
+
+/** Prefix of the pre-binding message, accepted only with `allowLegacy`. */
+export const LEGACY_BOT_AUTH_PREFIX = 'Rhonda Bot Authentication - ';
+
+/** Default freshness window: a header is good for 5 minutes either side of now. */
+export const DEFAULT_BOT_AUTH_WINDOW_MS = 5 * 60 * 1000;
+
+export interface BotAuthRequestParts {
+  address: string;
+  method: string;
+  host: string;
+  path: string;
+  bodyHash?: string;
+  timestamp: string;
+  nonce: string;
+}
+
+export interface BotAuthPayload {
+  address: string;
+  signature: string;
+  message: string;
+  /** Set (to `address`) when the bot authenticates as a contract identity. */
+  contractAddress?: string;
+}
+
+/**
+ * Replay cache for bot nonces. `add` returns true when the key was unseen and
+ * has been recorded, false when it is a replay. Implementations must hold a
+ * key for at least `ttlMs`; a shared backend (redis, the config authority)
+ * lets a pool of hosts reject a header replayed against a sibling.
+ */
+export interface NonceCache {
+  add(key: string, ttlMs: number): Promise<boolean>;
+}
+
+/**
+ * In-process NonceCache. Entries expire after their TTL and are swept lazily
+ * on insert, so memory is bounded by the request rate times the window.
+ */
+export class MemoryNonceCache implements NonceCache {
+  private entries: Map<string, number> = new Map();
+  private lastSweep = 0;
+
+  async add(key: string, ttlMs: number): Promise<boolean> {
+    const now = Date.now();
+    if (now - this.lastSweep > 60 * 1000) {
+      for (const [k, expires] of this.entries) {
+        if (expires <= now) this.entries.delete(k);
+      }
+      this.lastSweep = now;
+    }
+    const expires = this.entries.get(key);
+    if (expires && expires > now) return false;
+    this.entries.set(key, now + ttlMs);
+    return true;
+  }
+}
+
+export interface BotAuthOptions {
+  /** Accepted clock skew either side of the server's clock, in ms. */
+  windowMs?: number;
+  /** Replay cache; defaults to a process-wide MemoryNonceCache. */
+  nonceCache?: NonceCache;
+  /** Refuse requests whose message carries no body hash. */
+  requireBodyHash?: boolean;
+  /** Accept the pre-binding "Rhonda Bot Authentication" message (rollout only). */
+  allowLegacy?: boolean;
+  /**
+   * Signature check. Defaults to keys only; the host passes one that can
+   * reach the domain's chain so contract identities verify (EIP-1271).
+   */
+  verifySignature?: (
+    address: string,
+    message: string,
+    signature: string,
+    options: { contractOnly?: boolean },
+  ) => Promise<SignatureCheck>;
+}
+
+/** What the verifier needs to know about the incoming request. */
+export interface BotAuthRequest {
+  method: string;
+  host: string;
+  path: string;
+  /** Raw request body, when the host captured it (express.json({ verify })). */
+  rawBody?: Buffer | string;
+  /**
+   * botAuthBodyHash() of the body as received, when the host knows it some
+   * other way ('' for no body). Ignored when `rawBody` is given.
+   */
+  bodyHash?: string | null;
+}
+
+export type BotAuthResult =
+  | {
+      valid: true;
+      address: string;
+      legacy: boolean;
+      /** `address`, when it is a contract identity that vouched for the signature. */
+      contractAddress: string | null;
+      /** The key that signed: `address`, or the contract's rivet. */
+      signer: string;
+      /** True when the signed body hash was checked against the body received. */
+      bodyVerified: boolean;
+    }
+  | { valid: false; reason: string; message: string };
+
+/** sha256 hex of a request body; '' for an empty or absent body. */
+export function botAuthBodyHash(body?: Buffer | string | null): string {
+  if (body == null || body.length === 0) return '';
+  return crypto.createHash('sha256').update(body).digest('hex');
+}
+
+/** Build the canonical message for a bot request. */
+export function botAuthMessage(parts: BotAuthRequestParts): string {
+  return [
+    BOT_AUTH_TAG,
+    parts.address,
+    parts.method.toUpperCase(),
+    parts.host.toLowerCase(),
+    parts.path,
+    parts.bodyHash || '',
+    parts.timestamp,
+    parts.nonce,
+  ].join('\n');
+}
+
+/** Parse a canonical message back into its parts, or null if it isn't one. */
+export function parseBotAuthMessage(message: string): BotAuthRequestParts | null {
+  const lines = String(message).split('\n');
+  if (lines.length !== 8 || lines[0] !== BOT_AUTH_TAG) return null;
+  const [, address, method, host, path, bodyHash, timestamp, nonce] = lines;
+  return { address, method, host, path, bodyHash, timestamp, nonce };
+}
+
+/** Decode an `Authorization` header value into its payload, or null. */
+export function decodeBotAuthHeader(header: string | undefined): BotAuthPayload | null {
+  if (!header || !header.startsWith('Bot ')) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(header.substring(4), 'base64').toString('utf8'));
+    if (!payload?.address || !payload?.signature || !payload?.message) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+const defaultNonceCache = new MemoryNonceCache();
+const keyVerifier = new SignatureVerifier(null);
+
+function reject(reason: string, message: string): BotAuthResult {
+  return { valid: false, reason, message };
+}
+
+/**
+ * Verify a bot payload against the request it arrived on. Checks, in order:
+ * signature is the claimed address's (its key's, or its contract's via
+ * EIP-1271), message shape, method/host/path
+ * binding, body hash, timestamp freshness, and finally nonce reuse — the
+ * nonce is only recorded once everything else has passed, so a malformed
+ * request cannot burn a legitimate client's nonce.
+ *
+ * A body hash is checked against `request.rawBody` (or `request.bodyHash`);
+ * when neither is known the request is refused. `bodyVerified` in the result
+ * says whether the body is covered by the signature.
+ */
+export async function verifyBotAuth(
+  payload: BotAuthPayload,
+  request: BotAuthRequest,
+  options: BotAuthOptions = {},
+): Promise<BotAuthResult> {
+  const windowMs = options.windowMs ?? DEFAULT_BOT_AUTH_WINDOW_MS;
+  const nonceCache = options.nonceCache || defaultNonceCache;
+
+  const contractOnly = payload.contractAddress != null;
+  if (contractOnly && String(payload.contractAddress).toLowerCase() !== String(payload.address).toLowerCase()) {
+    return reject('binding', 'Bot contractAddress must be the address the message is signed as');
+  }
+  const verify = options.verifySignature ||
+    ((address: string, message: string, signature: string, opts: { contractOnly?: boolean }) =>
+      keyVerifier.verify(address, message, signature, opts));
+  const check = await verify(payload.address, payload.message, payload.signature, { contractOnly });
+  if (!check.valid) {
+    return check.reason === 'unavailable'
+      ? reject('unavailable', check.message)
+      : reject('signature', 'Bot signature does not match address');
+  }
+
+  const parts = parseBotAuthMessage(payload.message);
+  const received = request.rawBody != null ? botAuthBodyHash(request.rawBody) : request.bodyHash ?? null;
+  let timestamp: string;
+  let nonceKey: string;
+  let bodyVerified = false;
+
+  if (parts) {
+    if (parts.address.toLowerCase() !== payload.address.toLowerCase()) {
+      return reject('binding', 'Bot message names a different address');
+    }
+    if (parts.method !== request.method.toUpperCase()) {
+      return reject('binding', `Bot message is for ${parts.method}, not ${request.method.toUpperCase()}`);
+    }
+    if (parts.host !== request.host.toLowerCase()) {
+      return reject('binding', `Bot message is for host ${parts.host}, not ${request.host.toLowerCase()}`);
+    }
+    if (parts.path !== request.path) {
+      return reject('binding', `Bot message is for ${parts.path}, not ${request.path}`);
+    }
+    if (parts.bodyHash) {
+      // A hash nobody can check binds nothing: refuse rather than pass it.
+      if (received == null) {
+        return reject('binding', 'Bot message body hash cannot be checked: the host did not keep the request body');
+      }
+      if (received !== parts.bodyHash) {
+        return reject('binding', 'Bot message body hash does not match the request body');
+      }
+    } else if (options.requireBodyHash) {
+      return reject('binding', 'Bot message must include a body hash');
+    }
+    bodyVerified = received === (parts.bodyHash || '');
+    if (!parts.nonce) {
+      return reject('nonce', 'Bot message is missing a nonce');
+    }
+    timestamp = parts.timestamp;
+    nonceKey = `${payload.address.toLowerCase()}:${parts.nonce}`;
+  } else if (options.allowLegacy && payload.message.startsWith(LEGACY_BOT_AUTH_PREFIX)) {
+    // Legacy messages carry no nonce; the signature itself is the replay key.
+    timestamp = payload.message.substring(LEGACY_BOT_AUTH_PREFIX.length);
+    nonceKey = `${payload.address.toLowerCase()}:${payload.signature.toLowerCase()}`;
+  } else {
+    return reject('format', 'Unrecognized bot message format; upgrade the client');
+  }
+
+  const ts = Date.parse(timestamp);
+  if (Number.isNaN(ts)) {
+    return reject('timestamp', 'Bot message timestamp is not a valid date');
+  }
+  if (Math.abs(Date.now() - ts) > windowMs) {
+    return reject('timestamp', 'Bot message timestamp is outside the accepted window');
+  }
+
+  // Hold the nonce for the full span in which its timestamp could still pass.
+  if (!(await nonceCache.add(nonceKey, windowMs * 2))) {
+    return reject('nonce', 'Bot message nonce has already been used');
+  }
+
+  return {
+    valid: true,
+    address: payload.address,
+    legacy: !parts,
+    contractAddress: check.kind === 'eip1271' ? payload.address : null,
+    signer: check.signer || payload.address,
+    bodyVerified,
+  };
+}
@@ -0,0 +1,114 @@
+import { ethers } from 'ethers';
+
+/**
+ * Server-issued key-exchange challenges.
+ *
+ * POST /connect used to accept whatever challenge the client chose, so a
+ * captured signed "Epistery Key Exchange - <signer> - <challenge>" message
+ * could be replayed to mint a fresh session. The host now hands out the
+ * challenge (GET /connect/challenge) and handleKeyExchange consumes it: each
+ * one is random, scoped to the domain that issued it, short-lived, and good
+ * for exactly one handshake.
+ *
+ * In-memory per process. Issuing needs no authentication, so it is bounded
+ * without ever dropping a live challenge (that would let a flood of requests
+ * evict real users' handshakes): expired ones are swept on issue, a
+ * requester (the route passes the client IP) may hold `maxPerRequester`
+ * outstanding, and a domain `maxPerDomain`. Past either cap issue() refuses,
+ * with the seconds until the next of those challenges expires.
+ */
+
+/** Default challenge lifetime: long enough for a FIDO prompt, short enough to be useless later. */
+export const DEFAULT_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+/** Default cap on outstanding challenges per domain. */
+export const DEFAULT_MAX_CHALLENGES_PER_DOMAIN = 1000;
+
+/** Default cap on outstanding challenges per requester within a domain. */
+export const DEFAULT_MAX_CHALLENGES_PER_REQUESTER = 20;
+
+export interface IssuedChallenge {
+  challenge: string;
+  expiresAt: string;
+}
+
+export interface ChallengeRefusal {
+  ok: false;
+  // `requester`: this requester holds its cap; `domain`: the domain does
+  reason: 'requester' | 'domain';
+  message: string;
+  // Seconds until one of the challenges counted against the cap expires
+  retryAfter: number;
+}
+
+export type IssueChallengeResult = ({ ok: true } & IssuedChallenge) | ChallengeRefusal;
+
+export class ChallengeStore {
+  // domain → challenge → expiry (ms since epoch) and who asked for it
+  private byDomain: Map<string, Map<string, { expires: number; requester?: string }>> = new Map();
+  private readonly maxPerDomain: number;
+  private readonly maxPerRequester: number;
+
+  constructor(
+    maxPerDomain: number = DEFAULT_MAX_CHALLENGES_PER_DOMAIN,
+    maxPerRequester: number = DEFAULT_MAX_CHALLENGES_PER_REQUESTER
+  ) {
+    this.maxPerDomain = Math.max(1, maxPerDomain);
+    this.maxPerRequester = Math.max(1, maxPerRequester);
+  }
+
+  /**
+   * Mint a fresh challenge for `domain`, unless `requester` or the domain
+   * already holds as many live ones as it may.
+   */
+  issue(domain: string, ttlMs: number = DEFAULT_CHALLENGE_TTL_MS, requester?: string): IssueChallengeResult {
+    const now = Date.now();
+    const key = domain.toLowerCase();
+    let pending = this.byDomain.get(key);
+    if (!pending) {
+      pending = new Map();
+      this.byDomain.set(key, pending);
+    }
+    const mine: number[] = [];
+    for (const [c, entry] of pending) {
+      if (entry.expires <= now) pending.delete(c);
+      else if (requester !== undefined && entry.requester === requester) mine.push(entry.expires);
+    }
+    const retryAfter = (expiries: number[]) =>
+      Math.max(1, Math.ceil((Math.min(...expiries) - now) / 1000));
+    if (mine.length >= this.maxPerRequester) {
+      return {
+        ok: false,
+        reason: 'requester',
+        message: 'Too many outstanding challenges; use or let one expire',
+        retryAfter: retryAfter(mine),
+      };
+    }
+    if (pending.size >= this.maxPerDomain) {
+      return {
+        ok: false,
+        reason: 'domain',
+        message: 'Too many outstanding challenges for this domain; try again shortly',
+        retryAfter: retryAfter([...pending.values()].map(entry => entry.expires)),
+      };
+    }
+
+    const challenge = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+    const expires = now + ttlMs;
+    pending.set(challenge, { expires, requester });
+    return { ok: true, challenge, expiresAt: new Date(expires).toISOString() };
+  }
+
+  /**
+   * Consume a challenge. True only if `domain` issued it, it has not expired,
+   * and nobody consumed it before — it is removed either way.
+   */
+  consume(domain: string, challenge: string): boolean {
+    const pending = this.byDomain.get(domain.toLowerCase());
+    if (!pending || typeof challenge !== 'string') return false;
+    const entry = pending.get(challenge);
+    if (entry === undefined) return false;
+    pending.delete(challenge);
+    return entry.expires > Date.now();
+  }
+}
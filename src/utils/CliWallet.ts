@@ -2,6 +2,8 @@ import { ethers, Wallet } from 'ethers';
 import { Config } from './Config';
 import { DomainConfig, ProviderConfig } from './types';
 import { defaultChain, providerConfigFor } from '../chains';
+import { botAuthMessage, botAuthBodyHash } from './BotAuth';
+import { signIdentityMessage } from './SignatureVerifier';
 import fs from 'fs';
 import { join } from 'path';
 
@@ -24,6 +26,7 @@ export interface KeyExchangeRequest {
   signerAddress: string;
   signerPublicKey: string;
   contractAddress?: string | null;
+  chainId?: number | null;
   challenge: string;
   message: string;
   signature: string;
@@ -139,10 +142,59 @@ export class CliWallet {
    * Point an already-initialized domain at a different chain.
    *
    * Only the domain's [provider] block changes — the wallet (and therefore the
-   * address) is chain-agnostic and is left exactly as it is. Returns the
-   * previous provider config so callers can report the change.
+   * address) is chain-agnostic and is left exactly as it is. Other chains the
+   * domain accepts stay accepted; the new chain leaves that list, being the
+   * domain's own now. Returns the previous provider config so callers can
+   * report the change.
    */
   static async setChain(domain: string, provider: ProviderConfig): Promise<ProviderConfig | undefined> {
+    const config = await CliWallet.loadDomainConfig(domain);
+
+    const previous: ProviderConfig | undefined = config.data.provider;
+    config.data.provider = providerConfigFor(provider);
+    CliWallet.removeAccepted(config, Number(provider.chainId));
+    await config.save();
+
+    return previous;
+  }
+
+  /**
+   * Also accept identity contracts on `provider`'s chain, as a
+   * [chains.<chainId>] section. The domain's own chain is unchanged.
+   *
+   * @returns False when the domain already accepted that chain
+   */
+  static async acceptChain(domain: string, provider: ProviderConfig): Promise<boolean> {
+    const config = await CliWallet.loadDomainConfig(domain);
+    const chainId = Number(provider.chainId);
+    if (Number(config.data.provider?.chainId) === chainId || config.data.chains?.[chainId]) {
+      return false;
+    }
+    config.data.chains = { ...config.data.chains, [chainId]: providerConfigFor(provider) };
+    await config.save();
+    return true;
+  }
+
+  /**
+   * Stop accepting identity contracts on `chainId`. The domain's own chain
+   * can't be dropped, only moved with setChain().
+   *
+   * @returns The dropped chain's config, or undefined when it wasn't accepted
+   */
+  static async dropChain(domain: string, chainId: number): Promise<ProviderConfig | undefined> {
+    const config = await CliWallet.loadDomainConfig(domain);
+    if (Number(config.data.provider?.chainId) === Number(chainId)) {
+      throw new Error(
+        `Chain ${chainId} is ${domain}'s own chain. ` +
+        `Move the domain with: epistery set-chain ${domain} <chain>`
+      );
+    }
+    const dropped = CliWallet.removeAccepted(config, Number(chainId));
+    if (dropped) await config.save();
+    return dropped;
+  }
+
+  private static async loadDomainConfig(domain: string): Promise<Config> {
     const config = new Config();
     await config.setPath(`/${domain}`);
 
@@ -152,12 +204,15 @@ export class CliWallet {
         `Initialize with: epistery initialize ${domain}`
       );
     }
+    return config;
+  }
 
-    const previous: ProviderConfig | undefined = config.data.provider;
-    config.data.provider = providerConfigFor(provider);
-    await config.save();
-
-    return previous;
+  private static removeAccepted(config: Config, chainId: number): ProviderConfig | undefined {
+    const removed: ProviderConfig | undefined = config.data.chains?.[chainId];
+    if (!removed) return undefined;
+    delete config.data.chains[chainId];
+    if (!Object.keys(config.data.chains).length) delete config.data.chains;
+    return removed;
   }
 
   /**
@@ -204,6 +259,13 @@ export class CliWallet {
     return this.domainConfig.provider;
   }
 
+  /**
+   * Chains the domain accepts identities on besides its own
+   */
+  getAcceptedChains(): ProviderConfig[] {
+    return Object.values(this.domainConfig.chains || {});
+  }
+
   /**
    * Sign a message
    */
@@ -220,8 +282,18 @@ export class CliWallet {
     const baseUrl = serverUrl.replace(/\/$/, '');
     const connectUrl = `${baseUrl}/.well-known/epistery/connect`;
 
-    // Generate challenge for key exchange
-    const challenge = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+    // Fetch a single-use challenge from the server. Servers that predate
+    // GET /connect/challenge answer 404; fall back to a self-chosen one,
+    // which they (and allowClientChallenge servers) still accept.
+    let challenge: string;
+    const challengeResponse = await fetch(`${connectUrl}/challenge`);
+    if (challengeResponse.ok) {
+      challenge = ((await challengeResponse.json()) as { challenge: string }).challenge;
+    } else if (challengeResponse.status === 404) {
+      challenge = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+    } else {
+      throw new Error(`Challenge request failed: ${challengeResponse.status}`);
+    }
     const message = `Epistery Key Exchange - ${this.address} - ${challenge}`;
 
     // Sign the message
@@ -310,13 +382,35 @@ export class CliWallet {
   }
 
   /**
-   * Clear saved session for a server URL
+   * Log out of a server: revoke the saved session server-side (DELETE
+   * /connect) and delete it locally. The local copy is removed even when the
+   * server can't be reached, so the CLI never keeps sending a session the user
+   * asked to end. Returns true when the server confirmed the revocation.
    */
-  clearSession(serverUrl: string): void {
+  async clearSession(serverUrl: string): Promise<boolean> {
+    const session = this.getSession(serverUrl);
+    let revoked = false;
+
+    if (session) {
+      const connectUrl = `${serverUrl.replace(/\/$/, '')}/.well-known/epistery/connect`;
+      try {
+        const response = await fetch(connectUrl, {
+          method: 'DELETE',
+          headers: { 'Cookie': `_epistery=${session.cookie}` }
+        });
+        if (response.ok) {
+          revoked = !!((await response.json()) as { revoked?: boolean }).revoked;
+        }
+      } catch {
+        // Unreachable server — still forget the session locally.
+      }
+    }
+
     const sessionFile = this.getSessionFilePath(serverUrl);
     if (fs.existsSync(sessionFile)) {
       fs.unlinkSync(sessionFile);
     }
+    return revoked;
   }
 
   /**
@@ -338,17 +432,44 @@ export class CliWallet {
   }
 
   /**
-   * Create bot authentication header
+   * Create bot authentication header for one request.
    * Format: Authorization: Bot <base64-json>
+   *
+   * The signed message binds the method, host, path and (when given) a
+   * sha256 of the body, plus a timestamp and random nonce — the server
+   * rejects a header that is stale, reused, or presented for another request.
+   * Build a fresh header per request.
+   *
+   * With `contractAddress`, the request is made as that IdentityContract:
+   * this wallet must be one of its rivets, and signs so the contract's
+   * isValidSignature (EIP-1271) accepts it.
    */
-  async createBotAuthHeader(): Promise<string> {
-    const message = `Rhonda Bot Authentication - ${new Date().toISOString()}`;
-    const signature = await this.sign(message);
+  async createBotAuthHeader(
+    url: string,
+    method: string = 'GET',
+    body?: string | Buffer | null,
+    options: { contractAddress?: string } = {}
+  ): Promise<string> {
+    const target = new URL(url);
+    const address = options.contractAddress || this.address;
+    const message = botAuthMessage({
+      address,
+      method,
+      host: target.hostname,
+      path: target.pathname + target.search,
+      bodyHash: botAuthBodyHash(body),
+      timestamp: new Date().toISOString(),
+      nonce: ethers.utils.hexlify(ethers.utils.randomBytes(16)),
+    });
+    const signature = options.contractAddress
+      ? await signIdentityMessage(this.wallet, message)
+      : await this.sign(message);
 
     const payload = {
-      address: this.address,
+      address,
       signature,
-      message
+      message,
+      ...(options.contractAddress ? { contractAddress: options.contractAddress } : {})
     };
 
     return `Bot ${Buffer.from(JSON.stringify(payload)).toString('base64')}`;
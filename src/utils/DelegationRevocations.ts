@@ -0,0 +1,97 @@
+import { Config } from './Config';
+
+/**
+ * Per-domain revocation list for delegation tokens (docs/DELEGATION.md).
+ *
+ * A delegation token is a bearer credential good until its `expires`, so the
+ * only way to kill a leaked one early is for the host to remember it. Entries
+ * are keyed by subject + nonce — the nonce alone is client-chosen, and keying
+ * on it alone would let one identity revoke another's token by guessing — and
+ * are dropped once the token would have expired anyway.
+ *
+ * Persisted as `delegation-revocations.json` under the domain's config path,
+ * read through a short in-memory cache like the session registry.
+ */
+
+export interface DelegationRevocation {
+  subject: string;
+  nonce: string;
+  /** The revoked token's own expiry (ms since epoch); the entry is kept until then. */
+  expires: number;
+  revokedAt: string;
+  revokedBy: string;
+}
+
+const REVOCATIONS_FILE = 'delegation-revocations.json';
+
+function revocationKey(subject: string, nonce: string): string {
+  return `${subject.toLowerCase()}:${nonce}`;
+}
+
+export class DelegationRevocationList {
+  public readonly domain: string;
+  private readonly config: Config;
+  private readonly refreshMs: number;
+  private entries: Map<string, DelegationRevocation> = new Map();
+  private loadedAt = 0;
+  private pending: Promise<unknown> = Promise.resolve();
+
+  constructor(domain: string, options: { config?: Config; refreshMs?: number } = {}) {
+    this.domain = domain.toLowerCase();
+    this.config = options.config || new Config();
+    this.refreshMs = options.refreshMs ?? 30 * 1000;
+  }
+
+  private async refresh(force: boolean = false): Promise<void> {
+    if (!force && Date.now() - this.loadedAt < this.refreshMs) return;
+    await this.config.setPath(`/${this.domain}`);
+    let records: DelegationRevocation[] = [];
+    try {
+      const buf = await this.config.readFile(REVOCATIONS_FILE);
+      records = JSON.parse(buf.toString('utf8'));
+    } catch {
+      // Nothing revoked yet.
+    }
+    this.entries = new Map(records.map(r => [revocationKey(r.subject, r.nonce), r]));
+    this.loadedAt = Date.now();
+  }
+
+  private serialize<T>(fn: () => Promise<T>): Promise<T> {
+    const run = this.pending.then(fn, fn);
+    this.pending = run.catch(() => undefined);
+    return run;
+  }
+
+  /** Record a revocation. Returns false when it was already revoked. */
+  async revoke(entry: Omit<DelegationRevocation, 'revokedAt'>): Promise<boolean> {
+    return this.serialize(async () => {
+      await this.refresh(true);
+      const key = revocationKey(entry.subject, entry.nonce);
+      if (this.entries.has(key)) return false;
+      this.entries.set(key, { ...entry, revokedAt: new Date().toISOString() });
+
+      const now = Date.now();
+      for (const [k, r] of this.entries) {
+        if (r.expires <= now) this.entries.delete(k);
+      }
+      await this.config.setPath(`/${this.domain}`);
+      await this.config.writeFile(REVOCATIONS_FILE, JSON.stringify([...this.entries.values()], null, 2));
+      return true;
+    });
+  }
+
+  async isRevoked(subject: string, nonce: string): Promise<boolean> {
+    await this.refresh();
+    return this.entries.has(revocationKey(subject, nonce));
+  }
+
+  /** Live revocations, optionally for one subject. */
+  async list(subject?: string): Promise<DelegationRevocation[]> {
+    await this.refresh();
+    const now = Date.now();
+    const want = subject?.toLowerCase();
+    return [...this.entries.values()].filter(r =>
+      r.expires > now && (!want || r.subject.toLowerCase() === want),
+    );
+  }
+}
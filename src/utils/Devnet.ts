@@ -0,0 +1,256 @@
+import { ethers } from 'ethers';
+import fsp from 'fs/promises';
+import { Config } from './Config';
+import { CliWallet } from './CliWallet';
+import { SECRET_FILE_MODE, secureFile } from './Permissions';
+import { Epistery } from '../epistery';
+import { Chain, LocalChain, chainFor, providerConfigFor } from '../chains';
+
+/**
+ * Sets up a local Hardhat or Anvil node (LocalChain, chainId 31337) so a
+ * host, its domains and the test suite run with no network. `epistery
+ * devnet` starts the node and calls setup().
+ *
+ * The node's own accounts come from the well-known development mnemonic and
+ * start with 10000 ETH each. Account 0 pays for everything here. For each
+ * domain, setup():
+ *   - initializes the domain, or moves an existing one onto the devnet (its
+ *     wallet is kept);
+ *   - funds the domain wallet;
+ *   - deploys an IdentityContract with the domain wallet as its rivet, and
+ *     records it as the domain's EpisteryAccess contract (`[access]
+ *     contract`), so `epistery.require()` and the invite routes work.
+ * It also deploys a development identity: an IdentityContract whose rivet is
+ * account 1, whose key any browser wallet can import.
+ *
+ * A devnet node keeps its state in memory, so all of this is redone every
+ * time it starts.
+ */
+
+export const DEVNET_MNEMONIC = 'test test test test test test test test test test test junk';
+
+export interface DevnetWallet {
+  address: string;
+  mnemonic: string;
+  publicKey: string;
+  privateKey: string;
+}
+
+export interface DevnetDomain {
+  domain: string;
+  address: string;
+  /** The IdentityContract recorded as the domain's `[access] contract`. */
+  accessContract: string;
+  /** True when setup() created the domain. */
+  created: boolean;
+  /** The chain the domain was on before, when it was moved. */
+  previousProvider?: { chainId?: number; name?: string };
+}
+
+export interface DevnetSetup {
+  rpc: string;
+  chainId: number;
+  domains: DevnetDomain[];
+  /** The development identity, and the node account that is its rivet. */
+  identity: { contractAddress: string; rivet: DevnetWallet };
+  /**
+   * Wallets and contract for the test suite's .test.env, when asked for. The
+   * contract is not an IdentityContract: the suite's TEST_CONTRACT_ADDRESS
+   * stands for a contract that authorizes nobody.
+   */
+  test?: { server: DevnetWallet; client1: DevnetWallet; client2: DevnetWallet; contractAddress: string };
+}
+
+export interface DevnetOptions {
+  /** Domains to set up. Default `localhost`. */
+  domains?: string[];
+  /** Ether sent to each domain (and test) wallet. Default 100. */
+  fundEther?: string;
+  /** Also create funded wallets and a contract for the test suite. */
+  testWallets?: boolean;
+}
+
+function walletInfo(wallet: ethers.Wallet): DevnetWallet {
+  return {
+    address: wallet.address,
+    mnemonic: wallet.mnemonic?.phrase || '',
+    publicKey: wallet.publicKey,
+    privateKey: wallet.privateKey,
+  };
+}
+
+export class Devnet {
+  /** One of the node's prefunded accounts. */
+  static account(index: number = 0): ethers.Wallet {
+    return ethers.Wallet.fromMnemonic(DEVNET_MNEMONIC, `m/44'/60'/0'/0/${index}`);
+  }
+
+  /**
+   * Wait until the node at `rpc` answers, and check it is a devnet.
+   *
+   * @returns The LocalChain for it
+   */
+  static async waitForNode(rpc: string, timeoutMs: number = 30 * 1000): Promise<Chain> {
+    const provider = new ethers.providers.StaticJsonRpcProvider(rpc);
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+      try {
+        const chainId = Number(await provider.send('eth_chainId', []));
+        if (chainId !== LocalChain.chainId) {
+          throw new Error(`The node at ${rpc} is chain ${chainId}, not a devnet (${LocalChain.chainId})`);
+        }
+        return chainFor({ ...LocalChain.defaults, chainId, rpc });
+      } catch (error: any) {
+        if (/not a devnet/.test(error.message)) throw error;
+        if (Date.now() > deadline) throw new Error(`No devnet answered at ${rpc} within ${timeoutMs / 1000}s`);
+        await new Promise(resolve => setTimeout(resolve, 500));
+      }
+    }
+  }
+
+  /** Fund, deploy and write config for the devnet at `rpc`. */
+  static async setup(rpc: string, options: DevnetOptions = {}): Promise<DevnetSetup> {
+    const chain = await Devnet.waitForNode(rpc);
+    const funder = Devnet.account(0).connect(chain.provider);
+    const amount = ethers.utils.parseEther(options.fundEther ?? '100');
+    const provider = providerConfigFor({ ...LocalChain.defaults, chainId: chain.chainId, rpc });
+
+    const domains: DevnetDomain[] = [];
+    for (const domain of options.domains?.length ? options.domains : ['localhost']) {
+      let created = false;
+      let previous: any;
+      try {
+        previous = await CliWallet.setChain(domain, provider);
+      } catch {
+        await CliWallet.initialize(domain, provider);
+        created = true;
+      }
+      const wallet = await CliWallet.load(domain);
+      const [, accessContract] = await Promise.all([
+        Devnet.fund(chain, funder, wallet.address, amount),
+        Devnet.deployIdentity(chain, funder, {
+          rivet: wallet.address,
+          rivetName: 'server',
+          publicKey: wallet.publicKey,
+          displayName: domain,
+        }),
+      ]);
+      await Devnet.setAccessContract(domain, accessContract);
+      domains.push({
+        domain,
+        address: wallet.address,
+        accessContract,
+        created,
+        ...(previous && Number(previous.chainId) !== chain.chainId
+          ? { previousProvider: { chainId: Number(previous.chainId), name: previous.name } }
+          : {}),
+      });
+    }
+
+    const rivet = Devnet.account(1);
+    const identity = {
+      contractAddress: await Devnet.deployIdentity(chain, funder, {
+        rivet: rivet.address,
+        host: domains[0]?.address,
+        rivetName: 'devnet',
+        publicKey: rivet.publicKey,
+        displayName: 'Devnet Identity',
+      }),
+      rivet: walletInfo(rivet),
+    };
+
+    let test: DevnetSetup['test'];
+    if (options.testWallets) {
+      const [server, client1, client2] = [0, 1, 2].map(() => ethers.Wallet.createRandom());
+      const [contractAddress] = await Promise.all([
+        Devnet.deployPlaceholder(chain, funder),
+        ...[server, client1, client2].map(w => Devnet.fund(chain, funder, w.address, amount)),
+      ]);
+      test = { server: walletInfo(server), client1: walletInfo(client1), client2: walletInfo(client2), contractAddress };
+    }
+
+    return { rpc, chainId: chain.chainId, domains, identity, ...(test ? { test } : {}) };
+  }
+
+  /** The test suite's .test.env for a setup made with `testWallets`. */
+  static testEnv(setup: DevnetSetup): string {
+    if (!setup.test) throw new Error('Devnet setup has no test wallets');
+    const lines = [
+      '# Epistery Test Environment Configuration',
+      `# Written by \`epistery devnet\` for the node at ${setup.rpc}. The devnet`,
+      '# forgets everything when it stops; rerun the command to write a new one.',
+      '',
+      `TEST_CONTRACT_ADDRESS=${setup.test.contractAddress}`,
+      '',
+      `TEST_PROVIDER_NAME=${LocalChain.defaults.name}`,
+      `TEST_PROVIDER_CHAIN_ID=${setup.chainId}`,
+      `TEST_PROVIDER_RPC=${setup.rpc}`,
+      `TEST_PROVIDER_CURRENCY_SYMBOL=${LocalChain.defaults.nativeCurrencySymbol}`,
+      `TEST_PROVIDER_CURRENCY_NAME=${LocalChain.defaults.nativeCurrencyName}`,
+      `TEST_PROVIDER_CURRENCY_DECIMALS=${LocalChain.defaults.nativeCurrencyDecimals}`,
+    ];
+    for (const [name, wallet] of Object.entries({
+      SERVER: setup.test.server,
+      CLIENT1: setup.test.client1,
+      CLIENT2: setup.test.client2,
+    })) {
+      lines.push(
+        '',
+        `TEST_${name}_ADDRESS=${wallet.address}`,
+        `TEST_${name}_MNEMONIC=${wallet.mnemonic}`,
+        `TEST_${name}_PUBLIC_KEY=${wallet.publicKey}`,
+        `TEST_${name}_PRIVATE_KEY=${wallet.privateKey}`,
+      );
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  /** Write testEnv() to `path`, owner-only since it holds keys. */
+  static async writeTestEnv(path: string, setup: DevnetSetup): Promise<void> {
+    await fsp.writeFile(path, Devnet.testEnv(setup), { mode: SECRET_FILE_MODE });
+    await secureFile(path);
+  }
+
+  private static async fund(chain: Chain, funder: ethers.Wallet, to: string, amount: ethers.BigNumber): Promise<void> {
+    const response = await chain.sendTransaction(funder, { to, value: amount }, { operation: 'devnet fund' });
+    await response.wait();
+  }
+
+  /** Deploy an IdentityContract from the committed artifact; returns its address. */
+  private static async deployIdentity(
+    chain: Chain,
+    funder: ethers.Wallet,
+    args: { rivet: string; host?: string; rivetName: string; publicKey: string; displayName: string },
+  ): Promise<string> {
+    const artifact = await Epistery.loadArtifact('IdentityContract');
+    if (!artifact?.bytecode) throw new Error('No IdentityContract artifact with bytecode under artifacts/contracts');
+    const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode);
+    const tx = factory.getDeployTransaction(
+      args.rivet,
+      args.host || ethers.constants.AddressZero,
+      args.rivetName,
+      args.publicKey,
+      args.displayName,
+    );
+    const response = await chain.sendTransaction(funder, tx, { operation: 'devnet deploy IdentityContract' });
+    const receipt = await response.wait();
+    return receipt.contractAddress;
+  }
+
+  /** Deploy a contract whose every call reverts; returns its address. */
+  private static async deployPlaceholder(chain: Chain, funder: ethers.Wallet): Promise<string> {
+    // Init code returning the runtime PUSH1 0 PUSH1 0 REVERT.
+    const data = '0x6460006000fd6000526005601bf3';
+    const response = await chain.sendTransaction(funder, { data }, { operation: 'devnet deploy placeholder' });
+    const receipt = await response.wait();
+    return receipt.contractAddress;
+  }
+
+  /** Record the domain's EpisteryAccess contract in its config.ini. */
+  private static async setAccessContract(domain: string, contract: string): Promise<void> {
+    const config = new Config();
+    await config.setPath(`/${domain}`);
+    config.data.access = { ...config.data.access, contract };
+    await config.save();
+  }
+}
@@ -0,0 +1,492 @@
+import { ethers } from 'ethers';
+import { Config } from './Config';
+
+/**
+ * History of IdentityContract and EpisteryAccess events, for one domain.
+ *
+ * Everywhere else the server does point reads: who the rivets are now, what
+ * role an address holds now. The indexer follows the contracts' logs so the
+ * host can also answer how they got there: when a rivet was added and by
+ * whom, when a member's role on a section changed, who redeemed an invite.
+ *
+ * Contracts are indexed once watched: the domain's access contract, and
+ * each IdentityContract a client binds at /connect. A new contract is
+ * backfilled from its deployment block (found by bisecting getCode), or from
+ * `backfillBlocks` behind the head when the node keeps no old state. Each
+ * sync scans watched contracts up to `confirmations` blocks behind the head,
+ * `batchSize` blocks per eth_getLogs call.
+ *
+ * Reorgs: every sync records the hash of the block it indexed to. The next
+ * sync compares the newest recorded hashes with the chain's, and on a
+ * mismatch rewinds to the last block that still matches, drops the events
+ * after it and scans again. A reorg deeper than the recorded hashes rewinds
+ * `reorgDepth` blocks further than the oldest of them.
+ *
+ * The checkpoint (`event-checkpoint.json`) and the events (`events.json`)
+ * are stored under the domain's config path. One host in a pool runs the
+ * indexer (`start()`); the others only read, reloading the files like
+ * SessionRegistry does. The newest `maxEvents` events are kept. Changing
+ * the domain's chain discards the index.
+ */
+
+const INDEXED_EVENTS_ABI = [
+  // IdentityContract
+  'event IdentityCreated(address indexed creator, address indexed host, uint256 timestamp)',
+  'event RivetAdded(address indexed rivet, address indexed addedBy, string name, uint256 timestamp)',
+  'event RivetRemoved(address indexed rivet, address indexed removedBy, uint256 timestamp)',
+  'event HostChanged(address indexed previousHost, address indexed newHost, address indexed by)',
+  'event PublicKeyRegistered(address indexed rivet, string publicKey, uint256 timestamp)',
+  'event RemoveRivetThresholdChanged(uint256 oldThreshold, uint256 newThreshold)',
+  'event MessageReceived(address indexed from, bytes data, uint256 value, uint256 indexed messageIndex, uint256 timestamp)',
+  // EpisteryAccess
+  'event MemberSet(string section, address indexed addr, uint8 role, address indexed by)',
+  'event MemberRemoved(string section, address indexed addr, address indexed by)',
+  'event PublicSet(string section, string key, address indexed by)',
+  'event SecretSet(string section, string key, address indexed by)',
+  'event InviteCreated(bytes32 indexed codeHash, string section, uint8 role, address indexed by)',
+  'event InviteRedeemed(bytes32 indexed codeHash, string section, address indexed redeemer)',
+];
+
+/** Events that change who an identity's rivets are, or how they govern it. */
+export const RIVET_EVENTS = [
+  'IdentityCreated',
+  'RivetAdded',
+  'RivetRemoved',
+  'HostChanged',
+  'PublicKeyRegistered',
+  'RemoveRivetThresholdChanged',
+];
+
+/** Events that change a section's ACL or its data. */
+export const ACL_EVENTS = ['MemberSet', 'MemberRemoved', 'PublicSet', 'SecretSet', 'InviteCreated', 'InviteRedeemed'];
+
+export type WatchedKind = 'identity' | 'access';
+
+export interface WatchedContract {
+  address: string;
+  kind: WatchedKind;
+  fromBlock: number;
+  /** Last block whose logs are in the index. */
+  indexedTo: number;
+  watchedAt: string;
+}
+
+export interface IndexedEvent {
+  /** `${transactionHash}:${logIndex}` */
+  id: string;
+  contractAddress: string;
+  event: string;
+  /** Decoded arguments: numbers as decimal strings, addresses lowercase, bytes as hex. */
+  args: Record<string, string | number | boolean>;
+  blockNumber: number;
+  blockHash: string;
+  transactionHash: string;
+  logIndex: number;
+  /** Block time. */
+  timestamp?: string;
+}
+
+interface Checkpoint {
+  chainId: number;
+  contracts: Record<string, WatchedContract>;
+  /** Hashes of the blocks recent syncs indexed to, oldest first. */
+  blocks: { number: number; hash: string }[];
+  reorgs: number;
+  lastReorgAt?: string;
+}
+
+export interface EventIndexerOptions {
+  config?: Config;
+  refreshMs?: number;
+  /** Blocks behind the head the indexer stays. */
+  confirmations?: number;
+  /** Blocks per eth_getLogs call. */
+  batchSize?: number;
+  /** Where a newly watched contract is scanned from, when set. */
+  startBlock?: number;
+  /** How far back a backfill reaches when the deployment block can't be found. */
+  backfillBlocks?: number;
+  /** Extra blocks to rewind past the oldest recorded hash on a deep reorg. */
+  reorgDepth?: number;
+  /** Events kept; the oldest are dropped past it. */
+  maxEvents?: number;
+}
+
+export interface EventHistoryQuery {
+  events?: string[];
+  /** Only events whose `section` argument is this. */
+  section?: string;
+  /** Only events at or after this block. */
+  since?: number;
+  limit?: number;
+}
+
+const CHECKPOINT_FILE = 'event-checkpoint.json';
+const EVENTS_FILE = 'events.json';
+const RECENT_BLOCKS = 16;
+
+/** Plain JSON values for a decoded log's arguments. */
+function normalizeArgs(fragment: ethers.utils.EventFragment, args: ethers.utils.Result): IndexedEvent['args'] {
+  const out: IndexedEvent['args'] = {};
+  fragment.inputs.forEach((input, i) => {
+    const value = args[i];
+    if (ethers.BigNumber.isBigNumber(value)) out[input.name] = value.toString();
+    else if (input.type === 'address') out[input.name] = String(value).toLowerCase();
+    else if (typeof value === 'number' || typeof value === 'boolean') out[input.name] = value;
+    else if (value?._isIndexed) out[input.name] = value.hash;
+    else out[input.name] = String(value);
+  });
+  return out;
+}
+
+export class EventIndexer {
+  public readonly domain: string;
+  public readonly chainId: number;
+  private readonly provider: ethers.providers.JsonRpcProvider;
+  private readonly config: Config;
+  private readonly refreshMs: number;
+  private readonly confirmations: number;
+  private readonly batchSize: number;
+  private readonly startBlock?: number;
+  private readonly backfillBlocks: number;
+  private readonly reorgDepth: number;
+  private readonly maxEvents: number;
+  private readonly iface = new ethers.utils.Interface(INDEXED_EVENTS_ABI);
+  private checkpoint: Checkpoint;
+  private events: IndexedEvent[] = [];
+  private loadedAt = 0;
+  private pending: Promise<unknown> = Promise.resolve();
+  private timer: NodeJS.Timeout | null = null;
+  private running = false;
+  private lastSyncAt?: string;
+  private lastError?: string;
+
+  constructor(
+    domain: string,
+    provider: ethers.providers.JsonRpcProvider,
+    chainId: number,
+    options: EventIndexerOptions = {},
+  ) {
+    this.domain = domain.toLowerCase();
+    this.provider = provider;
+    this.chainId = Number(chainId);
+    this.config = options.config || new Config();
+    this.refreshMs = options.refreshMs ?? 30 * 1000;
+    this.confirmations = options.confirmations ?? 5;
+    this.batchSize = options.batchSize ?? 2000;
+    this.startBlock = options.startBlock;
+    this.backfillBlocks = options.backfillBlocks ?? 100000;
+    this.reorgDepth = options.reorgDepth ?? 64;
+    this.maxEvents = options.maxEvents ?? 50000;
+    this.checkpoint = { chainId: this.chainId, contracts: {}, blocks: [], reorgs: 0 };
+  }
+
+  private async refresh(force: boolean = false): Promise<void> {
+    // The indexing host's memory is the newest copy; only readers reload.
+    // It still picks up contracts a reader host started watching.
+    if (this.running && this.loadedAt) {
+      if (force) await this.adoptWatched();
+      return;
+    }
+    if (!force && Date.now() - this.loadedAt < this.refreshMs) return;
+    await this.config.setPath(`/${this.domain}`);
+    let checkpoint: Checkpoint | null = null;
+    let events: IndexedEvent[] = [];
+    try {
+      checkpoint = JSON.parse((await this.config.readFile(CHECKPOINT_FILE)).toString('utf8'));
+      events = JSON.parse((await this.config.readFile(EVENTS_FILE)).toString('utf8'));
+    } catch {
+      // Nothing indexed yet.
+    }
+    if (checkpoint && checkpoint.chainId === this.chainId) {
+      this.checkpoint = checkpoint;
+      this.events = events;
+    } else {
+      // First run, or the domain moved chains: start over.
+      this.checkpoint = { chainId: this.chainId, contracts: {}, blocks: [], reorgs: 0 };
+      this.events = [];
+    }
+    this.loadedAt = Date.now();
+  }
+
+  private async adoptWatched(): Promise<void> {
+    await this.config.setPath(`/${this.domain}`);
+    try {
+      const stored: Checkpoint = JSON.parse((await this.config.readFile(CHECKPOINT_FILE)).toString('utf8'));
+      if (stored.chainId !== this.chainId) return;
+      for (const [key, watched] of Object.entries(stored.contracts)) {
+        if (!this.checkpoint.contracts[key]) this.checkpoint.contracts[key] = watched;
+      }
+    } catch {
+      // Nothing stored yet.
+    }
+  }
+
+  private async persist(eventsChanged: boolean): Promise<void> {
+    await this.config.setPath(`/${this.domain}`);
+    if (eventsChanged) {
+      if (this.events.length > this.maxEvents) {
+        this.events = this.events.slice(this.events.length - this.maxEvents);
+      }
+      await this.config.writeFile(EVENTS_FILE, JSON.stringify(this.events));
+    }
+    await this.config.writeFile(CHECKPOINT_FILE, JSON.stringify(this.checkpoint, null, 2));
+  }
+
+  private serialize<T>(fn: () => Promise<T>): Promise<T> {
+    const run = this.pending.then(fn, fn);
+    this.pending = run.catch(() => undefined);
+    return run;
+  }
+
+  /**
+   * Start indexing `address`. Returns the watched entry (the existing one if
+   * it was already watched), or null when there is no contract there.
+   */
+  async watch(address: string, kind: WatchedKind, fromBlock?: number): Promise<WatchedContract | null> {
+    return this.serialize(async () => {
+      await this.refresh(true);
+      const key = address.toLowerCase();
+      const existing = this.checkpoint.contracts[key];
+      if (existing) return existing;
+
+      const head = await this.provider.getBlockNumber();
+      const code = await this.provider.getCode(address);
+      if (!code || code === '0x') return null;
+      const start = fromBlock ?? this.startBlock ?? (await this.deploymentBlock(address, head));
+      const watched: WatchedContract = {
+        address: key,
+        kind,
+        fromBlock: start,
+        indexedTo: start - 1,
+        watchedAt: new Date().toISOString(),
+      };
+      this.checkpoint.contracts[key] = watched;
+      await this.persist(false);
+      return watched;
+    });
+  }
+
+  /**
+   * The block `address` was deployed in: the first with code there. Nodes
+   * that prune old state can't answer getCode that far back; then settle
+   * for `backfillBlocks` behind the head.
+   */
+  private async deploymentBlock(address: string, head: number): Promise<number> {
+    let low = 0;
+    let high = head;
+    try {
+      while (low < high) {
+        const mid = Math.floor((low + high) / 2);
+        const code = await this.provider.getCode(address, mid);
+        if (code && code !== '0x') high = mid;
+        else low = mid + 1;
+      }
+      return low;
+    } catch {
+      return Math.max(0, head - this.backfillBlocks);
+    }
+  }
+
+  /**
+   * Bring every watched contract up to `confirmations` behind the head,
+   * after undoing any reorg since the last sync. Returns the block indexed to.
+   */
+  async sync(): Promise<number> {
+    return this.serialize(async () => {
+      await this.refresh(true);
+      let eventsChanged = await this.unwindReorg();
+
+      const head = await this.provider.getBlockNumber();
+      const target = head - this.confirmations;
+      const contracts = Object.values(this.checkpoint.contracts);
+
+      // Contracts at the same cursor share one eth_getLogs per batch; a
+      // freshly watched one backfills on its own until it catches up.
+      const groups = new Map<number, WatchedContract[]>();
+      for (const c of contracts) {
+        if (c.indexedTo >= target) continue;
+        groups.set(c.indexedTo, [...(groups.get(c.indexedTo) || []), c]);
+      }
+      for (const [indexedTo, group] of groups) {
+        for (let from = indexedTo + 1; from <= target; from += this.batchSize) {
+          const to = Math.min(from + this.batchSize - 1, target);
+          const found = await this.scan(group.map(c => c.address), from, to);
+          if (found.length) {
+            this.events.push(...found);
+            eventsChanged = true;
+          }
+          for (const c of group) c.indexedTo = to;
+        }
+      }
+
+      if (eventsChanged) {
+        const seen = new Set<string>();
+        this.events = this.events
+          .filter(e => (seen.has(e.id) ? false : (seen.add(e.id), true)))
+          .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+      }
+      if (target >= 0) {
+        const block = await this.provider.getBlock(target);
+        const last = this.checkpoint.blocks[this.checkpoint.blocks.length - 1];
+        if (block && last?.number !== target) {
+          this.checkpoint.blocks.push({ number: target, hash: block.hash });
+          this.checkpoint.blocks = this.checkpoint.blocks.slice(-RECENT_BLOCKS);
+        }
+      }
+      await this.persist(eventsChanged);
+      this.lastSyncAt = new Date().toISOString();
+      this.lastError = undefined;
+      return target;
+    });
+  }
+
+  /**
+   * Compare the recorded block hashes with the chain's, newest first. On a
+   * mismatch, rewind every cursor to the newest block that still matches
+   * and drop the events after it. True when events were dropped.
+   */
+  private async unwindReorg(): Promise<boolean> {
+    const blocks = this.checkpoint.blocks;
+    if (!blocks.length) return false;
+    let keep = -1;
+    for (let i = blocks.length - 1; i >= 0; i--) {
+      const block = await this.provider.getBlock(blocks[i].number);
+      if (block?.hash === blocks[i].hash) {
+        keep = i;
+        break;
+      }
+    }
+    if (keep === blocks.length - 1) return false;
+
+    const forkBlock = keep >= 0 ? blocks[keep].number : Math.max(-1, blocks[0].number - this.reorgDepth);
+    console.warn(`[epistery] Reorg on chain ${this.chainId} for ${this.domain}: rewinding events to block ${forkBlock}`);
+    this.checkpoint.blocks = blocks.slice(0, keep + 1);
+    for (const c of Object.values(this.checkpoint.contracts)) {
+      c.indexedTo = Math.min(c.indexedTo, Math.max(forkBlock, c.fromBlock - 1));
+    }
+    const before = this.events.length;
+    this.events = this.events.filter(e => e.blockNumber <= forkBlock);
+    this.checkpoint.reorgs += 1;
+    this.checkpoint.lastReorgAt = new Date().toISOString();
+    return this.events.length !== before;
+  }
+
+  /** Decoded logs of the indexed events emitted by `addresses` in [from, to]. */
+  private async scan(addresses: string[], from: number, to: number): Promise<IndexedEvent[]> {
+    const topics = Object.values(this.iface.events).map(f => this.iface.getEventTopic(f));
+    // eth_getLogs takes an address list; ethers' getLogs only takes one.
+    const logs: any[] = await this.provider.send('eth_getLogs', [
+      {
+        address: addresses,
+        fromBlock: ethers.utils.hexValue(from),
+        toBlock: ethers.utils.hexValue(to),
+        topics: [topics],
+      },
+    ]);
+    const times = new Map<number, string>();
+    const out: IndexedEvent[] = [];
+    for (const log of logs) {
+      let parsed: ethers.utils.LogDescription;
+      try {
+        parsed = this.iface.parseLog(log);
+      } catch {
+        continue;
+      }
+      const blockNumber = Number(log.blockNumber);
+      if (!times.has(blockNumber)) {
+        const block = await this.provider.getBlock(blockNumber);
+        times.set(blockNumber, block ? new Date(block.timestamp * 1000).toISOString() : '');
+      }
+      out.push({
+        id: `${log.transactionHash}:${Number(log.logIndex)}`,
+        contractAddress: String(log.address).toLowerCase(),
+        event: parsed.name,
+        args: normalizeArgs(parsed.eventFragment, parsed.args),
+        blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: Number(log.logIndex),
+        ...(times.get(blockNumber) ? { timestamp: times.get(blockNumber) } : {}),
+      });
+    }
+    return out;
+  }
+
+  /** Sync every `pollMs` until stop(). Failures are logged and retried next round. */
+  start(pollMs: number = 15 * 1000): void {
+    if (this.running) return;
+    this.running = true;
+    const tick = async () => {
+      try {
+        await this.sync();
+      } catch (error: any) {
+        this.lastError = error.message;
+        console.error(`[epistery] Event indexer for ${this.domain} failed:`, error.message);
+      }
+      if (this.running) {
+        this.timer = setTimeout(tick, pollMs);
+        this.timer.unref?.();
+      }
+    };
+    tick();
+  }
+
+  stop(): void {
+    this.running = false;
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  async watched(address: string): Promise<WatchedContract | null> {
+    await this.refresh();
+    return this.checkpoint.contracts[address.toLowerCase()] || null;
+  }
+
+  /** A contract's indexed events, newest first. */
+  async history(contractAddress: string, query: EventHistoryQuery = {}): Promise<IndexedEvent[]> {
+    await this.refresh();
+    const want = contractAddress.toLowerCase();
+    const matches = this.events.filter(
+      e =>
+        e.contractAddress === want &&
+        (!query.events || query.events.includes(e.event)) &&
+        (query.section === undefined || e.args.section === query.section) &&
+        (query.since === undefined || e.blockNumber >= query.since),
+    );
+    return matches.reverse().slice(0, query.limit ?? matches.length);
+  }
+
+  /** Rivets added and removed, host and key changes, threshold changes. */
+  async rivetHistory(contractAddress: string, limit?: number): Promise<IndexedEvent[]> {
+    return this.history(contractAddress, { events: RIVET_EVENTS, limit });
+  }
+
+  /** Membership, attribute and invite changes on one section. */
+  async aclHistory(contractAddress: string, section: string, limit?: number): Promise<IndexedEvent[]> {
+    return this.history(contractAddress, { events: ACL_EVENTS, section, limit });
+  }
+
+  async status(): Promise<{
+    chainId: number;
+    running: boolean;
+    contracts: WatchedContract[];
+    events: number;
+    reorgs: number;
+    lastReorgAt?: string;
+    lastSyncAt?: string;
+    lastError?: string;
+  }> {
+    await this.refresh();
+    return {
+      chainId: this.chainId,
+      running: this.running,
+      contracts: Object.values(this.checkpoint.contracts),
+      events: this.events.length,
+      reorgs: this.checkpoint.reorgs,
+      ...(this.checkpoint.lastReorgAt ? { lastReorgAt: this.checkpoint.lastReorgAt } : {}),
+      ...(this.lastSyncAt ? { lastSyncAt: this.lastSyncAt } : {}),
+      ...(this.lastError ? { lastError: this.lastError } : {}),
+    };
+  }
+}
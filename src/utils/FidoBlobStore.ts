@@ -0,0 +1,229 @@
+import { Config } from './Config';
+
+/**
+ * Server-held FIDO blobs (PRF-wrapped rivet keys) for one domain.
+ *
+ * Each blob lives at `/{domain}/fido/{credentialId}.json`, as it always has.
+ * Alongside them, `.index.json` records who stored what and how big it is:
+ * that is what lists a rivet's blobs and enforces the per-IP and per-domain
+ * quotas on count and bytes. Blobs written before the index exist still
+ * read, and their stored rivet still owns them, but they count toward no
+ * quota and don't list.
+ *
+ * The store decides ownership and quota; routes/fido.mjs verifies the rivet's
+ * signature before calling it. The config backend has no delete, so a
+ * deleted blob's file is emptied and an empty file reads as absent.
+ *
+ * Index reads are refreshed from the store at most every `refreshMs`; every
+ * write reloads first and runs one at a time, like SessionRegistry.
+ */
+
+export interface FidoBlob {
+  credentialId: string;
+  rivetAddress: string;
+  publicKey: string;
+  ciphertext: string;
+  iv: string;
+  label?: string;
+  createdAt: string;
+  updatedAt?: string;
+  /** `ts` of the signature that stored this version. */
+  signedAt?: number;
+}
+
+export interface FidoBlobRecord {
+  credentialId: string;
+  rivetAddress: string;
+  label?: string;
+  bytes: number;
+  ip?: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface FidoQuotas {
+  /** Blobs one IP may hold on the domain. */
+  maxBlobsPerIp: number;
+  /** Bytes one IP may hold on the domain. */
+  maxBytesPerIp: number;
+  /** Blobs the domain holds in total. */
+  maxBlobs: number;
+  /** Bytes the domain holds in total. */
+  maxBytes: number;
+}
+
+export const DEFAULT_FIDO_QUOTAS: FidoQuotas = {
+  maxBlobsPerIp: 20,
+  maxBytesPerIp: 256 * 1024,
+  maxBlobs: 10000,
+  maxBytes: 64 * 1024 * 1024,
+};
+
+export type FidoWriteResult =
+  | { ok: true; created: boolean; record: FidoBlobRecord }
+  | { ok: false; reason: 'owner' | 'stale' | 'quota' | 'not_found'; message: string };
+
+// A dot is outside the credentialId charset, so no blob can collide with it.
+const INDEX_FILE = '.index.json';
+
+export class FidoBlobStore {
+  public readonly domain: string;
+  public readonly quotas: FidoQuotas;
+  private readonly config: Config;
+  private readonly refreshMs: number;
+  private records: Map<string, FidoBlobRecord> = new Map();
+  private loadedAt = 0;
+  private pending: Promise<unknown> = Promise.resolve();
+
+  constructor(
+    domain: string,
+    options: { config?: Config; refreshMs?: number; quotas?: Partial<FidoQuotas> } = {},
+  ) {
+    this.domain = domain.toLowerCase();
+    this.config = options.config || new Config();
+    this.refreshMs = options.refreshMs ?? 30 * 1000;
+    this.quotas = { ...DEFAULT_FIDO_QUOTAS, ...(options.quotas || {}) };
+  }
+
+  private async refresh(force: boolean = false): Promise<void> {
+    if (!force && Date.now() - this.loadedAt < this.refreshMs) return;
+    await this.config.setPath(`/${this.domain}/fido`);
+    let records: FidoBlobRecord[] = [];
+    try {
+      const buf = await this.config.readFile(INDEX_FILE);
+      records = JSON.parse(buf.toString('utf8'));
+    } catch {
+      // No index yet — nothing stored since it was introduced.
+    }
+    this.records = new Map(records.map(r => [r.credentialId, r]));
+    this.loadedAt = Date.now();
+  }
+
+  private async persist(): Promise<void> {
+    await this.config.setPath(`/${this.domain}/fido`);
+    await this.config.writeFile(INDEX_FILE, JSON.stringify([...this.records.values()], null, 2));
+  }
+
+  private serialize<T>(fn: () => Promise<T>): Promise<T> {
+    const run = this.pending.then(fn, fn);
+    this.pending = run.catch(() => undefined);
+    return run;
+  }
+
+  /** The stored blob, or null when there is none (or it was deleted). */
+  async get(credentialId: string): Promise<FidoBlob | null> {
+    await this.config.setPath(`/${this.domain}/fido`);
+    try {
+      const buf = await this.config.readFile(`${credentialId}.json`);
+      return buf.length ? JSON.parse(buf.toString('utf8')) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /** Live blobs stored by one rivet, newest first. */
+  async listByRivet(rivetAddress: string): Promise<FidoBlobRecord[]> {
+    await this.refresh();
+    const want = rivetAddress.toLowerCase();
+    return [...this.records.values()]
+      .filter(r => r.rivetAddress.toLowerCase() === want)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /** Blob count and bytes held by one IP (or the whole domain, without one). */
+  async usage(ip?: string): Promise<{ blobs: number; bytes: number }> {
+    await this.refresh();
+    return this.tally(ip);
+  }
+
+  private tally(ip?: string, except?: string): { blobs: number; bytes: number } {
+    let blobs = 0;
+    let bytes = 0;
+    for (const r of this.records.values()) {
+      if (r.credentialId === except || (ip !== undefined && r.ip !== ip)) continue;
+      blobs++;
+      bytes += r.bytes;
+    }
+    return { blobs, bytes };
+  }
+
+  /**
+   * Store `blob` for its rivet. Refuses to replace a blob another rivet owns,
+   * a signature no newer than the stored one, and anything that would take
+   * the IP or the domain over quota. The caller has verified the signature.
+   */
+  async put(blob: FidoBlob, meta: { ip?: string } = {}): Promise<FidoWriteResult> {
+    return this.serialize(async () => {
+      await this.refresh(true);
+      const existing = await this.get(blob.credentialId);
+      if (existing && existing.rivetAddress.toLowerCase() !== blob.rivetAddress.toLowerCase()) {
+        return { ok: false, reason: 'owner', message: 'Blob is owned by another rivet' };
+      }
+      if (existing?.signedAt && blob.signedAt !== undefined && blob.signedAt <= existing.signedAt) {
+        return { ok: false, reason: 'stale', message: 'A newer version of this blob is stored' };
+      }
+
+      const now = new Date().toISOString();
+      const stored: FidoBlob = {
+        ...blob,
+        createdAt: existing?.createdAt || now,
+        updatedAt: now,
+      };
+      const content = JSON.stringify(stored);
+      const bytes = Buffer.byteLength(content);
+
+      const q = this.quotas;
+      const domainUse = this.tally(undefined, blob.credentialId);
+      if (domainUse.blobs + 1 > q.maxBlobs || domainUse.bytes + bytes > q.maxBytes) {
+        return { ok: false, reason: 'quota', message: `Blob storage for ${this.domain} is full` };
+      }
+      if (meta.ip) {
+        const ipUse = this.tally(meta.ip, blob.credentialId);
+        if (ipUse.blobs + 1 > q.maxBlobsPerIp || ipUse.bytes + bytes > q.maxBytesPerIp) {
+          return { ok: false, reason: 'quota', message: 'Blob quota for this address is used up' };
+        }
+      }
+
+      await this.config.setPath(`/${this.domain}/fido`);
+      await this.config.writeFile(`${blob.credentialId}.json`, content);
+      const record: FidoBlobRecord = {
+        credentialId: blob.credentialId,
+        rivetAddress: blob.rivetAddress,
+        ...(blob.label ? { label: blob.label } : {}),
+        bytes,
+        ...(meta.ip ? { ip: meta.ip } : {}),
+        createdAt: stored.createdAt,
+        updatedAt: now,
+      };
+      this.records.set(blob.credentialId, record);
+      await this.persist();
+      return { ok: true, created: !existing, record };
+    });
+  }
+
+  /** Delete a blob on behalf of `rivetAddress`, which must own it. */
+  async remove(credentialId: string, rivetAddress: string): Promise<FidoWriteResult> {
+    return this.serialize(async () => {
+      await this.refresh(true);
+      const existing = await this.get(credentialId);
+      if (!existing) {
+        return { ok: false, reason: 'not_found', message: 'Blob not found' };
+      }
+      if (existing.rivetAddress.toLowerCase() !== rivetAddress.toLowerCase()) {
+        return { ok: false, reason: 'owner', message: 'Blob is owned by another rivet' };
+      }
+      const record = this.records.get(credentialId) || {
+        credentialId,
+        rivetAddress: existing.rivetAddress,
+        bytes: 0,
+        createdAt: existing.createdAt,
+        updatedAt: existing.updatedAt || existing.createdAt,
+      };
+      await this.config.setPath(`/${this.domain}/fido`);
+      await this.config.writeFile(`${credentialId}.json`, '');
+      this.records.delete(credentialId);
+      await this.persist();
+      return { ok: true, created: false, record };
+    });
+  }
+}
@@ -0,0 +1,304 @@
+import { ethers } from 'ethers';
+import { Config } from './Config';
+
+/**
+ * Pending threshold-gated actions on IdentityContracts, for one domain.
+ *
+ * An IdentityContract's removeRivetThreshold says how many of its rivets
+ * must agree before one is removed. The contract doesn't enforce it yet, so
+ * the host does: prepare-remove-rivet refuses a lone rivet above 1. This
+ * store is where the agreement is collected instead. One rivet proposes a
+ * removal (which counts as its approval), the others approve or reject it
+ * from their own devices, each with a signature the route has verified.
+ * When the approvals reach the threshold the action is `approved`, and an
+ * approving rivet may have the host prepare the removeRivet transaction;
+ * once it is broadcast the action is `submitted`, then `executed` or
+ * `failed` as the chain settles it. When enough rivets reject that the
+ * threshold can no longer be met, it is `rejected`. The rivet being removed
+ * has no vote. Unsettled actions expire after `ttlMs`.
+ *
+ * Persisted as `identity-actions.json` under the domain's config path and
+ * shared by a pool of hosts through the config authority. Writes reload
+ * first and run one at a time, like SessionRegistry. Settled actions are
+ * kept for 30 days after they were last touched, then dropped.
+ */
+
+export type IdentityActionKind = 'removeRivet';
+
+export type IdentityActionStatus =
+  | 'pending'
+  | 'approved'
+  | 'rejected'
+  | 'submitted'
+  | 'executed'
+  | 'failed'
+  | 'expired';
+
+export interface IdentityActionVote {
+  signerAddress: string;
+  at: string;
+}
+
+export interface IdentityAction {
+  id: string;
+  contractAddress: string;
+  kind: IdentityActionKind;
+  target: string;
+  /** The contract's threshold when last counted. */
+  threshold: number;
+  rivetCount: number;
+  proposer: string;
+  approvals: IdentityActionVote[];
+  rejections: IdentityActionVote[];
+  status: IdentityActionStatus;
+  createdAt: string;
+  updatedAt: string;
+  expiresAt: string;
+  /** The prepared removeRivet transaction, once approved. */
+  preparedId?: string;
+  preparedFor?: string;
+  transactionHash?: string;
+  chainId?: number;
+}
+
+export type IdentityActionResult =
+  | { ok: true; action: IdentityAction }
+  | { ok: false; reason: 'not_found' | 'state' | 'duplicate'; message: string; action?: IdentityAction };
+
+/** The contract's current rivets and threshold, as read on-chain by the caller. */
+export interface IdentityActionGovernance {
+  threshold: number;
+  rivetCount: number;
+}
+
+export const DEFAULT_IDENTITY_ACTION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const ACTIONS_FILE = 'identity-actions.json';
+const RETAIN_MS = 30 * 24 * 60 * 60 * 1000;
+const SETTLED: IdentityActionStatus[] = ['rejected', 'executed', 'failed', 'expired'];
+
+export class IdentityActionStore {
+  public readonly domain: string;
+  private readonly config: Config;
+  private readonly refreshMs: number;
+  private readonly ttlMs: number;
+  private actions: Map<string, IdentityAction> = new Map();
+  private loadedAt = 0;
+  private pending: Promise<unknown> = Promise.resolve();
+
+  constructor(
+    domain: string,
+    options: { config?: Config; refreshMs?: number; ttlMs?: number } = {},
+  ) {
+    this.domain = domain.toLowerCase();
+    this.config = options.config || new Config();
+    this.refreshMs = options.refreshMs ?? 30 * 1000;
+    this.ttlMs = options.ttlMs ?? DEFAULT_IDENTITY_ACTION_TTL_MS;
+  }
+
+  private async refresh(force: boolean = false): Promise<void> {
+    if (!force && Date.now() - this.loadedAt < this.refreshMs) return;
+    await this.config.setPath(`/${this.domain}`);
+    let actions: IdentityAction[] = [];
+    try {
+      const buf = await this.config.readFile(ACTIONS_FILE);
+      actions = JSON.parse(buf.toString('utf8'));
+    } catch {
+      // No queue yet — nothing proposed.
+    }
+    this.actions = new Map(actions.map(a => [a.id, a]));
+    this.loadedAt = Date.now();
+  }
+
+  /** Persist, dropping settled actions past their retention. */
+  private async persist(): Promise<void> {
+    const cutoff = Date.now() - RETAIN_MS;
+    for (const [id, action] of this.actions) {
+      if (SETTLED.includes(action.status) && Date.parse(action.updatedAt) < cutoff) {
+        this.actions.delete(id);
+      }
+    }
+    await this.config.setPath(`/${this.domain}`);
+    await this.config.writeFile(ACTIONS_FILE, JSON.stringify([...this.actions.values()], null, 2));
+  }
+
+  private serialize<T>(fn: () => Promise<T>): Promise<T> {
+    const run = this.pending.then(fn, fn);
+    this.pending = run.catch(() => undefined);
+    return run;
+  }
+
+  /** Mark an unsettled action expired once its time is up. True when it changed. */
+  private expire(action: IdentityAction, now: number): boolean {
+    if ((action.status === 'pending' || action.status === 'approved') && Date.parse(action.expiresAt) <= now) {
+      action.status = 'expired';
+      action.updatedAt = new Date(now).toISOString();
+      return true;
+    }
+    return false;
+  }
+
+  /** Recount a pending action against the contract's current governance. */
+  private tally(action: IdentityAction, governance: IdentityActionGovernance): void {
+    action.threshold = governance.threshold;
+    action.rivetCount = governance.rivetCount;
+    // The rivet being removed has no vote, so it can't veto its own removal.
+    const voters = governance.rivetCount - 1;
+    if (action.approvals.length >= governance.threshold) {
+      action.status = 'approved';
+    } else if (voters - action.rejections.length < governance.threshold) {
+      action.status = 'rejected';
+    }
+  }
+
+  /**
+   * Open an action, with the proposer's approval counted. Refused as
+   * `duplicate` (with the open action) while the same kind and target is
+   * already pending or approved on the contract.
+   */
+  async propose(
+    request: { contractAddress: string; kind: IdentityActionKind; target: string; proposer: string },
+    governance: IdentityActionGovernance,
+  ): Promise<IdentityActionResult> {
+    return this.serialize(async () => {
+      await this.refresh(true);
+      const now = Date.now();
+      const contractAddress = request.contractAddress.toLowerCase();
+      const target = request.target.toLowerCase();
+      if (target === request.proposer.toLowerCase()) {
+        return { ok: false, reason: 'state', message: 'A rivet cannot propose its own removal' };
+      }
+      for (const open of this.actions.values()) {
+        this.expire(open, now);
+        if (
+          open.contractAddress === contractAddress &&
+          open.kind === request.kind &&
+          open.target === target &&
+          (open.status === 'pending' || open.status === 'approved')
+        ) {
+          return { ok: false, reason: 'duplicate', message: 'That action is already open', action: open };
+        }
+      }
+      const at = new Date(now).toISOString();
+      const action: IdentityAction = {
+        id: ethers.utils.hexlify(ethers.utils.randomBytes(16)),
+        contractAddress,
+        kind: request.kind,
+        target,
+        threshold: governance.threshold,
+        rivetCount: governance.rivetCount,
+        proposer: request.proposer.toLowerCase(),
+        approvals: [{ signerAddress: request.proposer.toLowerCase(), at }],
+        rejections: [],
+        status: 'pending',
+        createdAt: at,
+        updatedAt: at,
+        expiresAt: new Date(now + this.ttlMs).toISOString(),
+      };
+      this.tally(action, governance);
+      this.actions.set(action.id, action);
+      await this.persist();
+      return { ok: true, action };
+    });
+  }
+
+  /**
+   * Record `signerAddress`'s approval or rejection of a pending action and
+   * recount it. A rivet decides once, and the rivet being removed has no
+   * say: a thief holding it could otherwise veto the removal.
+   */
+  async decide(
+    id: string,
+    signerAddress: string,
+    decision: 'approve' | 'reject',
+    governance: IdentityActionGovernance,
+  ): Promise<IdentityActionResult> {
+    return this.serialize(async () => {
+      await this.refresh(true);
+      const action = this.actions.get(id);
+      if (!action) return { ok: false, reason: 'not_found', message: 'No such action' };
+      const now = Date.now();
+      if (this.expire(action, now)) await this.persist();
+      if (action.status !== 'pending') {
+        return { ok: false, reason: 'state', message: `Action is ${action.status}`, action };
+      }
+      const signer = signerAddress.toLowerCase();
+      if ([...action.approvals, ...action.rejections].some(v => v.signerAddress === signer)) {
+        return { ok: false, reason: 'state', message: 'This rivet has already decided', action };
+      }
+      if (signer === action.target) {
+        return { ok: false, reason: 'state', message: 'The rivet being removed has no say in its removal', action };
+      }
+      const vote = { signerAddress: signer, at: new Date(now).toISOString() };
+      (decision === 'approve' ? action.approvals : action.rejections).push(vote);
+      action.updatedAt = vote.at;
+      this.tally(action, governance);
+      await this.persist();
+      return { ok: true, action };
+    });
+  }
+
+  /** Record the transaction prepared to carry out an approved action. */
+  async prepared(id: string, preparedId: string, signerAddress: string): Promise<IdentityActionResult> {
+    return this.update(id, ['approved'], action => {
+      action.preparedId = preparedId;
+      action.preparedFor = signerAddress.toLowerCase();
+    });
+  }
+
+  /** Record that an approved action's transaction was broadcast. */
+  async submitted(id: string, transactionHash: string, chainId: number): Promise<IdentityActionResult> {
+    return this.update(id, ['approved'], action => {
+      action.status = 'submitted';
+      action.transactionHash = transactionHash;
+      action.chainId = chainId;
+    });
+  }
+
+  /** Record how the chain settled a submitted action. */
+  async settled(id: string, status: 'executed' | 'failed'): Promise<IdentityActionResult> {
+    return this.update(id, ['submitted'], action => {
+      action.status = status;
+    });
+  }
+
+  private async update(
+    id: string,
+    from: IdentityActionStatus[],
+    change: (action: IdentityAction) => void,
+  ): Promise<IdentityActionResult> {
+    return this.serialize(async () => {
+      await this.refresh(true);
+      const action = this.actions.get(id);
+      if (!action) return { ok: false, reason: 'not_found', message: 'No such action' };
+      this.expire(action, Date.now());
+      if (!from.includes(action.status)) {
+        await this.persist();
+        return { ok: false, reason: 'state', message: `Action is ${action.status}`, action };
+      }
+      change(action);
+      action.updatedAt = new Date().toISOString();
+      await this.persist();
+      return { ok: true, action };
+    });
+  }
+
+  async get(id: string): Promise<IdentityAction | null> {
+    await this.refresh();
+    const action = this.actions.get(id);
+    if (!action) return null;
+    this.expire(action, Date.now());
+    return action;
+  }
+
+  /** A contract's actions, newest first, optionally only those in `status`. */
+  async list(contractAddress: string, status?: IdentityActionStatus): Promise<IdentityAction[]> {
+    await this.refresh();
+    const now = Date.now();
+    const want = contractAddress.toLowerCase();
+    return [...this.actions.values()]
+      .filter(a => a.contractAddress === want)
+      .filter(a => (this.expire(a, now), !status || a.status === status))
+      .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+  }
+}
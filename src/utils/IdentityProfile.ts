@@ -0,0 +1,167 @@
+import { ethers } from 'ethers';
+
+/**
+ * Identity metadata for a bound IdentityContract — the display name from
+ * PROFILE_SECTION, the active rivets and their names — resolved once and
+ * shared by every request that carries the same contract.
+ *
+ * Entries live for `ttlMs`. With `watchEvents` on, the resolver also listens
+ * for RivetAdded / RivetRemoved / PublicSet("_profile", …) on each cached
+ * contract and drops its entry as soon as one lands, so a rename or a revoked
+ * device shows up well before the TTL. Listeners are removed with the entry.
+ * A failed lookup is cached for `errorTtlMs` so an unreachable RPC doesn't
+ * add a round trip to every request.
+ */
+
+/** The contract section that holds the identity's world-readable profile. */
+export const PROFILE_SECTION = '_profile';
+
+export const DEFAULT_PROFILE_TTL_MS = 5 * 60 * 1000;
+const DEFAULT_ERROR_TTL_MS = 30 * 1000;
+const DEFAULT_MAX_ENTRIES = 1000;
+
+const IDENTITY_PROFILE_ABI = [
+  'function profileName() view returns (string)',
+  'function getRivets() view returns (address[])',
+  'function rivetNames(address) view returns (string)',
+  'event RivetAdded(address indexed rivet, address indexed addedBy, string name, uint256 timestamp)',
+  'event RivetRemoved(address indexed rivet, address indexed removedBy, uint256 timestamp)',
+  'event PublicSet(string section, string key, address indexed by)',
+];
+
+export interface IdentityRivet {
+  address: string;
+  name: string;
+}
+
+export interface IdentityProfile {
+  contractAddress: string;
+  profileName?: string;
+  rivets: IdentityRivet[];
+  resolvedAt: string;
+}
+
+export interface IdentityProfileOptions {
+  /** How long a resolved profile is served from cache. */
+  ttlMs?: number;
+  /** How long a failed lookup is remembered before retrying. */
+  errorTtlMs?: number;
+  /** Drop cached entries as soon as the contract emits a relevant event. */
+  watchEvents?: boolean;
+  /** Upper bound on cached contracts; the oldest is evicted past it. */
+  maxEntries?: number;
+}
+
+interface CacheEntry {
+  profile: IdentityProfile | null;
+  expires: number;
+  contract?: ethers.Contract;
+}
+
+export class IdentityProfileResolver {
+  private readonly provider: ethers.providers.Provider;
+  private readonly ttlMs: number;
+  private readonly errorTtlMs: number;
+  private readonly watchEvents: boolean;
+  private readonly maxEntries: number;
+  private cache: Map<string, CacheEntry> = new Map();
+  private inflight: Map<string, Promise<IdentityProfile | null>> = new Map();
+
+  constructor(provider: ethers.providers.Provider, options: IdentityProfileOptions = {}) {
+    this.provider = provider;
+    this.ttlMs = options.ttlMs ?? DEFAULT_PROFILE_TTL_MS;
+    this.errorTtlMs = options.errorTtlMs ?? DEFAULT_ERROR_TTL_MS;
+    this.watchEvents = options.watchEvents ?? true;
+    this.maxEntries = options.maxEntries ?? DEFAULT_MAX_ENTRIES;
+  }
+
+  /**
+   * The profile for `contractAddress`, from cache when fresh. Returns null
+   * when the contract can't be read (not an IdentityContract, RPC down) —
+   * callers treat that as "no metadata", never as an auth failure.
+   */
+  async resolve(contractAddress: string): Promise<IdentityProfile | null> {
+    const key = contractAddress.toLowerCase();
+    const entry = this.cache.get(key);
+    if (entry && entry.expires > Date.now()) return entry.profile;
+    if (entry) this.invalidate(key);
+
+    // Concurrent requests for the same contract share one lookup.
+    let pending = this.inflight.get(key);
+    if (!pending) {
+      pending = this.load(contractAddress).finally(() => this.inflight.delete(key));
+      this.inflight.set(key, pending);
+    }
+    return pending;
+  }
+
+  /** Drop the cached profile for a contract (and stop watching it). */
+  invalidate(contractAddress: string): void {
+    const key = contractAddress.toLowerCase();
+    const entry = this.cache.get(key);
+    if (!entry) return;
+    entry.contract?.removeAllListeners();
+    this.cache.delete(key);
+  }
+
+  /** Drop everything, e.g. on shutdown. */
+  clear(): void {
+    for (const key of [...this.cache.keys()]) this.invalidate(key);
+  }
+
+  private async load(contractAddress: string): Promise<IdentityProfile | null> {
+    const key = contractAddress.toLowerCase();
+    const contract = new ethers.Contract(contractAddress, IDENTITY_PROFILE_ABI, this.provider);
+
+    let profile: IdentityProfile | null = null;
+    try {
+      const [profileName, rivetAddresses] = await Promise.all([
+        contract.profileName().catch(() => ''),
+        contract.getRivets() as Promise<string[]>,
+      ]);
+      const names: string[] = await Promise.all(
+        rivetAddresses.map((r: string) => contract.rivetNames(r).catch(() => '')),
+      );
+      profile = {
+        contractAddress,
+        ...(profileName ? { profileName } : {}),
+        rivets: rivetAddresses.map((address, i) => ({ address, name: names[i] || '' })),
+        resolvedAt: new Date().toISOString(),
+      };
+    } catch {
+      // Not readable as an IdentityContract — remember the miss briefly.
+    }
+
+    while (this.cache.size >= this.maxEntries) {
+      const oldest = this.cache.keys().next().value;
+      if (oldest === undefined) break;
+      this.invalidate(oldest);
+    }
+
+    const entry: CacheEntry = {
+      profile,
+      expires: Date.now() + (profile ? this.ttlMs : this.errorTtlMs),
+    };
+    if (profile && this.watchEvents) {
+      const drop = () => this.invalidate(key);
+      contract.on('RivetAdded', drop);
+      contract.on('RivetRemoved', drop);
+      contract.on('PublicSet', (section: string) => {
+        if (section === PROFILE_SECTION) drop();
+      });
+      entry.contract = contract;
+    }
+    this.cache.set(key, entry);
+    return profile;
+  }
+}
+
+/**
+ * The name the signing rivet carries inside `profile`, or undefined when the
+ * signer is not (or no longer) an active rivet of the contract.
+ */
+export function signerRivetName(profile: IdentityProfile, signerAddress: string): string | undefined {
+  const want = signerAddress.toLowerCase();
+  const rivet = profile.rivets.find(r => r.address.toLowerCase() === want);
+  return rivet?.name || undefined;
+}
@@ -0,0 +1,202 @@
+import { Config } from './Config';
+
+/**
+ * Invites issued and redeemed through this domain's host, for one domain.
+ *
+ * EpisteryAccess keeps invites by codeHash and has no getter for them, so
+ * the host records what passes through it: the issuer's prepare (`prepared`),
+ * its broadcast createInvite (`submitted`), the mined invite (`open`, or
+ * `failed` when it reverted), and the redemption (`redeemed`). The code
+ * itself is never stored; it exists only in the link the issuer shares.
+ *
+ * Persisted as `invites.json` under the domain's config path and shared by
+ * a pool of hosts through the config authority. Writes reload first and run
+ * one at a time, like SessionRegistry. A `prepared` invite that was never
+ * submitted is dropped after a day; settled ones are kept for 90 days.
+ */
+
+export type InviteStatus = 'prepared' | 'submitted' | 'open' | 'failed' | 'redeemed';
+
+export interface InviteRecord {
+  codeHash: string;
+  contractAddress: string;
+  section: string;
+  role: number;
+  /** The issuing identity, and the rivet that signed createInvite. */
+  issuer: string;
+  signerAddress: string;
+  status: InviteStatus;
+  /** The prepared createInvite the issuer's signed transaction must match. */
+  preparedId?: string;
+  createdAt: string;
+  updatedAt: string;
+  transactionHash?: string;
+  chainId?: number;
+  redeemedBy?: string;
+  redeemTransactionHash?: string;
+}
+
+export type InviteResult =
+  | { ok: true; invite: InviteRecord }
+  | { ok: false; reason: 'not_found' | 'state'; message: string; invite?: InviteRecord };
+
+const INVITES_FILE = 'invites.json';
+const PREPARED_MS = 24 * 60 * 60 * 1000;
+const RETAIN_MS = 90 * 24 * 60 * 60 * 1000;
+const SETTLED: InviteStatus[] = ['failed', 'redeemed'];
+
+export class InviteStore {
+  public readonly domain: string;
+  private readonly config: Config;
+  private readonly refreshMs: number;
+  private invites: Map<string, InviteRecord> = new Map();
+  private loadedAt = 0;
+  private pending: Promise<unknown> = Promise.resolve();
+
+  constructor(domain: string, options: { config?: Config; refreshMs?: number } = {}) {
+    this.domain = domain.toLowerCase();
+    this.config = options.config || new Config();
+    this.refreshMs = options.refreshMs ?? 30 * 1000;
+  }
+
+  private async refresh(force: boolean = false): Promise<void> {
+    if (!force && Date.now() - this.loadedAt < this.refreshMs) return;
+    await this.config.setPath(`/${this.domain}`);
+    let invites: InviteRecord[] = [];
+    try {
+      const buf = await this.config.readFile(INVITES_FILE);
+      invites = JSON.parse(buf.toString('utf8'));
+    } catch {
+      // No invites yet.
+    }
+    this.invites = new Map(invites.map(i => [i.codeHash, i]));
+    this.loadedAt = Date.now();
+  }
+
+  /** Persist, dropping abandoned prepares and old settled invites. */
+  private async persist(): Promise<void> {
+    const now = Date.now();
+    for (const [codeHash, invite] of this.invites) {
+      const age = now - Date.parse(invite.updatedAt);
+      const stale = invite.status === 'prepared' ? age > PREPARED_MS : SETTLED.includes(invite.status) && age > RETAIN_MS;
+      if (stale) this.invites.delete(codeHash);
+    }
+    await this.config.setPath(`/${this.domain}`);
+    await this.config.writeFile(INVITES_FILE, JSON.stringify([...this.invites.values()], null, 2));
+  }
+
+  private serialize<T>(fn: () => Promise<T>): Promise<T> {
+    const run = this.pending.then(fn, fn);
+    this.pending = run.catch(() => undefined);
+    return run;
+  }
+
+  /** Record a freshly prepared invite. */
+  async prepared(invite: Omit<InviteRecord, 'status' | 'createdAt' | 'updatedAt'>): Promise<InviteRecord> {
+    return this.serialize(async () => {
+      await this.refresh(true);
+      const at = new Date().toISOString();
+      const record: InviteRecord = {
+        ...invite,
+        codeHash: invite.codeHash.toLowerCase(),
+        contractAddress: invite.contractAddress.toLowerCase(),
+        issuer: invite.issuer.toLowerCase(),
+        signerAddress: invite.signerAddress.toLowerCase(),
+        status: 'prepared',
+        createdAt: at,
+        updatedAt: at,
+      };
+      this.invites.set(record.codeHash, record);
+      await this.persist();
+      return record;
+    });
+  }
+
+  /** Record the broadcast createInvite. */
+  async submitted(codeHash: string, transactionHash: string, chainId: number): Promise<InviteResult> {
+    return this.update(codeHash, ['prepared'], invite => {
+      invite.status = 'submitted';
+      invite.transactionHash = transactionHash;
+      invite.chainId = chainId;
+    });
+  }
+
+  /** Record how the chain settled a submitted createInvite. */
+  async settled(codeHash: string, status: 'open' | 'failed'): Promise<InviteResult> {
+    return this.update(codeHash, ['submitted'], invite => {
+      invite.status = status;
+    });
+  }
+
+  /**
+   * Record a redemption. An invite created elsewhere is recorded here too,
+   * with what the caller knows of it.
+   */
+  async redeemed(
+    codeHash: string,
+    redemption: { contractAddress: string; redeemedBy: string; transactionHash: string },
+  ): Promise<InviteRecord> {
+    return this.serialize(async () => {
+      await this.refresh(true);
+      const key = codeHash.toLowerCase();
+      const at = new Date().toISOString();
+      const invite: InviteRecord = this.invites.get(key) || {
+        codeHash: key,
+        contractAddress: redemption.contractAddress.toLowerCase(),
+        section: '',
+        role: 0,
+        issuer: '',
+        signerAddress: '',
+        status: 'open',
+        createdAt: at,
+        updatedAt: at,
+      };
+      invite.status = 'redeemed';
+      invite.redeemedBy = redemption.redeemedBy.toLowerCase();
+      invite.redeemTransactionHash = redemption.transactionHash;
+      invite.updatedAt = at;
+      this.invites.set(key, invite);
+      await this.persist();
+      return invite;
+    });
+  }
+
+  private async update(
+    codeHash: string,
+    from: InviteStatus[],
+    change: (invite: InviteRecord) => void,
+  ): Promise<InviteResult> {
+    return this.serialize(async () => {
+      await this.refresh(true);
+      const invite = this.invites.get(codeHash.toLowerCase());
+      if (!invite) return { ok: false, reason: 'not_found', message: 'No such invite' };
+      if (!from.includes(invite.status)) {
+        return { ok: false, reason: 'state', message: `Invite is ${invite.status}`, invite };
+      }
+      change(invite);
+      invite.updatedAt = new Date().toISOString();
+      await this.persist();
+      return { ok: true, invite };
+    });
+  }
+
+  async get(codeHash: string): Promise<InviteRecord | null> {
+    await this.refresh();
+    return this.invites.get(codeHash.toLowerCase()) || null;
+  }
+
+  /** A contract's invites, newest first, optionally for one section and statuses. */
+  async list(
+    contractAddress: string,
+    filter: { section?: string; statuses?: InviteStatus[] } = {},
+  ): Promise<InviteRecord[]> {
+    await this.refresh();
+    const want = contractAddress.toLowerCase();
+    return [...this.invites.values()]
+      .filter(i =>
+        i.contractAddress === want &&
+        (filter.section === undefined || i.section === filter.section) &&
+        (!filter.statuses || filter.statuses.includes(i.status)))
+      .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+  }
+}
@@ -0,0 +1,148 @@
+import { Config } from './Config';
+
+/**
+ * Server-side registry of `_epistery` sessions for one domain.
+ *
+ * A signed session token proves the host minted it, but on its own it can't
+ * be ended early: it stays valid until `exp`. Each token now carries a session
+ * id (`sid`), and the registry records every sid the host issued. The attach
+ * middleware only honors a token whose sid is present and not revoked, so
+ * logout (DELETE /connect) and admin revocation take effect on the next
+ * request instead of 24 hours later.
+ *
+ * Persisted as `sessions.json` under the domain's config path, so it survives
+ * a restart and — with the config authority — is shared by a pool of hosts.
+ * Reads are served from memory and refreshed from the store at most every
+ * `refreshMs`, which bounds how long a revocation on one pool member takes to
+ * reach the others.
+ */
+
+export interface SessionRecord {
+  sid: string;
+  signerAddress: string;
+  contractAddress: string | null;
+  identityAddress: string;
+  createdAt: string;
+  expiresAt: string;
+  revokedAt?: string;
+  ip?: string;
+  userAgent?: string;
+}
+
+const REGISTRY_FILE = 'sessions.json';
+
+export class SessionRegistry {
+  public readonly domain: string;
+  private readonly config: Config;
+  private readonly refreshMs: number;
+  private sessions: Map<string, SessionRecord> = new Map();
+  private loadedAt = 0;
+  private pending: Promise<unknown> = Promise.resolve();
+
+  constructor(domain: string, options: { config?: Config; refreshMs?: number } = {}) {
+    this.domain = domain.toLowerCase();
+    this.config = options.config || new Config();
+    this.refreshMs = options.refreshMs ?? 30 * 1000;
+  }
+
+  /** Reload from the store when the in-memory copy is older than refreshMs. */
+  private async refresh(force: boolean = false): Promise<void> {
+    if (!force && Date.now() - this.loadedAt < this.refreshMs) return;
+    await this.config.setPath(`/${this.domain}`);
+    let records: SessionRecord[] = [];
+    try {
+      const buf = await this.config.readFile(REGISTRY_FILE);
+      records = JSON.parse(buf.toString('utf8'));
+    } catch {
+      // No registry yet — every session is unknown.
+    }
+    this.sessions = new Map(records.map(r => [r.sid, r]));
+    this.loadedAt = Date.now();
+  }
+
+  /** Persist, dropping records that have expired (revoked or not). */
+  private async persist(): Promise<void> {
+    const now = Date.now();
+    for (const [sid, record] of this.sessions) {
+      if (Date.parse(record.expiresAt) <= now) this.sessions.delete(sid);
+    }
+    await this.config.setPath(`/${this.domain}`);
+    await this.config.writeFile(REGISTRY_FILE, JSON.stringify([...this.sessions.values()], null, 2));
+  }
+
+  /**
+   * Run a read-modify-write against the store one at a time, so two logins
+   * landing together can't each reload the file and drop the other's record.
+   */
+  private serialize<T>(fn: () => Promise<T>): Promise<T> {
+    const run = this.pending.then(fn, fn);
+    this.pending = run.catch(() => undefined);
+    return run;
+  }
+
+  async register(record: SessionRecord): Promise<void> {
+    return this.serialize(async () => {
+      await this.refresh(true);
+      this.sessions.set(record.sid, record);
+      await this.persist();
+    });
+  }
+
+  /**
+   * True when `sid` was issued by this domain, is unexpired, and not revoked.
+   * An unknown sid forces a reload first: a sibling host may have issued it
+   * since our last refresh, and only MAC-valid tokens get this far.
+   */
+  async isActive(sid: string): Promise<boolean> {
+    await this.refresh();
+    if (!this.sessions.has(sid)) await this.refresh(true);
+    const record = this.sessions.get(sid);
+    return !!record && !record.revokedAt && Date.parse(record.expiresAt) > Date.now();
+  }
+
+  async get(sid: string): Promise<SessionRecord | null> {
+    await this.refresh();
+    return this.sessions.get(sid) || null;
+  }
+
+  /** Active sessions, optionally only those for one identityAddress. */
+  async list(identityAddress?: string): Promise<SessionRecord[]> {
+    await this.refresh();
+    const now = Date.now();
+    const want = identityAddress?.toLowerCase();
+    return [...this.sessions.values()].filter(r =>
+      !r.revokedAt &&
+      Date.parse(r.expiresAt) > now &&
+      (!want || r.identityAddress.toLowerCase() === want),
+    );
+  }
+
+  /** Revoke one session. Returns false when the sid is unknown or already revoked. */
+  async revoke(sid: string): Promise<boolean> {
+    return this.serialize(async () => {
+      await this.refresh(true);
+      const record = this.sessions.get(sid);
+      if (!record || record.revokedAt) return false;
+      record.revokedAt = new Date().toISOString();
+      await this.persist();
+      return true;
+    });
+  }
+
+  /** Revoke every active session for an identityAddress. Returns how many. */
+  async revokeIdentity(identityAddress: string): Promise<number> {
+    return this.serialize(async () => {
+      await this.refresh(true);
+      const want = identityAddress.toLowerCase();
+      const revokedAt = new Date().toISOString();
+      let count = 0;
+      for (const record of this.sessions.values()) {
+        if (record.revokedAt || record.identityAddress.toLowerCase() !== want) continue;
+        record.revokedAt = revokedAt;
+        count++;
+      }
+      if (count > 0) await this.persist();
+      return count;
+    });
+  }
+}
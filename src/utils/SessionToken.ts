@@ -0,0 +1,139 @@
+import crypto from 'crypto';
+
+/**
+ * Signed `_epistery` session tokens.
+ *
+ * The cookie used to be plain base64 JSON, so anyone could mint one naming
+ * any signerAddress/contractAddress. A token is now
+ *
+ *     v1.<base64url(JSON payload)>.<base64url(HMAC-SHA256)>
+ *
+ * MAC'd with a key derived from the domain's server wallet private key. The
+ * key never leaves the host and differs per domain, so a cookie minted for
+ * one domain cannot be replayed against another on a multi-tenant host.
+ *
+ * Expiry is enforced here, against `exp` inside the MAC'd payload — the
+ * cookie's maxAge only tells the browser when to stop sending it.
+ */
+
+export const SESSION_TOKEN_VERSION = 'v1';
+
+/** Default session lifetime: 24 hours, matching the cookie maxAge. */
+export const DEFAULT_SESSION_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+/** Domain-separation label for the HMAC key derivation. */
+const KEY_LABEL = 'epistery-session-token-v1';
+
+/**
+ * The facts a session carries. Same three-fact shape the middleware exposes
+ * (identityAddress is re-derived on every read, never stored), plus issue and
+ * expiry times in seconds since the epoch.
+ */
+export interface SessionPayload {
+  signerAddress: string;
+  contractAddress: string | null;
+  /** The chain contractAddress was verified on. */
+  chainId?: number;
+  publicKey?: string;
+  authenticated: boolean;
+  /** Session id, recorded in the domain's SessionRegistry so it can be revoked. */
+  sid?: string;
+  iat: number;
+  exp: number;
+}
+
+export type SessionRejectReason = 'legacy' | 'malformed' | 'signature' | 'expired';
+
+export type SessionVerifyResult =
+  | { valid: true; session: SessionPayload }
+  | { valid: false; reason: SessionRejectReason; message: string };
+
+function base64url(buf: Buffer): string {
+  return buf.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64url(s: string): Buffer {
+  return Buffer.from(s.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Derive the per-domain MAC key from the server wallet's private key. Using a
+ * labelled HMAC rather than the raw key keeps the signing key and the session
+ * key from ever being interchangeable.
+ */
+export function sessionKey(serverPrivateKey: string): Buffer {
+  if (!serverPrivateKey) {
+    throw new Error('Session key requires the domain server wallet private key');
+  }
+  const keyBytes = Buffer.from(serverPrivateKey.replace(/^0x/, ''), 'hex');
+  return crypto.createHmac('sha256', keyBytes).update(KEY_LABEL).digest();
+}
+
+function mac(key: Buffer, body: string): string {
+  return base64url(crypto.createHmac('sha256', key).update(body).digest());
+}
+
+/**
+ * Mint a session token. `iat`/`exp` are filled in from `maxAgeMs`; any
+ * caller-supplied values are overwritten so a token can't outlive the policy.
+ */
+export function signSessionToken(
+  data: Omit<SessionPayload, 'iat' | 'exp'> & Record<string, any>,
+  serverPrivateKey: string,
+  maxAgeMs: number = DEFAULT_SESSION_MAX_AGE_MS,
+  now: number = Date.now(),
+): string {
+  const iat = Math.floor(now / 1000);
+  const payload = { ...data, iat, exp: iat + Math.floor(maxAgeMs / 1000) };
+  const body = `${SESSION_TOKEN_VERSION}.${base64url(Buffer.from(JSON.stringify(payload), 'utf8'))}`;
+  return `${body}.${mac(sessionKey(serverPrivateKey), body)}`;
+}
+
+/**
+ * Verify a session token against the domain's server wallet. Never throws —
+ * the middleware treats every failure as "no session" and uses `reason` to
+ * tell the client whether reconnecting will help.
+ */
+export function verifySessionToken(
+  token: string,
+  serverPrivateKey: string,
+  now: number = Date.now(),
+): SessionVerifyResult {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3 || parts[0] !== SESSION_TOKEN_VERSION) {
+    // Pre-v1 cookies were a single base64 blob with no dots.
+    const legacy = parts.length === 1 && parts[0].length > 0;
+    return {
+      valid: false,
+      reason: legacy ? 'legacy' : 'malformed',
+      message: legacy
+        ? 'Session token predates signed sessions; reconnect to obtain a new one'
+        : 'Malformed session token; reconnect to obtain a new one',
+    };
+  }
+
+  const body = `${parts[0]}.${parts[1]}`;
+  const expected = Buffer.from(mac(sessionKey(serverPrivateKey), body));
+  const actual = Buffer.from(parts[2]);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return {
+      valid: false,
+      reason: 'signature',
+      message: 'Session token signature is invalid; reconnect to obtain a new one',
+    };
+  }
+
+  let session: SessionPayload;
+  try {
+    session = JSON.parse(fromBase64url(parts[1]).toString('utf8'));
+  } catch {
+    return { valid: false, reason: 'malformed', message: 'Malformed session token; reconnect to obtain a new one' };
+  }
+  if (!session?.signerAddress || typeof session.exp !== 'number') {
+    return { valid: false, reason: 'malformed', message: 'Malformed session token; reconnect to obtain a new one' };
+  }
+  if (Math.floor(now / 1000) >= session.exp) {
+    return { valid: false, reason: 'expired', message: 'Session expired; reconnect to obtain a new one' };
+  }
+  return { valid: true, session };
+}
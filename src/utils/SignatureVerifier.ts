@@ -0,0 +1,149 @@
+import { ethers } from 'ethers';
+
+/**
+ * One check for "did `address` sign `message`", whether `address` is a key
+ * or a contract.
+ *
+ * A key (EOA) signs the EIP-191 message directly and ecrecover settles it. A
+ * contract identity can't hold a key; EIP-1271 lets it vouch instead:
+ * `isValidSignature(hash, signature)` answers the magic value 0x1626ba7e
+ * when it accepts the signature. Here `hash` is the EIP-191 digest of the
+ * message, `ethers.utils.hashMessage(message)`, so the same message string
+ * verifies either way. IdentityContract accepts a signature over that
+ * digest (itself EIP-191 prefixed, i.e. `signMessage(arrayify(hash))`) by
+ * any active rivet; `signIdentityMessage` makes one.
+ *
+ * Contract answers are cached for `ttlMs` (positive and negative), keyed by
+ * address, digest and signature, so a bot repeating a header doesn't cost
+ * an RPC call each time. The TTL bounds how long a removed rivet's
+ * signatures keep working. A failed call is `unavailable`, not a refusal,
+ * and isn't cached.
+ */
+
+export const EIP1271_MAGIC_VALUE = '0x1626ba7e';
+
+const EIP1271_ABI = ['function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)'];
+
+export const DEFAULT_SIGNATURE_CACHE_TTL_MS = 60 * 1000;
+
+export type SignatureCheck =
+  | {
+      valid: true;
+      kind: 'eoa' | 'eip1271';
+      address: string;
+      /** The key that signed: `address` for an EOA; for EIP-1271, the key
+       *  ecrecover finds in the signature (IdentityContract's rivet). */
+      signer: string | null;
+    }
+  | { valid: false; reason: 'signature' | 'unavailable'; message: string };
+
+export interface SignatureVerifyOptions {
+  /** Only accept an EIP-1271 contract signature, never a plain key's. */
+  contractOnly?: boolean;
+}
+
+/** Sign `message` for an IdentityContract's isValidSignature with one of its rivets. */
+export async function signIdentityMessage(rivet: ethers.Signer, message: string | Uint8Array): Promise<string> {
+  return rivet.signMessage(ethers.utils.arrayify(ethers.utils.hashMessage(message)));
+}
+
+export class SignatureVerifier {
+  private readonly provider: ethers.providers.Provider | null;
+  private readonly ttlMs: number;
+  private readonly maxEntries: number;
+  private cache: Map<string, { valid: boolean; expires: number }> = new Map();
+
+  constructor(
+    provider: ethers.providers.Provider | null,
+    options: { ttlMs?: number; maxEntries?: number } = {},
+  ) {
+    this.provider = provider;
+    this.ttlMs = options.ttlMs ?? DEFAULT_SIGNATURE_CACHE_TTL_MS;
+    this.maxEntries = options.maxEntries ?? 10000;
+  }
+
+  async verify(
+    address: string,
+    message: string | Uint8Array,
+    signature: string,
+    options: SignatureVerifyOptions = {},
+  ): Promise<SignatureCheck> {
+    if (!ethers.utils.isAddress(address)) {
+      return { valid: false, reason: 'signature', message: 'Not an address' };
+    }
+
+    if (!options.contractOnly) {
+      let recovered: string | null = null;
+      try {
+        recovered = ethers.utils.verifyMessage(message, signature);
+      } catch {}
+      if (recovered?.toLowerCase() === address.toLowerCase()) {
+        return { valid: true, kind: 'eoa', address, signer: recovered };
+      }
+    }
+
+    if (!this.provider) {
+      return { valid: false, reason: 'signature', message: 'Signature does not match address' };
+    }
+
+    const hash = ethers.utils.hashMessage(message);
+    let signer: string | null = null;
+    try {
+      signer = ethers.utils.recoverAddress(ethers.utils.hashMessage(ethers.utils.arrayify(hash)), signature);
+    } catch {}
+
+    const key = `${address.toLowerCase()}:${hash}:${String(signature).toLowerCase()}`;
+    const now = Date.now();
+    const cached = this.cache.get(key);
+    let valid: boolean;
+    if (cached && cached.expires > now) {
+      valid = cached.valid;
+    } else {
+      try {
+        valid = await this.isValidSignature(address, hash, signature);
+      } catch (error: any) {
+        return {
+          valid: false,
+          reason: 'unavailable',
+          message: `Could not ask ${address} about the signature: ${error.message}`,
+        };
+      }
+      this.remember(key, valid, now);
+    }
+
+    return valid
+      ? { valid: true, kind: 'eip1271', address, signer }
+      : { valid: false, reason: 'signature', message: `${address} does not accept the signature` };
+  }
+
+  /**
+   * Ask the contract. No code at the address, or a contract without
+   * isValidSignature (it reverts), is a plain "no"; an RPC failure throws.
+   */
+  private async isValidSignature(address: string, hash: string, signature: string): Promise<boolean> {
+    const provider = this.provider as ethers.providers.Provider;
+    const code = await provider.getCode(address);
+    if (!code || code === '0x') return false;
+    const contract = new ethers.Contract(address, EIP1271_ABI, provider);
+    try {
+      const magic: string = await contract.isValidSignature(hash, signature);
+      return magic.toLowerCase() === EIP1271_MAGIC_VALUE;
+    } catch (error: any) {
+      if (error.code === 'CALL_EXCEPTION') return false;
+      throw error;
+    }
+  }
+
+  private remember(key: string, valid: boolean, now: number): void {
+    if (this.cache.size >= this.maxEntries) {
+      for (const [k, entry] of this.cache) {
+        if (entry.expires <= now) this.cache.delete(k);
+      }
+      // Still full of live entries: drop the oldest.
+      while (this.cache.size >= this.maxEntries) {
+        this.cache.delete(this.cache.keys().next().value as string);
+      }
+    }
+    this.cache.set(key, { valid, expires: now + this.ttlMs });
+  }
+}
@@ -0,0 +1,307 @@
+import { ethers } from 'ethers';
+import { Config } from './Config';
+
+/**
+ * Gas sponsorship for one domain: who the domain's server wallet may fund,
+ * how much, and a record of every transfer it made.
+ *
+ * Prepare routes top up the signer so a fresh rivet can pay for its own
+ * transaction. Unchecked, that is a faucet. Every funding now goes through
+ * sponsor(), which refuses when:
+ *
+ *   - the operation isn't allowlisted (`operations`: names like
+ *     `addRivetToContract`, `IdentityContract.removeRivet`,
+ *     `IdentityContract.*`, or `*`);
+ *   - the domain's spend this UTC day or month would pass `dailyBudget` or
+ *     `monthlyBudget` (native-token units, e.g. '0.5');
+ *   - the identity has had `maxFundingsPerIdentity` fundings, or
+ *     `maxAmountPerIdentity`, in the last 24 hours.
+ *
+ * Budgets count transfers on the same chain only, since native units differ.
+ *
+ * The policy is the defaults, overlaid by the host's `options.sponsorship`,
+ * overlaid by the `[sponsorship]` section of the domain's config.ini. The
+ * ledger is `sponsorship.json` under the domain's config path, shared by a
+ * pool of hosts through the config authority. Entries older than
+ * `retainDays` are dropped on write. Checks and appends run one at a time
+ * and reload first, like SessionRegistry, so two requests can't both spend
+ * the last of a budget.
+ */
+
+export interface SponsorshipPolicy {
+  operations: string[];
+  dailyBudget: string;
+  monthlyBudget: string;
+  maxFundingsPerIdentity: number;
+  maxAmountPerIdentity: string;
+  retainDays: number;
+}
+
+export const DEFAULT_SPONSORSHIP_POLICY: SponsorshipPolicy = {
+  operations: [
+    'addRivetToContract',
+    'IdentityContract.removeRivet',
+    'IdentityContract.setPublicKey',
+    'IdentityContract.designateHost',
+    'IdentityContract.setRemoveRivetThreshold',
+    'EpisteryAccess.createInvite',
+    'EpisteryAccess.redeemInvite',
+  ],
+  dailyBudget: '1',
+  monthlyBudget: '10',
+  maxFundingsPerIdentity: 10,
+  maxAmountPerIdentity: '0.1',
+  retainDays: 400,
+};
+
+export interface SponsorshipRequest {
+  /** Who is being sponsored: the client's identityAddress. */
+  identityAddress: string;
+  /** The address that receives the funds (the signing rivet). */
+  signerAddress: string;
+  operation: string;
+  chainId: number;
+  /** Wei. */
+  amount: ethers.BigNumberish;
+}
+
+export interface SponsorshipEntry {
+  at: string;
+  identityAddress: string;
+  signerAddress: string;
+  operation: string;
+  chainId: number;
+  /** Wei, as a decimal string. */
+  amount: string;
+  txHash: string;
+  from?: string;
+}
+
+export type SponsorshipRefusalReason = 'operation' | 'daily_budget' | 'monthly_budget' | 'identity_quota';
+
+export interface SponsorshipRefusal {
+  ok: false;
+  reason: SponsorshipRefusalReason;
+  message: string;
+  /** Seconds until the refusal lifts, when it is a quota or budget. */
+  retryAfter?: number;
+}
+
+export type SponsorshipResult = { ok: true; entry: SponsorshipEntry } | SponsorshipRefusal;
+
+export interface SponsorshipUsage {
+  chainId: number;
+  /** Wei spent this UTC day and month. */
+  day: string;
+  month: string;
+  identity?: { fundings: number; amount: string };
+}
+
+const LEDGER_FILE = 'sponsorship.json';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** A policy value out of options (numbers) or ini (strings). */
+function policyFrom(source: any): Partial<SponsorshipPolicy> {
+  if (!source || typeof source !== 'object') return {};
+  const policy: Partial<SponsorshipPolicy> = {};
+  if (source.operations != null) {
+    policy.operations = Array.isArray(source.operations)
+      ? source.operations.map(String)
+      : String(source.operations).split(',').map(s => s.trim()).filter(Boolean);
+  }
+  for (const key of ['dailyBudget', 'monthlyBudget', 'maxAmountPerIdentity'] as const) {
+    if (source[key] != null && source[key] !== '') policy[key] = String(source[key]);
+  }
+  for (const key of ['maxFundingsPerIdentity', 'retainDays'] as const) {
+    const value = Number(source[key]);
+    if (source[key] != null && Number.isFinite(value)) policy[key] = value;
+  }
+  return policy;
+}
+
+export class SponsorshipLedger {
+  public readonly domain: string;
+  private readonly config: Config;
+  private readonly refreshMs: number;
+  private readonly hostPolicy: Partial<SponsorshipPolicy>;
+  private domainPolicy: Partial<SponsorshipPolicy> = {};
+  private entries: SponsorshipEntry[] = [];
+  private loadedAt = 0;
+  private pending: Promise<unknown> = Promise.resolve();
+
+  constructor(
+    domain: string,
+    options: { config?: Config; refreshMs?: number; policy?: Partial<SponsorshipPolicy> } = {},
+  ) {
+    this.domain = domain.toLowerCase();
+    this.config = options.config || new Config();
+    this.refreshMs = options.refreshMs ?? 30 * 1000;
+    this.hostPolicy = policyFrom(options.policy);
+  }
+
+  /** The policy in force: defaults, then host options, then the domain's config.ini. */
+  get policy(): SponsorshipPolicy {
+    return { ...DEFAULT_SPONSORSHIP_POLICY, ...this.hostPolicy, ...this.domainPolicy };
+  }
+
+  private async refresh(force: boolean = false): Promise<void> {
+    if (!force && Date.now() - this.loadedAt < this.refreshMs) return;
+    const data = await this.config.read(`/${this.domain}`);
+    this.domainPolicy = policyFrom(data?.sponsorship);
+    await this.config.setPath(`/${this.domain}`);
+    let entries: SponsorshipEntry[] = [];
+    try {
+      const buf = await this.config.readFile(LEDGER_FILE);
+      entries = JSON.parse(buf.toString('utf8'));
+    } catch {
+      // No ledger yet — nothing funded.
+    }
+    this.entries = entries;
+    this.loadedAt = Date.now();
+  }
+
+  private async persist(): Promise<void> {
+    const cutoff = Date.now() - this.policy.retainDays * DAY_MS;
+    this.entries = this.entries.filter(e => Date.parse(e.at) > cutoff);
+    await this.config.setPath(`/${this.domain}`);
+    await this.config.writeFile(LEDGER_FILE, JSON.stringify(this.entries, null, 2));
+  }
+
+  private serialize<T>(fn: () => Promise<T>): Promise<T> {
+    const run = this.pending.then(fn, fn);
+    this.pending = run.catch(() => undefined);
+    return run;
+  }
+
+  /** True when `operation` matches an allowlist entry (exact, `Artifact.*`, or `*`). */
+  allows(operation: string): boolean {
+    return this.policy.operations.some(allowed =>
+      allowed === '*' ||
+      allowed === operation ||
+      (allowed.endsWith('.*') && operation.startsWith(allowed.slice(0, -1))),
+    );
+  }
+
+  private spent(chainId: number, since: number, identityAddress?: string): { count: number; amount: ethers.BigNumber } {
+    const want = identityAddress?.toLowerCase();
+    let count = 0;
+    let amount = ethers.BigNumber.from(0);
+    for (const e of this.entries) {
+      if (e.chainId !== chainId || Date.parse(e.at) < since) continue;
+      if (want && e.identityAddress.toLowerCase() !== want) continue;
+      count++;
+      amount = amount.add(e.amount);
+    }
+    return { count, amount };
+  }
+
+  /** Why `request` would be refused right now, or null when it fits. */
+  private refusal(request: SponsorshipRequest, now: number): SponsorshipRefusal | null {
+    const policy = this.policy;
+    if (!this.allows(request.operation)) {
+      return { ok: false, reason: 'operation', message: `${this.domain} does not sponsor ${request.operation}` };
+    }
+    const amount = ethers.BigNumber.from(request.amount);
+    const date = new Date(now);
+    const dayStart = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    const monthStart = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+    const nextMonth = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+
+    const identity = this.spent(request.chainId, now - DAY_MS, request.identityAddress);
+    if (
+      identity.count + 1 > policy.maxFundingsPerIdentity ||
+      identity.amount.add(amount).gt(ethers.utils.parseEther(policy.maxAmountPerIdentity))
+    ) {
+      const oldest = this.entries
+        .filter(e =>
+          e.chainId === request.chainId &&
+          e.identityAddress.toLowerCase() === request.identityAddress.toLowerCase() &&
+          Date.parse(e.at) >= now - DAY_MS)
+        .reduce((min, e) => Math.min(min, Date.parse(e.at)), now);
+      return {
+        ok: false,
+        reason: 'identity_quota',
+        message: 'Sponsorship quota for this identity is used up for the last 24 hours',
+        retryAfter: Math.max(1, Math.ceil((oldest + DAY_MS - now) / 1000)),
+      };
+    }
+    if (this.spent(request.chainId, dayStart).amount.add(amount).gt(ethers.utils.parseEther(policy.dailyBudget))) {
+      return {
+        ok: false,
+        reason: 'daily_budget',
+        message: `Sponsorship budget for ${this.domain} is used up for today`,
+        retryAfter: Math.ceil((dayStart + DAY_MS - now) / 1000),
+      };
+    }
+    if (this.spent(request.chainId, monthStart).amount.add(amount).gt(ethers.utils.parseEther(policy.monthlyBudget))) {
+      return {
+        ok: false,
+        reason: 'monthly_budget',
+        message: `Sponsorship budget for ${this.domain} is used up for this month`,
+        retryAfter: Math.ceil((nextMonth - now) / 1000),
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Fund `request` through `send` when the policy allows it, and record the
+   * transfer. `send` runs inside the ledger's lock and should return once
+   * the transfer is broadcast, not mined. A refusal never calls `send`; a
+   * `send` that throws records nothing.
+   */
+  async sponsor(
+    request: SponsorshipRequest,
+    send: () => Promise<{ hash: string; from?: string }>,
+  ): Promise<SponsorshipResult> {
+    return this.serialize(async () => {
+      await this.refresh(true);
+      const refused = this.refusal(request, Date.now());
+      if (refused) return refused;
+
+      const tx = await send();
+      const entry: SponsorshipEntry = {
+        at: new Date().toISOString(),
+        identityAddress: request.identityAddress,
+        signerAddress: request.signerAddress,
+        operation: request.operation,
+        chainId: request.chainId,
+        amount: ethers.BigNumber.from(request.amount).toString(),
+        txHash: tx.hash,
+        ...(tx.from ? { from: tx.from } : {}),
+      };
+      this.entries.push(entry);
+      await this.persist();
+      return { ok: true, entry };
+    });
+  }
+
+  /** What the domain (and optionally one identity) has been funded on `chainId`. */
+  async usage(chainId: number, identityAddress?: string): Promise<SponsorshipUsage> {
+    await this.refresh();
+    const now = new Date();
+    const dayStart = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+    const monthStart = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1);
+    const usage: SponsorshipUsage = {
+      chainId,
+      day: this.spent(chainId, dayStart).amount.toString(),
+      month: this.spent(chainId, monthStart).amount.toString(),
+    };
+    if (identityAddress) {
+      const identity = this.spent(chainId, now.getTime() - DAY_MS, identityAddress);
+      usage.identity = { fundings: identity.count, amount: identity.amount.toString() };
+    }
+    return usage;
+  }
+
+  /** Ledger entries, newest first, optionally for one identity and since a time. */
+  async list(filter: { identityAddress?: string; since?: number } = {}): Promise<SponsorshipEntry[]> {
+    await this.refresh();
+    const want = filter.identityAddress?.toLowerCase();
+    return this.entries
+      .filter(e =>
+        (!want || e.identityAddress.toLowerCase() === want) &&
+        (filter.since === undefined || Date.parse(e.at) >= filter.since))
+      .reverse();
+  }
+}
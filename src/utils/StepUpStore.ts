@@ -0,0 +1,68 @@
+import { ethers } from 'ethers';
+
+/**
+ * Outstanding step-up (proof-of-possession) nonces.
+ *
+ * A session cookie proves the rivet signed once, up to 24 hours ago. Routes
+ * that do something hard to undo can ask for more: epistery.requireStepUp()
+ * issues a nonce bound to the session's signer and to the exact request
+ * (host, method, path, body hash), and only a signature over that nonce —
+ * made within the route's max age — lets the request through. Each nonce is
+ * good once.
+ *
+ * In-memory per process, like ChallengeStore; expired entries are swept on
+ * issue. A pool of hosts behind a non-sticky balancer needs the retry to
+ * reach the host that issued the nonce.
+ */
+
+/** What a nonce is issued for. Callers normalize; the store compares exactly. */
+export interface StepUpBinding {
+  signerAddress: string;
+  method: string;
+  host: string;
+  path: string;
+  bodyHash: string;
+}
+
+export interface IssuedStepUp {
+  nonce: string;
+  expiresAt: string;
+}
+
+export class StepUpStore {
+  private pending: Map<string, StepUpBinding & { expires: number }> = new Map();
+
+  issue(binding: StepUpBinding, ttlMs: number): IssuedStepUp {
+    const now = Date.now();
+    for (const [n, entry] of this.pending) {
+      if (entry.expires <= now) this.pending.delete(n);
+    }
+    const nonce = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+    const expires = now + ttlMs;
+    this.pending.set(nonce, { ...binding, expires });
+    return { nonce, expiresAt: new Date(expires).toISOString() };
+  }
+
+  /**
+   * Consume a nonce. Returns its binding when it exists, is unexpired and
+   * matches `binding` exactly; null otherwise. Removed either way, so a
+   * wrong guess burns it.
+   */
+  consume(nonce: string, binding: StepUpBinding): StepUpBinding | null {
+    if (typeof nonce !== 'string') return null;
+    const entry = this.pending.get(nonce);
+    if (!entry) return null;
+    this.pending.delete(nonce);
+    if (entry.expires <= Date.now()) return null;
+    if (
+      entry.signerAddress !== binding.signerAddress ||
+      entry.method !== binding.method ||
+      entry.host !== binding.host ||
+      entry.path !== binding.path ||
+      entry.bodyHash !== binding.bodyHash
+    ) {
+      return null;
+    }
+    return binding;
+  }
+}
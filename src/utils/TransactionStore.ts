@@ -0,0 +1,124 @@
+import { ethers } from 'ethers';
+
+/**
+ * Prepared and submitted client-signed transactions.
+ *
+ * The server prepares a transaction (and may have paid the signer's gas for
+ * it), the client signs it, and POST /tx/submit broadcasts it. Without a
+ * record of what was prepared, the submit route would relay anything signed
+ * by anyone. So each prepared transaction gets an id (returned as
+ * `metadata.preparedId`), and a submission must name it and carry the same
+ * chainId, signer, `to`, `data` and `value`. Gas and nonce may differ — a
+ * wallet is free to re-price. Each id is good for one submission that the
+ * node accepts.
+ *
+ * Submitted hashes are remembered for a day with their chain, so GET
+ * /tx/status/:hash knows which RPC to ask.
+ *
+ * In-memory per process, like ChallengeStore; expired entries are swept on
+ * each write. A pool of hosts needs the submission to reach the host that
+ * prepared it.
+ */
+
+/** Default lifetime of a prepared transaction: the fees it was priced at go stale after that. */
+export const DEFAULT_PREPARED_TTL_MS = 10 * 60 * 1000;
+
+const SUBMITTED_TTL_MS = 24 * 60 * 60 * 1000;
+
+export interface PreparedTransaction {
+  chainId: number;
+  from: string;
+  to: string | null;
+  data: string;
+  value: string;
+}
+
+export interface SubmittedTransaction {
+  chainId: number;
+  from: string;
+  operation?: string;
+  submittedAt: string;
+}
+
+export type PreparedMatch =
+  | { ok: true; prepared: PreparedTransaction; expires: number }
+  | { ok: false; message: string };
+
+export class TransactionStore {
+  private prepared: Map<string, PreparedTransaction & { expires: number }> = new Map();
+  private submitted: Map<string, SubmittedTransaction & { expires: number }> = new Map();
+
+  /** Remember a prepared transaction. Returns its id. */
+  prepare(tx: PreparedTransaction, ttlMs: number = DEFAULT_PREPARED_TTL_MS): string {
+    const now = Date.now();
+    for (const [id, entry] of this.prepared) {
+      if (entry.expires <= now) this.prepared.delete(id);
+    }
+    const id = ethers.utils.hexlify(ethers.utils.randomBytes(16));
+    this.prepared.set(id, {
+      chainId: Number(tx.chainId),
+      from: tx.from.toLowerCase(),
+      to: tx.to ? tx.to.toLowerCase() : null,
+      data: (tx.data || '0x').toLowerCase(),
+      value: ethers.BigNumber.from(tx.value || 0).toString(),
+      expires: now + ttlMs,
+    });
+    return id;
+  }
+
+  /**
+   * Consume prepared transaction `id` for the signed transaction `tx`. It
+   * matches when the id is known and unexpired and `tx` has its chainId,
+   * signer, recipient, data and value. Removed either way; see restore().
+   */
+  take(id: string, tx: ethers.Transaction): PreparedMatch {
+    const entry = typeof id === 'string' ? this.prepared.get(id) : undefined;
+    if (!entry || entry.expires <= Date.now()) {
+      if (entry) this.prepared.delete(id);
+      return { ok: false, message: 'Prepared transaction is unknown, expired, or already submitted' };
+    }
+    this.prepared.delete(id);
+    const mismatch =
+      Number(tx.chainId) !== entry.chainId ? 'chainId' :
+      (tx.from || '').toLowerCase() !== entry.from ? 'signer' :
+      (tx.to ? tx.to.toLowerCase() : null) !== entry.to ? 'to' :
+      (tx.data || '0x').toLowerCase() !== entry.data ? 'data' :
+      !ethers.BigNumber.from(tx.value || 0).eq(entry.value) ? 'value' :
+      null;
+    if (mismatch) {
+      return { ok: false, message: `Signed transaction's ${mismatch} differs from what was prepared` };
+    }
+    const { expires, ...prepared } = entry;
+    return { ok: true, prepared, expires };
+  }
+
+  /**
+   * Put back prepared transaction `id` that take() consumed, when the node
+   * refused its broadcast, so the client can re-sign and submit it again
+   * rather than prepare (and be funded) a second time. It keeps its expiry.
+   */
+  restore(id: string, match: PreparedMatch): void {
+    if (!match.ok || match.expires <= Date.now()) return;
+    this.prepared.set(id, { ...match.prepared, expires: match.expires });
+  }
+
+  /** Remember a broadcast transaction's chain for status lookups. */
+  recordSubmitted(hash: string, record: Omit<SubmittedTransaction, 'submittedAt'>): void {
+    const now = Date.now();
+    for (const [h, entry] of this.submitted) {
+      if (entry.expires <= now) this.submitted.delete(h);
+    }
+    this.submitted.set(hash.toLowerCase(), {
+      ...record,
+      submittedAt: new Date(now).toISOString(),
+      expires: now + SUBMITTED_TTL_MS,
+    });
+  }
+
+  submittedFor(hash: string): SubmittedTransaction | null {
+    const entry = this.submitted.get(String(hash).toLowerCase());
+    if (!entry || entry.expires <= Date.now()) return null;
+    const { expires, ...record } = entry;
+    return record;
+  }
+}
@@ -1,6 +1,6 @@
 import { ethers } from 'ethers';
 import { Config } from './Config';
-import { DomainConfig } from './types';
+import { DomainConfig, ProviderConfig } from './types';
 import { chainFor } from '../chains';
 
 export class Utils {
@@ -143,4 +143,36 @@ export class Utils {
     return domainConfig;
   }
 
+  /**
+   * The chains a domain accepts identity contracts from: its own provider
+   * first, then each [chains.<chainId>] section, once per chainId.
+   */
+  public static DomainChains(domainConfig: DomainConfig | null | undefined): ProviderConfig[] {
+    const chains: ProviderConfig[] = [];
+    const seen = new Set<number>();
+    const add = (provider?: ProviderConfig) => {
+      if (!provider?.rpc || provider.chainId == null) return;
+      const chainId = Number(provider.chainId);
+      if (!Number.isFinite(chainId) || seen.has(chainId)) return;
+      seen.add(chainId);
+      chains.push({ ...provider, chainId });
+    };
+    add(domainConfig?.provider);
+    for (const provider of Object.values(domainConfig?.chains || {})) add(provider);
+    return chains;
+  }
+
+  /**
+   * The accepted chain with `chainId`, or the domain's own chain when no
+   * chainId is given. Undefined when the domain doesn't accept it.
+   */
+  public static DomainChainFor(
+    domainConfig: DomainConfig | null | undefined,
+    chainId?: number | string | null
+  ): ProviderConfig | undefined {
+    const wanted = chainId == null || chainId === '' ? domainConfig?.provider?.chainId : chainId;
+    if (wanted == null) return undefined;
+    return Utils.DomainChains(domainConfig).find(chain => chain.chainId === Number(wanted));
+  }
+
 }
@@ -1,4 +1,5 @@
 import { AquaTree } from "aqua-js-sdk";
+import type { SponsorshipRefusal } from "./SponsorshipLedger";
 
 export interface NativeCurrency {
   name: string;
@@ -25,6 +26,10 @@ export interface WalletConfig {
 export interface DomainConfig {
   domain: string;
   provider?: ProviderConfig;
+  // Further chains whose identity contracts the domain accepts, keyed by
+  // chainId ([chains.<chainId>] sections). `provider` is always accepted
+  // and stays the chain the domain's own wallet transacts on.
+  chains?: Record<string, ProviderConfig>;
   wallet?: WalletConfig;
 }
 
@@ -91,6 +96,8 @@ export interface EpisteryStatus {
 //     `signature` over `message`).
 //   - contractAddress: an IdentityContract this signer CLAIMS to speak for.
 //     Server verifies the claim on-chain via isAuthorized(contract, signer).
+//   - chainId: the chain that contract lives on. Must be one the domain
+//     accepts; omitted means the domain's own chain.
 //
 // There is no `clientAddress` here, and no `identityAddress`: the client
 // never tells the server which role its address plays; the server derives
@@ -99,6 +106,7 @@ export interface KeyExchangeRequest {
   signerAddress: string;
   signerPublicKey: string;
   contractAddress?: string | null;
+  chainId?: number | null;
   challenge: string;
   message: string;
   signature: string;
@@ -114,6 +122,10 @@ export interface KeyExchangeResponse {
   identified: boolean;
   authenticated: boolean;
   profile: object | undefined;
+  // How signerAddress proved itself: its own key, or as a contract identity
+  // through EIP-1271 (`signer` is then the rivet key that signed). Server-side
+  // only; /connect strips it from the response.
+  verified?: { kind: 'eoa' | 'eip1271'; signer: string | null };
 }
 
 /**
@@ -123,8 +135,8 @@ export interface KeyExchangeResponse {
  * Contains ONLY valid Ethereum transaction fields
  */
 export interface UnsignedTransaction {
-  // Transaction fields
-  to: string;
+  // Transaction fields (no `to` for a contract deployment)
+  to?: string;
   data: string;
   value: string;
   nonce: number;
@@ -139,6 +151,7 @@ export interface UnsignedTransaction {
   // EIP-1559 gas (Polygon, modern chains)
   maxFeePerGas?: string;
   maxPriorityFeePerGas?: string;
+  type?: number;
 }
 
 /**
@@ -160,6 +173,28 @@ export interface PrepareTransactionResponse {
   metadata?: any;
 }
 
+/**
+ * Request to prepare a call to any compiled contract (POST /tx/prepare).
+ * `artifact` names a contract under artifacts/; `functionName` is a name or
+ * a full signature for overloads.
+ */
+export interface PrepareContractCallRequest {
+  from: string;
+  // Absent to deploy the artifact; args then go to its constructor.
+  to?: string;
+  artifact: string;
+  functionName?: string;
+  args?: any[];
+  value?: string;
+  // Top up `from` from the domain wallet so it can pay for the call.
+  sponsor?: boolean;
+}
+
+export type PrepareContractCallResult =
+  | ({ ok: true } & PrepareTransactionResponse)
+  | { ok: false; reason: 'artifact' | 'function' | 'args'; message: string }
+  | SponsorshipRefusal;
+
 /**
  * Request to submit a signed transaction
  */
@@ -179,3 +214,32 @@ export interface SubmitSignedTransactionResponse {
   status: number;  // 1 = success, 0 = reverted
   receipt: any;    // Full ethers receipt object
 }
+
+/**
+ * Result of POST /tx/submit: the hash as soon as the node accepts the
+ * transaction, or why it was refused before broadcast.
+ */
+export type BroadcastResult =
+  | { ok: true; transactionHash: string; chainId: number; from: string; nonce: number }
+  | { ok: false; reason: 'transaction' | 'chain' | 'prepared'; message: string };
+
+/**
+ * A submitted transaction as seen by the chain (GET /tx/status/:hash).
+ * `pending`: known to the node, not mined. `unknown`: the node has never seen
+ * it, or dropped it. For a tracked transaction, `replaced` / `cancelled`:
+ * another transaction took its nonce (`replacedBy`); `dropped`: no node kept
+ * it. A re-priced one that mined is `confirmed` / `reverted`, with
+ * `replacedBy` naming the broadcast that did.
+ */
+export interface TransactionStatus {
+  transactionHash: string;
+  chainId: number;
+  status: 'pending' | 'confirmed' | 'reverted' | 'replaced' | 'cancelled' | 'dropped' | 'unknown';
+  replacedBy?: string;
+  operation?: string;
+  submittedAt?: string;
+  blockNumber?: number;
+  confirmations?: number;
+  gasUsed?: string;
+  contractAddress?: string | null;
+}
@@ -0,0 +1,168 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { ethers } from 'ethers';
+import { NonceManager, MemoryNonceBackend, isNonceConflict } from '../../src/chains/NonceManager';
+
+const CHAIN_ID = 31337;
+const FROM = ethers.Wallet.createRandom().address;
+const TO = ethers.Wallet.createRandom().address;
+
+/** A provider whose pending count is whatever the test says. */
+function stubProvider(state: { pending: number }): ethers.providers.Provider {
+  return {
+    getTransactionCount: async () => state.pending,
+  } as unknown as ethers.providers.Provider;
+}
+
+/**
+ * A signer that records each nonce it sends with, after a tick so concurrent
+ * sends would overlap without the lock. `fail` decides per nonce whether the
+ * node refuses it.
+ */
+function stubSigner(sent: number[], fail: (nonce: number) => Error | null = () => null): ethers.Signer {
+  return {
+    getAddress: async () => FROM,
+    sendTransaction: async (tx: ethers.providers.TransactionRequest) => {
+      await new Promise(resolve => setTimeout(resolve, 1));
+      const nonce = Number(tx.nonce);
+      const error = fail(nonce);
+      if (error) throw error;
+      sent.push(nonce);
+      return { hash: ethers.utils.hexlify(ethers.utils.randomBytes(32)), nonce } as any;
+    },
+  } as unknown as ethers.Signer;
+}
+
+describe('NonceManager', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should hand out sequential nonces to concurrent sends', async () => {
+    const manager = new NonceManager();
+    const sent: number[] = [];
+    const provider = stubProvider({ pending: 5 });
+    const signer = stubSigner(sent);
+
+    const responses = await Promise.all(
+      Array.from({ length: 5 }, () => manager.send(CHAIN_ID, provider, signer, { to: TO })),
+    );
+
+    expect(sent).toEqual([5, 6, 7, 8, 9]);
+    expect(responses.map(r => r.nonce)).toEqual([5, 6, 7, 8, 9]);
+  });
+
+  it('should keep a separate sequence per chain', async () => {
+    const manager = new NonceManager();
+    const sent: number[] = [];
+    const provider = stubProvider({ pending: 3 });
+    const signer = stubSigner(sent);
+
+    await manager.send(CHAIN_ID, provider, signer, { to: TO });
+    await manager.send(1, provider, signer, { to: TO });
+
+    expect(sent).toEqual([3, 3]);
+  });
+
+  it('should release the lock and reuse the nonce after a failed send', async () => {
+    const manager = new NonceManager();
+    const sent: number[] = [];
+    let refuse = true;
+    const signer = stubSigner(sent, () => (refuse ? new Error('insufficient funds for gas') : null));
+    const provider = stubProvider({ pending: 2 });
+
+    await expect(manager.send(CHAIN_ID, provider, signer, { to: TO })).rejects.toThrow(/insufficient funds/);
+
+    refuse = false;
+    const response = await manager.send(CHAIN_ID, provider, signer, { to: TO });
+    expect(response.nonce).toBe(2);
+    expect(sent).toEqual([2]);
+  });
+
+  it('should not hold up queued sends behind one that fails', async () => {
+    const manager = new NonceManager();
+    const sent: number[] = [];
+    let calls = 0;
+    const signer = stubSigner(sent, () => (calls++ === 0 ? new Error('intrinsic gas too low') : null));
+    const provider = stubProvider({ pending: 0 });
+
+    const results = await Promise.allSettled([
+      manager.send(CHAIN_ID, provider, signer, { to: TO }),
+      manager.send(CHAIN_ID, provider, signer, { to: TO }),
+    ]);
+
+    expect(results.map(r => r.status)).toEqual(['rejected', 'fulfilled']);
+    expect(sent).toEqual([0]);
+  });
+
+  it('should resync from the node and retry once when the nonce is taken', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const manager = new NonceManager();
+    const sent: number[] = [];
+    const node = { pending: 4 };
+    const signer = stubSigner(sent, nonce => {
+      if (nonce !== 4) return null;
+      // Another tool sent two transactions from this address meanwhile.
+      node.pending = 6;
+      return Object.assign(new Error('nonce too low'), { code: 'NONCE_EXPIRED' });
+    });
+
+    const response = await manager.send(CHAIN_ID, stubProvider(node), signer, { to: TO });
+
+    expect(response.nonce).toBe(6);
+    expect(sent).toEqual([6]);
+    expect((await manager.backend.get(NonceManager.key(CHAIN_ID, FROM)))!.next).toBe(7);
+  });
+
+  it('should give up after one retry', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const manager = new NonceManager();
+    const sent: number[] = [];
+    const signer = stubSigner(sent, () => new Error('replacement transaction underpriced'));
+
+    await expect(
+      manager.send(CHAIN_ID, stubProvider({ pending: 1 }), signer, { to: TO }),
+    ).rejects.toThrow(/underpriced/);
+    expect(sent).toEqual([]);
+  });
+
+  it('should run ahead of a node that lags, and fall back once the gap times out', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const backend = new MemoryNonceBackend();
+    const manager = new NonceManager(backend, { gapTimeoutMs: 1000 });
+    const sent: number[] = [];
+    const signer = stubSigner(sent);
+    const provider = stubProvider({ pending: 0 });
+    const key = NonceManager.key(CHAIN_ID, FROM);
+
+    await manager.send(CHAIN_ID, provider, signer, { to: TO });
+    await manager.send(CHAIN_ID, provider, signer, { to: TO });
+    expect(sent).toEqual([0, 1]);
+
+    // The node never saw them: after gapTimeoutMs they count as dropped.
+    await backend.set(key, { next: 2, updatedAt: Date.now() - 2000 });
+    await manager.send(CHAIN_ID, provider, signer, { to: TO });
+    expect(sent).toEqual([0, 1, 0]);
+  });
+
+  it('should start from the node count after reset()', async () => {
+    const manager = new NonceManager();
+    const sent: number[] = [];
+    const signer = stubSigner(sent);
+    const provider = stubProvider({ pending: 0 });
+
+    await manager.send(CHAIN_ID, provider, signer, { to: TO });
+    await manager.reset(CHAIN_ID, FROM);
+    await manager.send(CHAIN_ID, provider, signer, { to: TO });
+
+    expect(sent).toEqual([0, 0]);
+  });
+
+  describe('isNonceConflict', () => {
+    it('should recognise the codes and messages nodes use for a taken nonce', () => {
+      expect(isNonceConflict({ code: 'NONCE_EXPIRED' })).toBe(true);
+      expect(isNonceConflict({ error: { message: 'nonce too low' } })).toBe(true);
+      expect(isNonceConflict({ body: '{"error":{"message":"already known"}}' })).toBe(true);
+      expect(isNonceConflict(new Error('insufficient funds for gas'))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,192 @@
+import { describe, it, expect } from 'vitest';
+import { RpcPool } from '../../src/chains/RpcPool';
+
+const CHAIN_ID = 31337;
+
+/** Stands in for one endpoint's provider, answering from `answers` by method. */
+class StubProvider {
+  calls: string[] = [];
+  down = false;
+  answers: Record<string, any> = {};
+
+  async send(method: string, params: any[]) {
+    this.calls.push(method);
+    if (this.down) throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'SERVER_ERROR' });
+    const answer = this.answers[method];
+    if (answer instanceof Error) throw answer;
+    return typeof answer === 'function' ? answer(params) : answer;
+  }
+}
+
+/** An error the node answered with, as ethers wraps it. */
+function nodeError(code: number, message: string) {
+  return Object.assign(new Error(message), { error: { code, message } });
+}
+
+/** A pool over `n` stub endpoints, with probing and cooldown left to the test. */
+function stubPool(n: number, options: Record<string, any> = {}) {
+  const urls = Array.from({ length: n }, (_, i) => `http://node${i}.test`);
+  const pool = new RpcPool(CHAIN_ID, 'stub', urls, options);
+  const stubs = urls.map(() => new StubProvider());
+  (pool as any).endpoints.forEach((endpoint: any, i: number) => {
+    endpoint.provider = stubs[i];
+  });
+  return { pool, stubs };
+}
+
+describe('RpcPool', () => {
+  describe('failover', () => {
+    it('should move on to the next endpoint when one fails and sit it out', async () => {
+      const { pool, stubs } = stubPool(2);
+      stubs[0].down = true;
+      stubs[1].answers.eth_blockNumber = '0x10';
+
+      expect(await pool.send('eth_blockNumber', [])).toBe('0x10');
+      expect(pool.stats().map(s => s.state)).toEqual(['down', 'healthy']);
+
+      stubs[0].calls = [];
+      expect(await pool.send('eth_blockNumber', [])).toBe('0x10');
+      expect(stubs[0].calls).toHaveLength(0);
+    });
+
+    it('should return an error the node answered without trying another endpoint', async () => {
+      const { pool, stubs } = stubPool(2);
+      stubs[0].answers.eth_call = nodeError(3, 'execution reverted');
+
+      const error: any = await pool.send('eth_call', [{}, 'latest']).catch(e => e);
+      expect(error.error.code).toBe(3);
+      expect(stubs[1].calls).toHaveLength(0);
+      expect(pool.stats()[0].state).toBe('healthy');
+    });
+
+    it('should treat a rate limit as a failure', async () => {
+      const { pool, stubs } = stubPool(2);
+      stubs[0].answers.eth_chainId = nodeError(-32005, 'limit exceeded');
+      stubs[1].answers.eth_chainId = '0x7a69';
+
+      expect(await pool.send('eth_chainId', [])).toBe('0x7a69');
+      expect(pool.stats()[0].state).toBe('down');
+    });
+
+    it('should try every endpoint anyway when all of them are down', async () => {
+      const { pool, stubs } = stubPool(2);
+      stubs.forEach(stub => (stub.down = true));
+      await expect(pool.send('eth_chainId', [])).rejects.toThrow(/ECONNREFUSED/);
+
+      stubs[1].down = false;
+      stubs[1].answers.eth_chainId = '0x7a69';
+      expect(await pool.send('eth_chainId', [])).toBe('0x7a69');
+    });
+
+    it('should answer the hash when a resent raw transaction is already known', async () => {
+      const { pool, stubs } = stubPool(2);
+      stubs[0].down = true;
+      stubs[1].answers.eth_sendRawTransaction = nodeError(-32000, 'already known');
+
+      const hash = await pool.send('eth_sendRawTransaction', ['0x02f8aa']);
+      expect(hash).toMatch(/^0x[0-9a-f]{64}$/);
+    });
+  });
+
+  describe('quorum', () => {
+    it('should answer when enough endpoints agree', async () => {
+      const { pool, stubs } = stubPool(3);
+      stubs.forEach(stub => (stub.answers.eth_call = '0x01'));
+
+      expect(await pool.quorumSend('eth_call', [{}, 'latest'])).toBe('0x01');
+      expect(stubs[2].calls).toHaveLength(0);
+    });
+
+    it('should ask further endpoints when the first ones disagree', async () => {
+      const { pool, stubs } = stubPool(3);
+      stubs[0].answers.eth_call = '0x01';
+      stubs[1].answers.eth_call = '0x00';
+      stubs[2].answers.eth_call = '0x01';
+
+      expect(await pool.quorumSend('eth_call', [{}, 'latest'])).toBe('0x01');
+    });
+
+    it('should fail with QUORUM when the endpoints disagree', async () => {
+      const { pool, stubs } = stubPool(2);
+      stubs[0].answers.eth_call = '0x01';
+      stubs[1].answers.eth_call = '0x00';
+
+      const error: any = await pool.quorumSend('eth_call', [{}, 'latest']).catch(e => e);
+      expect(error.code).toBe('QUORUM');
+    });
+
+    it('should agree on an error the nodes answered', async () => {
+      const { pool, stubs } = stubPool(2);
+      stubs.forEach(stub => (stub.answers.eth_call = nodeError(3, 'execution reverted')));
+
+      const error: any = await pool.quorumSend('eth_call', [{}, 'latest']).catch(e => e);
+      expect(error.error.code).toBe(3);
+    });
+
+    it('should cap the quorum at the healthy endpoints', async () => {
+      const { pool, stubs } = stubPool(2);
+      stubs[0].down = true;
+      stubs[1].answers.eth_call = '0x01';
+      await pool.send('eth_call', [{}, 'latest']);
+
+      stubs[1].calls = [];
+      expect(await pool.quorumSend('eth_call', [{}, 'latest'])).toBe('0x01');
+      expect(stubs[1].calls).toEqual(['eth_call']);
+    });
+
+    it('should route quorum methods through quorumSend on the quorum provider', async () => {
+      const { pool, stubs } = stubPool(2);
+      stubs[0].answers.eth_getCode = '0x60';
+      stubs[1].answers.eth_getCode = '0x';
+
+      const error: any = await pool.quorumProvider.send('eth_getCode', ['0x0', 'latest']).catch(e => e);
+      expect(error.code).toBe('QUORUM');
+      expect(await pool.provider.send('eth_getCode', ['0x0', 'latest'])).toBe('0x60');
+    });
+  });
+
+  describe('probing', () => {
+    it('should skip an unhealthy endpoint and use it again once a probe finds it back', async () => {
+      const { pool, stubs } = stubPool(2, { cooldownMs: 0 });
+      stubs[1].answers.eth_chainId = '0x7a69';
+      stubs[1].answers.eth_blockNumber = '0x64';
+
+      // Serving another chain: marked down by the probe.
+      stubs[0].answers.eth_chainId = '0x1';
+      stubs[0].answers.eth_blockNumber = '0x64';
+      await pool.probe();
+      expect(pool.stats()[0].lastError).toMatch(/Serves chain 1/);
+
+      // Far behind: lagging, and only a last resort.
+      stubs[0].answers.eth_chainId = '0x7a69';
+      stubs[0].answers.eth_blockNumber = '0x10';
+      await pool.probe();
+      expect(pool.stats().map(s => s.state)).toEqual(['lagging', 'healthy']);
+      stubs[0].calls = [];
+      expect(await pool.send('eth_blockNumber', [])).toBe('0x64');
+      expect(stubs[0].calls).toHaveLength(0);
+
+      // Caught up: first in line again.
+      stubs[0].answers.eth_blockNumber = '0x63';
+      await pool.probe();
+      expect(pool.stats().map(s => s.state)).toEqual(['healthy', 'healthy']);
+      expect(await pool.send('eth_blockNumber', [])).toBe('0x63');
+    });
+
+    it('should double the cooldown of an endpoint that keeps failing', async () => {
+      const { pool, stubs } = stubPool(2, { cooldownMs: 1000 });
+      stubs[0].down = true;
+      stubs[1].answers.eth_chainId = '0x7a69';
+      stubs[1].answers.eth_blockNumber = '0x1';
+
+      await pool.probe();
+      const first = Date.parse(pool.stats()[0].downUntil!) - Date.now();
+      await pool.probe();
+      const second = Date.parse(pool.stats()[0].downUntil!) - Date.now();
+
+      expect(pool.stats()[0].consecutiveFailures).toBe(2);
+      expect(first).toBeLessThanOrEqual(1000);
+      expect(second).toBeGreaterThan(1000);
+    });
+  });
+});
@@ -0,0 +1,338 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import { ethers } from 'ethers';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  TransactionTracker,
+  MemoryTransactionBackend,
+  ConfigTransactionBackend
+} from '../../src/chains/TransactionTracker';
+import type { Chain } from '../../src/chains/Chain';
+
+const gwei = (n: number) => ethers.utils.parseUnits(String(n), 'gwei');
+const randomHash = () => ethers.utils.hexlify(ethers.utils.randomBytes(32));
+const FROM = ethers.Wallet.createRandom().address;
+const TO = ethers.Wallet.createRandom().address;
+
+/** Just the provider calls the tracker makes, answered from fields a test sets. */
+class StubProvider {
+  used = 7;
+  head = 10;
+  receipts = new Map<string, any>();
+  known = new Set<string>();
+  blocks = new Map<number, any[]>();
+  rebroadcast: string[] = [];
+
+  async getTransactionCount() { return this.used; }
+  async getTransactionReceipt(hash: string) { return this.receipts.get(hash) || null; }
+  async getBlockNumber() { return this.head; }
+  async getTransaction(hash: string) { return this.known.has(hash) ? { hash } : null; }
+  async getBlockWithTransactions(n: number) { return { transactions: this.blocks.get(n) || [] }; }
+  async waitForTransaction(hash: string) { return this.receipts.get(hash); }
+  async send(method: string, params: any[]) {
+    if (method === 'eth_sendRawTransaction') this.rebroadcast.push(params[0]);
+    return randomHash();
+  }
+}
+
+function stubChain(provider: StubProvider, options: { policy?: Record<string, any>; ceiling?: ethers.BigNumber } = {}): Chain {
+  return {
+    chainId: 31337,
+    provider,
+    policy: { replaceAfterSeconds: 0, ...options.policy },
+    getFeeData: async () => ({ maxFeePerGas: gwei(50), maxPriorityFeePerGas: gwei(2) }),
+    feeCeiling: () => options.ceiling,
+  } as unknown as Chain;
+}
+
+function response(overrides: Record<string, any> = {}): ethers.providers.TransactionResponse {
+  return {
+    hash: randomHash(),
+    from: FROM,
+    nonce: 7,
+    to: TO,
+    data: '0xabcdef',
+    value: ethers.BigNumber.from(0),
+    gasLimit: ethers.BigNumber.from(50000),
+    type: 2,
+    maxFeePerGas: gwei(100),
+    maxPriorityFeePerGas: gwei(10),
+    ...overrides
+  } as any;
+}
+
+/** A signer that records what it is asked to send. */
+function stubSigner(sent: any[]): ethers.Signer {
+  return {
+    getAddress: async () => FROM,
+    sendTransaction: async (tx: any) => {
+      sent.push(tx);
+      return response({ maxFeePerGas: tx.maxFeePerGas, maxPriorityFeePerGas: tx.maxPriorityFeePerGas });
+    }
+  } as unknown as ethers.Signer;
+}
+
+describe('TransactionTracker', () => {
+  let tracker: TransactionTracker;
+  let provider: StubProvider;
+
+  const newTracker = (options: Record<string, any> = {}) =>
+    new TransactionTracker(new MemoryTransactionBackend(), { pollMs: 60 * 60 * 1000, ...options });
+
+  afterEach(() => {
+    tracker?.stop();
+  });
+
+  describe('re-pricing', () => {
+    it('should re-send a stuck transaction with the same nonce and raised fees', async () => {
+      tracker = newTracker();
+      provider = new StubProvider();
+      const sent: any[] = [];
+      const tx = response();
+      await tracker.track(stubChain(provider), tx, { signer: stubSigner(sent) });
+
+      await tracker.tick();
+
+      expect(sent).toHaveLength(1);
+      expect(sent[0].nonce).toBe(7);
+      expect(sent[0].maxFeePerGas.eq(gwei(115))).toBe(true);
+      expect(sent[0].maxPriorityFeePerGas.eq(gwei(11.5))).toBe(true);
+      const record = await tracker.get(tx.hash);
+      expect(record!.bumps).toBe(1);
+      expect(record!.hashes).toHaveLength(2);
+      expect(await tracker.get(record!.hashes[1])).toBe(record);
+    });
+
+    it('should not re-price past the fee ceiling', async () => {
+      tracker = newTracker();
+      provider = new StubProvider();
+      const sent: any[] = [];
+      const tx = response();
+      await tracker.track(stubChain(provider, { ceiling: gwei(105) }), tx, { signer: stubSigner(sent) });
+
+      await tracker.tick();
+
+      expect(sent).toHaveLength(0);
+      const record = await tracker.get(tx.hash);
+      expect(record!.capped).toBe(true);
+      expect(record!.status).toBe('pending');
+    });
+
+    it('should stop after maxFeeBumps', async () => {
+      tracker = newTracker();
+      provider = new StubProvider();
+      const sent: any[] = [];
+      const tx = response();
+      await tracker.track(stubChain(provider, { policy: { maxFeeBumps: 2 } }), tx, { signer: stubSigner(sent) });
+      provider.known.add(tx.hash);
+
+      for (let i = 0; i < 4; i++) await tracker.tick();
+
+      expect(sent).toHaveLength(2);
+    });
+  });
+
+  describe('re-broadcast', () => {
+    it('should re-send the signed transaction when no node has it', async () => {
+      tracker = newTracker();
+      provider = new StubProvider();
+      const tx = response();
+      await tracker.track(stubChain(provider), tx, { raw: '0x02f8aa' });
+
+      await tracker.tick();
+
+      expect(provider.rebroadcast).toEqual(['0x02f8aa']);
+    });
+
+    it('should leave a transaction the node still has alone', async () => {
+      tracker = newTracker();
+      provider = new StubProvider();
+      const tx = response();
+      await tracker.track(stubChain(provider), tx, { raw: '0x02f8aa' });
+      provider.known.add(tx.hash);
+
+      await tracker.tick();
+
+      expect(provider.rebroadcast).toHaveLength(0);
+    });
+
+    it('should mark a transaction no node has heard of for dropAfterMs as dropped', async () => {
+      tracker = newTracker({ dropAfterMs: 0 });
+      provider = new StubProvider();
+      const tx = response();
+      await tracker.track(stubChain(provider), tx);
+      await new Promise(resolve => setTimeout(resolve, 5));
+
+      await tracker.tick();
+
+      const error: any = await tracker.wait(tx.hash).catch(e => e);
+      expect(error.code).toBe(ethers.errors.TRANSACTION_REPLACED);
+      expect(error.reason).toBe('dropped');
+    });
+  });
+
+  describe('settling', () => {
+    it('should resolve wait() with the receipt once one of its broadcasts mines', async () => {
+      tracker = newTracker();
+      provider = new StubProvider();
+      const tx = response();
+      await tracker.track(stubChain(provider), tx);
+      const waiting = tracker.wait(tx.hash);
+
+      const receipt = { transactionHash: tx.hash, status: 1, blockNumber: 9 };
+      provider.receipts.set(tx.hash, receipt);
+      provider.used = 8;
+      await tracker.tick();
+
+      expect(await waiting).toBe(receipt);
+      expect((await tracker.get(tx.hash))!.status).toBe('confirmed');
+    });
+
+    const settleReplaced = async (other: Record<string, any>) => {
+      tracker = newTracker();
+      provider = new StubProvider();
+      const tx = response();
+      await tracker.track(stubChain(provider), tx);
+      const minedHash = randomHash();
+      provider.blocks.set(9, [{
+        hash: minedHash,
+        from: FROM,
+        nonce: 7,
+        to: TO,
+        data: '0xabcdef',
+        value: ethers.BigNumber.from(0),
+        ...other
+      }]);
+      provider.receipts.set(minedHash, { transactionHash: minedHash, status: 1, blockNumber: 9 });
+      provider.used = 8;
+      await tracker.tick();
+      const record = await tracker.get(tx.hash);
+      expect(record!.minedHash).toBe(minedHash);
+      expect(record!.blockNumber).toBe(9);
+      return record!;
+    };
+
+    it('should count a wallet re-pricing the same call as confirmed', async () => {
+      expect((await settleReplaced({})).status).toBe('confirmed');
+    });
+
+    it('should recognise an empty transfer to the sender as a cancellation', async () => {
+      expect((await settleReplaced({ to: FROM, data: '0x' })).status).toBe('cancelled');
+    });
+
+    it('should mark a different transaction on the nonce as replaced', async () => {
+      const record = await settleReplaced({ data: '0x1234' });
+      expect(record.status).toBe('replaced');
+
+      const error: any = await tracker.wait(record.id).catch(e => e);
+      expect(error.code).toBe(ethers.errors.TRANSACTION_REPLACED);
+      expect(error.replacement).toBe(record.minedHash);
+    });
+  });
+
+  describe('wait()', () => {
+    it('should reject a transaction still pending after the deadline', async () => {
+      tracker = newTracker();
+      provider = new StubProvider();
+      const tx = response();
+      await tracker.track(stubChain(provider), tx);
+
+      const error: any = await tracker.wait(tx.hash, 1, 20).catch(e => e);
+      expect(error.code).toBe(ethers.errors.TIMEOUT);
+      expect((await tracker.get(tx.hash))!.status).toBe('pending');
+    });
+
+    it('should keep the process alive until the receipt arrives', () => {
+      // A script that tracks a transaction and awaits it, with nothing else
+      // holding its event loop open: the receipt shows up after 300ms.
+      const script = `
+        const { TransactionTracker, MemoryTransactionBackend } = require('./dist/chains/TransactionTracker');
+        const receipt = { transactionHash: '0x' + '11'.repeat(32), status: 1, blockNumber: 9 };
+        let mined = false;
+        setTimeout(() => { mined = true; }, 300).unref();
+        const provider = {
+          getBlockNumber: async () => 8,
+          getTransactionCount: async () => (mined ? 8 : 7),
+          getTransactionReceipt: async () => (mined ? receipt : null),
+          getTransaction: async hash => ({ hash }),
+          waitForTransaction: async () => receipt,
+        };
+        const chain = { chainId: 31337, provider, policy: { replaceAfterSeconds: 3600 } };
+        const tracker = new TransactionTracker(new MemoryTransactionBackend(), { pollMs: 50 });
+        const response = {
+          hash: receipt.transactionHash, from: '${FROM}', nonce: 7, to: '${TO}', data: '0x',
+          value: 0, gasLimit: 21000, type: 2, maxFeePerGas: 1, maxPriorityFeePerGas: 1, raw: '0x02',
+        };
+        tracker.track(chain, response)
+          .then(() => response.wait())
+          .then(r => { console.log('mined in block ' + r.blockNumber); tracker.stop(); });
+      `;
+      const result = spawnSync(process.execPath, ['-e', script], {
+        cwd: path.resolve(__dirname, '../..'),
+        encoding: 'utf8',
+        timeout: 30000,
+      });
+
+      expect(result.stderr).toBe('');
+      expect(result.stdout.trim()).toBe('mined in block 9');
+    });
+
+    it('should reject waits in progress when the tracker is closed', async () => {
+      tracker = newTracker();
+      provider = new StubProvider();
+      const tx = response();
+      await tracker.track(stubChain(provider), tx);
+
+      const waiting = tracker.wait(tx.hash).catch(e => e);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      tracker.close();
+      expect((await waiting).code).toBe(ethers.errors.TIMEOUT);
+    });
+  });
+
+  describe('ConfigTransactionBackend', () => {
+    const home = process.env.HOME;
+    const filename = 'transactions-pending.json';
+    let dir: string;
+
+    beforeAll(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'epistery-tracker-'));
+      process.env.HOME = dir;
+    });
+
+    afterAll(() => {
+      process.env.HOME = home;
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should persist pending transactions and resume them in a new tracker', async () => {
+      provider = new StubProvider();
+      const first = new TransactionTracker(new ConfigTransactionBackend(filename), { pollMs: 60 * 60 * 1000 });
+      const tx = response();
+      await first.track(stubChain(provider), tx, { operation: 'test' });
+      first.stop();
+
+      const saved = JSON.parse(fs.readFileSync(path.join(dir, '.epistery', filename), 'utf8'));
+      expect(saved).toHaveLength(1);
+      expect(saved[0]).toMatchObject({ id: tx.hash, nonce: 7, status: 'pending', operation: 'test' });
+
+      tracker = new TransactionTracker(new ConfigTransactionBackend(filename), { pollMs: 60 * 60 * 1000 });
+      const resumed = await tracker.get(tx.hash);
+      expect(resumed).toMatchObject({ id: tx.hash, from: FROM.toLowerCase(), status: 'pending' });
+
+      // Without its chain the tracker can't follow it, so wait() gives up at once.
+      const error: any = await tracker.wait(tx.hash).catch(e => e);
+      expect(error.code).toBe(ethers.errors.TIMEOUT);
+
+      await tracker.resume({ chain: stubChain(provider) });
+      provider.receipts.set(tx.hash, { transactionHash: tx.hash, status: 1, blockNumber: 9 });
+      provider.used = 8;
+      await tracker.tick();
+
+      const settled = JSON.parse(fs.readFileSync(path.join(dir, '.epistery', filename), 'utf8'));
+      expect(settled[0]).toMatchObject({ status: 'confirmed', minedHash: tx.hash });
+    });
+  });
+});
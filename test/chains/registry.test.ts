@@ -0,0 +1,136 @@
+import { describe, it, expect, vi, beforeAll, beforeEach, afterAll, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  loadDeclaredChains,
+  configuredChainFor,
+  hasRegisteredChain,
+  findChain,
+} from '../../src/chains/registry';
+import { DeclaredChain } from '../../src/chains/DeclaredChain';
+import { Chain } from '../../src/chains/Chain';
+import '../../src/chains';
+
+const DECLARATION = `
+[default.rpc.7777]
+name = Example Devnet
+aliases = example, exd
+rpc = https://rpc.example.org
+rpcs = https://rpc2.example.org
+nativeCurrencySymbol = EXD
+eip1559 = false
+
+[default.rpc.7777.policy]
+minGasPriceGwei = 5
+maxGasPriceGwei = 500
+
+[default.rpc.7777.pool]
+quorum = 3
+`;
+
+describe('declared chains', () => {
+  const home = process.env.HOME;
+  let dir: string;
+  let warn: ReturnType<typeof vi.spyOn>;
+
+  /** Replace root config.ini and re-read its declarations. */
+  const writeRootConfig = async (content: string) => {
+    fs.writeFileSync(path.join(dir, '.epistery', 'config.ini'), content);
+    return loadDeclaredChains();
+  };
+
+  const warnings = () => warn.mock.calls.map(call => String(call[0]));
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'epistery-registry-'));
+    fs.mkdirSync(path.join(dir, '.epistery'));
+    process.env.HOME = dir;
+  });
+
+  beforeEach(() => {
+    warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await writeRootConfig('');
+    warn?.mockRestore();
+  });
+
+  afterAll(() => {
+    process.env.HOME = home;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should register a declared chain and resolve it through configuredChainFor', async () => {
+    const declared = await writeRootConfig(DECLARATION);
+    expect(declared).toHaveLength(1);
+    expect(hasRegisteredChain(7777)).toBe(true);
+
+    const chain = await configuredChainFor({ chainId: 7777 });
+    expect(chain).toBeInstanceOf(DeclaredChain);
+    expect(chain.name).toBe('Example Devnet');
+    expect(chain.currency).toEqual({ name: 'EXD', symbol: 'EXD', decimals: 18 });
+    expect(chain.supportsEIP1559()).toBe(false);
+    expect(chain.rpcs).toEqual(['https://rpc.example.org', 'https://rpc2.example.org']);
+    expect(chain.policy).toMatchObject({ minGasPriceGwei: 5, maxGasPriceGwei: 500 });
+    expect((chain as any).rpcPoolOptions).toEqual({ quorum: 3 });
+
+    expect((await findChain('exd'))?.chainId).toBe(7777);
+    expect((await findChain('example devnet'))?.chainId).toBe(7777);
+  });
+
+  it('should let the provider block override the declared policy', async () => {
+    await writeRootConfig(DECLARATION);
+    const chain = await configuredChainFor({ chainId: 7777, policy: { maxGasPriceGwei: 50 } });
+    expect(chain.policy).toMatchObject({ minGasPriceGwei: 5, maxGasPriceGwei: 50 });
+  });
+
+  it('should drop a declaration removed from config', async () => {
+    await writeRootConfig(DECLARATION);
+    await writeRootConfig('');
+    expect(hasRegisteredChain(7777)).toBe(false);
+
+    const chain = await configuredChainFor({ chainId: 7777, name: 'Unknown', rpc: 'https://rpc.example.org' });
+    expect(chain).not.toBeInstanceOf(DeclaredChain);
+    expect(chain).toBeInstanceOf(Chain);
+  });
+
+  it('should skip a declaration without an rpc', async () => {
+    const declared = await writeRootConfig(DECLARATION.replace('rpc = https://rpc.example.org\n', ''));
+    expect(declared).toHaveLength(0);
+    expect(hasRegisteredChain(7777)).toBe(false);
+    expect(warnings().some(w => /\[default\.rpc\.7777\] ignored: rpc must be an http\(s\) URL/.test(w))).toBe(true);
+  });
+
+  it('should skip a declaration whose rpc is not an http(s) URL', async () => {
+    const declared = await writeRootConfig(DECLARATION.replace('https://rpc.example.org\n', 'ws://rpc.example.org\n'));
+    expect(declared).toHaveLength(0);
+  });
+
+  it('should skip a declaration without a currency symbol', async () => {
+    const declared = await writeRootConfig(DECLARATION.replace('nativeCurrencySymbol = EXD\n', ''));
+    expect(declared).toHaveLength(0);
+    expect(warnings().some(w => /nativeCurrencySymbol is required/.test(w))).toBe(true);
+  });
+
+  it('should skip a section whose chainId is not a positive integer', async () => {
+    const declared = await writeRootConfig(DECLARATION.replace(/7777/g, 'devnet'));
+    expect(declared).toHaveLength(0);
+    expect(warnings().some(w => /\[default\.rpc\.devnet\] ignored: the chainId must be a positive integer/.test(w))).toBe(true);
+  });
+
+  it('should leave a built-in chain its own class', async () => {
+    const declared = await writeRootConfig(DECLARATION.replace(/7777/g, '137'));
+    expect(declared).toHaveLength(0);
+    expect(warnings().some(w => /chain 137 is built in/.test(w))).toBe(true);
+
+    const chain = await configuredChainFor({ chainId: 137 });
+    expect(chain).not.toBeInstanceOf(DeclaredChain);
+    expect(chain.rpcs).toContain('https://rpc2.example.org');
+  });
+
+  it('should reject a provider block without a chainId', async () => {
+    await expect(configuredChainFor({ rpc: 'https://rpc.example.org' } as any)).rejects.toThrow(/missing chainId/);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import dotenv from 'dotenv';
+import { TEST_PROVIDER } from '../fixtures/wallets';
+
+const CLI = path.resolve(__dirname, '../../cli/epistery.mjs');
+
+/** Run the CLI to completion in a scratch HOME; resolves with its exit code and output. */
+function runCli(args: string[], home: string): Promise<{ code: number | null; stdout: string; stderr: string }> {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [CLI, ...args], {
+      env: { ...process.env, HOME: home, USERPROFILE: home, EPISTERY_HOME: home },
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => (stdout += chunk));
+    child.stderr.on('data', chunk => (stderr += chunk));
+    const timer = setTimeout(() => child.kill('SIGKILL'), 90 * 1000);
+    child.on('error', reject);
+    child.on('exit', code => {
+      clearTimeout(timer);
+      resolve({ code, stdout, stderr });
+    });
+  });
+}
+
+// Needs a hardhat (or anvil) node: the one the suite runs on when .test.env
+// came from `epistery devnet`.
+describe.skipIf(TEST_PROVIDER.chainId !== 31337)('epistery devnet --rpc', () => {
+  let home: string;
+
+  beforeAll(() => {
+    home = fs.mkdtempSync(path.join(os.tmpdir(), 'epistery-devnet-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+
+  it('should configure the domain, write .test.env and exit 0', async () => {
+    const testEnv = path.join(home, 'devnet.env');
+    const { code, stdout, stderr } = await runCli(
+      ['devnet', '--rpc', TEST_PROVIDER.rpc, '--fund', '1', '--test-env', testEnv, 'devnet.test'],
+      home,
+    );
+
+    expect(stderr).not.toMatch(/ended before it finished/);
+    expect(code).toBe(0);
+    expect(stdout).toContain('Devnet ready: chain 31337');
+
+    const env = dotenv.parse(fs.readFileSync(testEnv, 'utf8'));
+    expect(env.TEST_PROVIDER_CHAIN_ID).toBe('31337');
+    expect(env.TEST_CONTRACT_ADDRESS).toMatch(/^0x[0-9a-fA-F]{40}$/);
+    expect(env.TEST_SERVER_ADDRESS).toMatch(/^0x[0-9a-fA-F]{40}$/);
+
+    const domainConfig = fs.readFileSync(path.join(home, '.epistery', 'devnet.test', 'config.ini'), 'utf8');
+    expect(domainConfig).toContain('chainId=31337');
+  });
+});
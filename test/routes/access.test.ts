@@ -0,0 +1,71 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { ethers } from 'ethers';
+import {
+  createTestApp,
+  TestApp,
+  getClient1Wallet,
+  createSessionCookie
+} from '../utils';
+
+describe('Section role middleware (epistery.require)', () => {
+  let testApp: TestApp;
+  let client1Wallet: ethers.Wallet;
+
+  beforeAll(async () => {
+    testApp = await createTestApp();
+    client1Wallet = getClient1Wallet();
+
+    testApp.app.get('/guarded', testApp.epistery.require('notes', 'write'), (req: any, res) => {
+      res.json({ access: req.episteryAccess });
+    });
+    testApp.app.get(
+      '/guarded-explicit',
+      testApp.epistery.require('notes', 2, { contract: ethers.Wallet.createRandom().address }),
+      (req: any, res) => res.json({ access: req.episteryAccess })
+    );
+  });
+
+  it('should reject unknown roles when building the middleware', () => {
+    expect(() => testApp.epistery.require('notes', 'superuser')).toThrow(/Unknown role/);
+    expect(() => testApp.epistery.require('notes', 0)).toThrow(/minRole/);
+  });
+
+  it('should answer 401 with a structured body without a client', async () => {
+    const response = await testApp.supertest
+      .get('/guarded')
+      .set('Host', 'localhost')
+      .expect(401);
+
+    expect(response.body).toMatchObject({
+      reason: 'unauthenticated',
+      section: 'notes',
+      required: 'write'
+    });
+  });
+
+  it('should answer 500 when the domain has no access contract', async () => {
+    const token = await createSessionCookie(client1Wallet.address, client1Wallet.publicKey);
+
+    const response = await testApp.supertest
+      .get('/guarded')
+      .set('Host', 'localhost')
+      .set('Cookie', `_epistery=${token}`)
+      .expect(500);
+
+    expect(response.body.reason).toBe('misconfigured');
+  });
+
+  it('should answer 503 when the contract cannot be asked', async () => {
+    // A random address has no code: roleOf fails, and the request must not pass.
+    const token = await createSessionCookie(client1Wallet.address, client1Wallet.publicKey);
+
+    const response = await testApp.supertest
+      .get('/guarded-explicit')
+      .set('Host', 'localhost')
+      .set('Cookie', `_epistery=${token}`)
+      .expect(503);
+
+    expect(response.body.reason).toBe('unavailable');
+    expect(response.body.access).toBeUndefined();
+  });
+});
@@ -5,6 +5,10 @@ import {
   TestApp,
   getClient1Wallet,
   createKeyExchangePayload,
+  fetchChallenge,
+  createSessionCookie,
+  createBotAuthHeader,
+  performKeyExchange,
   isValidAddress,
   TEST_WALLETS
 } from '../utils';
@@ -24,7 +28,7 @@ describe('Connect Routes', () => {
 
   describe('POST /connect', () => {
     it('should complete key exchange with valid signature', async () => {
-      const payload = await createKeyExchangePayload(client1Wallet);
+      const payload = await createKeyExchangePayload(client1Wallet, testApp.supertest);
 
       const response = await testApp.supertest
         .post('/.well-known/epistery/connect')
@@ -47,7 +51,7 @@ describe('Connect Routes', () => {
     });
 
     it('should set session cookie on successful key exchange', async () => {
-      const payload = await createKeyExchangePayload(client1Wallet);
+      const payload = await createKeyExchangePayload(client1Wallet, testApp.supertest);
 
       const response = await testApp.supertest
         .post('/.well-known/epistery/connect')
@@ -61,7 +65,7 @@ describe('Connect Routes', () => {
     });
 
     it('should return 401 for invalid signature', async () => {
-      const challenge = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+      const challenge = await fetchChallenge(testApp.supertest);
       const message = `Epistery Key Exchange - ${client1Wallet.address} - ${challenge}`;
       const invalidSignature = '0x' + '00'.repeat(65); // Invalid signature
 
@@ -84,7 +88,7 @@ describe('Connect Routes', () => {
     it('should return 401 for mismatched address in signature', async () => {
       // Sign with client1 but claim to be a different address
       const fakeAddress = '0x0000000000000000000000000000000000000001';
-      const challenge = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+      const challenge = await fetchChallenge(testApp.supertest);
       const message = `Epistery Key Exchange - ${fakeAddress} - ${challenge}`;
       const signature = await client1Wallet.signMessage(message);
 
@@ -130,7 +134,7 @@ describe('Connect Routes', () => {
         }
       });
 
-      const payload = await createKeyExchangePayload(client1Wallet);
+      const payload = await createKeyExchangePayload(client1Wallet, testAppWithAuth.supertest);
 
       const response = await testAppWithAuth.supertest
         .post('/.well-known/epistery/connect')
@@ -147,9 +151,49 @@ describe('Connect Routes', () => {
       expect(response.body.profile).toEqual({ userId: 'test-user', role: 'admin' });
     });
 
-    it('should return identified=true for valid key exchange', async () => {
+    it('should reject a self-chosen challenge', async () => {
       const payload = await createKeyExchangePayload(client1Wallet);
 
+      await testApp.supertest
+        .post('/.well-known/epistery/connect')
+        .send(payload)
+        .expect(401);
+    });
+
+    it('should reject a replayed key exchange', async () => {
+      const payload = await createKeyExchangePayload(client1Wallet, testApp.supertest);
+
+      await testApp.supertest
+        .post('/.well-known/epistery/connect')
+        .send(payload)
+        .expect(200);
+
+      await testApp.supertest
+        .post('/.well-known/epistery/connect')
+        .send(payload)
+        .expect(401);
+    });
+
+    it('should refuse a chain the domain does not accept', async () => {
+      const payload = await createKeyExchangePayload(client1Wallet, testApp.supertest);
+
+      const response = await testApp.supertest
+        .post('/.well-known/epistery/connect')
+        .send({ ...payload, chainId: 999999999 })
+        .expect(400);
+
+      expect(response.body.reason).toBe('chain-not-accepted');
+
+      // The refused request did not use up the challenge.
+      await testApp.supertest
+        .post('/.well-known/epistery/connect')
+        .send(payload)
+        .expect(200);
+    });
+
+    it('should return identified=true for valid key exchange', async () => {
+      const payload = await createKeyExchangePayload(client1Wallet, testApp.supertest);
+
       const response = await testApp.supertest
         .post('/.well-known/epistery/connect')
         .send(payload)
@@ -158,4 +202,274 @@ describe('Connect Routes', () => {
       expect(response.body.identified).toBe(true);
     });
   });
+
+  describe('GET /connect/challenge', () => {
+    it('should issue a fresh challenge with an expiry', async () => {
+      const first = await testApp.supertest
+        .get('/.well-known/epistery/connect/challenge')
+        .expect(200);
+      const second = await testApp.supertest
+        .get('/.well-known/epistery/connect/challenge')
+        .expect(200);
+
+      expect(first.body.challenge).toMatch(/^0x[0-9a-f]{64}$/);
+      expect(new Date(first.body.expiresAt).getTime()).toBeGreaterThan(Date.now());
+      expect(second.body.challenge).not.toBe(first.body.challenge);
+    });
+  });
+
+  describe('GET /connect (session tokens)', () => {
+    it('should resolve the session set by POST /connect', async () => {
+      const { cookie } = await performKeyExchange(testApp.supertest, client1Wallet);
+
+      const response = await testApp.supertest
+        .get('/.well-known/epistery/connect')
+        .set('Cookie', cookie.split(';')[0])
+        .expect(200);
+
+      expect(response.body.signerAddress).toBe(client1Wallet.address);
+      expect(response.body.identityAddress).toBe(client1Wallet.address);
+    });
+
+    it('should accept a token signed with the domain wallet', async () => {
+      const token = await createSessionCookie(client1Wallet.address, client1Wallet.publicKey);
+
+      const response = await testApp.supertest
+        .get('/.well-known/epistery/connect')
+        .set('Host', 'localhost')
+        .set('Cookie', `_epistery=${token}`)
+        .expect(200);
+
+      expect(response.body.signerAddress).toBe(client1Wallet.address);
+    });
+
+    it('should reject a legacy unsigned token with a reconnect hint', async () => {
+      const legacy = Buffer.from(JSON.stringify({
+        signerAddress: client1Wallet.address,
+        contractAddress: null,
+        authenticated: true,
+        timestamp: new Date().toISOString()
+      })).toString('base64');
+
+      const response = await testApp.supertest
+        .get('/.well-known/epistery/connect')
+        .set('Cookie', `_epistery=${legacy}`)
+        .expect(200);
+
+      expect(response.body.signerAddress).toBeUndefined();
+      expect(response.body.reconnect).toBe(true);
+      expect(response.body.reason).toBe('legacy');
+    });
+
+    it('should reject a token whose payload was altered', async () => {
+      const token = await createSessionCookie(client1Wallet.address, client1Wallet.publicKey);
+      const [version, , mac] = token.split('.');
+      const forgedPayload = Buffer.from(JSON.stringify({
+        signerAddress: TEST_WALLETS.client2.address,
+        contractAddress: null,
+        authenticated: true,
+        iat: Math.floor(Date.now() / 1000),
+        exp: Math.floor(Date.now() / 1000) + 3600
+      })).toString('base64url');
+
+      const response = await testApp.supertest
+        .get('/.well-known/epistery/connect')
+        .set('Host', 'localhost')
+        .set('Cookie', `_epistery=${version}.${forgedPayload}.${mac}`)
+        .expect(200);
+
+      expect(response.body.signerAddress).toBeUndefined();
+      expect(response.body.reason).toBe('signature');
+    });
+  });
+
+  describe('Logout and session revocation', () => {
+    const connectPath = '/.well-known/epistery/connect';
+
+    it('should end the session on DELETE /connect', async () => {
+      const { cookie } = await performKeyExchange(testApp.supertest, client1Wallet);
+      const jar = cookie.split(';')[0];
+
+      const logout = await testApp.supertest
+        .delete(connectPath)
+        .set('Cookie', jar)
+        .expect(200);
+      expect(logout.body.loggedOut).toBe(true);
+      expect(logout.body.revoked).toBe(true);
+
+      const after = await testApp.supertest
+        .get(connectPath)
+        .set('Cookie', jar)
+        .expect(200);
+      expect(after.body.signerAddress).toBeUndefined();
+      expect(after.body.reason).toBe('revoked');
+    });
+
+    it('should succeed without a session', async () => {
+      const response = await testApp.supertest.delete(connectPath).expect(200);
+      expect(response.body.revoked).toBe(false);
+    });
+
+    it('should list and revoke an identity\'s own sessions', async () => {
+      const token = await createSessionCookie(client1Wallet.address, client1Wallet.publicKey);
+      const sessionsPath = `/.well-known/epistery/sessions/${client1Wallet.address}`;
+
+      const list = await testApp.supertest
+        .get(sessionsPath)
+        .set('Host', 'localhost')
+        .set('Cookie', `_epistery=${token}`)
+        .expect(200);
+      const current = list.body.sessions.find((s: any) => s.current);
+      expect(current).toBeDefined();
+      expect(current.identityAddress).toBe(client1Wallet.address);
+
+      await testApp.supertest
+        .delete(`${sessionsPath}/${current.sid}`)
+        .set('Host', 'localhost')
+        .set('Cookie', `_epistery=${token}`)
+        .expect(200);
+
+      const after = await testApp.supertest
+        .get(connectPath)
+        .set('Host', 'localhost')
+        .set('Cookie', `_epistery=${token}`)
+        .expect(200);
+      expect(after.body.reason).toBe('revoked');
+    });
+
+    it('should refuse another identity\'s sessions to a non-admin', async () => {
+      const token = await createSessionCookie(client1Wallet.address, client1Wallet.publicKey);
+
+      await testApp.supertest
+        .get(`/.well-known/epistery/sessions/${TEST_WALLETS.client2.address}`)
+        .set('Host', 'localhost')
+        .set('Cookie', `_epistery=${token}`)
+        .expect(403);
+    });
+
+    it('should require authentication to list sessions', async () => {
+      await testApp.supertest
+        .get(`/.well-known/epistery/sessions/${client1Wallet.address}`)
+        .expect(401);
+    });
+  });
+
+  describe('Identity profile enrichment', () => {
+    let profileApp: TestApp;
+
+    beforeAll(async () => {
+      profileApp = await createTestApp({ identityProfile: { ttlMs: 1000, watchEvents: false } });
+    });
+
+    it('should not enrich a signer-only session', async () => {
+      const token = await createSessionCookie(client1Wallet.address, client1Wallet.publicKey);
+
+      const response = await profileApp.supertest
+        .get('/.well-known/epistery/connect')
+        .set('Host', 'localhost')
+        .set('Cookie', `_epistery=${token}`)
+        .expect(200);
+
+      expect(response.body.signerAddress).toBe(client1Wallet.address);
+      expect(response.body.profileName).toBeUndefined();
+      expect(response.body.signerName).toBeUndefined();
+    });
+
+    it('should still authenticate when the contract has no readable profile', async () => {
+      // An EOA, not an IdentityContract: the lookup fails and is swallowed.
+      const notAContract = ethers.Wallet.createRandom().address;
+      const token = await createSessionCookie(client1Wallet.address, client1Wallet.publicKey, notAContract);
+
+      const response = await profileApp.supertest
+        .get('/.well-known/epistery/connect')
+        .set('Host', 'localhost')
+        .set('Cookie', `_epistery=${token}`)
+        .expect(200);
+
+      expect(response.body.identityAddress).toBe(notAContract);
+      expect(response.body.profileName).toBeUndefined();
+    });
+  });
+
+  describe('Bot authorization', () => {
+    const connectPath = '/.well-known/epistery/connect';
+
+    it('should authenticate a header bound to this request', async () => {
+      const header = await createBotAuthHeader(client1Wallet, connectPath);
+
+      const response = await testApp.supertest
+        .get(connectPath)
+        .set('Authorization', header)
+        .expect(200);
+
+      expect(response.body.signerAddress).toBe(client1Wallet.address);
+    });
+
+    it('should reject a replayed header', async () => {
+      const header = await createBotAuthHeader(client1Wallet, connectPath);
+
+      await testApp.supertest.get(connectPath).set('Authorization', header).expect(200);
+      const replay = await testApp.supertest
+        .get(connectPath)
+        .set('Authorization', header)
+        .expect(200);
+
+      expect(replay.body.signerAddress).toBeUndefined();
+    });
+
+    it('should reject a header signed for another path', async () => {
+      const header = await createBotAuthHeader(client1Wallet, '/somewhere-else');
+
+      const response = await testApp.supertest
+        .get(connectPath)
+        .set('Authorization', header)
+        .expect(200);
+
+      expect(response.body.signerAddress).toBeUndefined();
+    });
+
+    it('should reject the legacy timestamp-only message', async () => {
+      const message = `Rhonda Bot Authentication - ${new Date().toISOString()}`;
+      const signature = await client1Wallet.signMessage(message);
+      const header = 'Bot ' + Buffer.from(JSON.stringify({
+        address: client1Wallet.address,
+        signature,
+        message
+      })).toString('base64');
+
+      const response = await testApp.supertest
+        .get(connectPath)
+        .set('Authorization', header)
+        .expect(200);
+
+      expect(response.body.signerAddress).toBeUndefined();
+    });
+
+    it('should reject a contractAddress other than the signed address', async () => {
+      const header = await createBotAuthHeader(client1Wallet, connectPath);
+      const payload = JSON.parse(Buffer.from(header.substring(4), 'base64').toString('utf8'));
+      payload.contractAddress = TEST_WALLETS.server.address;
+
+      const response = await testApp.supertest
+        .get(connectPath)
+        .set('Authorization', 'Bot ' + Buffer.from(JSON.stringify(payload)).toString('base64'))
+        .expect(200);
+
+      expect(response.body.signerAddress).toBeUndefined();
+    });
+
+    it('should not accept a key signature as a contract identity', async () => {
+      const header = await createBotAuthHeader(client1Wallet, connectPath);
+      const payload = JSON.parse(Buffer.from(header.substring(4), 'base64').toString('utf8'));
+      payload.contractAddress = client1Wallet.address;
+
+      const response = await testApp.supertest
+        .get(connectPath)
+        .set('Authorization', 'Bot ' + Buffer.from(JSON.stringify(payload)).toString('base64'))
+        .expect(200);
+
+      expect(response.body.signerAddress).toBeUndefined();
+      expect(response.body.contractAddress).toBeUndefined();
+    });
+  });
 });
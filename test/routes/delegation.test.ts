@@ -0,0 +1,170 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { ethers } from 'ethers';
+import {
+  createTestApp,
+  TestApp,
+  getClient1Wallet,
+  createDelegationToken,
+  TEST_WALLETS
+} from '../utils';
+
+describe('Delegation Routes', () => {
+  const delegationPath = '/.well-known/epistery/delegation';
+  let testApp: TestApp;
+  let client1Wallet: ethers.Wallet;
+
+  beforeAll(async () => {
+    testApp = await createTestApp();
+    client1Wallet = getClient1Wallet();
+  });
+
+  describe('verification in the attach() middleware', () => {
+    it('should authenticate the subject from the header', async () => {
+      const token = await createDelegationToken(client1Wallet);
+
+      const response = await testApp.supertest
+        .get(delegationPath)
+        .set('Host', 'localhost')
+        .set('x-epistery-delegation', token)
+        .expect(200);
+
+      expect(response.body.delegation.subject).toBe(client1Wallet.address);
+      expect(response.body.delegation.signerAddress).toBe(client1Wallet.address);
+      expect(response.body.delegation.scope).toEqual(['test:read']);
+    });
+
+    it('should accept the token from the epistery_delegation cookie', async () => {
+      const token = await createDelegationToken(client1Wallet);
+
+      const response = await testApp.supertest
+        .get(delegationPath)
+        .set('Host', 'localhost')
+        .set('Cookie', `epistery_delegation=${encodeURIComponent(token)}`)
+        .expect(200);
+
+      expect(response.body.delegation.subject).toBe(client1Wallet.address);
+    });
+
+    it('should reject a token for another audience', async () => {
+      const token = await createDelegationToken(client1Wallet, { audience: 'elsewhere.example' });
+
+      const response = await testApp.supertest
+        .get(delegationPath)
+        .set('Host', 'localhost')
+        .set('x-epistery-delegation', token)
+        .expect(200);
+
+      expect(response.body.delegation).toBeUndefined();
+      expect(response.body.reason).toBe('audience');
+    });
+
+    it('should reject an expired token', async () => {
+      const token = await createDelegationToken(client1Wallet, {
+        createdAt: Date.now() - 2 * 60 * 60 * 1000,
+        expires: Date.now() - 60 * 1000
+      });
+
+      const response = await testApp.supertest
+        .get(delegationPath)
+        .set('Host', 'localhost')
+        .set('x-epistery-delegation', token)
+        .expect(200);
+
+      expect(response.body.reason).toBe('expired');
+    });
+
+    it('should reject a token whose scope was altered after signing', async () => {
+      const token = JSON.parse(await createDelegationToken(client1Wallet));
+      token.delegation.scope = ['epistery::admin'];
+
+      const response = await testApp.supertest
+        .get(delegationPath)
+        .set('Host', 'localhost')
+        .set('x-epistery-delegation', JSON.stringify(token))
+        .expect(200);
+
+      expect(response.body.delegation).toBeUndefined();
+      expect(response.body.reason).toBe('signature');
+    });
+  });
+
+  describe('POST /delegation/revoke', () => {
+    it('should let the subject revoke its token', async () => {
+      const token = await createDelegationToken(client1Wallet);
+      const { nonce, expires } = JSON.parse(token).delegation;
+
+      const revoke = await testApp.supertest
+        .post(`${delegationPath}/revoke`)
+        .set('Host', 'localhost')
+        .set('x-epistery-delegation', token)
+        .send({ nonce, expires })
+        .expect(200);
+      expect(revoke.body.revoked).toBe(true);
+
+      const after = await testApp.supertest
+        .get(delegationPath)
+        .set('Host', 'localhost')
+        .set('x-epistery-delegation', token)
+        .expect(200);
+      expect(after.body.reason).toBe('revoked');
+    });
+
+    it('should refuse to revoke another subject\'s token', async () => {
+      const token = await createDelegationToken(client1Wallet);
+
+      await testApp.supertest
+        .post(`${delegationPath}/revoke`)
+        .set('Host', 'localhost')
+        .set('x-epistery-delegation', token)
+        .send({ subject: TEST_WALLETS.client2.address, nonce: 'someone-elses', expires: Date.now() + 60000 })
+        .expect(403);
+    });
+
+    it('should require authentication', async () => {
+      await testApp.supertest
+        .post(`${delegationPath}/revoke`)
+        .set('Host', 'localhost')
+        .send({ subject: client1Wallet.address, nonce: 'n', expires: Date.now() + 60000 })
+        .expect(401);
+    });
+
+    it("should not let a token revoke its subject's other tokens", async () => {
+      const token = await createDelegationToken(client1Wallet);
+      const other = JSON.parse(await createDelegationToken(client1Wallet)).delegation;
+
+      const response = await testApp.supertest
+        .post(`${delegationPath}/revoke`)
+        .set('Host', 'localhost')
+        .set('x-epistery-delegation', token)
+        .send({ nonce: other.nonce, expires: other.expires })
+        .expect(403);
+      expect(response.body.reason).toBe('delegation');
+    });
+  });
+
+  describe('routes that act as the subject', () => {
+    const base = '/.well-known/epistery';
+    const refused = [
+      ['get', '/sessions/:self'],
+      ['delete', '/sessions/:self'],
+      ['post', '/identity/prepare-add-rivet'],
+      ['post', '/tx/prepare'],
+      ['post', '/invites/prepare'],
+      ['get', '/sponsorship'],
+    ] as const;
+
+    for (const [method, path] of refused) {
+      it(`should refuse a delegation token alone on ${method.toUpperCase()} ${path}`, async () => {
+        const token = await createDelegationToken(client1Wallet);
+        const url = base + path.replace(':self', client1Wallet.address);
+
+        const response = await testApp.supertest[method](url)
+          .set('Host', 'localhost')
+          .set('x-epistery-delegation', token)
+          .send({})
+          .expect(403);
+        expect(response.body.reason).toBe('delegation');
+      });
+    }
+  });
+});
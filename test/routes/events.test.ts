@@ -0,0 +1,72 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { ethers } from 'ethers';
+import {
+  createTestApp,
+  TestApp,
+  getClient1Wallet,
+  createSessionCookie,
+  TEST_WALLETS
+} from '../utils';
+
+describe('Event Routes', () => {
+  let testApp: TestApp;
+  let client1Wallet: ethers.Wallet;
+  let cookie: string;
+
+  beforeAll(async () => {
+    // A reader: queries the index without polling the chain.
+    testApp = await createTestApp({ eventIndexer: { run: false } });
+    client1Wallet = getClient1Wallet();
+    cookie = `_epistery=${await createSessionCookie(client1Wallet.address, client1Wallet.publicKey)}`;
+  });
+
+  describe('GET /events/identity/:contractAddress/rivets', () => {
+    it('should require authentication', async () => {
+      await testApp.supertest
+        .get(`/.well-known/epistery/events/identity/${client1Wallet.address}/rivets`)
+        .set('Host', 'localhost')
+        .expect(401);
+    });
+
+    it('should reject an invalid contract address', async () => {
+      await testApp.supertest
+        .get('/.well-known/epistery/events/identity/not-an-address/rivets')
+        .set('Host', 'localhost')
+        .set('Cookie', cookie)
+        .expect(400);
+    });
+
+    it("should not index another identity's contract on request", async () => {
+      const response = await testApp.supertest
+        .get(`/.well-known/epistery/events/identity/${TEST_WALLETS.client2.address}/rivets`)
+        .set('Host', 'localhost')
+        .set('Cookie', cookie)
+        .expect(404);
+
+      expect(response.body.reason).toBe('not_indexed');
+    });
+  });
+
+  describe('GET /events/status', () => {
+    it('should be for the domain admin only', async () => {
+      await testApp.supertest
+        .get('/.well-known/epistery/events/status')
+        .set('Host', 'localhost')
+        .set('Cookie', cookie)
+        .expect(403);
+    });
+  });
+
+  describe('without options.eventIndexer', () => {
+    it('should answer 404 disabled', async () => {
+      const plain = await createTestApp();
+      const response = await plain.supertest
+        .get(`/.well-known/epistery/events/identity/${client1Wallet.address}`)
+        .set('Host', 'localhost')
+        .set('Cookie', cookie)
+        .expect(404);
+
+      expect(response.body.reason).toBe('disabled');
+    });
+  });
+});
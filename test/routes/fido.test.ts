@@ -0,0 +1,203 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { createTestApp, TestApp } from '../utils';
+import { fidoBlobMessage, fidoBlobHashInput } from '../../client/fido-blob-message.mjs';
+
+describe('FIDO blob routes', () => {
+  let testApp: TestApp;
+
+  const newCredentialId = () => crypto.randomBytes(16).toString('base64url');
+
+  async function storeBody(
+    wallet: ethers.Wallet,
+    credentialId: string,
+    overrides: Record<string, any> = {}
+  ) {
+    const blob = {
+      credentialId,
+      rivetAddress: wallet.address,
+      publicKey: wallet.publicKey,
+      ciphertext: ethers.utils.hexlify(ethers.utils.randomBytes(48)),
+      iv: ethers.utils.hexlify(ethers.utils.randomBytes(12)),
+      label: 'Test FIDO',
+      ts: Date.now(),
+      ...overrides
+    };
+    const blobHash = crypto.createHash('sha256').update(fidoBlobHashInput(blob)).digest('hex');
+    const signature = await wallet.signMessage(
+      fidoBlobMessage({ action: 'store', credentialId, rivetAddress: wallet.address, blobHash, ts: blob.ts })
+    );
+    return { ...blob, signature };
+  }
+
+  async function deleteBody(wallet: ethers.Wallet, credentialId: string) {
+    const ts = Date.now();
+    const signature = await wallet.signMessage(
+      fidoBlobMessage({ action: 'delete', credentialId, rivetAddress: wallet.address, blobHash: '', ts })
+    );
+    return { rivetAddress: wallet.address, ts, signature };
+  }
+
+  beforeAll(async () => {
+    // test/config persists between runs, so keep quotas out of the way here.
+    testApp = await createTestApp({
+      fido: { writesPerMinute: 1000, maxBlobsPerIp: 100000, maxBytesPerIp: 1e9 }
+    });
+  });
+
+  it('should store a blob signed by its rivet and read it back', async () => {
+    const rivet = ethers.Wallet.createRandom();
+    const credentialId = newCredentialId();
+    const body = await storeBody(rivet, credentialId);
+
+    const response = await testApp.supertest
+      .post('/.well-known/epistery/fido/blob')
+      .set('Host', 'localhost')
+      .send(body)
+      .expect(200);
+    expect(response.body).toMatchObject({ stored: true, created: true, credentialId });
+
+    const blob = await testApp.supertest
+      .get(`/.well-known/epistery/fido/blob/${credentialId}`)
+      .set('Host', 'localhost')
+      .expect(200);
+    expect(blob.body.ciphertext).toBe(body.ciphertext);
+    expect(blob.body.rivetAddress).toBe(rivet.address);
+  });
+
+  it('should reject an unsigned write', async () => {
+    const rivet = ethers.Wallet.createRandom();
+    const { signature, ...body } = await storeBody(rivet, newCredentialId());
+
+    const response = await testApp.supertest
+      .post('/.well-known/epistery/fido/blob')
+      .set('Host', 'localhost')
+      .send(body)
+      .expect(401);
+    expect(response.body.reason).toBe('signature');
+  });
+
+  it('should reject a signature over a different blob', async () => {
+    const rivet = ethers.Wallet.createRandom();
+    const body = await storeBody(rivet, newCredentialId());
+    body.ciphertext = ethers.utils.hexlify(ethers.utils.randomBytes(48));
+
+    await testApp.supertest
+      .post('/.well-known/epistery/fido/blob')
+      .set('Host', 'localhost')
+      .send(body)
+      .expect(401);
+  });
+
+  it('should reject a stale signature', async () => {
+    const rivet = ethers.Wallet.createRandom();
+    const body = await storeBody(rivet, newCredentialId(), { ts: Date.now() - 60 * 60 * 1000 });
+
+    const response = await testApp.supertest
+      .post('/.well-known/epistery/fido/blob')
+      .set('Host', 'localhost')
+      .send(body)
+      .expect(401);
+    expect(response.body.reason).toBe('expired');
+  });
+
+  it("should refuse to overwrite another rivet's blob", async () => {
+    const owner = ethers.Wallet.createRandom();
+    const intruder = ethers.Wallet.createRandom();
+    const credentialId = newCredentialId();
+
+    await testApp.supertest
+      .post('/.well-known/epistery/fido/blob')
+      .set('Host', 'localhost')
+      .send(await storeBody(owner, credentialId))
+      .expect(200);
+
+    const response = await testApp.supertest
+      .post('/.well-known/epistery/fido/blob')
+      .set('Host', 'localhost')
+      .send(await storeBody(intruder, credentialId))
+      .expect(403);
+    expect(response.body.reason).toBe('owner');
+  });
+
+  it('should let the owner replace its blob, but not with an older signature', async () => {
+    const rivet = ethers.Wallet.createRandom();
+    const credentialId = newCredentialId();
+    const older = await storeBody(rivet, credentialId, { ts: Date.now() - 1000 });
+
+    await testApp.supertest
+      .post('/.well-known/epistery/fido/blob')
+      .set('Host', 'localhost')
+      .send(await storeBody(rivet, credentialId))
+      .expect(200);
+
+    const response = await testApp.supertest
+      .post('/.well-known/epistery/fido/blob')
+      .set('Host', 'localhost')
+      .send(older)
+      .expect(409);
+    expect(response.body.reason).toBe('stale');
+  });
+
+  it('should list and delete a rivet\'s blobs', async () => {
+    const rivet = ethers.Wallet.createRandom();
+    const credentialId = newCredentialId();
+
+    await testApp.supertest
+      .post('/.well-known/epistery/fido/blob')
+      .set('Host', 'localhost')
+      .send(await storeBody(rivet, credentialId))
+      .expect(200);
+
+    const listed = await testApp.supertest
+      .get(`/.well-known/epistery/fido/rivet/${rivet.address}`)
+      .set('Host', 'localhost')
+      .expect(200);
+    expect(listed.body.blobs.map((b: any) => b.credentialId)).toEqual([credentialId]);
+    expect(listed.body.blobs[0].ciphertext).toBeUndefined();
+
+    await testApp.supertest
+      .delete(`/.well-known/epistery/fido/blob/${credentialId}`)
+      .set('Host', 'localhost')
+      .send(await deleteBody(ethers.Wallet.createRandom(), credentialId))
+      .expect(403);
+
+    await testApp.supertest
+      .delete(`/.well-known/epistery/fido/blob/${credentialId}`)
+      .set('Host', 'localhost')
+      .send(await deleteBody(rivet, credentialId))
+      .expect(200);
+
+    await testApp.supertest
+      .get(`/.well-known/epistery/fido/blob/${credentialId}`)
+      .set('Host', 'localhost')
+      .expect(404);
+
+    const after = await testApp.supertest
+      .get(`/.well-known/epistery/fido/rivet/${rivet.address}`)
+      .set('Host', 'localhost')
+      .expect(200);
+    expect(after.body.blobs).toEqual([]);
+  });
+
+  it('should rate-limit writes per IP', async () => {
+    const limited = await createTestApp({ fido: { writesPerMinute: 2, maxBlobsPerIp: 100000 } });
+    const rivet = ethers.Wallet.createRandom();
+
+    for (let i = 0; i < 2; i++) {
+      await limited.supertest
+        .post('/.well-known/epistery/fido/blob')
+        .set('Host', 'localhost')
+        .send(await storeBody(rivet, newCredentialId()))
+        .expect(200);
+    }
+    const response = await limited.supertest
+      .post('/.well-known/epistery/fido/blob')
+      .set('Host', 'localhost')
+      .send(await storeBody(rivet, newCredentialId()))
+      .expect(429);
+    expect(response.body.reason).toBe('rate');
+    expect(response.headers['retry-after']).toBeDefined();
+  });
+});
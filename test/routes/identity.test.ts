@@ -1,17 +1,25 @@
 import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { ethers } from 'ethers';
+import { identityActionMessage } from '../../client/identity-action-message.mjs';
 import {
   createTestApp,
   TestApp,
   TEST_WALLETS,
   TEST_CONTRACT_ADDRESS,
-  isValidAddress
+  isValidAddress,
+  createSessionCookie,
+  createDelegationToken,
+  createBotAuthHeader,
+  getClient1Wallet
 } from '../utils';
 
 describe('Identity Routes', () => {
   let testApp: TestApp;
+  let cookie: string;
 
   beforeAll(async () => {
     testApp = await createTestApp();
+    cookie = `_epistery=${await createSessionCookie(TEST_WALLETS.client1.address, TEST_WALLETS.client1.publicKey)}`;
   });
 
   afterAll(async () => {
@@ -84,18 +92,68 @@ describe('Identity Routes', () => {
       expect(response.body.error).toContain('rivetName');
     });
 
-    it('should require domain', async () => {
+    it('should take the domain from the host, not the body', async () => {
+      // No domain in the body is no longer a 400; without a session it is a 401.
       const response = await testApp.supertest
         .post('/.well-known/epistery/identity/prepare-add-rivet')
+        .set('Host', 'localhost')
         .send({
           signerAddress: TEST_WALLETS.client1.address,
           contractAddress: '0x1234567890123456789012345678901234567890',
           rivetAddressToAdd: TEST_WALLETS.client2.address,
           rivetName: 'test-rivet'
         })
-        .expect(400);
+        .expect(401);
+
+      expect(response.body.error).toContain('Not authenticated');
+    });
+
+    it('should refuse a signerAddress other than the session\'s rivet', async () => {
+      const response = await testApp.supertest
+        .post('/.well-known/epistery/identity/prepare-add-rivet')
+        .set('Host', 'localhost')
+        .set('Cookie', cookie)
+        .send({
+          signerAddress: TEST_WALLETS.client2.address,
+          contractAddress: '0x1234567890123456789012345678901234567890',
+          rivetAddressToAdd: TEST_WALLETS.client2.address,
+          rivetName: 'test-rivet'
+        })
+        .expect(403);
+
+      expect(response.body.reason).toBe('signer');
+    });
+
+    describe('sessions other than a cookie', () => {
+      const path = '/.well-known/epistery/identity/prepare-add-rivet';
+      const body = JSON.stringify({
+        signerAddress: TEST_WALLETS.client1.address,
+        contractAddress: '0x1234567890123456789012345678901234567890',
+        rivetAddressToAdd: TEST_WALLETS.client2.address,
+        rivetName: 'test-rivet'
+      });
+
+      it('should refuse a delegation token for the same signer', async () => {
+        await testApp.supertest
+          .post(path)
+          .set('Host', 'localhost')
+          .set('Content-Type', 'application/json')
+          .set('x-epistery-delegation', await createDelegationToken(getClient1Wallet()))
+          .send(body)
+          .expect(403);
+      });
 
-      expect(response.body.error).toContain('domain');
+      it('should refuse a Bot request that did not sign its body', async () => {
+        const response = await testApp.supertest
+          .post(path)
+          .set('Host', 'localhost')
+          .set('Content-Type', 'application/json')
+          .set('Authorization', await createBotAuthHeader(getClient1Wallet(), path, 'POST', 'localhost'))
+          .send(body)
+          .expect(403);
+
+        expect(response.body.reason).toBe('session');
+      });
     });
 
     it('should prepare unsigned transaction with valid inputs', async () => {
@@ -108,17 +166,245 @@ describe('Identity Routes', () => {
       // IdentityContract. This test just validates the endpoint accepts valid inputs.
       const response = await testApp.supertest
         .post('/.well-known/epistery/identity/prepare-add-rivet')
+        .set('Host', 'localhost')
+        .set('Cookie', cookie)
         .send({
           signerAddress: TEST_WALLETS.client1.address,
           contractAddress: TEST_CONTRACT_ADDRESS, // Using agent contract as placeholder
           rivetAddressToAdd: TEST_WALLETS.client2.address,
-          rivetName: 'test-rivet',
-          domain: 'localhost'
+          rivetName: 'test-rivet'
+        })
+        .timeout(60000);
+
+      // May fail because Agent contract != IdentityContract: it can't answer
+      // isAuthorized, so the signer is refused (403) before any funding
+      expect([200, 403, 500]).toContain(response.status);
+      if (response.status === 403) {
+        expect(response.body.reason).toBe('unauthorized');
+      }
+    });
+  });
+
+  describe('IdentityContract governance prepares', () => {
+    const contractAddress = '0x1234567890123456789012345678901234567890';
+    const prepare = (route: string, body: Record<string, any>) =>
+      testApp.supertest
+        .post(`/.well-known/epistery/identity/${route}`)
+        .set('Host', 'localhost')
+        .set('Cookie', cookie)
+        .send({ signerAddress: TEST_WALLETS.client1.address, contractAddress, ...body });
+
+    it('should require all fields for prepare-remove-rivet', async () => {
+      const response = await prepare('prepare-remove-rivet', {}).expect(400);
+      expect(response.body.error).toContain('rivetAddressToRemove');
+    });
+
+    it('should reject an invalid rivet address to remove', async () => {
+      await prepare('prepare-remove-rivet', { rivetAddressToRemove: 'laptop' }).expect(400);
+    });
+
+    it('should require a session for prepare-remove-rivet', async () => {
+      const response = await testApp.supertest
+        .post('/.well-known/epistery/identity/prepare-remove-rivet')
+        .set('Host', 'localhost')
+        .send({
+          signerAddress: TEST_WALLETS.client1.address,
+          contractAddress,
+          rivetAddressToRemove: TEST_WALLETS.client2.address
         })
+        .expect(401);
+
+      expect(response.body.error).toContain('Not authenticated');
+    });
+
+    it('should refuse a signerAddress other than the session\'s rivet', async () => {
+      const response = await prepare('prepare-designate-host', {
+        signerAddress: TEST_WALLETS.client2.address,
+        newHost: TEST_WALLETS.client2.address
+      }).expect(403);
+
+      expect(response.body.reason).toBe('signer');
+    });
+
+    it('should require a hex publicKey for prepare-set-public-key', async () => {
+      await prepare('prepare-set-public-key', {}).expect(400);
+      const response = await prepare('prepare-set-public-key', { publicKey: 'not-a-key' }).expect(400);
+      expect(response.body.error).toContain('publicKey');
+    });
+
+    it('should require a positive integer threshold', async () => {
+      await prepare('prepare-set-remove-threshold', {}).expect(400);
+      const response = await prepare('prepare-set-remove-threshold', { threshold: 0 }).expect(400);
+      expect(response.body.error).toContain('threshold');
+    });
+
+    it('should refuse a signer the contract does not authorize', async () => {
+      if (!TEST_CONTRACT_ADDRESS) {
+        console.log('Skipping: TEST_CONTRACT_ADDRESS not set');
+        return;
+      }
+
+      const response = await prepare('prepare-remove-rivet', {
+        contractAddress: TEST_CONTRACT_ADDRESS,
+        rivetAddressToRemove: TEST_WALLETS.client2.address
+      }).timeout(60000);
+
+      // The test contract is not an IdentityContract, so the signer can't be
+      // authorized on it (500 when the RPC is unreachable)
+      expect([403, 500]).toContain(response.status);
+      if (response.status === 403) {
+        expect(response.body.reason).toBe('unauthorized');
+      }
+    });
+  });
+
+  describe('GET /identity/governance/:contractAddress', () => {
+    it('should reject an invalid contract address', async () => {
+      await testApp.supertest
+        .get('/.well-known/epistery/identity/governance/0x1234')
+        .set('Host', 'localhost')
+        .expect(400);
+    });
+
+    it('should fail on a contract that is not an IdentityContract', async () => {
+      if (!TEST_CONTRACT_ADDRESS) {
+        console.log('Skipping: TEST_CONTRACT_ADDRESS not set');
+        return;
+      }
+
+      const response = await testApp.supertest
+        .get(`/.well-known/epistery/identity/governance/${TEST_CONTRACT_ADDRESS}`)
+        .set('Host', 'localhost')
         .timeout(60000);
 
-      // May fail because Agent contract != IdentityContract
-      expect([200, 500]).toContain(response.status);
+      expect(response.status).toBe(500);
+    });
+  });
+
+  describe('Identity action approval queue', () => {
+    const contractAddress = '0x1234567890123456789012345678901234567890';
+    const target = TEST_WALLETS.client2.address;
+
+    const signedProposal = async (overrides: Record<string, any> = {}) => {
+      const wallet = getClient1Wallet();
+      const ts = Date.now();
+      const fields = {
+        decision: 'propose',
+        host: 'localhost',
+        contractAddress,
+        kind: 'removeRivet',
+        target,
+        signerAddress: wallet.address,
+        ts,
+        ...overrides
+      };
+      return {
+        contractAddress,
+        kind: 'removeRivet',
+        target,
+        signerAddress: wallet.address,
+        ts: fields.ts,
+        signature: await wallet.signMessage(identityActionMessage(fields))
+      };
+    };
+
+    const propose = (body: Record<string, any>) =>
+      testApp.supertest
+        .post('/.well-known/epistery/identity/actions')
+        .set('Host', 'localhost')
+        .send(body);
+
+    it('should require the proposal fields', async () => {
+      const response = await propose({}).expect(400);
+      expect(response.body.error).toContain('required fields');
+    });
+
+    it('should reject an unsupported action kind', async () => {
+      await propose({ ...(await signedProposal()), kind: 'designateHost' }).expect(400);
+    });
+
+    it('should reject a stale signature', async () => {
+      const ts = Date.now() - 10 * 60 * 1000;
+      const response = await propose(await signedProposal({ ts })).expect(401);
+      expect(response.body.reason).toBe('expired');
+    });
+
+    it('should reject a signature over a different target', async () => {
+      const body = await signedProposal({ target: TEST_WALLETS.client1.address });
+      const response = await propose(body).expect(401);
+      expect(response.body.reason).toBe('signature');
+    });
+
+    it('should reject a signature for another host', async () => {
+      const response = await propose(await signedProposal({ host: 'evil.example' })).expect(401);
+      expect(response.body.reason).toBe('signature');
+    });
+
+    it('should refuse a signer that is not a rivet of the contract', async () => {
+      if (!TEST_CONTRACT_ADDRESS) {
+        console.log('Skipping: TEST_CONTRACT_ADDRESS not set');
+        return;
+      }
+      const wallet = getClient1Wallet();
+      const ts = Date.now();
+      const signature = await wallet.signMessage(identityActionMessage({
+        decision: 'propose',
+        host: 'localhost',
+        contractAddress: TEST_CONTRACT_ADDRESS,
+        kind: 'removeRivet',
+        target,
+        signerAddress: wallet.address,
+        ts
+      }));
+      const response = await propose({
+        contractAddress: TEST_CONTRACT_ADDRESS,
+        target,
+        signerAddress: wallet.address,
+        ts,
+        signature
+      }).timeout(60000);
+
+      // The test contract is not an IdentityContract: its governance can't be read
+      expect([403, 500]).toContain(response.status);
+    });
+
+    it('should list a contract\'s actions', async () => {
+      const response = await testApp.supertest
+        .get(`/.well-known/epistery/identity/actions?contract=${contractAddress}`)
+        .set('Host', 'localhost')
+        .expect(200);
+      expect(Array.isArray(response.body.actions)).toBe(true);
+    });
+
+    it('should require a contract to list', async () => {
+      await testApp.supertest
+        .get('/.well-known/epistery/identity/actions')
+        .set('Host', 'localhost')
+        .expect(400);
+    });
+
+    it('should answer 404 for an unknown action', async () => {
+      const id = ethers.utils.hexlify(ethers.utils.randomBytes(16));
+      await testApp.supertest
+        .get(`/.well-known/epistery/identity/actions/${id}`)
+        .set('Host', 'localhost')
+        .expect(404);
+
+      const wallet = getClient1Wallet();
+      await testApp.supertest
+        .post(`/.well-known/epistery/identity/actions/${id}/approve`)
+        .set('Host', 'localhost')
+        .send({ signerAddress: wallet.address, ts: Date.now(), signature: '0x00' })
+        .expect(404);
+    });
+
+    it('should require a session to prepare an approved action', async () => {
+      const id = ethers.utils.hexlify(ethers.utils.randomBytes(16));
+      await testApp.supertest
+        .post(`/.well-known/epistery/identity/actions/${id}/prepare`)
+        .set('Host', 'localhost')
+        .send({ signerAddress: TEST_WALLETS.client1.address })
+        .expect(401);
     });
   });
 });
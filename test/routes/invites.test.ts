@@ -0,0 +1,86 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { ethers } from 'ethers';
+import {
+  createTestApp,
+  TestApp,
+  getClient1Wallet,
+  createSessionCookie,
+  TEST_WALLETS
+} from '../utils';
+
+describe('Invite Routes', () => {
+  let testApp: TestApp;
+  let client1Wallet: ethers.Wallet;
+  let cookie: string;
+  const contractAddress = TEST_WALLETS.client2.address;
+
+  beforeAll(async () => {
+    testApp = await createTestApp();
+    client1Wallet = getClient1Wallet();
+    cookie = `_epistery=${await createSessionCookie(client1Wallet.address, client1Wallet.publicKey)}`;
+  });
+
+  describe('POST /invites/prepare', () => {
+    it('should require authentication', async () => {
+      await testApp.supertest
+        .post('/.well-known/epistery/invites/prepare')
+        .set('Host', 'localhost')
+        .send({ signerAddress: client1Wallet.address, contractAddress, section: 'members', role: 'read' })
+        .expect(401);
+    });
+
+    it('should reject an unknown role', async () => {
+      await testApp.supertest
+        .post('/.well-known/epistery/invites/prepare')
+        .set('Host', 'localhost')
+        .set('Cookie', cookie)
+        .send({ signerAddress: client1Wallet.address, contractAddress, section: 'members', role: 'superuser' })
+        .expect(400);
+    });
+
+    it("should refuse to prepare for another session's rivet", async () => {
+      const response = await testApp.supertest
+        .post('/.well-known/epistery/invites/prepare')
+        .set('Host', 'localhost')
+        .set('Cookie', cookie)
+        .send({ signerAddress: TEST_WALLETS.client2.address, contractAddress, section: 'members', role: 'read' })
+        .expect(403);
+
+      expect(response.body.reason).toBe('signer');
+    });
+  });
+
+  describe('POST /invites/:codeHash/submit', () => {
+    it('should answer 404 for an invite this host never prepared', async () => {
+      const response = await testApp.supertest
+        .post(`/.well-known/epistery/invites/${ethers.utils.id('nothing')}/submit`)
+        .set('Host', 'localhost')
+        .set('Cookie', cookie)
+        .send({ signedTransaction: '0x00' })
+        .expect(404);
+
+      expect(response.body.reason).toBe('not_found');
+    });
+  });
+
+  describe('POST /invites/redeem', () => {
+    it('should require a code', async () => {
+      await testApp.supertest
+        .post('/.well-known/epistery/invites/redeem')
+        .set('Host', 'localhost')
+        .set('Cookie', cookie)
+        .send({ contractAddress })
+        .expect(400);
+    });
+  });
+
+  describe('GET /invites', () => {
+    it('should require a section', async () => {
+      await testApp.supertest
+        .get(`/.well-known/epistery/invites?contract=${contractAddress}`)
+        .set('Host', 'localhost')
+        .set('Cookie', cookie)
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { ethers } from 'ethers';
+import {
+  createTestApp,
+  TestApp,
+  getClient1Wallet,
+  getClient2Wallet,
+  createSessionCookie
+} from '../utils';
+
+describe('Sponsorship Routes', () => {
+  let testApp: TestApp;
+  let client1Wallet: ethers.Wallet;
+  let cookie: string;
+
+  beforeAll(async () => {
+    testApp = await createTestApp({
+      sponsorship: { operations: ['addRivetToContract', 'IdentityContract.*'], dailyBudget: '0.5' }
+    });
+    client1Wallet = getClient1Wallet();
+    cookie = `_epistery=${await createSessionCookie(client1Wallet.address, client1Wallet.publicKey)}`;
+  });
+
+  describe('GET /sponsorship', () => {
+    it('should require authentication', async () => {
+      await testApp.supertest
+        .get('/.well-known/epistery/sponsorship')
+        .set('Host', 'localhost')
+        .expect(401);
+    });
+
+    it("should report the policy and the caller's usage", async () => {
+      const response = await testApp.supertest
+        .get('/.well-known/epistery/sponsorship')
+        .set('Host', 'localhost')
+        .set('Cookie', cookie)
+        .expect(200);
+
+      expect(response.body.policy).toMatchObject({
+        operations: ['addRivetToContract', 'IdentityContract.*'],
+        dailyBudget: '0.5'
+      });
+      expect(response.body.usage.identity).toBeDefined();
+      expect(response.body.usage.day).toMatch(/^\d+$/);
+    });
+  });
+
+  describe('GET /sponsorship/ledger', () => {
+    it("should let a client read its own entries", async () => {
+      const response = await testApp.supertest
+        .get(`/.well-known/epistery/sponsorship/ledger?identity=${client1Wallet.address}`)
+        .set('Host', 'localhost')
+        .set('Cookie', cookie)
+        .expect(200);
+
+      expect(Array.isArray(response.body.entries)).toBe(true);
+    });
+
+    it("should refuse another identity's entries to a non-admin", async () => {
+      await testApp.supertest
+        .get(`/.well-known/epistery/sponsorship/ledger?identity=${getClient2Wallet().address}`)
+        .set('Host', 'localhost')
+        .set('Cookie', cookie)
+        .expect(403);
+    });
+  });
+});
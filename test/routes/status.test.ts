@@ -25,6 +25,17 @@ describe('Status Routes', () => {
       expect(response.body.server).toBeDefined();
       expect(response.body.server.walletAddress).toBeDefined();
     });
+
+    it('should list the accepted networks, the domain\'s own first', async () => {
+      const response = await testApp.supertest
+        .get('/.well-known/epistery/')
+        .set('Accept', 'application/json')
+        .expect(200);
+
+      const { server } = response.body;
+      expect(Array.isArray(server.networks)).toBe(true);
+      expect(server.networks[0].chainId).toBe(server.chainId);
+    });
   });
 
   describe('GET /lib/:module', () => {
@@ -0,0 +1,207 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import express from 'express';
+import { ethers } from 'ethers';
+import {
+  createTestApp,
+  TestApp,
+  getClient1Wallet,
+  getClient2Wallet,
+  createSessionCookie,
+  createBotAuthHeader
+} from '../utils';
+import { stepUpMessage } from '../../client/step-up-message.mjs';
+
+describe('Step-up proof of possession (epistery.requireStepUp)', () => {
+  let testApp: TestApp;
+  let client1Wallet: ethers.Wallet;
+  let client2Wallet: ethers.Wallet;
+  let cookie: string;
+
+  const proof = (nonce: string, signature: string) =>
+    Buffer.from(JSON.stringify({ nonce, signature })).toString('base64');
+
+  async function answer(wallet: ethers.Wallet, stepUp: any) {
+    const signature = await wallet.signMessage(
+      stepUpMessage({ signerAddress: wallet.address, ...stepUp })
+    );
+    return proof(stepUp.nonce, signature);
+  }
+
+  beforeAll(async () => {
+    testApp = await createTestApp();
+    client1Wallet = getClient1Wallet();
+    client2Wallet = getClient2Wallet();
+    cookie = `_epistery=${await createSessionCookie(client1Wallet.address, client1Wallet.publicKey)}`;
+
+    testApp.app.post(
+      '/sensitive',
+      express.json(),
+      testApp.epistery.requireStepUp({ maxAge: 30 }),
+      (req: any, res) => res.json({ stepUp: req.episteryStepUp, body: req.body })
+    );
+    testApp.app.post('/other', express.json(), testApp.epistery.requireStepUp(), (req, res) =>
+      res.json({ ok: true })
+    );
+  });
+
+  it('should answer 401 unauthenticated without a client', async () => {
+    const response = await testApp.supertest
+      .post('/sensitive')
+      .set('Host', 'localhost')
+      .send({ amount: 1 })
+      .expect(401);
+
+    expect(response.body.reason).toBe('unauthenticated');
+  });
+
+  it('should challenge a session-only request with a nonce bound to it', async () => {
+    const response = await testApp.supertest
+      .post('/sensitive')
+      .set('Host', 'localhost')
+      .set('Cookie', cookie)
+      .send({ amount: 1 })
+      .expect(401);
+
+    expect(response.body.reason).toBe('step-up');
+    expect(response.body.stepUp).toMatchObject({
+      method: 'POST',
+      host: 'localhost',
+      path: '/sensitive'
+    });
+    expect(response.body.stepUp.nonce).toMatch(/^0x[a-f0-9]{64}$/);
+    expect(response.body.stepUp.bodyHash).toMatch(/^[a-f0-9]{64}$/);
+    expect(response.headers['www-authenticate']).toContain(response.body.stepUp.nonce);
+  });
+
+  it('should accept a signed answer once', async () => {
+    const challenge = await testApp.supertest
+      .post('/sensitive')
+      .set('Host', 'localhost')
+      .set('Cookie', cookie)
+      .send({ amount: 1 })
+      .expect(401);
+    const header = await answer(client1Wallet, challenge.body.stepUp);
+
+    const response = await testApp.supertest
+      .post('/sensitive')
+      .set('Host', 'localhost')
+      .set('Cookie', cookie)
+      .set('X-Epistery-Step-Up', header)
+      .send({ amount: 1 })
+      .expect(200);
+
+    expect(response.body.stepUp.signerAddress).toBe(client1Wallet.address);
+    expect(response.body.stepUp.nonce).toBe(challenge.body.stepUp.nonce);
+    expect(response.body.body).toEqual({ amount: 1 });
+
+    const replay = await testApp.supertest
+      .post('/sensitive')
+      .set('Host', 'localhost')
+      .set('Cookie', cookie)
+      .set('X-Epistery-Step-Up', header)
+      .send({ amount: 1 })
+      .expect(401);
+
+    expect(replay.body.reason).toBe('step-up');
+    expect(replay.body.error).toMatch(/unknown, expired, used/);
+  });
+
+  it('should refuse an answer replayed with a different body', async () => {
+    const challenge = await testApp.supertest
+      .post('/sensitive')
+      .set('Host', 'localhost')
+      .set('Cookie', cookie)
+      .send({ amount: 1 })
+      .expect(401);
+
+    const response = await testApp.supertest
+      .post('/sensitive')
+      .set('Host', 'localhost')
+      .set('Cookie', cookie)
+      .set('X-Epistery-Step-Up', await answer(client1Wallet, challenge.body.stepUp))
+      .send({ amount: 1000 })
+      .expect(401);
+
+    expect(response.body.error).toMatch(/another request/);
+  });
+
+  it('should refuse an answer sent to a different path', async () => {
+    const challenge = await testApp.supertest
+      .post('/sensitive')
+      .set('Host', 'localhost')
+      .set('Cookie', cookie)
+      .send({ amount: 1 })
+      .expect(401);
+
+    await testApp.supertest
+      .post('/other')
+      .set('Host', 'localhost')
+      .set('Cookie', cookie)
+      .set('X-Epistery-Step-Up', await answer(client1Wallet, challenge.body.stepUp))
+      .send({ amount: 1 })
+      .expect(401);
+  });
+
+  it("should refuse a signature that is not the session's signer", async () => {
+    const challenge = await testApp.supertest
+      .post('/sensitive')
+      .set('Host', 'localhost')
+      .set('Cookie', cookie)
+      .send({ amount: 1 })
+      .expect(401);
+    const signature = await client2Wallet.signMessage(
+      stepUpMessage({ signerAddress: client1Wallet.address, ...challenge.body.stepUp })
+    );
+
+    const response = await testApp.supertest
+      .post('/sensitive')
+      .set('Host', 'localhost')
+      .set('Cookie', cookie)
+      .set('X-Epistery-Step-Up', proof(challenge.body.stepUp.nonce, signature))
+      .send({ amount: 1 })
+      .expect(401);
+
+    expect(response.body.error).toMatch(/not from the session's signer/);
+  });
+
+  describe('Bot requests', () => {
+    const body = JSON.stringify({ amount: 1 });
+
+    it('should pass a bot request signed over its body without a step-up', async () => {
+      const response = await testApp.supertest
+        .post('/sensitive')
+        .set('Host', 'localhost')
+        .set('Content-Type', 'application/json')
+        .set('Authorization', await createBotAuthHeader(client1Wallet, '/sensitive', 'POST', 'localhost', body))
+        .send(body)
+        .expect(200);
+
+      expect(response.body.stepUp).toMatchObject({ signerAddress: client1Wallet.address, nonce: null });
+      expect(response.body.body).toEqual({ amount: 1 });
+    });
+
+    it('should refuse a bot request whose body is not the one signed', async () => {
+      const response = await testApp.supertest
+        .post('/sensitive')
+        .set('Host', 'localhost')
+        .set('Content-Type', 'application/json')
+        .set('Authorization', await createBotAuthHeader(client1Wallet, '/sensitive', 'POST', 'localhost', body))
+        .send(JSON.stringify({ amount: 1000 }))
+        .expect(401);
+
+      expect(response.body.reason).toBe('unauthenticated');
+    });
+
+    it('should challenge a bot request that did not sign its body', async () => {
+      const response = await testApp.supertest
+        .post('/sensitive')
+        .set('Host', 'localhost')
+        .set('Content-Type', 'application/json')
+        .set('Authorization', await createBotAuthHeader(client1Wallet, '/sensitive', 'POST', 'localhost'))
+        .send(body)
+        .expect(401);
+
+      expect(response.body.reason).toBe('step-up');
+    });
+  });
+});
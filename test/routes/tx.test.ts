@@ -0,0 +1,280 @@
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import { ethers } from 'ethers';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { once } from 'events';
+import { AddressInfo } from 'net';
+import { RivetWallet } from '../../client/wallet.js';
+import {
+  createTestApp,
+  TestApp,
+  TEST_WALLETS,
+  TEST_CONTRACT_ADDRESS,
+  TEST_PROVIDER,
+  getClient1Wallet,
+  createSessionCookie
+} from '../utils';
+
+describe('Transaction Routes', () => {
+  let testApp: TestApp;
+  let cookie: string;
+
+  beforeAll(async () => {
+    testApp = await createTestApp();
+    const wallet = getClient1Wallet();
+    cookie = `_epistery=${await createSessionCookie(wallet.address, wallet.publicKey)}`;
+  });
+
+  const prepare = (body: Record<string, any>) =>
+    testApp.supertest
+      .post('/.well-known/epistery/tx/prepare')
+      .set('Host', 'localhost')
+      .set('Cookie', cookie)
+      .send(body);
+
+  describe('POST /tx/prepare', () => {
+    it('should require authentication', async () => {
+      await testApp.supertest
+        .post('/.well-known/epistery/tx/prepare')
+        .set('Host', 'localhost')
+        .send({ artifact: 'IdentityContract', functionName: 'addRivet', to: TEST_CONTRACT_ADDRESS })
+        .expect(401);
+    });
+
+    it('should require all fields', async () => {
+      const response = await prepare({}).expect(400);
+      expect(response.body.error).toContain('required fields');
+    });
+
+    it('should reject an unknown artifact', async () => {
+      const response = await prepare({
+        artifact: '../package',
+        functionName: 'addRivet',
+        to: TEST_CONTRACT_ADDRESS
+      }).expect(400);
+      expect(response.body.reason).toBe('artifact');
+    });
+
+    it('should reject a function the ABI does not have', async () => {
+      const response = await prepare({
+        artifact: 'IdentityContract',
+        functionName: 'mintEverything',
+        to: TEST_CONTRACT_ADDRESS
+      }).expect(400);
+      expect(response.body.reason).toBe('function');
+    });
+
+    it('should reject a view function', async () => {
+      const response = await prepare({
+        artifact: 'IdentityContract',
+        functionName: 'getRivets',
+        to: TEST_CONTRACT_ADDRESS
+      }).expect(400);
+      expect(response.body.reason).toBe('function');
+    });
+
+    it('should reject the wrong number of args', async () => {
+      const response = await prepare({
+        artifact: 'IdentityContract',
+        functionName: 'addRivet',
+        args: [TEST_WALLETS.client2.address],
+        to: TEST_CONTRACT_ADDRESS
+      }).expect(400);
+      expect(response.body.reason).toBe('args');
+      expect(response.body.error).toContain('addRivet(address,string)');
+    });
+
+    it('should reject args that do not encode', async () => {
+      const response = await prepare({
+        artifact: 'IdentityContract',
+        functionName: 'addRivet',
+        args: ['not-an-address', 'laptop'],
+        to: TEST_CONTRACT_ADDRESS
+      }).expect(400);
+      expect(response.body.reason).toBe('args');
+    });
+
+    it('should refuse sponsorship the host has not enabled', async () => {
+      const response = await prepare({
+        artifact: 'IdentityContract',
+        functionName: 'addRivet',
+        args: [TEST_WALLETS.client2.address, 'laptop'],
+        to: TEST_CONTRACT_ADDRESS,
+        sponsor: true
+      }).expect(403);
+      expect(response.body.reason).toBe('sponsor');
+    });
+
+    it('should prepare a valid call with decoded metadata', async () => {
+      const response = await prepare({
+        artifact: 'IdentityContract',
+        functionName: 'addRivet',
+        args: [TEST_WALLETS.client2.address, 'laptop'],
+        to: TEST_CONTRACT_ADDRESS
+      });
+
+      // 500 when the call would revert on the test chain (client1 is not a
+      // rivet of the test contract), otherwise a prepared transaction
+      expect([200, 500]).toContain(response.status);
+      if (response.status === 200) {
+        const { unsignedTransaction, metadata } = response.body;
+        expect(unsignedTransaction.to).toBe(TEST_CONTRACT_ADDRESS);
+        expect(unsignedTransaction.data.slice(0, 10)).toBe(
+          new ethers.utils.Interface(['function addRivet(address,string)']).getSighash('addRivet')
+        );
+        expect(metadata.function).toBe('addRivet(address,string)');
+        expect(metadata.args).toEqual([
+          { name: 'rivet', type: 'address', value: TEST_WALLETS.client2.address },
+          { name: 'name', type: 'string', value: 'laptop' }
+        ]);
+      }
+    });
+  });
+
+  describe('POST /tx/prepare without a to', () => {
+    const artifact = JSON.parse(
+      fs.readFileSync(path.resolve(__dirname, '../../artifacts/contracts/IdentityContract.sol/IdentityContract.json'), 'utf8')
+    );
+    const constructorArgs = () => [TEST_WALLETS.client1.address, ethers.constants.AddressZero, 'laptop', '', ''];
+
+    it('should still want a to with a functionName', async () => {
+      const response = await prepare({ artifact: 'IdentityContract', functionName: 'addRivet' }).expect(400);
+      expect(response.body.error).toContain('required fields');
+    });
+
+    it('should check the args against the constructor', async () => {
+      const response = await prepare({ artifact: 'IdentityContract', args: [TEST_WALLETS.client1.address] }).expect(400);
+      expect(response.body.reason).toBe('args');
+      expect(response.body.error).toContain('constructor(address,address,string,string,string)');
+    });
+
+    it('should prepare a deployment of the artifact', async () => {
+      const response = await prepare({ artifact: 'IdentityContract', args: constructorArgs() }).expect(200);
+      const { unsignedTransaction, metadata } = response.body;
+
+      expect(unsignedTransaction).not.toHaveProperty('to');
+      expect(unsignedTransaction.data.startsWith(artifact.bytecode.toLowerCase())).toBe(true);
+      expect(metadata).toMatchObject({
+        operation: 'contractDeploy',
+        function: 'constructor(address,address,string,string,string)',
+        contractAddress: null
+      });
+      expect(metadata.args[2]).toEqual({ name: 'firstRivetName', type: 'string', value: 'laptop' });
+    });
+
+    // Broadcasts from client1, which `epistery devnet` funds.
+    describe.skipIf(TEST_PROVIDER.chainId !== 31337)('RivetWallet.deployIdentityContract', () => {
+      let server: http.Server;
+
+      beforeAll(async () => {
+        server = testApp.app.listen(0);
+        await once(server, 'listening');
+        const { port } = server.address() as AddressInfo;
+        vi.stubGlobal('Witness', { instance: { rootPath: `http://localhost:${port}/.well-known/epistery` } });
+        // Node's fetch keeps no cookie jar for `credentials: "include"`.
+        const send = globalThis.fetch;
+        vi.stubGlobal('fetch', (url: string, init: RequestInit = {}) =>
+          send(url, { ...init, headers: { ...(init.headers as Record<string, string>), Cookie: cookie } })
+        );
+      });
+
+      afterAll(async () => {
+        vi.unstubAllGlobals();
+        await new Promise(resolve => server.close(resolve));
+      });
+
+      it('should deploy a contract with this rivet as its first rivet', async () => {
+        const signer = getClient1Wallet();
+        const rivet = new RivetWallet();
+        rivet.address = signer.address;
+        rivet.publicKey = signer.publicKey;
+        rivet.signTransaction = (tx: ethers.providers.TransactionRequest) => signer.signTransaction(tx);
+
+        const contractAddress = await rivet.deployIdentityContract(ethers, TEST_PROVIDER, {
+          rivetName: 'laptop',
+          sponsor: false
+        });
+
+        expect(contractAddress).toMatch(/^0x[0-9a-fA-F]{40}$/);
+        expect(rivet.contractAddress).toBe(contractAddress);
+        expect(rivet.contractChainId).toBe(TEST_PROVIDER.chainId);
+        const identity = new ethers.Contract(contractAddress, artifact.abi, signer.provider);
+        expect(await identity.isAuthorized(signer.address)).toBe(true);
+        expect(await identity.rivetPublicKeys(signer.address)).toBe(signer.publicKey);
+      });
+    });
+  });
+
+  describe('POST /tx/submit', () => {
+    const submit = (body: Record<string, any>) =>
+      testApp.supertest
+        .post('/.well-known/epistery/tx/submit')
+        .set('Host', 'localhost')
+        .send(body);
+
+    const signed = (overrides: Record<string, any> = {}) =>
+      getClient1Wallet().signTransaction({
+        to: TEST_CONTRACT_ADDRESS,
+        data: '0x',
+        value: 0,
+        nonce: 0,
+        gasLimit: 21000,
+        gasPrice: 1,
+        chainId: TEST_PROVIDER.chainId,
+        ...overrides
+      });
+
+    it('should require a signed transaction and a preparedId', async () => {
+      const response = await submit({ signedTransaction: await signed() }).expect(400);
+      expect(response.body.error).toContain('required fields');
+    });
+
+    it('should reject something that is not a signed transaction', async () => {
+      const response = await submit({
+        signedTransaction: '0xdeadbeef',
+        metadata: { preparedId: '0x00' }
+      }).expect(400);
+      expect(response.body.reason).toBe('transaction');
+    });
+
+    it('should reject a chain this host has no RPC for', async () => {
+      const response = await submit({
+        signedTransaction: await signed({ chainId: 424242 }),
+        metadata: { preparedId: '0x00' }
+      }).expect(400);
+      expect(response.body.reason).toBe('chain');
+    });
+
+    it('should refuse to relay a transaction it did not prepare', async () => {
+      const response = await submit({
+        signedTransaction: await signed(),
+        operation: 'contractCall',
+        metadata: { preparedId: '0x00' }
+      }).expect(409);
+      expect(response.body.reason).toBe('prepared');
+    });
+  });
+
+  describe('GET /tx/status/:hash', () => {
+    it('should reject a malformed hash', async () => {
+      await testApp.supertest
+        .get('/.well-known/epistery/tx/status/0x1234')
+        .set('Host', 'localhost')
+        .expect(400);
+    });
+
+    it('should report a transaction the chain has never seen', async () => {
+      const hash = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+      const response = await testApp.supertest
+        .get(`/.well-known/epistery/tx/status/${hash}`)
+        .set('Host', 'localhost');
+
+      // 503 when the test RPC is unreachable
+      expect([200, 503]).toContain(response.status);
+      if (response.status === 200) {
+        expect(response.body).toMatchObject({ transactionHash: hash, status: 'unknown' });
+      }
+    });
+  });
+});
@@ -18,7 +18,8 @@ export default async function globalSetup() {
   } else {
     throw new Error(
       `.test.env file not found at ${testEnvPath}\n` +
-      'Copy .test.env.example to .test.env and fill in the values.'
+      'Copy .test.env.example to .test.env and fill in the values, or run\n' +
+      '`epistery devnet --test-env .test.env` for a local chain.'
     );
   }
 
@@ -97,7 +98,10 @@ nativeCurrencyDecimals=${TEST_PROVIDER.nativeCurrencyDecimals}
     }
   } catch (error) {
     console.error('Failed to connect to testnet:', error);
-    throw new Error('Testnet connectivity required for tests. Ensure Polygon Amoy RPC is accessible.');
+    throw new Error(
+      'Testnet connectivity required for tests. Ensure Polygon Amoy RPC is accessible, ' +
+      'or that the devnet is still running.'
+    );
   }
 
   // 5. Check server wallet balance
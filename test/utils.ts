@@ -13,6 +13,11 @@ if (fs.existsSync(testEnvPath)) {
 }
 
 import { TEST_WALLETS, TEST_PROVIDER, TEST_CONTRACT_ADDRESS, WalletInfo } from './fixtures/wallets';
+import crypto from 'crypto';
+import { signSessionToken, DEFAULT_SESSION_MAX_AGE_MS } from '../src/utils/SessionToken';
+import { SessionRegistry } from '../src/utils/SessionRegistry';
+import { botAuthMessage, botAuthBodyHash } from '../src/utils/BotAuth';
+import { delegationMessage, DELEGATION_VERSION } from '../client/delegation-message.mjs';
 
 // Re-export fixtures for convenience
 export { TEST_WALLETS, TEST_PROVIDER, TEST_CONTRACT_ADDRESS };
@@ -32,6 +37,11 @@ export interface TestApp {
 export async function createTestApp(options?: {
   authentication?: (clientInfo: any) => Promise<any>;
   domain?: string;
+  identityProfile?: boolean | object;
+  fido?: object;
+  tx?: object;
+  sponsorship?: object;
+  eventIndexer?: boolean | object;
 }): Promise<TestApp> {
   // Set up environment before importing Epistery
   const testConfigPath = path.resolve(__dirname, 'config');
@@ -50,7 +60,12 @@ export async function createTestApp(options?: {
 
   // Initialize Epistery
   const epistery = await Epistery.connect({
-    authentication: options?.authentication
+    authentication: options?.authentication,
+    identityProfile: options?.identityProfile,
+    fido: options?.fido,
+    tx: options?.tx,
+    sponsorship: options?.sponsorship,
+    eventIndexer: options?.eventIndexer
   });
 
   await epistery.setDomain(options?.domain || 'localhost');
@@ -110,12 +125,27 @@ export function createClientWalletInfo(wallet: ethers.Wallet): {
   };
 }
 
+/**
+ * Fetch a single-use key-exchange challenge from the test app.
+ */
+export async function fetchChallenge(supertest: ReturnType<typeof request>): Promise<string> {
+  const response = await supertest
+    .get('/.well-known/epistery/connect/challenge')
+    .expect(200);
+  return response.body.challenge;
+}
+
 /**
  * Create key exchange request payload — signer-only (no contract claim).
  * Tests that exercise the contract verification path build their own
- * payload with `contractAddress` set.
+ * payload with `contractAddress` set. Pass the app's supertest to sign a
+ * server-issued challenge; without it the challenge is self-chosen, which the
+ * server rejects unless allowClientChallenge is on.
  */
-export async function createKeyExchangePayload(wallet: ethers.Wallet): Promise<{
+export async function createKeyExchangePayload(
+  wallet: ethers.Wallet,
+  supertest?: ReturnType<typeof request>
+): Promise<{
   signerAddress: string;
   signerPublicKey: string;
   contractAddress: string | null;
@@ -124,7 +154,9 @@ export async function createKeyExchangePayload(wallet: ethers.Wallet): Promise<{
   signature: string;
   walletSource: string;
 }> {
-  const challenge = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+  const challenge = supertest
+    ? await fetchChallenge(supertest)
+    : ethers.utils.hexlify(ethers.utils.randomBytes(32));
   const message = `Epistery Key Exchange - ${wallet.address} - ${challenge}`;
   const signature = await wallet.signMessage(message);
 
@@ -146,7 +178,7 @@ export async function performKeyExchange(
   supertest: ReturnType<typeof request>,
   wallet: ethers.Wallet
 ): Promise<{ cookie: string; response: any }> {
-  const payload = await createKeyExchangePayload(wallet);
+  const payload = await createKeyExchangePayload(wallet, supertest);
 
   const response = await supertest
     .post('/.well-known/epistery/connect')
@@ -164,10 +196,27 @@ export async function performKeyExchange(
 }
 
 /**
- * Create a Bot authentication header
+ * Create a Bot authentication header for one request. The message is bound to
+ * method/host/path (supertest reaches the app as 127.0.0.1), and to `body`
+ * when given (hash the exact string sent), and carries a fresh nonce, so each
+ * header is single-use.
  */
-export async function createBotAuthHeader(wallet: ethers.Wallet): Promise<string> {
-  const message = `Whitelist auth ${Date.now()}`;
+export async function createBotAuthHeader(
+  wallet: ethers.Wallet,
+  path: string = '/',
+  method: string = 'GET',
+  host: string = '127.0.0.1',
+  body?: string
+): Promise<string> {
+  const message = botAuthMessage({
+    address: wallet.address,
+    method,
+    host,
+    path,
+    bodyHash: botAuthBodyHash(body),
+    timestamp: new Date().toISOString(),
+    nonce: ethers.utils.hexlify(ethers.utils.randomBytes(16))
+  });
   const signature = await wallet.signMessage(message);
 
   const payload = {
@@ -183,19 +232,56 @@ export async function createBotAuthHeader(wallet: ethers.Wallet): Promise<string
  * Create a session cookie for authenticated requests.
  *
  * Matches the three-fact session shape the auth middleware reads
- * (index.mjs: s.signerAddress / s.contractAddress / s.publicKey). The old field
- * name `rivetAddress` predated the identity-vocabulary migration and was silently
- * ignored by the middleware (no signerAddress → unauthenticated).
+ * (s.signerAddress / s.contractAddress / s.publicKey), signed the way /connect
+ * signs it: MAC'd with a key derived from the localhost domain wallet, which
+ * setup.ts seeds from TEST_WALLETS.server, and carrying a sid recorded in the
+ * localhost session registry. Send it with `Host: localhost`. Unsigned base64
+ * tokens, and tokens whose sid is unknown or revoked, are rejected.
  */
-export function createSessionCookie(signerAddress: string, publicKey?: string, contractAddress?: string | null): string {
+export async function createSessionCookie(signerAddress: string, publicKey?: string, contractAddress?: string | null): Promise<string> {
+  const now = Date.now();
+  const sid = crypto.randomBytes(16).toString('hex');
+  await new SessionRegistry('localhost').register({
+    sid,
+    signerAddress,
+    contractAddress: contractAddress || null,
+    identityAddress: contractAddress || signerAddress,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + DEFAULT_SESSION_MAX_AGE_MS).toISOString()
+  });
   const sessionData = {
     signerAddress,
     contractAddress: contractAddress || null,
     publicKey: publicKey || '',
     authenticated: true,
-    timestamp: new Date().toISOString()
+    sid
+  };
+  return signSessionToken(sessionData, TEST_WALLETS.server.privateKey, DEFAULT_SESSION_MAX_AGE_MS, now);
+}
+
+/**
+ * Create a delegation token (docs/DELEGATION.md) signed by `wallet` for the
+ * localhost audience. `overrides` replaces fields of the delegation object
+ * before signing, so tests can mint expired or mis-addressed tokens.
+ */
+export async function createDelegationToken(
+  wallet: ethers.Wallet,
+  overrides: Record<string, any> = {}
+): Promise<string> {
+  const now = Date.now();
+  const delegation = {
+    issuer: 'localhost',
+    subject: wallet.address,
+    audience: 'localhost',
+    scope: ['test:read'],
+    expires: now + 60 * 60 * 1000,
+    nonce: uniqueId(),
+    createdAt: now,
+    version: DELEGATION_VERSION,
+    ...overrides
   };
-  return Buffer.from(JSON.stringify(sessionData)).toString('base64');
+  const signature = await wallet.signMessage(delegationMessage(delegation));
+  return JSON.stringify({ delegation, signature, publicKey: wallet.publicKey });
 }
 
 /**
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { ethers } from 'ethers';
+import {
+  verifyBotAuth,
+  botAuthMessage,
+  botAuthBodyHash,
+  MemoryNonceCache,
+  BotAuthRequest,
+} from '../../src/utils/BotAuth';
+
+const wallet = ethers.Wallet.createRandom();
+const body = '{"amount":1}';
+
+async function payload(bodyHash?: string) {
+  const message = botAuthMessage({
+    address: wallet.address,
+    method: 'POST',
+    host: 'example.com',
+    path: '/notes',
+    bodyHash,
+    timestamp: new Date().toISOString(),
+    nonce: ethers.utils.hexlify(ethers.utils.randomBytes(16)),
+  });
+  return { address: wallet.address, signature: await wallet.signMessage(message), message };
+}
+
+function verify(p: Awaited<ReturnType<typeof payload>>, request: Partial<BotAuthRequest>, options = {}) {
+  return verifyBotAuth(
+    p,
+    { method: 'POST', host: 'example.com', path: '/notes', ...request },
+    { nonceCache: new MemoryNonceCache(), ...options },
+  );
+}
+
+describe('verifyBotAuth body binding', () => {
+  it('should verify a signed body hash against the raw body', async () => {
+    const result = await verify(await payload(botAuthBodyHash(body)), { rawBody: Buffer.from(body) });
+    expect(result).toMatchObject({ valid: true, bodyVerified: true });
+  });
+
+  it('should refuse a raw body other than the one signed', async () => {
+    const result = await verify(await payload(botAuthBodyHash(body)), { rawBody: '{"amount":1000}' });
+    expect(result).toMatchObject({ valid: false, reason: 'binding' });
+  });
+
+  it('should refuse a body hash it has nothing to check against', async () => {
+    const result = await verify(await payload(botAuthBodyHash(body)), {});
+    expect(result).toMatchObject({ valid: false, reason: 'binding' });
+    expect((result as any).message).toMatch(/cannot be checked/);
+  });
+
+  it('should check the hash the host supplies when it kept no raw body', async () => {
+    const hash = botAuthBodyHash(body);
+    expect(await verify(await payload(hash), { bodyHash: hash })).toMatchObject({ valid: true, bodyVerified: true });
+    expect(await verify(await payload(hash), { bodyHash: botAuthBodyHash('{}') })).toMatchObject({ valid: false });
+  });
+
+  it('should accept an unsigned body without counting it as verified', async () => {
+    const result = await verify(await payload(), { rawBody: body });
+    expect(result).toMatchObject({ valid: true, bodyVerified: false });
+  });
+
+  it('should count a request without a body as verified', async () => {
+    const result = await verify(await payload(), { bodyHash: '' });
+    expect(result).toMatchObject({ valid: true, bodyVerified: true });
+  });
+
+  it('should refuse a message without a body hash when one is required', async () => {
+    const result = await verify(await payload(), { rawBody: body }, { requireBodyHash: true });
+    expect(result).toMatchObject({ valid: false, reason: 'binding' });
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { ChallengeStore, IssueChallengeResult, IssuedChallenge } from '../../src/utils/ChallengeStore';
+
+/** The challenge of an issue() that succeeded. */
+const challengeOf = (result: IssueChallengeResult) => (result as IssuedChallenge).challenge;
+
+describe('ChallengeStore', () => {
+  it('should consume a challenge once, for the domain that issued it', () => {
+    const store = new ChallengeStore();
+    const challenge = challengeOf(store.issue('Example.com'));
+
+    expect(store.consume('other.com', challenge)).toBe(false);
+    expect(store.consume('example.com', challenge)).toBe(true);
+    expect(store.consume('example.com', challenge)).toBe(false);
+  });
+
+  it('should refuse an expired challenge', () => {
+    const store = new ChallengeStore();
+    const challenge = challengeOf(store.issue('example.com', -1));
+    expect(store.consume('example.com', challenge)).toBe(false);
+  });
+
+  it('should refuse a requester past its cap without dropping its live challenges', () => {
+    const store = new ChallengeStore(10, 2);
+    const issued = [1, 2].map(() => challengeOf(store.issue('example.com', undefined, '10.0.0.1')));
+    const refused = store.issue('example.com', undefined, '10.0.0.1');
+
+    expect(refused).toMatchObject({ ok: false, reason: 'requester', retryAfter: 300 });
+    expect(store.issue('example.com', undefined, '10.0.0.2').ok).toBe(true);
+    for (const challenge of issued) {
+      expect(store.consume('example.com', challenge)).toBe(true);
+    }
+    expect(store.issue('example.com', undefined, '10.0.0.1').ok).toBe(true);
+  });
+
+  it('should refuse past the per-domain cap instead of dropping the oldest', () => {
+    const store = new ChallengeStore(3);
+    const issued = Array.from({ length: 3 }, (_, i) =>
+      challengeOf(store.issue('example.com', undefined, `10.0.0.${i}`))
+    );
+
+    expect(store.issue('example.com', undefined, '10.0.0.9')).toMatchObject({ ok: false, reason: 'domain' });
+    expect(store.issue('other.com').ok).toBe(true);
+    for (const challenge of issued) {
+      expect(store.consume('example.com', challenge)).toBe(true);
+    }
+  });
+
+  it('should sweep expired challenges before counting against the caps', () => {
+    const store = new ChallengeStore(2, 1);
+    store.issue('example.com', -1, '10.0.0.1');
+    store.issue('example.com', -1);
+    const live = store.issue('example.com', undefined, '10.0.0.1');
+
+    expect(live.ok).toBe(true);
+    expect(store.issue('example.com').ok).toBe(true);
+    expect(store.consume('example.com', challengeOf(live))).toBe(true);
+  });
+});